@@ -130,13 +130,33 @@
   // -----------------------------
   // API helper
   // -----------------------------
-  async function apiJSON(path, opts = {}) {
+  // CSRF token from GET /api/me, sent on every non-GET call. A CSRF_TOKEN_INVALID reply
+  // (e.g. after signing in again in another tab) refreshes it and retries once.
+  let __CSRF_TOKEN = '';
+
+  async function refreshCsrfToken() {
+    try {
+      const res = await fetch('/api/me', { credentials: 'include' });
+      const data = await res.json().catch(() => null);
+      __CSRF_TOKEN = String(data?.csrfToken || '');
+    } catch (_) {
+      __CSRF_TOKEN = '';
+    }
+    return __CSRF_TOKEN;
+  }
+
+  async function apiJSON(path, opts = {}, retried = false) {
     try {
+      const method = String(opts.method || 'GET').toUpperCase();
+      const needsToken = !['GET', 'HEAD', 'OPTIONS'].includes(method);
+      const token = needsToken ? __CSRF_TOKEN || await refreshCsrfToken() : '';
+
       const res = await fetch(path, {
         credentials: 'include',
         ...opts,
         headers: {
           'Content-Type': 'application/json',
+          ...(token ? { 'X-CSRF-Token': token } : {}),
           ...(opts.headers || {}),
         },
       });
@@ -146,6 +166,12 @@
         ? await res.json().catch(() => null)
         : { ok: false, error: 'Service temporarily unavailable. Please try again.' };
 
+      if (data?.csrfToken) __CSRF_TOKEN = String(data.csrfToken);
+      if (res.status === 403 && data?.code === 'CSRF_TOKEN_INVALID' && !retried) {
+        await refreshCsrfToken();
+        return apiJSON(path, opts, true);
+      }
+
       return { res, data };
     } catch (err) {
       return {
@@ -155,6 +181,45 @@
     }
   }
 
+  // Multipart image upload to POST /api/admin/uploads; resolves to the stored files' URLs.
+  async function uploadImages(files, kind, retried = false) {
+    const list = Array.from(files || []);
+    if (!list.length) return [];
+
+    const allowed = new Set(['image/png', 'image/jpeg', 'image/webp']);
+    const bad = list.find((file) => !allowed.has(file.type));
+    if (bad) throw new Error(`${bad.name}: only PNG, JPG, and WEBP files are allowed.`);
+    const big = list.find((file) => file.size > 5 * 1024 * 1024);
+    if (big) throw new Error(`${big.name}: images must be 5MB or smaller.`);
+
+    const body = new FormData();
+    list.forEach((file) => body.append('file', file, file.name));
+
+    const token = __CSRF_TOKEN || await refreshCsrfToken();
+    let res;
+    let data;
+    try {
+      res = await fetch(`/api/admin/uploads?kind=${encodeURIComponent(kind)}`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: token ? { 'X-CSRF-Token': token } : {},
+        body,
+      });
+      data = await res.json().catch(() => null);
+    } catch (_) {
+      throw new Error('Unable to reach the server. Please check your connection and try again.');
+    }
+
+    if (res.status === 403 && data?.code === 'CSRF_TOKEN_INVALID' && !retried) {
+      await refreshCsrfToken();
+      return uploadImages(list, kind, true);
+    }
+    if (!res.ok || !data?.ok || !Array.isArray(data.files)) {
+      throw new Error(data?.error || 'Images could not be uploaded.');
+    }
+    return data.files.map((f) => String(f.url || ''));
+  }
+
   // -----------------------------
   // Auth / gate
   // -----------------------------
@@ -168,8 +233,39 @@
     return __ME_CACHE;
   }
 
+  // Staff = any role with panel permissions (owner, fulfilment, content, inventory).
   function isAdminUser(u) {
-    return !!u && String(u.role || '').toLowerCase() === 'admin';
+    return !!u && Array.isArray(u.permissions) && u.permissions.length > 0;
+  }
+
+  function can(permission) {
+    return !!__ME_CACHE && Array.isArray(__ME_CACHE.permissions) && __ME_CACHE.permissions.includes(permission);
+  }
+
+  const ROLE_LABELS = {
+    customer: 'Customer',
+    owner: 'Owner',
+    fulfilment: 'Fulfilment',
+    content: 'Content',
+    inventory: 'Inventory',
+  };
+
+  // Sidebar link -> permission needed to open that page (settings is open to all staff).
+  const NAV_PERMISSIONS = {
+    'dashboard.html': 'dashboard.view',
+    'products.html': 'products.manage',
+    'collections.html': 'products.manage',
+    'reviews.html': 'content.manage',
+    'orders.html': 'orders.view',
+    'customers.html': 'customers.view',
+  };
+
+  function applyNavPermissions() {
+    qsa('.nav-item').forEach((link) => {
+      const file = String(link.getAttribute('href') || '').split('/').pop();
+      const needed = NAV_PERMISSIONS[file];
+      link.hidden = !!needed && !can(needed);
+    });
   }
 
   function inAdminFolder() {
@@ -323,16 +419,12 @@
     if (!isAdminLoginPage()) return;
 
     const form = qs('#loginForm') || qs('[data-form="login"]');
-    const errorBox = qs('[data-ui="error"]');
+    // One error box per step (password form + two-factor form)
     const setError = (msg) => {
-      if (!errorBox) return;
-      if (!msg) {
-        errorBox.hidden = true;
-        errorBox.textContent = '';
-      } else {
-        errorBox.hidden = false;
-        errorBox.textContent = msg;
-      }
+      qsa('[data-ui="error"]').forEach((errorBox) => {
+        errorBox.hidden = !msg;
+        errorBox.textContent = msg || '';
+      });
     };
 
     const pwToggle = qs('[data-action="toggle-password"]');
@@ -345,6 +437,69 @@
       pwToggle.textContent = nextType === 'password' ? 'Show' : 'Hide';
     });
 
+    async function finishAdminLogin() {
+      __ME_CACHE = null;
+      const me = await fetchMe();
+
+      if (!isAdminUser(me)) {
+        await logoutEverywhere();
+        setError('This account is not an admin.');
+        return;
+      }
+
+      location.href = './dashboard.html';
+    }
+
+    // Second step (accounts with two-factor enabled)
+    const twoFactorForm = qs('[data-form="two-factor"]');
+    const twoFactorInput = qs('[name="code"]', twoFactorForm || document);
+    const recoveryToggle = qs('[data-action="use-recovery-code"]');
+    let challenge = '';
+    let useRecovery = false;
+
+    function startTwoFactorStep(nextChallenge) {
+      challenge = nextChallenge;
+      if (form) form.hidden = true;
+      if (twoFactorForm) twoFactorForm.hidden = false;
+      twoFactorInput?.focus();
+    }
+
+    recoveryToggle?.addEventListener('click', () => {
+      useRecovery = !useRecovery;
+      if (twoFactorInput) {
+        twoFactorInput.value = '';
+        twoFactorInput.placeholder = useRecovery ? 'xxxxx-xxxxx' : '123456';
+        twoFactorInput.inputMode = useRecovery ? 'text' : 'numeric';
+        twoFactorInput.maxLength = useRecovery ? 11 : 6;
+      }
+      recoveryToggle.textContent = useRecovery ? 'Use authenticator code' : 'Use a recovery code';
+    });
+
+    twoFactorForm?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      setError('');
+
+      const value = String(twoFactorInput?.value || '').trim();
+      const { res, data } = await apiJSON('/api/auth/login/2fa', {
+        method: 'POST',
+        body: JSON.stringify(useRecovery ? { challenge, recoveryCode: value } : { challenge, code: value }),
+      });
+
+      if (!res.ok || !data?.ok) {
+        setError(data?.error || 'Verification failed.');
+        if (data?.code === 'TWO_FACTOR_CHALLENGE_INVALID') {
+          twoFactorForm.hidden = true;
+          if (form) form.hidden = false;
+        }
+        return;
+      }
+
+      if (data.recoveryCodesRemaining !== undefined) {
+        adminToast(`Recovery code used. ${data.recoveryCodesRemaining} left.`);
+      }
+      await finishAdminLogin();
+    });
+
     if (form) {
       form.addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -363,16 +518,12 @@
           return;
         }
 
-        __ME_CACHE = data.user || null;
-        const me = await fetchMe();
-
-        if (!isAdminUser(me)) {
-          await logoutEverywhere();
-          setError('This account is not an admin.');
+        if (data.twoFactorRequired) {
+          startTwoFactorStep(data.challenge);
           return;
         }
 
-        location.href = './dashboard.html';
+        await finishAdminLogin();
       });
     }
 
@@ -399,14 +550,11 @@
       })
         .then(async ({ res, data }) => {
           if (!res.ok || !data?.ok) throw new Error(data?.error || 'Google login failed');
-          __ME_CACHE = data.user || null;
-          const me = await fetchMe();
-          if (!isAdminUser(me)) {
-            await logoutEverywhere();
-            setError('This account is not an admin.');
+          if (data.twoFactorRequired) {
+            startTwoFactorStep(data.challenge);
             return;
           }
-          location.href = './dashboard.html';
+          await finishAdminLogin();
         })
         .catch((e) => setError(String(e?.message || 'Google login failed.')));
     }
@@ -434,9 +582,10 @@
   async function initDashboard() {
     if (!pathIsAdminPage('dashboard')) return;
 
+    const canViewOrders = can('orders.view');
     const [statsResp, ordersResp] = await Promise.all([
       apiJSON('/api/admin/stats'),
-      apiJSON('/api/admin/orders'),
+      canViewOrders ? apiJSON('/api/admin/orders') : Promise.resolve(null),
     ]);
 
     if (statsResp.res.ok && statsResp.data?.ok) {
@@ -458,6 +607,15 @@
     const tbody = qs('#recentOrdersTbody');
     if (!tbody) return;
 
+    if (!canViewOrders) {
+      tbody.innerHTML = `
+        <tr>
+          <td colspan="4" class="muted">Your role doesn't include order access.</td>
+        </tr>
+      `;
+      return;
+    }
+
     if (!ordersResp.res.ok || !ordersResp.data?.ok) {
       tbody.innerHTML = `
         <tr>
@@ -604,13 +762,18 @@
               <div class="muted">Status</div>
               <div class="row gap-8 order-status-row">
                 ${statusChip(currentStatus)}
+                ${can('orders.update') ? `
                 <select class="input input-sm" id="orderStatusSelect">
                   ${['placed', 'processing', 'shipped', 'delivered', 'cancelled'].map((status) => `<option value="${status}" ${status === currentStatus ? 'selected' : ''}>${escapeHtml(prettyStatus(status))}</option>`).join('')}
                 </select>
-                <button class="btn btn-primary btn-sm" type="button" id="orderStatusSave">Update</button>
+                <button class="btn btn-primary btn-sm" type="button" id="orderStatusSave">Update</button>` : ''}
               </div>
             </div>
-            <div><div class="muted">Total</div><div>${fmtJMD(o.totalJMD)}</div></div>
+            <div>
+              <div class="muted">Total</div>
+              <div>${fmtJMD(o.totalJMD)}</div>
+              ${o.displayCurrency && o.displayRate ? `<div class="muted">Shown as ${escapeHtml(o.displayCurrency)} ${(Number(o.totalJMD || 0) / o.displayRate).toFixed(2)} (1 ${escapeHtml(o.displayCurrency)} = J$ ${escapeHtml(String(o.displayRate))})</div>` : ''}
+            </div>
             <div><div class="muted">Placed</div><div>${escapeHtml(date)}</div></div>
           </div>
         `;
@@ -621,7 +784,7 @@
         modalItems.innerHTML = `
           <div class="table-wrap">
             <table class="table">
-              <thead><tr><th>Item</th><th>Size</th><th>Qty</th><th class="right">Price</th></tr></thead>
+              <thead><tr><th>Item</th><th>Variant</th><th>Qty</th><th class="right">Price</th></tr></thead>
               <tbody>
                 ${items.map((it) => `
                   <tr>
@@ -694,6 +857,8 @@
     const modalTitle = qs('#customerModalTitle');
     const modalMeta = qs('#customerModalMeta');
     const modalOrders = qs('#customerModalOrders');
+    const modalLogins = qs('#customerModalLogins');
+    const modalPrivacy = qs('#customerModalPrivacy');
 
     const setModalOpen = (open) => {
       if (!modal) return;
@@ -749,7 +914,7 @@
             <tr data-user-id="${escapeHtml(u.id)}">
               <td>${escapeHtml(u.name || '—')}</td>
               <td>${escapeHtml(u.email || '')}</td>
-              <td>${escapeHtml(String(u.role || '').toUpperCase())}</td>
+              <td>${escapeHtml(ROLE_LABELS[u.role] || String(u.role || '').toUpperCase())}</td>
               <td>${escapeHtml(String(stats.count))}</td>
               <td>${fmtJMD(stats.spend)}</td>
               <td>${escapeHtml(created)}</td>
@@ -772,14 +937,15 @@
           <div class="grid grid-2 gap-12">
             <div><div class="muted">Email</div><div>${escapeHtml(user.email)}</div></div>
             <div><div class="muted">Role</div>
+              ${can('staff.manage') ? `
               <div class="row gap-8">
                 <select class="select" id="userRoleSelect">
-                  <option value="customer"${String(user.role).toLowerCase() === 'customer' ? ' selected' : ''}>Customer</option>
-                  <option value="admin"${String(user.role).toLowerCase() === 'admin' ? ' selected' : ''}>Admin</option>
+                  ${Object.entries(ROLE_LABELS).map(([value, label]) => `<option value="${value}"${String(user.role).toLowerCase() === value ? ' selected' : ''}>${escapeHtml(label)}</option>`).join('')}
                 </select>
                 <button class="btn btn-primary btn-sm" type="button" data-action="save-role">Save</button>
               </div>
-              <div class="hint mt-8">Save role changes for this customer account.</div>
+              <div class="hint mt-8">Staff roles open parts of the admin panel. Only owners can change roles.</div>` : `
+              <div>${escapeHtml(ROLE_LABELS[user.role] || user.role || '')}</div>`}
             </div>
             <div><div class="muted">Orders</div><div>${escapeHtml(String(stats.count))}</div></div>
             <div><div class="muted">Total spend</div><div>${fmtJMD(stats.spend)}</div></div>
@@ -812,7 +978,32 @@
           : `<div class="muted">No orders yet.</div>`;
       }
 
+      // Staff must be demoted to customer before their data can be removed.
+      if (modalPrivacy) modalPrivacy.hidden = !can('customers.manage') || String(user.role) !== 'customer';
+
       setModalOpen(true);
+      loadLoginActivity(user);
+
+      // Assigned (not added) so reopening the modal for another customer replaces the handler.
+      const anonymiseBtn = qs('[data-action="anonymise-customer"]', modalPrivacy);
+      if (anonymiseBtn) {
+        anonymiseBtn.onclick = async () => {
+          if (!window.confirm(`Permanently delete ${user.email}'s account? Their orders are kept but anonymised.`)) return;
+
+          anonymiseBtn.disabled = true;
+          const { res, data } = await apiJSON(`/api/admin/users/${encodeURIComponent(user.id)}`, { method: 'DELETE' });
+          anonymiseBtn.disabled = false;
+
+          if (!res.ok || !data?.ok) {
+            adminToast(data?.error || 'Customer could not be anonymised.', 'error');
+            return;
+          }
+
+          adminToast('Customer data deleted.');
+          setModalOpen(false);
+          await load();
+        };
+      }
 
       // role save
       const saveBtn = qs('[data-action="save-role"]', modalMeta);
@@ -831,7 +1022,7 @@
           }
 
           users = users.map((u) => (u.id === user.id ? data.user : u));
-          adminToast('Customer role updated.');
+          adminToast('Role updated.');
           setModalOpen(false);
           render();
         },
@@ -839,6 +1030,64 @@
       );
     }
 
+    async function loadLoginActivity(user) {
+      if (!modalLogins) return;
+      modalLogins.innerHTML = `<div class="muted">Loading…</div>`;
+
+      const { res, data } = await apiJSON(`/api/admin/users/${encodeURIComponent(user.id)}/login-activity`);
+      if (!res.ok || !data?.ok) {
+        modalLogins.innerHTML = `<div class="muted">${escapeHtml(data?.error || 'Sign-in activity could not be loaded.')}</div>`;
+        return;
+      }
+
+      const attempts = Array.isArray(data.attempts) ? data.attempts : [];
+      const lockedUntil = data.throttle?.lockedUntil ? new Date(data.throttle.lockedUntil) : null;
+
+      const lockNotice = lockedUntil
+        ? `<div class="row gap-8">
+            <span class="chip chip-warn">Locked until ${escapeHtml(lockedUntil.toLocaleString())}</span>
+            ${can('customers.manage') ? '<button class="btn btn-ghost btn-sm" type="button" data-action="unlock-login">Unlock now</button>' : ''}
+          </div>
+          <div class="hint mt-8">Repeated failures lock the account with increasing delays.</div>`
+        : '';
+
+      modalLogins.innerHTML = lockNotice + (attempts.length
+        ? `<div class="table-wrap">
+            <table class="table">
+              <thead><tr><th>When</th><th>IP</th><th>Device</th><th>Result</th></tr></thead>
+              <tbody>
+                ${attempts
+          .map((a) => `
+                    <tr>
+                      <td>${escapeHtml(a.createdAt ? new Date(a.createdAt).toLocaleString() : '')}</td>
+                      <td class="mono">${escapeHtml(a.ip || '—')}</td>
+                      <td>${escapeHtml(String(a.userAgent || '—').slice(0, 60))}</td>
+                      <td>${a.reason === 'locked' ? 'Blocked (locked)' : 'Wrong password'}</td>
+                    </tr>
+                  `)
+          .join('')}
+              </tbody>
+            </table>
+          </div>`
+        : `<div class="muted">No failed sign-ins recorded.</div>`);
+
+      qs('[data-action="unlock-login"]', modalLogins)?.addEventListener(
+        'click',
+        async () => {
+          const { res: r, data: d } = await apiJSON(`/api/admin/users/${encodeURIComponent(user.id)}/login-lock`, {
+            method: 'DELETE',
+          });
+          if (!r.ok || !d?.ok) {
+            adminToast(d?.error || 'Account could not be unlocked.', 'error');
+            return;
+          }
+          adminToast('Account unlocked.');
+          loadLoginActivity(user);
+        },
+        { once: true }
+      );
+    }
+
     tbody?.addEventListener('click', (e) => {
       const btn = e.target.closest('[data-action="view-customer"]');
       if (!btn) return;
@@ -872,36 +1121,164 @@
     if (!form || !listWrap) return;
 
     const nameInput = qs('[name="name"]', form);
+    const slugInput = qs('[name="slug"]', form);
     const descInput = qs('[name="description"]', form);
     const priceInput = qs('[name="price"]', form);
+    const compareAtInput = qs('[name="compareAtPrice"]', form);
+    const salePriceInput = qs('[name="salePrice"]', form);
+    const saleStartsInput = qs('[name="saleStartsAt"]', form);
+    const saleEndsInput = qs('[name="saleEndsAt"]', form);
+    const saleStatus = qs('#saleStatus', form);
+    const publishAtInput = qs('[name="publishAt"]', form);
+    const unpublishAtInput = qs('[name="unpublishAt"]', form);
+    const scheduleStatus = qs('#publishScheduleStatus', form);
     const statusInput = qs('[name="status"]', form);
-    const stockS = qs('[name="stockS"]', form);
-    const stockM = qs('[name="stockM"]', form);
-    const stockL = qs('[name="stockL"]', form);
-    const stockXL = qs('[name="stockXL"]', form);
+    const optionRows = qs('#optionRows', form);
+    const addOptionBtn = qs('#addOptionBtn', form);
+    const sizePreset = qs('#sizeSystemPreset', form);
+    const variantRows = qs('#variantRows', form);
     const imagesInput = qs('#productImages', form);
-    const buttons = qsa('button', form);
-    const saveDraftBtn = buttons[0] || null;
-    const publishBtn = buttons[1] || null;
-    const deleteBtn = buttons[2] || null;
+    const saveDraftBtn = qs('#saveDraftBtn', form);
+    const publishBtn = qs('#publishBtn', form);
+    const deleteBtn = qs('#deleteProductBtn', form);
+    const archiveBtn = qs('#archiveProductBtn', form);
+    const sizeChartSelect = qs('#sizeChartSelect', form);
+    const fitNotesInput = qs('[name="fitNotes"]', form);
+    const modelMeasurementsInput = qs('[name="modelMeasurements"]', form);
+    const seoTitleInput = qs('[name="seoTitle"]', form);
+    const seoDescriptionInput = qs('[name="seoDescription"]', form);
+    const manageChartsBtn = qs('#manageSizeChartsBtn', form);
+    const chartModal = qs('#sizeChartModal');
+    const chartModalClose = qs('#sizeChartModalClose');
+    const chartPicker = qs('#sizeChartPicker');
+    const chartUsage = qs('#sizeChartUsage');
+    const chartName = qs('#sizeChartName');
+    const chartUnit = qs('#sizeChartUnit');
+    const chartColumns = qs('#sizeChartColumns');
+    const chartSizes = qs('#sizeChartSizes');
+    const chartHead = qs('#sizeChartHead');
+    const chartBody = qs('#sizeChartBody');
+    const chartNotes = qs('#sizeChartNotes');
+    const chartSaveBtn = qs('#sizeChartSave');
+    const chartDeleteBtn = qs('#sizeChartDelete');
+    const listFilter = qs('#productListFilter');
     const newProductBtn = qs('#newProductBtn');
     const openShopBtn = qs('#openShopBtn');
+    const stockTotalBadge = qs('#stockTotalBadge');
+    const importBtn = qs('#importProductsBtn');
+    const importFile = qs('#productImportFile');
+    const importCard = qs('#productImportCard');
+    const importSummary = qs('#productImportSummary');
+    const importRows = qs('#productImportRows');
+    const applyImportBtn = qs('#applyImportBtn');
+    const cancelImportBtn = qs('#cancelImportBtn');
+
+    const MAX_OPTIONS = 3;
+    const ONE_SIZE_LABEL = 'One size';
+    const SIZE_SYSTEMS = {
+      letter: ['XS', 'S', 'M', 'L', 'XL', 'XXL'],
+      numeric: ['0', '2', '4', '6', '8', '10', '12', '14', '16'],
+    };
 
     let products = [];
+    let showArchived = false;
+    // CSV text of the previewed import, sent again when it is applied
+    let importText = '';
+    let sizeCharts = [];
+    let chartEditingId = null;
+    // Chart cells keyed by size + measurement, so values survive edits to either list
+    let chartCells = new Map();
     let editingId = null;
+    let editingSlug = '';
     let images = [];
+    // Options as edited ({ name, values: "S, M, L" }) and per-variant fields keyed by label,
+    // so SKU/price/stock survive adding or reordering option values.
+    let options = [];
+    let variantState = new Map();
+
+    function parseValues(text) {
+      const seen = new Set();
+      return String(text || '').split(',').map((v) => v.trim()).filter((v) => {
+        if (!v || seen.has(v.toLowerCase())) return false;
+        seen.add(v.toLowerCase());
+        return true;
+      });
+    }
+
+    function activeOptions() {
+      return options
+        .map((o) => ({ name: String(o.name || '').trim(), values: parseValues(o.values) }))
+        .filter((o) => o.name && o.values.length);
+    }
+
+    // Every combination of option values, labelled the same way the server does ("M / Black").
+    function combinations() {
+      const opts = activeOptions();
+      if (!opts.length) return [{ optionValues: {}, label: ONE_SIZE_LABEL }];
+      return opts.reduce((acc, o) => acc.flatMap((combo) => o.values.map((val) => ({ ...combo, [o.name]: val }))), [{}])
+        .map((optionValues) => ({ optionValues, label: opts.map((o) => optionValues[o.name]).join(' / ') }));
+    }
 
-    function inventoryPayload() {
-      return [
-        { size: 'S', stock: Number(stockS?.value || 0) },
-        { size: 'M', stock: Number(stockM?.value || 0) },
-        { size: 'L', stock: Number(stockL?.value || 0) },
-        { size: 'XL', stock: Number(stockXL?.value || 0) },
-      ];
+    function variantsPayload() {
+      return combinations().map((c) => {
+        const saved = variantState.get(c.label) || {};
+        const price = String(saved.priceJMD ?? '').trim();
+        return {
+          id: saved.id || undefined,
+          optionValues: c.optionValues,
+          sku: String(saved.sku || '').trim(),
+          priceJMD: price === '' ? null : Number(price),
+          stock: Number(saved.stock || 0),
+        };
+      });
     }
 
     function totalStock() {
-      return inventoryPayload().reduce((sum, row) => sum + Number(row.stock || 0), 0);
+      return variantsPayload().reduce((sum, row) => sum + Number(row.stock || 0), 0);
+    }
+
+    function renderOptions() {
+      if (optionRows) {
+        optionRows.innerHTML = options.map((o, i) => `
+          <div class="input-row option-row" data-index="${i}">
+            <input class="input input-sm" data-field="name" type="text" placeholder="e.g. Colour" value="${escapeHtml(o.name || '')}" />
+            <input class="input input-sm" data-field="values" type="text" placeholder="e.g. Black, Ivory" value="${escapeHtml(o.values || '')}" />
+            <button class="btn btn-ghost btn-sm" type="button" data-action="remove-option">Remove</button>
+          </div>
+        `).join('');
+      }
+      if (addOptionBtn) addOptionBtn.disabled = options.length >= MAX_OPTIONS;
+      renderVariants();
+    }
+
+    function renderVariants() {
+      if (!variantRows) return;
+      const base = Number(priceInput?.value || 0);
+      variantRows.innerHTML = combinations().map((c) => {
+        const saved = variantState.get(c.label) || {};
+        return `
+          <tr data-label="${escapeHtml(c.label)}">
+            <td>${escapeHtml(c.label)}</td>
+            <td><input class="input input-sm" data-field="sku" type="text" value="${escapeHtml(saved.sku || '')}" /></td>
+            <td><input class="input input-sm" data-field="priceJMD" type="number" min="0" step="1" placeholder="${escapeHtml(String(base || ''))}" value="${escapeHtml(String(saved.priceJMD ?? ''))}" /></td>
+            <td><input class="input input-sm" data-field="stock" type="number" min="0" step="1" value="${escapeHtml(String(saved.stock ?? 0))}" /></td>
+          </tr>
+        `;
+      }).join('');
+    }
+
+    function applySizeSystem(kind) {
+      const sizeIdx = options.findIndex((o) => String(o.name || '').trim().toLowerCase() === 'size');
+      if (kind === 'one') {
+        if (sizeIdx >= 0) options.splice(sizeIdx, 1);
+      } else if (SIZE_SYSTEMS[kind]) {
+        const values = SIZE_SYSTEMS[kind].join(', ');
+        if (sizeIdx >= 0) options[sizeIdx].values = values;
+        else if (options.length < MAX_OPTIONS) options.unshift({ name: 'Size', values });
+        else adminToast(`A product can have at most ${MAX_OPTIONS} options.`, 'error');
+      }
+      renderOptions();
+      updatePreview();
     }
 
     function renderImagePreview() {
@@ -926,26 +1303,131 @@
       }
     }
 
+    // datetime-local inputs hold local time without a zone
+    function toLocalInput(iso) {
+      if (!iso) return '';
+      const d = new Date(iso);
+      if (Number.isNaN(d.getTime())) return '';
+      return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
+
+    function fromLocalInput(value) {
+      const d = value ? new Date(value) : null;
+      return d && !Number.isNaN(d.getTime()) ? d.toISOString() : null;
+    }
+
+    const optionalPrice = (input) => {
+      const raw = String(input?.value ?? '').trim();
+      return raw === '' ? null : Number(raw);
+    };
+
+    // Same rules as the server: the sale price applies between the dates, either end open.
+    function salePreview() {
+      const regular = Number(priceInput?.value || 0);
+      const sale = optionalPrice(salePriceInput);
+      const starts = fromLocalInput(saleStartsInput?.value);
+      const ends = fromLocalInput(saleEndsInput?.value);
+      const now = Date.now();
+      const fmtWhen = (iso) => new Date(iso).toLocaleString('en-JM', { dateStyle: 'medium', timeStyle: 'short' });
+
+      let status = 'No sale scheduled.';
+      let active = false;
+      if (sale !== null) {
+        if (sale >= regular) status = 'The sale price must be lower than the regular price.';
+        else if (starts && ends && new Date(ends) <= new Date(starts)) status = 'The sale must end after it starts.';
+        else if (ends && new Date(ends).getTime() <= now) status = `The sale ended ${fmtWhen(ends)}.`;
+        else if (starts && new Date(starts).getTime() > now) status = `Scheduled: ${fmtJMD(sale)} from ${fmtWhen(starts)}${ends ? ` until ${fmtWhen(ends)}` : ''}.`;
+        else {
+          active = true;
+          status = `On sale now${ends ? ` until ${fmtWhen(ends)}` : ''}.`;
+        }
+      }
+
+      const price = active ? sale : regular;
+      const was = Math.max(Number(optionalPrice(compareAtInput) || 0), active ? regular : 0);
+      return { price, was: was > price ? was : null, status };
+    }
+
+    const PUBLISH_STATE_LABELS = { draft: 'Draft', scheduled: 'Scheduled', live: 'Published', ended: 'Ended', archived: 'Archived' };
+
+    // Mirrors the server's publishState(): published products are live inside the optional window.
+    function publishPreview() {
+      const publishAt = fromLocalInput(publishAtInput?.value);
+      const unpublishAt = fromLocalInput(unpublishAtInput?.value);
+      const now = Date.now();
+      const fmtWhen = (iso) => new Date(iso).toLocaleString('en-JM', { dateStyle: 'medium', timeStyle: 'short' });
+
+      let state = 'live';
+      if (statusInput?.value !== 'published') state = 'draft';
+      else if (publishAt && new Date(publishAt).getTime() > now) state = 'scheduled';
+      else if (unpublishAt && new Date(unpublishAt).getTime() <= now) state = 'ended';
+
+      let hint = 'Publishing makes the product visible right away.';
+      if (publishAt && unpublishAt && new Date(unpublishAt) <= new Date(publishAt)) {
+        hint = 'Unpublish must come after publish.';
+      } else if (publishAt || unpublishAt) {
+        const from = publishAt && new Date(publishAt).getTime() > now ? `from ${fmtWhen(publishAt)}` : 'now';
+        hint = unpublishAt
+          ? `Visible ${from} until ${fmtWhen(unpublishAt)} once published.`
+          : `Visible ${from} once published.`;
+      }
+      return { state, hint };
+    }
+
     function updatePreview() {
       if (previewName) previewName.textContent = nameInput?.value?.trim() || '—';
       if (previewDesc) previewDesc.textContent = descInput?.value?.trim() || '—';
-      if (previewPrice) previewPrice.textContent = fmtJMD(Number(priceInput?.value || 0));
+      const sale = salePreview();
+      if (saleStatus) saleStatus.textContent = sale.status;
+      if (previewPrice) {
+        previewPrice.innerHTML = sale.was
+          ? `${fmtJMD(sale.price)} <s>${fmtJMD(sale.was)}</s> <span class="sale-off">${Math.round(((sale.was - sale.price) / sale.was) * 100)}% off</span>`
+          : fmtJMD(sale.price);
+      }
       if (previewStock) previewStock.textContent = `Stock: ${totalStock()}`;
-      if (previewStatus) previewStatus.textContent = statusInput?.value === 'published' ? 'Published' : 'Draft';
+      if (stockTotalBadge) stockTotalBadge.textContent = `Total: ${totalStock()}`;
+      const publish = publishPreview();
+      const editing = products.find((p) => p.id === editingId);
+      if (previewStatus) previewStatus.textContent = PUBLISH_STATE_LABELS[editing?.archivedAt ? 'archived' : publish.state];
+      if (archiveBtn) {
+        archiveBtn.hidden = !editingId;
+        archiveBtn.textContent = editing?.archivedAt ? 'Restore' : 'Archive';
+      }
+      if (scheduleStatus) scheduleStatus.textContent = publish.hint;
+      if (publishBtn) {
+        const publishAt = fromLocalInput(publishAtInput?.value);
+        publishBtn.textContent = publishAt && new Date(publishAt).getTime() > Date.now() ? 'Schedule' : 'Publish';
+      }
       renderImagePreview();
     }
 
     function fillForm(product) {
       editingId = product.id;
+      editingSlug = product.slug || '';
       nameInput.value = product.name || '';
+      if (slugInput) slugInput.value = editingSlug;
       descInput.value = product.description || '';
       priceInput.value = String(product.priceJMD || 0);
+      if (compareAtInput) compareAtInput.value = product.compareAtPriceJMD ?? '';
+      if (salePriceInput) salePriceInput.value = product.salePriceJMD ?? '';
+      if (saleStartsInput) saleStartsInput.value = toLocalInput(product.saleStartsAt);
+      if (saleEndsInput) saleEndsInput.value = toLocalInput(product.saleEndsAt);
+      if (publishAtInput) publishAtInput.value = toLocalInput(product.publishAt);
+      if (unpublishAtInput) unpublishAtInput.value = toLocalInput(product.unpublishAt);
+      if (sizeChartSelect) sizeChartSelect.value = product.sizeChartId || '';
+      if (fitNotesInput) fitNotesInput.value = product.fitNotes || '';
+      if (modelMeasurementsInput) modelMeasurementsInput.value = product.modelMeasurements || '';
+      if (seoTitleInput) seoTitleInput.value = product.seoTitle || '';
+      if (seoDescriptionInput) seoDescriptionInput.value = product.seoDescription || '';
       statusInput.value = product.isPublished ? 'published' : 'draft';
-      const bySize = Object.fromEntries((product.inventory || []).map((r) => [String(r.size).toUpperCase(), Number(r.stock || 0)]));
-      stockS.value = String(bySize.S || 0);
-      stockM.value = String(bySize.M || 0);
-      stockL.value = String(bySize.L || 0);
-      stockXL.value = String(bySize.XL || 0);
+      options = (product.options || []).map((o) => ({ name: o.name, values: (o.values || []).join(', ') }));
+      variantState = new Map((product.variants || []).map((v) => [v.label, {
+        id: v.id,
+        sku: v.sku || '',
+        priceJMD: v.priceJMD ?? '',
+        stock: Number(v.stock || 0),
+      }]));
+      renderOptions();
       images = Array.isArray(product.images)
         ? product.images.map((img) => ({
           url: normalizeRenderableImageUrl(img.url),
@@ -958,18 +1440,23 @@
 
     function resetForm() {
       editingId = null;
+      editingSlug = '';
       form.reset();
       images = [];
+      options = [{ name: 'Size', values: SIZE_SYSTEMS.letter.join(', ') }];
+      variantState = new Map();
+      renderOptions();
       updatePreview();
     }
 
     function renderList() {
       if (!products.length) {
-        listWrap.innerHTML = `<div class="muted" style="padding:16px;">No products yet.</div>`;
+        listWrap.innerHTML = `<div class="muted" style="padding:16px;">${showArchived ? 'No archived products.' : 'No products yet.'}</div>`;
         return;
       }
-      listWrap.innerHTML = products.map((p) => `
-        <button type="button" class="card mini" data-product-id="${escapeHtml(p.id)}" style="width:100%;text-align:left;padding:14px;margin-bottom:10px;border:none;cursor:pointer;">
+      const rowStyle = 'width:100%;text-align:left;padding:14px;margin-bottom:10px;border:none;cursor:pointer;';
+      listWrap.innerHTML = products.map((p) => {
+        const body = `
           <div class="row-between">
             <div>
               <div><strong>${escapeHtml(p.name || 'Product')}</strong></div>
@@ -977,15 +1464,30 @@
             </div>
             <div>
               <div>${fmtJMD(p.priceJMD)}</div>
-              <div class="muted">${p.isPublished ? 'Published' : 'Draft'}</div>
+              ${p.salePriceJMD != null ? `<div class="muted">Sale ${fmtJMD(p.salePriceJMD)}</div>` : ''}
+              ${p.publishState === 'scheduled' || p.publishState === 'ended'
+                ? `<span class="chip ${p.publishState === 'scheduled' ? 'chip-warn' : 'chip-bad'}" title="${escapeHtml(p.publishAt ? `Publishes ${new Date(p.publishAt).toLocaleString('en-JM')}` : '')}">${PUBLISH_STATE_LABELS[p.publishState]}</span>`
+                : `<div class="muted">${p.isPublished ? 'Published' : 'Draft'}</div>`}
             </div>
+          </div>`;
+        // Archived rows hold a Restore button, so they can't be buttons themselves
+        return p.archivedAt
+          ? `
+        <div class="card mini" data-product-id="${escapeHtml(p.id)}" style="${rowStyle}">
+          ${body}
+          <div class="row-between">
+            <span class="muted">Archived ${escapeHtml(new Date(p.archivedAt).toLocaleDateString('en-JM'))}</span>
+            <button class="btn btn-ghost btn-sm" type="button" data-action="restore-product">Restore</button>
           </div>
-        </button>
-      `).join('');
+        </div>`
+          : `
+        <button type="button" class="card mini" data-product-id="${escapeHtml(p.id)}" style="${rowStyle}">${body}
+        </button>`;
+      }).join('');
     }
 
     async function loadProducts() {
-      const { res, data } = await apiJSON('/api/admin/products');
+      const { res, data } = await apiJSON(`/api/admin/products${showArchived ? '?archived=1' : ''}`);
       if (!res.ok || !data?.ok) {
         listWrap.innerHTML = `<div class="muted" style="padding:16px;">Failed to load products.</div>`;
         return;
@@ -999,10 +1501,25 @@
         name: String(nameInput?.value || '').trim(),
         description: String(descInput?.value || '').trim(),
         priceJMD: Number(priceInput?.value || 0),
+        compareAtPriceJMD: optionalPrice(compareAtInput),
+        salePriceJMD: optionalPrice(salePriceInput),
+        saleStartsAt: fromLocalInput(saleStartsInput?.value),
+        saleEndsAt: fromLocalInput(saleEndsInput?.value),
         isPublished,
-        inventory: inventoryPayload(),
+        publishAt: fromLocalInput(publishAtInput?.value),
+        unpublishAt: fromLocalInput(unpublishAtInput?.value),
+        sizeChartId: sizeChartSelect?.value || null,
+        fitNotes: String(fitNotesInput?.value || '').trim(),
+        modelMeasurements: String(modelMeasurementsInput?.value || '').trim(),
+        seoTitle: String(seoTitleInput?.value || '').trim(),
+        seoDescription: String(seoDescriptionInput?.value || '').trim(),
+        options: activeOptions(),
+        variants: variantsPayload(),
         images,
       };
+      // Only send the slug when it was edited, so renames can regenerate a generated slug.
+      const slug = String(slugInput?.value || '').trim();
+      if (slug !== editingSlug) payload.slug = slug;
       if (!payload.name) {
         adminToast('Product name is required.', 'error');
         return;
@@ -1016,11 +1533,34 @@
       }
       await loadProducts();
       if (data.product) fillForm(data.product);
-      adminToast(isPublished ? 'Product published.' : 'Draft saved.');
+      const scheduled = isPublished && payload.publishAt && new Date(payload.publishAt).getTime() > Date.now();
+      adminToast(scheduled ? 'Product scheduled.' : (isPublished ? 'Product published.' : 'Draft saved.'));
+    }
+
+    async function setArchived(id, archived) {
+      const action = archived ? 'archive' : 'restore';
+      const { res, data } = await apiJSON(`/api/admin/products/${encodeURIComponent(id)}/${action}`, { method: 'POST' });
+      if (!res.ok || !data?.ok) {
+        adminToast(data?.error || `Product could not be ${archived ? 'archived' : 'restored'}.`, 'error');
+        return;
+      }
+      await loadProducts();
+      if (id === editingId) resetForm();
+      adminToast(archived ? 'Product archived. It is hidden from the shop.' : 'Product restored as a draft.');
     }
 
     async function deleteProduct() {
       if (!editingId) return;
+      const current = products.find((p) => p.id === editingId);
+      if (current?.hasOrders) {
+        if (current.archivedAt) {
+          adminToast('This product appears in past orders, so it stays archived rather than being deleted.', 'error');
+          return;
+        }
+        const archive = window.confirm('This product appears in past orders, so it can\'t be deleted. Archive it instead? It will be hidden from the shop but kept for order history.');
+        if (archive) await setArchived(editingId, true);
+        return;
+      }
       const ok = window.confirm('Delete this product? This cannot be undone.');
       if (!ok) return;
       const { res, data } = await apiJSON(`/api/admin/products/${encodeURIComponent(editingId)}`, { method: 'DELETE' });
@@ -1034,20 +1574,61 @@
     }
 
     form.addEventListener('input', updatePreview);
+    priceInput?.addEventListener('input', renderVariants);
+    optionRows?.addEventListener('input', (e) => {
+      const row = e.target.closest('.option-row');
+      const field = e.target.getAttribute('data-field');
+      if (!row || !field) return;
+      options[Number(row.getAttribute('data-index'))][field] = e.target.value;
+      renderVariants();
+    });
+    optionRows?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action="remove-option"]');
+      if (!btn) return;
+      options.splice(Number(btn.closest('.option-row').getAttribute('data-index')), 1);
+      renderOptions();
+      updatePreview();
+    });
+    addOptionBtn?.addEventListener('click', () => {
+      if (options.length >= MAX_OPTIONS) return;
+      options.push({ name: '', values: '' });
+      renderOptions();
+      qs('.option-row:last-child [data-field="name"]', optionRows)?.focus();
+    });
+    sizePreset?.addEventListener('change', () => {
+      applySizeSystem(sizePreset.value);
+      sizePreset.value = '';
+    });
+    variantRows?.addEventListener('input', (e) => {
+      const row = e.target.closest('tr[data-label]');
+      const field = e.target.getAttribute('data-field');
+      if (!row || !field) return;
+      const label = row.getAttribute('data-label');
+      variantState.set(label, { ...(variantState.get(label) || {}), [field]: e.target.value });
+    });
     imagesInput?.addEventListener('change', async (e) => {
       const files = Array.from(e.target.files || []);
-      images = await Promise.all(files.map((file, i) => new Promise((resolve) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve({
-          url: normalizeRenderableImageUrl(String(reader.result || '')),
-          alt: file.name || '',
+      if (!files.length) return;
+      try {
+        const urls = await uploadImages(files, 'products');
+        images = urls.map((url, i) => ({
+          url: normalizeRenderableImageUrl(url),
+          alt: files[i]?.name || '',
           sortOrder: i,
-        });
-        reader.readAsDataURL(file);
-      })));
-      updatePreview();
+        }));
+        updatePreview();
+      } catch (err) {
+        adminToast(String(err?.message || 'Images could not be uploaded.'), 'error');
+      } finally {
+        imagesInput.value = '';
+      }
     });
     listWrap.addEventListener('click', (e) => {
+      const restore = e.target.closest('[data-action="restore-product"]');
+      if (restore) {
+        setArchived(restore.closest('[data-product-id]').getAttribute('data-product-id'), false);
+        return;
+      }
       const btn = e.target.closest('[data-product-id]');
       if (!btn) return;
       const id = btn.getAttribute('data-product-id');
@@ -1057,22 +1638,674 @@
     saveDraftBtn?.addEventListener('click', () => saveProduct(false));
     publishBtn?.addEventListener('click', () => saveProduct(true));
     deleteBtn?.addEventListener('click', deleteProduct);
+    archiveBtn?.addEventListener('click', () => {
+      const current = products.find((p) => p.id === editingId);
+      if (!current) return;
+      if (!current.archivedAt && !window.confirm('Archive this product? It will be hidden from the shop.')) return;
+      setArchived(current.id, !current.archivedAt);
+    });
+    listFilter?.addEventListener('change', async () => {
+      showArchived = listFilter.value === 'archived';
+      resetForm();
+      await loadProducts();
+    });
     newProductBtn?.addEventListener('click', () => {
       resetForm();
       nameInput?.focus();
       adminToast('Ready for a new product.');
     });
     openShopBtn?.addEventListener('click', () => {
-      window.open('../shop-page.html', '_blank', 'noopener');
+      const current = products.find((p) => p.id === editingId);
+      const href = current?.publishState === 'live' && current.slug
+        ? `/product/${encodeURIComponent(current.slug)}`
+        : '../shop-page.html';
+      window.open(href, '_blank', 'noopener');
+    });
+
+    // Size charts are shared between products; the modal edits them and the form picks one.
+    const splitList = (value) => String(value || '').split(',').map((v) => v.trim()).filter(Boolean);
+    const chartCellKey = (size, column) => `${size.toLowerCase()}\u0000${column.toLowerCase()}`;
+
+    function setChartModalOpen(open) {
+      if (!chartModal) return;
+      chartModal.hidden = !open;
+      document.body.classList.toggle('modal-open', !!open);
+    }
+
+    function renderSizeChartOptions() {
+      if (!sizeChartSelect) return;
+      const selected = sizeChartSelect.value;
+      sizeChartSelect.innerHTML = '<option value="">No size chart</option>' + sizeCharts
+        .map((c) => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`)
+        .join('');
+      sizeChartSelect.value = sizeCharts.some((c) => c.id === selected) ? selected : '';
+    }
+
+    async function loadSizeCharts() {
+      const { res, data } = await apiJSON('/api/admin/size-charts');
+      if (!res.ok || !data?.ok) return;
+      sizeCharts = Array.isArray(data.sizeCharts) ? data.sizeCharts : [];
+      renderSizeChartOptions();
+    }
+
+    function renderChartGrid() {
+      const columns = splitList(chartColumns?.value);
+      const sizes = splitList(chartSizes?.value);
+      if (chartHead) {
+        chartHead.innerHTML = `<tr><th>Size</th>${columns.map((c) => `<th>${escapeHtml(c)}</th>`).join('')}</tr>`;
+      }
+      if (!chartBody) return;
+      chartBody.innerHTML = sizes.length && columns.length
+        ? sizes.map((size) => `
+          <tr>
+            <td><strong>${escapeHtml(size)}</strong></td>
+            ${columns.map((column) => `
+            <td><input class="input input-sm" type="text" inputmode="decimal" data-size="${escapeHtml(size)}" data-column="${escapeHtml(column)}"
+              value="${escapeHtml(chartCells.get(chartCellKey(size, column)) || '')}" aria-label="${escapeHtml(`${column} for ${size}`)}" /></td>`).join('')}
+          </tr>`).join('')
+        : `<tr><td colspan="${columns.length + 1}" class="muted">List the measurements and sizes above.</td></tr>`;
+    }
+
+    function fillChartEditor(chart) {
+      chartEditingId = chart?.id || null;
+      if (chartPicker) chartPicker.value = chartEditingId || '';
+      if (chartName) chartName.value = chart?.name || '';
+      if (chartUnit) chartUnit.value = chart?.unit || 'cm';
+      if (chartColumns) chartColumns.value = (chart?.columns || []).join(', ');
+      if (chartSizes) chartSizes.value = (chart?.rows || []).map((r) => r.size).join(', ');
+      if (chartNotes) chartNotes.value = chart?.notes || '';
+      chartCells = new Map();
+      (chart?.rows || []).forEach((r) => {
+        (chart.columns || []).forEach((column, i) => chartCells.set(chartCellKey(r.size, column), r.values?.[i] || ''));
+      });
+      if (chartUsage) {
+        const count = Number(chart?.productCount || 0);
+        chartUsage.textContent = chart
+          ? `Used by ${count} product${count === 1 ? '' : 's'}. Changes apply to all of them.`
+          : 'A new chart can be attached to any product.';
+      }
+      if (chartDeleteBtn) chartDeleteBtn.hidden = !chart;
+      renderChartGrid();
+    }
+
+    function renderChartPicker() {
+      if (!chartPicker) return;
+      chartPicker.innerHTML = '<option value="">New size chart…</option>' + sizeCharts
+        .map((c) => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`)
+        .join('');
+      chartPicker.value = chartEditingId || '';
+    }
+
+    function openSizeCharts() {
+      // Start on the chart the product uses, if any
+      chartEditingId = sizeChartSelect?.value || null;
+      renderChartPicker();
+      fillChartEditor(sizeCharts.find((c) => c.id === chartEditingId) || null);
+      setChartModalOpen(true);
+    }
+
+    async function saveSizeChart() {
+      const columns = splitList(chartColumns?.value);
+      const payload = {
+        name: String(chartName?.value || '').trim(),
+        unit: chartUnit?.value || 'cm',
+        columns,
+        rows: splitList(chartSizes?.value).map((size) => ({
+          size,
+          values: columns.map((column) => chartCells.get(chartCellKey(size, column)) || ''),
+        })),
+        notes: String(chartNotes?.value || '').trim(),
+      };
+      const endpoint = chartEditingId ? `/api/admin/size-charts/${encodeURIComponent(chartEditingId)}` : '/api/admin/size-charts';
+      const { res, data } = await apiJSON(endpoint, { method: chartEditingId ? 'PUT' : 'POST', body: JSON.stringify(payload) });
+      if (!res.ok || !data?.ok) {
+        adminToast(data?.error || 'Size chart could not be saved.', 'error');
+        return;
+      }
+      const isNew = !chartEditingId;
+      await loadSizeCharts();
+      chartEditingId = data.sizeChart?.id || null;
+      renderChartPicker();
+      fillChartEditor(sizeCharts.find((c) => c.id === chartEditingId) || data.sizeChart);
+      // A chart made while editing a product is most likely meant for it
+      if (isNew && sizeChartSelect && !sizeChartSelect.value) sizeChartSelect.value = chartEditingId || '';
+      adminToast('Size chart saved.');
+    }
+
+    async function deleteSizeChart() {
+      const chart = sizeCharts.find((c) => c.id === chartEditingId);
+      if (!chart) return;
+      const count = Number(chart.productCount || 0);
+      const warning = count ? ` ${count} product${count === 1 ? '' : 's'} will lose ${count === 1 ? 'its' : 'their'} size chart.` : '';
+      if (!window.confirm(`Delete the "${chart.name}" size chart?${warning}`)) return;
+
+      const { res, data } = await apiJSON(`/api/admin/size-charts/${encodeURIComponent(chart.id)}`, { method: 'DELETE' });
+      if (!res.ok || !data?.ok) {
+        adminToast(data?.error || 'Size chart could not be deleted.', 'error');
+        return;
+      }
+      chartEditingId = null;
+      await loadSizeCharts();
+      await loadProducts();
+      renderChartPicker();
+      fillChartEditor(null);
+      adminToast('Size chart deleted.');
+    }
+
+    manageChartsBtn?.addEventListener('click', openSizeCharts);
+    chartModalClose?.addEventListener('click', () => setChartModalOpen(false));
+    chartModal?.addEventListener('click', (e) => {
+      if (e.target === chartModal) setChartModalOpen(false);
+    });
+    chartPicker?.addEventListener('change', () => {
+      fillChartEditor(sizeCharts.find((c) => c.id === chartPicker.value) || null);
+    });
+    chartColumns?.addEventListener('input', renderChartGrid);
+    chartSizes?.addEventListener('input', renderChartGrid);
+    chartBody?.addEventListener('input', (e) => {
+      const input = e.target.closest('input[data-size]');
+      if (input) chartCells.set(chartCellKey(input.dataset.size, input.dataset.column), input.value.trim());
+    });
+    chartSaveBtn?.addEventListener('click', saveSizeChart);
+    chartDeleteBtn?.addEventListener('click', deleteSizeChart);
+
+    const IMPORT_ACTION_CHIPS = { create: 'chip-ok', update: 'chip-warn', error: 'chip-bad' };
+    const IMPORT_ACTION_LABELS = { create: 'Create', update: 'Update', error: 'Error' };
+
+    function renderImportPreview(data) {
+      const summary = data?.summary || { create: 0, update: 0, error: 0 };
+      const rows = Array.isArray(data?.rows) ? data.rows : [];
+
+      importSummary.textContent = `${summary.create} to create, ${summary.update} to update, ${summary.error} with errors.`;
+      importRows.innerHTML = rows.length
+        ? rows.map((row) => `
+            <tr>
+              <td>${row.line}</td>
+              <td>
+                <div>${escapeHtml(row.name || '(no name)')}</div>
+                ${row.slug ? `<div class="muted">${escapeHtml(row.slug)}</div>` : ''}
+              </td>
+              <td><span class="chip ${IMPORT_ACTION_CHIPS[row.action] || ''}">${IMPORT_ACTION_LABELS[row.action] || escapeHtml(row.action)}</span></td>
+              <td>${(row.errors || []).map((e) => `<div>${escapeHtml(e)}</div>`).join('')}</td>
+            </tr>
+          `).join('')
+        : `<tr><td colspan="4" class="muted">The file has no product rows.</td></tr>`;
+
+      applyImportBtn.disabled = !rows.length || summary.error > 0;
+      importCard.hidden = false;
+    }
+
+    function closeImport() {
+      importText = '';
+      importCard.hidden = true;
+      importRows.innerHTML = '';
+      if (importFile) importFile.value = '';
+    }
+
+    async function sendImport(dryRun) {
+      return apiJSON(`/api/admin/products/import?dryRun=${dryRun ? 1 : 0}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: importText,
+      });
+    }
+
+    importBtn?.addEventListener('click', () => importFile?.click());
+    importFile?.addEventListener('change', async () => {
+      const file = importFile.files?.[0];
+      if (!file) return;
+
+      importText = await file.text();
+      const { res, data } = await sendImport(true);
+      if (!res.ok || !data?.ok) {
+        closeImport();
+        adminToast(data?.error || 'Could not read that file.', 'error');
+        return;
+      }
+      renderImportPreview(data);
+      importCard.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+    cancelImportBtn?.addEventListener('click', closeImport);
+    applyImportBtn?.addEventListener('click', async () => {
+      if (!importText) return;
+
+      applyImportBtn.disabled = true;
+      const { res, data } = await sendImport(false);
+      if (!res.ok || !data?.ok) {
+        // Rows can fail here if the catalog changed since the preview
+        if (data?.rows) renderImportPreview(data);
+        else applyImportBtn.disabled = false;
+        adminToast(data?.error || 'Import failed.', 'error');
+        return;
+      }
+
+      closeImport();
+      adminToast(`Imported ${data.summary.create} new and ${data.summary.update} updated product${data.summary.create + data.summary.update === 1 ? '' : 's'}.`);
+      await loadProducts();
     });
 
     resetForm();
+    await loadSizeCharts();
     await loadProducts();
   }
 
+  // -----------------------------
+  // Reviews (moderation queue)
+  // -----------------------------
+  async function initReviews() {
+    if (!pathIsAdminPage('reviews')) return;
+
+    const tbody = qs('#reviewsTbody');
+    const filter = qs('#reviewStatusFilter');
+    const countsEl = qs('#reviewCounts');
+    const modal = qs('#reviewReplyModal');
+    const modalClose = qs('#reviewReplyClose');
+    const replyQuote = qs('#reviewReplyQuote');
+    const replyText = qs('#reviewReplyText');
+    const replySave = qs('#reviewReplySave');
+    const replyRemove = qs('#reviewReplyRemove');
+    if (!tbody) return;
+
+    const REVIEW_STATUS_CHIPS = { pending: 'chip-warn', approved: 'chip-ok', rejected: 'chip-bad' };
+    const REVIEW_STATUS_LABELS = { pending: 'Pending', approved: 'Approved', rejected: 'Rejected' };
+
+    let reviews = [];
+    let replyingId = null;
+
+    const stars = (n) => '★'.repeat(Number(n) || 0) + '☆'.repeat(5 - (Number(n) || 0));
+
+    const setModalOpen = (open) => {
+      if (!modal) return;
+      modal.hidden = !open;
+      document.body.classList.toggle('modal-open', !!open);
+    };
+    modalClose?.addEventListener('click', () => setModalOpen(false));
+    modal?.addEventListener('click', (e) => {
+      if (e.target === modal) setModalOpen(false);
+    });
+
+    async function load() {
+      const status = filter?.value || 'pending';
+      const { res, data } = await apiJSON(`/api/admin/reviews?status=${encodeURIComponent(status)}`);
+      if (!res.ok || !data?.ok) {
+        tbody.innerHTML = `<tr><td colspan="5" class="muted">${escapeHtml(data?.error || 'Could not load reviews.')}</td></tr>`;
+        return;
+      }
+      reviews = Array.isArray(data.reviews) ? data.reviews : [];
+      if (countsEl && data.counts) {
+        countsEl.textContent = `${data.counts.pending} waiting · ${data.counts.approved} approved · ${data.counts.rejected} rejected. Only approved reviews are shown in the shop.`;
+      }
+      render();
+    }
+
+    function render() {
+      if (!reviews.length) {
+        tbody.innerHTML = '<tr><td colspan="5" class="muted">No reviews here.</td></tr>';
+        return;
+      }
+
+      tbody.innerHTML = reviews
+        .map((r) => {
+          const date = r.createdAt ? new Date(r.createdAt).toLocaleString('en-JM', { dateStyle: 'medium', timeStyle: 'short' }) : '';
+          const productHref = r.product?.slug ? `/product/${encodeURIComponent(r.product.slug)}` : '';
+          return `
+            <tr data-review-id="${escapeHtml(r.id)}">
+              <td class="review-cell">
+                <div class="review-stars" aria-label="${Number(r.rating)} out of 5 stars">${stars(r.rating)}</div>
+                ${r.title ? `<strong>${escapeHtml(r.title)}</strong>` : ''}
+                <div class="review-text">${escapeHtml(r.body)}</div>
+                ${r.photo?.url ? `<a href="${escapeHtml(r.photo.url)}" target="_blank" rel="noopener"><img class="review-photo" src="${escapeHtml(r.photo.responsive?.thumb || r.photo.url)}" alt="Review photo" loading="lazy" /></a>` : ''}
+                ${r.reply ? `<div class="review-reply muted"><strong>Reply:</strong> ${escapeHtml(r.reply.body)}</div>` : ''}
+                <div class="muted">${escapeHtml(date)}</div>
+              </td>
+              <td>${productHref ? `<a href="${escapeHtml(productHref)}" target="_blank" rel="noopener">${escapeHtml(r.product?.name || '')}</a>` : escapeHtml(r.product?.name || '')}</td>
+              <td>
+                <div>${escapeHtml(r.customer?.name || r.author || '')}</div>
+                <div class="muted">${escapeHtml(r.customer?.email || '')}</div>
+              </td>
+              <td><span class="chip ${REVIEW_STATUS_CHIPS[r.status] || ''}">${escapeHtml(REVIEW_STATUS_LABELS[r.status] || r.status)}</span></td>
+              <td class="right">
+                <div class="row review-actions">
+                  ${r.status !== 'approved' ? '<button class="btn btn-primary btn-sm" type="button" data-action="approve-review">Approve</button>' : ''}
+                  ${r.status !== 'rejected' ? '<button class="btn btn-ghost btn-sm" type="button" data-action="reject-review">Reject</button>' : ''}
+                  <button class="btn btn-ghost btn-sm" type="button" data-action="reply-review">${r.reply ? 'Edit reply' : 'Reply'}</button>
+                </div>
+              </td>
+            </tr>
+          `;
+        })
+        .join('');
+    }
+
+    async function moderate(id, action) {
+      const { res, data } = await apiJSON(`/api/admin/reviews/${encodeURIComponent(id)}/${action}`, { method: 'POST' });
+      if (!res.ok || !data?.ok) {
+        adminToast(data?.error || 'The review could not be updated.', 'error');
+        return;
+      }
+      adminToast(action === 'approve' ? 'Review approved.' : 'Review rejected.');
+      await load();
+    }
+
+    function openReply(id) {
+      const review = reviews.find((r) => r.id === id);
+      if (!review) return;
+      replyingId = id;
+      if (replyQuote) {
+        replyQuote.innerHTML = `
+          <div class="review-stars">${stars(review.rating)}</div>
+          <div>${escapeHtml(review.body)}</div>
+          <div class="muted">${escapeHtml(review.customer?.name || review.author || '')} on ${escapeHtml(review.product?.name || '')}</div>
+        `;
+      }
+      if (replyText) replyText.value = review.reply?.body || '';
+      if (replyRemove) replyRemove.hidden = !review.reply;
+      setModalOpen(true);
+      replyText?.focus();
+    }
+
+    async function saveReply(reply) {
+      if (!replyingId) return;
+      const { res, data } = await apiJSON(`/api/admin/reviews/${encodeURIComponent(replyingId)}/reply`, {
+        method: 'POST',
+        body: JSON.stringify({ reply }),
+      });
+      if (!res.ok || !data?.ok) {
+        adminToast(data?.error || 'The reply could not be saved.', 'error');
+        return;
+      }
+      setModalOpen(false);
+      replyingId = null;
+      adminToast(reply ? 'Reply saved.' : 'Reply removed.');
+      await load();
+    }
+
+    tbody.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action]');
+      const id = btn?.closest('[data-review-id]')?.getAttribute('data-review-id');
+      if (!btn || !id) return;
+
+      const action = btn.getAttribute('data-action');
+      if (action === 'approve-review') moderate(id, 'approve');
+      if (action === 'reject-review') moderate(id, 'reject');
+      if (action === 'reply-review') openReply(id);
+    });
+    replySave?.addEventListener('click', () => {
+      const reply = String(replyText?.value || '').trim();
+      if (!reply) {
+        adminToast('Write a reply first.', 'error');
+        return;
+      }
+      saveReply(reply);
+    });
+    replyRemove?.addEventListener('click', () => saveReply(''));
+    filter?.addEventListener('change', load);
+
+    await load();
+  }
+
   // -----------------------------
   // Settings (Home CMS + Admin Config)
   // -----------------------------
+  async function initCollections() {
+    if (!pathIsAdminPage('collections')) return;
+
+    const form = qs('#collectionForm');
+    const listWrap = qs('.list');
+    if (!form || !listWrap) return;
+
+    const nameInput = qs('[name="name"]', form);
+    const slugInput = qs('[name="slug"]', form);
+    const descInput = qs('[name="description"]', form);
+    const statusInput = qs('[name="status"]', form);
+    const coverInput = qs('#collectionCover', form);
+    const coverPreview = qs('#collectionCoverPreview', form);
+    const membersBody = qs('#collectionMembers', form);
+    const poolWrap = qs('#collectionProductPool', form);
+    const searchInput = qs('#collectionProductSearch', form);
+    const saveBtn = qs('#saveCollectionBtn', form);
+    const deleteBtn = qs('#deleteCollectionBtn', form);
+    const countBadge = qs('#collectionCountBadge');
+    const newBtn = qs('#newCollectionBtn');
+    const viewBtn = qs('#viewCollectionBtn');
+
+    let collections = [];
+    let products = [];
+    let editingId = null;
+    let productIds = [];
+    let coverImageUrl = '';
+    let slugTouched = false;
+
+    const slugify = (value) => String(value || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60);
+
+    const productById = (id) => products.find((p) => String(p.id) === String(id)) || null;
+
+    function renderCover() {
+      if (!coverPreview) return;
+      const url = normalizeRenderableImageUrl(coverImageUrl);
+      coverPreview.innerHTML = isRenderableImageUrl(url)
+        ? `<button type="button" class="selection-card is-selected" data-remove-cover="1"><img src="${escapeHtml(url)}" alt="Collection cover" /><div class="selection-card-body"><strong>Cover</strong><span class="muted">Remove</span></div></button>`
+        : '';
+    }
+
+    function renderMembers() {
+      if (countBadge) countBadge.textContent = `${productIds.length} product${productIds.length === 1 ? '' : 's'}`;
+      if (!membersBody) return;
+      membersBody.innerHTML = productIds.length
+        ? productIds.map((id, i) => {
+          const p = productById(id);
+          return `
+            <tr data-member-id="${escapeHtml(id)}">
+              <td>${escapeHtml(p?.name || id)}</td>
+              <td>${p?.isPublished ? 'Published' : 'Draft'}</td>
+              <td class="right">
+                <button class="btn btn-ghost btn-sm" type="button" data-move="-1" ${i === 0 ? 'disabled' : ''} aria-label="Move up">↑</button>
+                <button class="btn btn-ghost btn-sm" type="button" data-move="1" ${i === productIds.length - 1 ? 'disabled' : ''} aria-label="Move down">↓</button>
+                <button class="btn btn-ghost btn-sm" type="button" data-remove-member="1">Remove</button>
+              </td>
+            </tr>
+          `;
+        }).join('')
+        : '<tr><td colspan="3" class="muted">No products yet. Pick some below.</td></tr>';
+    }
+
+    function renderPool() {
+      if (!poolWrap) return;
+      const q = String(searchInput?.value || '').trim().toLowerCase();
+      const pool = products.filter((p) => !q || String(p.name || '').toLowerCase().includes(q));
+      poolWrap.innerHTML = pool.length
+        ? pool.map((p) => {
+          const active = productIds.includes(p.id);
+          const cover = normalizeRenderableImageUrl(p?.images?.[0]?.url || '');
+          const img = isRenderableImageUrl(cover)
+            ? `<img src="${escapeHtml(cover)}" alt="${escapeHtml(p.name || 'Product')}" loading="lazy" />`
+            : '<div class="picker-thumb picker-thumb-empty">No image</div>';
+          return `<button type="button" class="selection-card ${active ? 'is-selected' : ''}" data-pick-product="${escapeHtml(p.id)}">${img}<div class="selection-card-body"><strong>${escapeHtml(p.name || 'Product')}</strong><span class="muted">${active ? 'In collection' : (p.isPublished ? 'Published' : 'Draft')}</span></div></button>`;
+        }).join('')
+        : '<div class="muted">No products match.</div>';
+    }
+
+    function renderList() {
+      if (!collections.length) {
+        listWrap.innerHTML = `<div class="muted" style="padding:16px;">No collections yet.</div>`;
+        return;
+      }
+      listWrap.innerHTML = collections.map((c) => `
+        <button type="button" class="card mini" data-collection-id="${escapeHtml(c.id)}" style="width:100%;text-align:left;padding:14px;margin-bottom:10px;border:none;cursor:pointer;">
+          <div class="row-between">
+            <div>
+              <div><strong>${escapeHtml(c.name || 'Collection')}</strong></div>
+              <div class="muted mono">/shop?collection=${escapeHtml(c.slug)}</div>
+            </div>
+            <div>
+              <div>${(c.productIds || []).length} products</div>
+              <div class="muted">${c.isPublished ? 'Shown' : 'Hidden'}</div>
+            </div>
+          </div>
+        </button>
+      `).join('');
+    }
+
+    function renderAll() {
+      renderCover();
+      renderMembers();
+      renderPool();
+      if (deleteBtn) deleteBtn.disabled = !editingId;
+    }
+
+    function fillForm(collection) {
+      editingId = collection.id;
+      nameInput.value = collection.name || '';
+      slugInput.value = collection.slug || '';
+      descInput.value = collection.description || '';
+      statusInput.value = collection.isPublished ? 'published' : 'hidden';
+      coverImageUrl = collection.coverImageUrl || '';
+      productIds = Array.isArray(collection.productIds) ? collection.productIds.slice() : [];
+      slugTouched = true;
+      renderAll();
+    }
+
+    function resetForm() {
+      editingId = null;
+      form.reset();
+      coverImageUrl = '';
+      productIds = [];
+      slugTouched = false;
+      renderAll();
+    }
+
+    async function loadAll() {
+      const [collRes, prodRes] = await Promise.all([
+        apiJSON('/api/admin/collections'),
+        apiJSON('/api/admin/products'),
+      ]);
+      if (!collRes.res.ok || !collRes.data?.ok) {
+        listWrap.innerHTML = `<div class="muted" style="padding:16px;">Failed to load collections.</div>`;
+        return;
+      }
+      collections = Array.isArray(collRes.data.collections) ? collRes.data.collections : [];
+      products = prodRes.res.ok && Array.isArray(prodRes.data?.products) ? prodRes.data.products : [];
+      renderList();
+      renderAll();
+    }
+
+    async function saveCollection() {
+      const payload = {
+        name: String(nameInput?.value || '').trim(),
+        slug: String(slugInput?.value || '').trim(),
+        description: String(descInput?.value || '').trim(),
+        isPublished: statusInput?.value !== 'hidden',
+        coverImageUrl: coverImageUrl || null,
+        productIds,
+      };
+      if (!payload.name) {
+        adminToast('Collection name is required.', 'error');
+        return;
+      }
+      const endpoint = editingId ? `/api/admin/collections/${encodeURIComponent(editingId)}` : '/api/admin/collections';
+      const method = editingId ? 'PATCH' : 'POST';
+      const { res, data } = await apiJSON(endpoint, { method, body: JSON.stringify(payload) });
+      if (!res.ok || !data?.ok) {
+        adminToast(data?.error || 'Collection could not be saved.', 'error');
+        return;
+      }
+      await loadAll();
+      if (data.collection) fillForm(data.collection);
+      adminToast('Collection saved.');
+    }
+
+    async function deleteCollection() {
+      if (!editingId) return;
+      const ok = window.confirm('Delete this collection? Its products stay in the catalog.');
+      if (!ok) return;
+      const { res, data } = await apiJSON(`/api/admin/collections/${encodeURIComponent(editingId)}`, { method: 'DELETE' });
+      if (!res.ok || !data?.ok) {
+        adminToast(data?.error || 'Collection could not be deleted.', 'error');
+        return;
+      }
+      resetForm();
+      await loadAll();
+      adminToast('Collection deleted.');
+    }
+
+    nameInput?.addEventListener('input', () => {
+      if (!slugTouched) slugInput.value = slugify(nameInput.value);
+    });
+    slugInput?.addEventListener('input', () => {
+      slugTouched = !!slugInput.value.trim();
+    });
+    searchInput?.addEventListener('input', renderPool);
+    coverInput?.addEventListener('change', async () => {
+      const file = coverInput.files?.[0];
+      if (!file) return;
+      try {
+        const [url] = await uploadImages([file], 'collections');
+        coverImageUrl = normalizeRenderableImageUrl(url);
+        renderCover();
+      } catch (err) {
+        adminToast(String(err?.message || 'Cover image could not be uploaded.'), 'error');
+      } finally {
+        coverInput.value = '';
+      }
+    });
+    coverPreview?.addEventListener('click', (e) => {
+      if (!e.target.closest('[data-remove-cover]')) return;
+      coverImageUrl = '';
+      renderCover();
+    });
+    poolWrap?.addEventListener('click', (e) => {
+      const card = e.target.closest('[data-pick-product]');
+      if (!card) return;
+      const id = card.getAttribute('data-pick-product');
+      productIds = productIds.includes(id) ? productIds.filter((x) => x !== id) : [...productIds, id];
+      renderMembers();
+      renderPool();
+    });
+    membersBody?.addEventListener('click', (e) => {
+      const row = e.target.closest('[data-member-id]');
+      if (!row) return;
+      const id = row.getAttribute('data-member-id');
+      const idx = productIds.indexOf(id);
+      const moveBtn = e.target.closest('[data-move]');
+      if (moveBtn) {
+        const to = idx + Number(moveBtn.getAttribute('data-move'));
+        if (to < 0 || to >= productIds.length) return;
+        [productIds[idx], productIds[to]] = [productIds[to], productIds[idx]];
+      } else if (e.target.closest('[data-remove-member]')) {
+        productIds.splice(idx, 1);
+      } else {
+        return;
+      }
+      renderMembers();
+      renderPool();
+    });
+    listWrap.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-collection-id]');
+      if (!btn) return;
+      const collection = collections.find((c) => String(c.id) === btn.getAttribute('data-collection-id'));
+      if (collection) fillForm(collection);
+    });
+    saveBtn?.addEventListener('click', saveCollection);
+    deleteBtn?.addEventListener('click', deleteCollection);
+    newBtn?.addEventListener('click', () => {
+      resetForm();
+      nameInput?.focus();
+    });
+    viewBtn?.addEventListener('click', () => {
+      const slug = String(slugInput?.value || '').trim();
+      window.open(`../shop-page.html${slug ? `?collection=${encodeURIComponent(slug)}` : ''}`, '_blank', 'noopener');
+    });
+
+    resetForm();
+    await loadAll();
+  }
+
   async function initSettings() {
     if (!pathIsAdminPage('settings')) return;
 
@@ -1094,6 +2327,9 @@
     const slideshowCount = qs('#slideshowCount');
     const featuredCount = qs('#featuredCountInline');
     const lowStock = qs('#lowStockThreshold');
+    const requireVerifiedEmail = qs('#requireVerifiedEmail');
+    const requireAdminTwoFactor = qs('#requireAdminTwoFactor');
+    const exchangeRateFields = qs('#exchangeRateFields');
     const saveNote = qs('#settingsSaveNote');
     const promoEnabledInput = qs('#promoEnabled');
     const promoTitleInput = qs('#promoTitle');
@@ -1324,34 +2560,46 @@
       const { res, data } = await apiJSON('/api/admin/config');
       if (!res.ok || !data?.ok) throw new Error(data?.error || 'Failed to load config');
       if (lowStock) lowStock.value = String(data?.config?.lowStockThreshold ?? 3);
+      if (requireVerifiedEmail) requireVerifiedEmail.checked = !!data?.config?.requireVerifiedEmailForCheckout;
+      if (requireAdminTwoFactor) requireAdminTwoFactor.checked = !!data?.config?.requireAdminTwoFactor;
+      renderExchangeRates(data?.currencies || [], data?.config?.exchangeRates || {});
+    }
+
+    function renderExchangeRates(currencies, rates) {
+      if (!exchangeRateFields) return;
+      exchangeRateFields.innerHTML = currencies.map((c) => `
+        <label class="field exchange-rate-field">
+          <span class="muted">1 ${escapeHtml(c.code)} =</span>
+          <input class="input" type="number" min="0" step="0.01" data-rate="${escapeHtml(c.code)}"
+            value="${escapeHtml(rates[c.code] ?? '')}" placeholder="e.g. 157.50" aria-label="JMD per ${escapeHtml(c.name || c.code)}" />
+        </label>`).join('');
+    }
+
+    function exchangeRatesPayload() {
+      if (!exchangeRateFields) return undefined;
+      const rates = {};
+      qsa('[data-rate]', exchangeRateFields).forEach((input) => {
+        rates[input.getAttribute('data-rate')] = input.value.trim() ? Number(input.value) : null;
+      });
+      return rates;
     }
 
     async function saveConfig() {
-      const payload = { lowStockThreshold: Math.max(0, Math.floor(Number(lowStock?.value || 0))) };
+      const payload = {
+        lowStockThreshold: Math.max(0, Math.floor(Number(lowStock?.value || 0))),
+        requireVerifiedEmailForCheckout: !!requireVerifiedEmail?.checked,
+        requireAdminTwoFactor: !!requireAdminTwoFactor?.checked,
+        exchangeRates: exchangeRatesPayload(),
+      };
       const { res, data } = await apiJSON('/api/admin/config', { method: 'PUT', body: JSON.stringify(payload) });
       if (!res.ok || !data?.ok) throw new Error(data?.error || 'Failed to save config');
     }
 
     async function uploadHomeImage(file) {
       if (!file) throw new Error('No file selected.');
-      const allowed = new Set(['image/png', 'image/jpeg', 'image/webp']);
-      if (!allowed.has(file.type)) throw new Error('Only PNG, JPG, and WEBP files are allowed.');
-      if (file.size > 5 * 1024 * 1024) throw new Error('Image must be 5MB or smaller.');
-
-      const dataUrl = await new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(String(reader.result || ''));
-        reader.onerror = () => reject(new Error('Failed to read image.'));
-        reader.readAsDataURL(file);
-      });
-
-      const { res, data } = await apiJSON('/api/admin/site/home/upload', {
-        method: 'POST',
-        body: JSON.stringify({ filename: file.name, dataUrl }),
-      });
-
-      if (!res.ok || !data?.ok || !data?.url) throw new Error(data?.error || 'Failed to upload image.');
-      return normalizeHomeImageUrl(data.url);
+      const [url] = await uploadImages([file], 'home');
+      if (!url) throw new Error('Failed to upload image.');
+      return normalizeHomeImageUrl(url);
     }
 
     searchInput?.addEventListener('input', renderAll);
@@ -1501,10 +2749,23 @@
       }
     });
 
+    // Each card is only shown (and loaded) for roles that can use it.
+    const canEditContent = can('content.manage');
+    const canEditConfig = can('settings.manage');
+    const homeSection = qs('[data-ui="homeCmsSection"]');
+    const configSection = qs('[data-ui="adminConfigSection"]');
+    if (homeSection) homeSection.hidden = !canEditContent;
+    if (configSection) configSection.hidden = !canEditConfig;
+    if (!canEditContent && !canEditConfig) return;
+
     try {
       setError('');
       setStatus('Loading settings…');
-      const results = await Promise.allSettled([loadProducts(), loadHome(), loadConfig()]);
+      const results = await Promise.allSettled([
+        canEditContent ? loadProducts() : null,
+        canEditContent ? loadHome() : null,
+        canEditConfig ? loadConfig() : null,
+      ]);
       const failures = results.filter((r) => r.status === 'rejected');
       renderAll();
       if (!failures.length) {
@@ -1520,6 +2781,191 @@
     }
   }
 
+  // -----------------------------
+  // Settings: staff invitations (owners)
+  // -----------------------------
+  async function initInvites() {
+    if (!pathIsAdminPage('settings')) return;
+
+    const section = qs('[data-ui="invitesSection"]');
+    const form = qs('#inviteForm');
+    const tbody = qs('#invitesTbody');
+    if (!section || !can('staff.manage')) return;
+    section.hidden = false;
+
+    const INVITE_STATUS_CHIPS = { pending: 'chip-warn', accepted: 'chip-ok' };
+
+    async function load() {
+      const { res, data } = await apiJSON('/api/admin/invites');
+      if (!tbody) return;
+      if (!res.ok || !data?.ok) {
+        tbody.innerHTML = `<tr><td colspan="6" class="muted">${escapeHtml(data?.error || 'Invitations could not be loaded.')}</td></tr>`;
+        return;
+      }
+
+      const invites = Array.isArray(data.invites) ? data.invites : [];
+      tbody.innerHTML = invites.length
+        ? invites.map((inv) => `
+            <tr data-invite-id="${escapeHtml(inv.id)}">
+              <td>${escapeHtml(inv.email)}</td>
+              <td>${escapeHtml(ROLE_LABELS[inv.role] || inv.role)}</td>
+              <td>
+                <span class="chip ${INVITE_STATUS_CHIPS[inv.status] || ''}">${escapeHtml(prettyStatus(inv.status))}</span>
+                ${inv.revokedBy ? `<div class="hint">by ${escapeHtml(inv.revokedBy)}</div>` : ''}
+              </td>
+              <td>${escapeHtml(inv.invitedBy || 'Setup')}</td>
+              <td>${escapeHtml(inv.createdAt ? new Date(inv.createdAt).toLocaleString() : '')}</td>
+              <td class="right">
+                ${inv.status === 'pending' ? '<button class="btn btn-ghost btn-sm" type="button" data-action="invite-revoke">Revoke</button>' : ''}
+              </td>
+            </tr>
+          `).join('')
+        : `<tr><td colspan="6" class="muted">No invitations yet.</td></tr>`;
+    }
+
+    form?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const email = String(qs('#inviteEmail', form)?.value || '').trim().toLowerCase();
+      const role = String(qs('#inviteRole', form)?.value || '').trim();
+
+      const { res, data } = await apiJSON('/api/admin/invites', {
+        method: 'POST',
+        body: JSON.stringify({ email, role }),
+      });
+      if (!res.ok || !data?.ok) {
+        adminToast(data?.error || 'Invitation could not be sent.', 'error');
+        return;
+      }
+
+      form.reset();
+      adminToast(`Invitation sent to ${email}.`);
+      await load();
+    });
+
+    tbody?.addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-action="invite-revoke"]');
+      if (!btn) return;
+      const id = btn.closest('tr')?.getAttribute('data-invite-id');
+      if (!id || !confirm('Revoke this invitation? The link will stop working.')) return;
+
+      const { res, data } = await apiJSON(`/api/admin/invites/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      if (!res.ok || !data?.ok) {
+        adminToast(data?.error || 'Invitation could not be revoked.', 'error');
+        return;
+      }
+      adminToast('Invitation revoked.');
+      await load();
+    });
+
+    await load();
+  }
+
+  // -----------------------------
+  // Settings: two-factor authentication
+  // -----------------------------
+  async function initTwoFactorSettings() {
+    if (!pathIsAdminPage('settings')) return;
+
+    const statusChip = qs('#twoFactorStatus');
+    const requiredBox = qs('[data-ui="twoFactorRequired"]');
+    const offPanel = qs('[data-ui="twoFactorOff"]');
+    const enrollPanel = qs('[data-ui="twoFactorEnroll"]');
+    const onPanel = qs('[data-ui="twoFactorOn"]');
+    const recoveryPanel = qs('[data-ui="twoFactorRecovery"]');
+    const recoveryList = qs('#twoFactorRecoveryCodes');
+    const remainingHint = qs('#twoFactorRecoveryRemaining');
+    const uriLink = qs('#twoFactorUri');
+    const secretEl = qs('#twoFactorSecret');
+    const confirmInput = qs('#twoFactorConfirmCode');
+    const manageInput = qs('#twoFactorManageCode');
+    if (!statusChip) return;
+
+    function showRecoveryCodes(codes) {
+      if (!recoveryPanel || !recoveryList) return;
+      recoveryList.innerHTML = codes.map((c) => `<div>${escapeHtml(c)}</div>`).join('');
+      recoveryPanel.hidden = !codes.length;
+    }
+
+    function render(state) {
+      const enabled = !!state?.enabled;
+      statusChip.textContent = enabled ? 'On' : 'Off';
+      statusChip.classList.toggle('chip-ok', enabled);
+      statusChip.classList.toggle('chip-warn', !enabled);
+      if (requiredBox) requiredBox.hidden = enabled || !state?.required;
+      if (offPanel) offPanel.hidden = enabled;
+      if (onPanel) onPanel.hidden = !enabled;
+      if (enrollPanel && enabled) enrollPanel.hidden = true;
+      if (remainingHint && enabled) {
+        const n = Number(state.recoveryCodesRemaining || 0);
+        remainingHint.textContent = `Enabled ${state.enabledAt ? new Date(state.enabledAt).toLocaleDateString() : ''} • ${n} recovery code${n === 1 ? '' : 's'} left.`;
+      }
+    }
+
+    async function load() {
+      const { res, data } = await apiJSON('/api/me/2fa');
+      if (!res.ok || !data?.ok) {
+        statusChip.textContent = 'Unavailable';
+        return;
+      }
+      render(data.twoFactor);
+    }
+
+    qs('[data-action="2fa-setup"]')?.addEventListener('click', async () => {
+      const { res, data } = await apiJSON('/api/me/2fa/setup', { method: 'POST' });
+      if (!res.ok || !data?.ok) {
+        adminToast(data?.error || 'Two-factor setup could not be started.', 'error');
+        return;
+      }
+      if (uriLink) uriLink.href = data.otpauthUri;
+      if (secretEl) secretEl.textContent = String(data.secret || '').replace(/(.{4})/g, '$1 ').trim();
+      if (offPanel) offPanel.hidden = true;
+      if (enrollPanel) enrollPanel.hidden = false;
+      confirmInput?.focus();
+    });
+
+    qs('[data-action="2fa-confirm"]')?.addEventListener('click', async () => {
+      const code = String(confirmInput?.value || '').trim();
+      const { res, data } = await apiJSON('/api/me/2fa/confirm', { method: 'POST', body: JSON.stringify({ code }) });
+      if (!res.ok || !data?.ok) {
+        adminToast(data?.error || 'That code is not valid.', 'error');
+        return;
+      }
+      if (confirmInput) confirmInput.value = '';
+      showRecoveryCodes(Array.isArray(data.recoveryCodes) ? data.recoveryCodes : []);
+      adminToast('Two-factor authentication enabled.');
+      await load();
+    });
+
+    qs('[data-action="2fa-regenerate"]')?.addEventListener('click', async () => {
+      const code = String(manageInput?.value || '').trim();
+      const { res, data } = await apiJSON('/api/me/2fa/recovery-codes', { method: 'POST', body: JSON.stringify({ code }) });
+      if (!res.ok || !data?.ok) {
+        adminToast(data?.error || 'Recovery codes could not be regenerated.', 'error');
+        return;
+      }
+      if (manageInput) manageInput.value = '';
+      showRecoveryCodes(Array.isArray(data.recoveryCodes) ? data.recoveryCodes : []);
+      adminToast('New recovery codes generated. Old codes no longer work.');
+      await load();
+    });
+
+    qs('[data-action="2fa-disable"]')?.addEventListener('click', async () => {
+      if (!confirm('Turn off two-factor authentication for your account?')) return;
+      const code = String(manageInput?.value || '').trim();
+      const { res, data } = await apiJSON('/api/me/2fa/disable', { method: 'POST', body: JSON.stringify({ code }) });
+      if (!res.ok || !data?.ok) {
+        adminToast(data?.error || 'Two-factor authentication could not be turned off.', 'error');
+        return;
+      }
+      if (manageInput) manageInput.value = '';
+      showRecoveryCodes([]);
+      adminToast('Two-factor authentication turned off.');
+      await load();
+    });
+
+    await load();
+  }
+
   // -----------------------------
   // Boot
   // -----------------------------
@@ -1535,6 +2981,7 @@
     await requireAdminGate();
     await fetchMe();
     hydrateAdminName();
+    applyNavPermissions();
     setActiveNav();
 
     await initAdminLogin();
@@ -1542,7 +2989,11 @@
     await initOrders();
     await initCustomers();
     await initProducts();
+    await initCollections();
+    await initReviews();
     await initSettings();
+    await initInvites();
+    await initTwoFactorSettings();
   }
 
   document.addEventListener('DOMContentLoaded', () => {
@@ -65,7 +65,11 @@
     if (p.endsWith('/edit-profile.html') || p === '/edit-profile') return 'edit-profile';
     if (p.endsWith('/forgot-password.html') || p === '/forgot-password') return 'forgot-password';
     if (p.endsWith('/reset-password.html') || p === '/reset-password') return 'reset-password';
+    if (p.endsWith('/verify-email.html') || p === '/verify-email') return 'verify-email';
+    if (p.endsWith('/accept-invite.html') || p === '/accept-invite') return 'accept-invite';
+    if (p.endsWith('/setup.html') || p === '/setup') return 'setup';
     if (p.endsWith('/receipt.html') || p === '/receipt') return 'receipt';
+    if (p.startsWith('/product/') || p.endsWith('/product.html') || p === '/product') return 'product';
 
     return p.split('/').pop() || 'home';
   };
@@ -86,6 +90,29 @@
       .replaceAll("'", '&#039;');
   }
 
+  function describeUserAgent(ua) {
+    const s = String(ua || '');
+    if (!s) return 'Unknown device';
+
+    const browser =
+      /Edg\//.test(s) ? 'Edge' :
+      /OPR\/|Opera/.test(s) ? 'Opera' :
+      /Chrome\//.test(s) ? 'Chrome' :
+      /Firefox\//.test(s) ? 'Firefox' :
+      /Safari\//.test(s) ? 'Safari' :
+      'Browser';
+
+    const os =
+      /iPhone|iPad|iPod/.test(s) ? 'iOS' :
+      /Android/.test(s) ? 'Android' :
+      /Windows/.test(s) ? 'Windows' :
+      /Mac OS X|Macintosh/.test(s) ? 'macOS' :
+      /Linux/.test(s) ? 'Linux' :
+      '';
+
+    return os ? `${browser} on ${os}` : browser;
+  }
+
   function formatMemberSince(iso) {
     const d = iso ? new Date(iso) : new Date();
     return d.toLocaleString(undefined, { month: 'long', year: 'numeric' });
@@ -112,6 +139,157 @@
     );
   }
 
+  // -----------------------------
+  // DISPLAY CURRENCY
+  // -----------------------------
+  // Prices come from the API in JMD and orders are always charged in JMD. Visitors can pick
+  // another currency in the header; prices are converted with the admin's rates (JMD per unit)
+  // for display only, and the choice is remembered in localStorage.
+  const CURRENCY_KEY = 'bs_currency';
+  const JMD_CURRENCY = { code: 'JMD', symbol: 'J$', name: 'Jamaican dollar', rate: 1 };
+  let currencies = [JMD_CURRENCY];
+  let displayCurrency = JMD_CURRENCY;
+
+  const isForeignCurrency = () => displayCurrency.code !== JMD_CURRENCY.code;
+  const toDisplayAmount = (n) => Number(n || 0) / displayCurrency.rate;
+  const twoDecimals = (n) => n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+  // Cart and checkout amounts: "J$1500.00" or "US$9.52"
+  const displayMoney = (n) => (isForeignCurrency() ? `${displayCurrency.symbol}${toDisplayAmount(n).toFixed(2)}` : money(n));
+
+  // Shop and product page prices: "JMD 1,500" or "USD 9.52"
+  const displayPrice = (n) => (isForeignCurrency()
+    ? `${displayCurrency.code} ${twoDecimals(toDisplayAmount(n))}`
+    : `JMD ${Number(n || 0).toLocaleString('en-JM')}`);
+
+  async function loadCurrencies() {
+    let saved = '';
+    try { saved = String(localStorage.getItem(CURRENCY_KEY) || ''); } catch (_) {}
+
+    const { ok, data } = await apiJson('/api/currencies');
+    if (ok && Array.isArray(data?.currencies)) {
+      const offered = data.currencies
+        .map((c) => ({ code: String(c?.code || ''), symbol: String(c?.symbol || c?.code || ''), name: String(c?.name || ''), rate: Number(c?.rate) }))
+        .filter((c) => c.code && c.code !== JMD_CURRENCY.code && c.rate > 0);
+      currencies = [JMD_CURRENCY, ...offered];
+    }
+
+    displayCurrency = currencies.find((c) => c.code === saved) || JMD_CURRENCY;
+    renderCurrencySelects();
+  }
+
+  // Header switchers are hidden until at least one other currency has a rate.
+  function renderCurrencySelects() {
+    document.querySelectorAll('.currency-select').forEach((select) => {
+      select.innerHTML = currencies.map((c) =>
+        `<option value="${escapeHtml(c.code)}" ${c.code === displayCurrency.code ? 'selected' : ''}>${escapeHtml(c.code)}</option>`
+      ).join('');
+      select.hidden = currencies.length < 2;
+      if (select.dataset.bound) return;
+      select.dataset.bound = '1';
+      select.addEventListener('change', () => {
+        try { localStorage.setItem(CURRENCY_KEY, select.value); } catch (_) {}
+        // Every price on the page was rendered in the old currency
+        location.reload();
+      });
+    });
+  }
+
+  // -----------------------------
+  // SALE PRICES
+  // -----------------------------
+
+  /**
+   * Price markup; with a compare-at price above it, the old price is struck through with "% off".
+   * `prefix` goes before the current price (e.g. "From ").
+   */
+  function priceHtml(price, compareAt, { format = displayPrice, prefix = '' } = {}) {
+    const now = Number(price || 0);
+    const was = Number(compareAt || 0);
+    const current = `<span class="price-now">${escapeHtml(prefix + format(now))}</span>`;
+    if (!(was > now)) return current;
+
+    const off = Math.round(((was - now) / was) * 100);
+    return `${current} <s class="price-was">${escapeHtml(format(was))}</s>${off > 0 ? ` <span class="price-off">${off}% off</span>` : ''}`;
+  }
+
+  // -----------------------------
+  // STAR RATINGS
+  // -----------------------------
+  // Five stars filled to the nearest half star.
+  function starsHtml(value, { label = '' } = {}) {
+    const stars = Math.max(0, Math.min(5, Number(value || 0)));
+    const width = (Math.round(stars * 2) / 2) * 20;
+    return `<span class="stars" role="img" aria-label="${escapeHtml(label || `${stars} out of 5 stars`)}"><span class="stars-fill" style="width:${width}%"></span></span>`;
+  }
+
+  // Product `rating` is { average, count } from the API; nothing is shown before the first review.
+  function ratingHtml(rating) {
+    const count = Number(rating?.count || 0);
+    if (!count) return '';
+    const average = Number(rating.average || 0);
+    return `<span class="rating">${starsHtml(average, { label: `Rated ${average} out of 5` })} <span class="rating-count">(${count})</span></span>`;
+  }
+
+  // -----------------------------
+  // RESPONSIVE IMAGES
+  // -----------------------------
+  // API images come with `responsive: { src, thumb, card, detail, hero, srcset, webpSrcset }`
+  // (derivatives served from /img/...). External and legacy images have empty srcsets.
+  function responsiveFor(image, fallbackUrl) {
+    const src = normalizePublicImageUrl(image?.src || fallbackUrl || '');
+    return {
+      src,
+      thumb: image?.thumb || src,
+      card: image?.card || src,
+      detail: image?.detail || src,
+      hero: image?.hero || src,
+      srcset: String(image?.srcset || ''),
+      webpSrcset: String(image?.webpSrcset || '')
+    };
+  }
+
+  /**
+   * <picture> markup with a WebP source and a lazily loaded <img>.
+   * `size` is the preset used as the plain src; `sizes` tells the browser the rendered width.
+   */
+  function pictureHtml(image, { fallbackUrl = '', size = 'card', sizes = '100vw', alt = '', className = '', eager = false } = {}) {
+    const r = responsiveFor(image, fallbackUrl);
+    const attrs = [
+      `src="${escapeHtml(r[size] || r.src)}"`,
+      r.srcset ? `srcset="${escapeHtml(r.srcset)}" sizes="${escapeHtml(sizes)}"` : '',
+      `alt="${escapeHtml(alt)}"`,
+      className ? `class="${escapeHtml(className)}"` : '',
+      eager ? '' : 'loading="lazy"',
+      'decoding="async"'
+    ].filter(Boolean).join(' ');
+
+    if (!r.webpSrcset) return `<img ${attrs} />`;
+    return `<picture><source type="image/webp" srcset="${escapeHtml(r.webpSrcset)}" sizes="${escapeHtml(sizes)}" /><img ${attrs} /></picture>`;
+  }
+
+  // CSS background value, WebP where supported. Without a `size`, full-width images
+  // get the hero or detail derivative depending on the screen.
+  function backgroundImageValue(image, fallbackUrl, size) {
+    const r = responsiveFor(image, fallbackUrl);
+    const wide = (window.innerWidth || 0) * (window.devicePixelRatio || 1) > 1080;
+    const url = r[size || (wide ? 'hero' : 'detail')];
+    if (!url) return { plain: '', webp: '' };
+
+    const cssUrl = (u) => `url("${String(u).replace(/"/g, '\\"')}")`;
+    return {
+      plain: cssUrl(url),
+      webp: r.webpSrcset ? `image-set(${cssUrl(`${url}.webp`)} type("image/webp"), ${cssUrl(url)})` : ''
+    };
+  }
+
+  function setBackgroundImage(el, image, fallbackUrl, size) {
+    const bg = backgroundImageValue(image, fallbackUrl, size);
+    el.style.backgroundImage = bg.plain;
+    // Browsers without image-set() type() support ignore this and keep the plain URL
+    if (bg.webp) el.style.backgroundImage = bg.webp;
+  }
+
   // -----------------------------
   // TOAST
   // -----------------------------
@@ -170,7 +348,6 @@
     state: { cartByUser: {}, productCache: {}, ordersByUser: {} },
     session: null,
     users: {},
-    pwResets: {},
   };
 
   function readState() {
@@ -205,48 +382,41 @@
     __MEM.users = users || {};
   }
 
-  function readPwResets() {
-    return __MEM.pwResets || {};
-  }
-
-  function writePwResets(map) {
-    __MEM.pwResets = map || {};
-  }
-
-  function isExpiredISO(iso) {
-    if (!iso) return true;
-    const t = new Date(iso).getTime();
-    if (!Number.isFinite(t)) return true;
-    return Date.now() > t;
-  }
-
-  function generateResetCode6() {
-    const n = Math.floor(100000 + Math.random() * 900000);
-    return String(n);
-  }
-
   // -----------------------------
-  // DEMO HASH (NOT SECURE)
+  // API helper (server cookie session)
   // -----------------------------
-  function demoHash(pwd) {
-    let h = 0;
-    const s = String(pwd || '');
-    for (let i = 0; i < s.length; i++) {
-      h = ((h << 5) - h) + s.charCodeAt(i);
-      h |= 0;
+  // The server issues a CSRF token with GET /api/me; every non-GET call echoes it back.
+  // It changes when the session does, so a CSRF_TOKEN_INVALID reply refreshes it and retries once.
+  let csrfToken = '';
+
+  async function refreshCsrfToken() {
+    try {
+      const res = await fetch('/api/me', { credentials: 'include' });
+      const data = await res.json().catch(() => null);
+      csrfToken = String(data?.csrfToken || '');
+    } catch (_) {
+      csrfToken = '';
     }
-    return btoa(`${h}:${s.length}`);
+    return csrfToken;
   }
 
-  // -----------------------------
-  // API helper (server cookie session)
-  // -----------------------------
-  async function apiJson(path, { method = 'GET', body } = {}) {
+  async function csrfHeaders(method) {
+    if (/^(GET|HEAD|OPTIONS)$/i.test(method || 'GET')) return {};
+    const token = csrfToken || await refreshCsrfToken();
+    return token ? { 'X-CSRF-Token': token } : {};
+  }
+
+  // `body` is sent as JSON, or as multipart when it is a FormData (file uploads).
+  async function apiJson(path, { method = 'GET', body } = {}, retried = false) {
     try {
+      const isForm = typeof FormData !== 'undefined' && body instanceof FormData;
       const res = await fetch(path, {
         method,
-        headers: body ? { 'Content-Type': 'application/json' } : undefined,
-        body: body ? JSON.stringify(body) : undefined,
+        headers: {
+          ...(body && !isForm ? { 'Content-Type': 'application/json' } : {}),
+          ...(await csrfHeaders(method))
+        },
+        body: isForm ? body : body ? JSON.stringify(body) : undefined,
         credentials: 'include'
       });
 
@@ -254,6 +424,12 @@
       const isJson = ct.includes('application/json');
       const data = isJson ? await res.json().catch(() => null) : null;
 
+      if (data?.csrfToken) csrfToken = String(data.csrfToken);
+      if (res.status === 403 && data?.code === 'CSRF_TOKEN_INVALID' && !retried) {
+        await refreshCsrfToken();
+        return apiJson(path, { method, body }, true);
+      }
+
       if (!isJson) {
         return {
           ok: false,
@@ -291,6 +467,8 @@
           users[em].name = users[em].name || data.user.name || em;
           users[em].createdAt = users[em].createdAt || data.user.createdAt || nowISO();
           users[em].role = data.user.role || users[em].role || 'customer';
+          users[em].emailVerifiedAt = data.user.emailVerifiedAt || null;
+          users[em].permissions = Array.isArray(data.user.permissions) ? data.user.permissions : [];
           writeUsers(users);
 
           writeSession({ email: em, token: uid('sess_'), createdAt: nowISO(), provider: 'server' });
@@ -416,6 +594,11 @@
         body: { email: em, password: pw },
       });
 
+      // Password accepted; the account still needs its two-factor code.
+      if (ok && data?.ok && data.twoFactorRequired) {
+        return { twoFactorRequired: true, challenge: data.challenge };
+      }
+
       if (!ok || !data?.ok || !data?.user?.email) {
         throw new Error(data?.error || 'Invalid credentials.');
       }
@@ -425,6 +608,21 @@
       return data.user;
     },
 
+    async completeTwoFactorLogin({ challenge, code, recoveryCode }) {
+      const body = recoveryCode ? { challenge, recoveryCode } : { challenge, code };
+      const { ok, data } = await apiJson('/api/auth/login/2fa', { method: 'POST', body });
+
+      if (!ok || !data?.ok || !data?.user?.email) {
+        const err = new Error(data?.error || 'Verification failed.');
+        err.code = data?.code || '';
+        throw err;
+      }
+
+      this._serverUser = data.user;
+      await Cart.bootstrap();
+      return data;
+    },
+
     async updateProfile({ name, currentPassword, newPassword }) {
       const user = this.currentUser();
       if (!user || !user.email) throw new Error('Please log in to continue.');
@@ -434,11 +632,10 @@
       const next = (newPassword == null) ? '' : String(newPassword).trim();
 
       if (!nm) throw new Error('Please enter your display name.');
-      if (!curr) throw new Error('Please enter your current password.');
 
       const { ok, data, status } = await apiJson('/api/me/profile', {
         method: 'PATCH',
-        body: { name: nm, currentPassword: curr, newPassword: next || undefined },
+        body: { name: nm, currentPassword: curr || undefined, newPassword: next || undefined },
       });
 
       if (!ok || !data?.ok || !data?.user?.email) {
@@ -450,63 +647,120 @@
       return data.user;
     },
 
-    requestPasswordReset(email) {
+    async requestPasswordReset(email) {
       const em = String(email || '').trim().toLowerCase();
       if (!em) throw new Error('Please enter your email.');
 
-      const users = readUsers();
-      const u = users[em];
-      if (!u) throw new Error('No account found for this email.');
-
-      const code = generateResetCode6();
-      const expiresAt = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+      const { ok, data, status } = await apiJson('/api/auth/password/forgot', {
+        method: 'POST',
+        body: { email: em }
+      });
 
-      const resets = readPwResets();
-      resets[em] = { code, expiresAt };
-      writePwResets(resets);
+      if (!ok || !data?.ok) {
+        throw new Error(data?.error || `Could not send reset link (${status})`);
+      }
 
-      return { code, expiresAt };
+      return data;
     },
 
-    resetPassword({ email, code, newPassword }) {
-      const em = String(email || '').trim().toLowerCase();
-      const cd = String(code || '').trim();
+    async resetPassword({ token, newPassword }) {
+      const tk = String(token || '').trim();
       const np = String(newPassword || '').trim();
 
-      if (!em) throw new Error('Please enter your email.');
-      if (!cd) throw new Error('Please enter your reset code.');
+      if (!tk) throw new Error('This reset link is invalid. Please request a new one.');
       if (!np) throw new Error('Please enter a new password.');
 
-      const users = readUsers();
-      const u = users[em];
-      if (!u) throw new Error('No account found for this email.');
+      const { ok, data, status } = await apiJson('/api/auth/password/reset', {
+        method: 'POST',
+        body: { token: tk, password: np }
+      });
+
+      if (!ok || !data?.ok) {
+        throw new Error(data?.error || `Could not reset password (${status})`);
+      }
+
+      return true;
+    },
+
+    async verifyEmail(token) {
+      const tk = String(token || '').trim();
+      if (!tk) throw new Error('This verification link is invalid. Please request a new one.');
 
-      const resets = readPwResets();
-      const entry = resets[em];
-      if (!entry || !entry.code) throw new Error('No active reset request found. Please generate a new code.');
+      const { ok, data, status } = await apiJson('/api/auth/verify-email', {
+        method: 'POST',
+        body: { token: tk }
+      });
 
-      if (isExpiredISO(entry.expiresAt)) {
-        delete resets[em];
-        writePwResets(resets);
-        throw new Error('This reset code has expired. Please generate a new one.');
+      if (!ok || !data?.ok) {
+        throw new Error(data?.error || `Could not verify email (${status})`);
       }
 
-      if (String(entry.code) !== cd) {
-        throw new Error('Reset code is incorrect.');
+      if (this._serverUser) this._serverUser.emailVerifiedAt = data.emailVerifiedAt || nowISO();
+      return data;
+    },
+
+    async resendVerificationEmail() {
+      const { ok, data, status } = await apiJson('/api/auth/verify-email/resend', { method: 'POST' });
+      if (!ok || !data?.ok) {
+        throw new Error(data?.error || `Could not send verification email (${status})`);
       }
+      return data;
+    },
 
-      u.passwordHash = demoHash(np);
-      u.email = u.email || em;
-      u.createdAt = u.createdAt || nowISO();
-      u.role = u.role || 'customer';
+    async listSessions() {
+      const { ok, data, status } = await apiJson('/api/me/sessions');
+      if (!ok || !data?.ok) throw new Error(data?.error || `Could not load sessions (${status})`);
+      return Array.isArray(data.sessions) ? data.sessions : [];
+    },
 
-      users[em] = u;
-      writeUsers(users);
+    async revokeSession(id) {
+      const sid = String(id || '').trim();
+      if (!sid) throw new Error('Missing session.');
 
-      delete resets[em];
-      writePwResets(resets);
+      const { ok, data, status } = await apiJson(`/api/me/sessions/${encodeURIComponent(sid)}`, { method: 'DELETE' });
+      if (!ok || !data?.ok) throw new Error(data?.error || `Could not sign out session (${status})`);
 
-      return true;
+      if (data.current) {
+        this._serverUser = null;
+        clearSession();
+      }
+      return data;
+    },
+
+    async signOutEverywhere() {
+      const { ok, data, status } = await apiJson('/api/me/sessions/revoke-all', { method: 'POST' });
+      if (!ok || !data?.ok) throw new Error(data?.error || `Could not sign out devices (${status})`);
+
+      this._serverUser = null;
+      clearSession();
+      return data;
+    },
+
+    async listSignInMethods() {
+      const { ok, data, status } = await apiJson('/api/me/identities');
+      if (!ok || !data?.ok) throw new Error(data?.error || `Could not load sign-in methods (${status})`);
+      return data;
+    },
+
+    async linkGoogle(credential) {
+      const { ok, data, status } = await apiJson('/api/me/identities/google', { method: 'POST', body: { credential } });
+      if (!ok || !data?.ok) throw new Error(data?.error || `Could not link Google (${status})`);
+      return data.identity;
+    },
+
+    async unlinkIdentity(provider) {
+      const { ok, data, status } = await apiJson(`/api/me/identities/${encodeURIComponent(provider)}`, { method: 'DELETE' });
+      if (!ok || !data?.ok) throw new Error(data?.error || `Could not unlink (${status})`);
+      return data;
+    },
+
+    async deleteAccount(confirmEmail) {
+      const { ok, data, status } = await apiJson('/api/me', { method: 'DELETE', body: { confirmEmail } });
+      if (!ok || !data?.ok) throw new Error(data?.error || `Could not delete account (${status})`);
+
+      this._serverUser = null;
+      clearSession();
+      return data;
     },
 
     async logout() {
@@ -561,15 +815,15 @@
       return bootstrap();
     }
 
-    async function add(productId, size, qty = 1) {
+    async function add(productId, variantId, qty = 1) {
       if (!isLoggedIn()) {
         const rt = encodeURIComponent(location.pathname.replace(/^\//, '') || 'index.html');
-        location.href = `login.html?returnTo=${rt}`;
+        location.href = `/login.html?returnTo=${rt}`;
         return;
       }
       const payload = {
         productId: String(productId || '').trim(),
-        size: String(size || '').trim(),
+        variantId: String(variantId || '').trim(),
         qty: Math.max(1, Math.floor(Number(qty) || 1))
       };
       const { ok, data } = await apiJson('/api/cart/add', { method: 'POST', body: payload });
@@ -578,12 +832,26 @@
       return _items;
     }
 
-    async function setQty(productId, size, qty) {
+    async function setQty(variantId, qty) {
       if (!isLoggedIn()) return;
       const q = Math.max(0, Math.floor(Number(qty) || 0));
       const payload = {
-        productId: String(productId || '').trim(),
-        size: String(size || '').trim(),
+        variantId: String(variantId || '').trim(),
+        qty: q
+      };
+      const { ok, data } = await apiJson('/api/cart/item', { method: 'PATCH', body: payload });
+      if (!ok || !data?.ok) throw new Error(data?.error || 'Failed to update cart');
+      _items = Array.isArray(data.items) ? data.items : _items;
+      return Number.isFinite(Number(data?.appliedQty)) ? Number(data.appliedQty) : q;
+    }
+
+    // Move a line to another variant of the same product (merges with an existing line)
+    async function changeVariant(variantId, toVariantId, qty) {
+      if (!isLoggedIn()) return;
+      const q = Math.max(1, Math.floor(Number(qty) || 1));
+      const payload = {
+        variantId: String(variantId || '').trim(),
+        toVariantId: String(toVariantId || '').trim(),
         qty: q
       };
       const { ok, data } = await apiJson('/api/cart/item', { method: 'PATCH', body: payload });
@@ -600,11 +868,10 @@
       return _items;
     }
 
-    async function remove(productId, size) {
+    async function remove(variantId) {
       if (!isLoggedIn()) return;
       const payload = {
-        productId: String(productId || '').trim(),
-        size: String(size || '').trim()
+        variantId: String(variantId || '').trim()
       };
       const { ok, data } = await apiJson('/api/cart/item', {
         method: 'DELETE',
@@ -623,6 +890,7 @@
       count,
       add,
       setQty,
+      changeVariant,
       clear,
       remove,
     };
@@ -637,13 +905,13 @@
     function buildStockBySize(p) {
       if (p && p.stockBySize && typeof p.stockBySize === 'object') return p.stockBySize;
 
-      const inv = Array.isArray(p?.inventory) ? p.inventory : [];
+      const variants = Array.isArray(p?.variants) ? p.variants : [];
       const map = {};
-      inv.forEach((row) => {
-        const size = String(row?.size || '').trim();
-        const stock = Number(row?.stock ?? 0);
-        if (!size) return;
-        map[size] = Number.isFinite(stock) ? stock : 0;
+      variants.forEach((v) => {
+        const label = String(v?.label || '').trim();
+        const stock = Number(v?.stock ?? 0);
+        if (!label) return;
+        map[label] = Number.isFinite(stock) ? stock : 0;
       });
       return map;
     }
@@ -700,7 +968,7 @@
       async ensureLoaded() {
         if (Array.isArray(_cache) && _cache.length) return _cache;
 
-        const res = await fetch('/api/products', { credentials: 'omit' }).catch(() => null);
+        const res = await fetch('/api/products?limit=60', { credentials: 'omit' }).catch(() => null);
         if (!res || !res.ok) return _cache;
 
         const ct = String(res.headers.get('content-type') || '');
@@ -759,8 +1027,9 @@
       allLogoutLinks.forEach(a => a.style.display = user ? '' : 'none');
 
       const adminLinks = $$('.admin-link');
-      const isAdmin = !!(user && String(user.role || '').toLowerCase() === 'admin');
-      adminLinks.forEach(a => a.style.display = isAdmin ? '' : 'none');
+      // Any staff role gets the admin link; the panel itself hides what the role can't use.
+      const isStaff = Array.isArray(user?.permissions) && user.permissions.length > 0;
+      adminLinks.forEach(a => a.style.display = isStaff ? '' : 'none');
     },
 
     ensureHeaderFooter() {
@@ -820,6 +1089,11 @@
         return;
       }
 
+      if (data?.twoFactorRequired) {
+        showTwoFactorStep(data.challenge);
+        return;
+      }
+
       await Auth.bootstrap();
 
       const returnTo = getReturnTo();
@@ -829,18 +1103,12 @@
     }
   }
 
-  async function bindGoogleSignInIfPresent() {
-    const p = page();
-    if (p !== 'login' && p !== 'register') return;
-
-    const btnHosts = Array.from(document.querySelectorAll('.g_id_signin'));
-    if (!btnHosts.length) return;
-
+  // Resolves to { gis, clientId } once Google Identity Services has loaded, or null
+  // when Google sign-in isn't configured / the script never arrives.
+  async function loadGoogleIdentity() {
     const { ok, data } = await apiJson('/api/public/config');
     const clientId = String(data?.googleClientId || '').trim();
-    if (!ok || !clientId) {
-      return;
-    }
+    if (!ok || !clientId) return null;
 
     const waitForGIS = () => new Promise((resolve) => {
       const started = Date.now();
@@ -854,9 +1122,19 @@
     });
 
     const gis = await waitForGIS();
-    if (!gis) {
-      return;
-    }
+    return gis ? { gis, clientId } : null;
+  }
+
+  async function bindGoogleSignInIfPresent() {
+    const p = page();
+    if (p !== 'login' && p !== 'register') return;
+
+    const btnHosts = Array.from(document.querySelectorAll('.g_id_signin'));
+    if (!btnHosts.length) return;
+
+    const google = await loadGoogleIdentity();
+    if (!google) return;
+    const { gis, clientId } = google;
 
     window.BSGoogleLoginCallback = async (response) => {
       const credential = response?.credential;
@@ -880,35 +1158,190 @@
     }
   }
 
+  // -----------------------------
+  // SIZE GUIDE
+  // -----------------------------
+  // Products carry `sizeGuide: { chart, fitNotes, modelMeasurements }` (null without one). Cards and the
+  // product page put a "Size guide" button next to the size select; one shared modal shows it.
+  const sizeGuides = new Map();
+  const SIZE_UNIT_KEY = 'bs_size_unit';
+
+  function sizeGuideButtonHtml(p) {
+    const id = String(p?.id || '');
+    if (!id || !p?.sizeGuide) return '';
+    sizeGuides.set(id, { name: String(p.title || p.name || ''), guide: p.sizeGuide });
+    return `<button type="button" class="size-guide-btn" data-size-guide="${escapeHtml(id)}">Size guide</button>`;
+  }
+
+  // Selects for a product's options with the size guide button right after the size select
+  // (or after the last select when the product has no "Size" option).
+  function withSizeGuideButton(selects, p) {
+    const button = sizeGuideButtonHtml(p);
+    if (!button) return selects.join('');
+    const at = selects.findIndex((html) => html.includes('product-size-select'));
+    const out = selects.slice();
+    out.splice(at === -1 ? out.length : at + 1, 0, button);
+    return out.join('');
+  }
+
+  // "82-86" cm -> "32.3-33.9" in; blanks stay blank.
+  function convertMeasurement(value, from, to) {
+    if (from === to) return String(value || '');
+    const factor = to === 'in' ? 1 / 2.54 : 2.54;
+    return String(value || '').replace(/\d+(?:\.\d+)?/g, (n) => String(Math.round(Number(n) * factor * 10) / 10));
+  }
+
+  function preferredSizeUnit(fallback) {
+    try {
+      const unit = localStorage.getItem(SIZE_UNIT_KEY);
+      if (unit === 'cm' || unit === 'in') return unit;
+    } catch (_) {}
+    return fallback === 'in' ? 'in' : 'cm';
+  }
+
+  function ensureSizeGuideModal() {
+    let modal = document.getElementById('sizeGuideModal');
+    if (modal) return modal;
+
+    modal = document.createElement('div');
+    modal.id = 'sizeGuideModal';
+    modal.className = 'size-guide-modal';
+    modal.hidden = true;
+    modal.innerHTML = `
+      <div class="size-guide-backdrop" data-action="close-size-guide"></div>
+      <div class="size-guide-panel" role="dialog" aria-modal="true" aria-labelledby="sizeGuideTitle">
+        <button type="button" class="size-guide-close" data-action="close-size-guide" aria-label="Close size guide">✕</button>
+        <h2 id="sizeGuideTitle">Size guide</h2>
+        <div id="sizeGuideBody"></div>
+      </div>`;
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', (e) => {
+      if (e.target.closest('[data-action="close-size-guide"]')) closeSizeGuide();
+      const unitBtn = e.target.closest('[data-size-unit]');
+      if (unitBtn) {
+        try { localStorage.setItem(SIZE_UNIT_KEY, unitBtn.getAttribute('data-size-unit')); } catch (_) {}
+        renderSizeGuide(modal.dataset.productId);
+      }
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !modal.hidden) closeSizeGuide();
+    });
+    return modal;
+  }
+
+  function renderSizeGuide(productId) {
+    const entry = sizeGuides.get(String(productId || ''));
+    const body = document.getElementById('sizeGuideBody');
+    if (!entry || !body) return;
+
+    const { chart, fitNotes, modelMeasurements } = entry.guide;
+    const title = document.getElementById('sizeGuideTitle');
+    if (title) title.textContent = entry.name ? `Size guide: ${entry.name}` : 'Size guide';
+
+    let chartHtml = '';
+    if (chart && Array.isArray(chart.columns) && chart.columns.length) {
+      const unit = preferredSizeUnit(chart.unit);
+      chartHtml = `
+        <div class="size-guide-units" role="group" aria-label="Units">
+          ${['cm', 'in'].map((u) => `<button type="button" data-size-unit="${u}" aria-pressed="${u === unit}">${u}</button>`).join('')}
+        </div>
+        <div class="size-guide-table-wrap">
+          <table class="size-guide-table">
+            <thead><tr><th>Size</th>${chart.columns.map((c) => `<th>${escapeHtml(c)} (${unit})</th>`).join('')}</tr></thead>
+            <tbody>
+              ${(chart.rows || []).map((r) => `
+              <tr>
+                <th scope="row">${escapeHtml(r.size)}</th>
+                ${chart.columns.map((c, i) => `<td>${escapeHtml(convertMeasurement(r.values?.[i], chart.unit, unit) || '–')}</td>`).join('')}
+              </tr>`).join('')}
+            </tbody>
+          </table>
+        </div>
+        ${chart.notes ? `<p class="size-guide-notes">${escapeHtml(chart.notes)}</p>` : ''}`;
+    }
+
+    body.innerHTML = `
+      ${fitNotes ? `<p class="size-guide-fit"><strong>Fit:</strong> ${escapeHtml(fitNotes)}</p>` : ''}
+      ${modelMeasurements ? `<p class="size-guide-model">${escapeHtml(modelMeasurements)}</p>` : ''}
+      ${chartHtml}`;
+  }
+
+  function openSizeGuide(productId) {
+    const modal = ensureSizeGuideModal();
+    modal.dataset.productId = String(productId || '');
+    renderSizeGuide(productId);
+    modal.hidden = false;
+    modal.querySelector('.size-guide-close')?.focus();
+  }
+
+  function closeSizeGuide() {
+    const modal = document.getElementById('sizeGuideModal');
+    if (modal) modal.hidden = true;
+  }
+
+  function bindSizeGuideButtons() {
+    document.addEventListener('click', (e) => {
+      const btn = e.target.closest('.size-guide-btn');
+      if (btn) openSizeGuide(btn.getAttribute('data-size-guide'));
+    });
+  }
+
   // -----------------------------
   // SHOP: RENDER FROM STORE
   // -----------------------------
-  function renderProducts(container, products) {
+  // Detail page address; the server redirects ids to the current slug.
+  function productUrl(p) {
+    return `/product/${encodeURIComponent(String(p?.slug || p?.id || ''))}`;
+  }
+
+  function renderProducts(container, products, { append = false } = {}) {
     if (!container) return;
 
     const list = Array.isArray(products) ? products : [];
     if (!list.length) {
-      container.innerHTML = `<div class="muted">No products available.</div>`;
+      if (!append) container.innerHTML = `<div class="muted">No products match your filters.</div>`;
       return;
     }
 
-    const SIZES = ['S', 'M', 'L', 'XL'];
-
-    container.innerHTML = list.map((p) => {
+    const html = list.map((p) => {
       const id = String(p?.id || '');
       const cover = String(p?.media?.coverUrl || '');
       const name = String(p?.title || p?.name || '').trim();
       const priceNum = Number(p?.priceJMD ?? 0);
-      const price = Number.isFinite(priceNum) ? priceNum.toLocaleString('en-JM') : '0';
 
-      const sb = (p && p.stockBySize && typeof p.stockBySize === 'object') ? p.stockBySize : {};
-      const options = SIZES
-        .filter(sz => Number(sb?.[sz] ?? 0) > 0)
-        .map(sz => `<option value="${sz}">${sz}</option>`)
-        .join('');
+      const variants = (Array.isArray(p?.variants) ? p.variants : []).map((v) => ({
+        id: String(v?.id || ''),
+        label: String(v?.label || ''),
+        optionValues: (v?.optionValues && typeof v.optionValues === 'object') ? v.optionValues : {},
+        priceJMD: Number(v?.priceJMD ?? priceNum),
+        compareAtPriceJMD: v?.compareAtPriceJMD == null ? null : Number(v.compareAtPriceJMD),
+        stock: Math.max(0, Number(v?.stock ?? 0))
+      }));
+      const inStock = variants.filter(v => v.stock > 0);
+      const soldOut = !inStock.length;
+
+      // "From" price when variants override the base price; sale prices strike through the old one
+      const prices = variants.map(v => v.priceJMD).filter(Number.isFinite);
+      const minPrice = prices.length ? Math.min(...prices) : priceNum;
+      const cheapest = variants.find(v => v.priceJMD === minPrice);
+      const priceLabel = priceHtml(minPrice, cheapest ? cheapest.compareAtPriceJMD : p?.compareAtPriceJMD, {
+        prefix: prices.length && Math.max(...prices) !== minPrice ? 'From ' : ''
+      });
 
-      const soldOut = !options;
-      const stockJson = escapeHtml(JSON.stringify(sb || {}));
+      const selects = (Array.isArray(p?.options) ? p.options : []).map((o) => {
+        const optName = String(o?.name || '');
+        const values = (Array.isArray(o?.values) ? o.values : [])
+          .filter(val => inStock.some(v => v.optionValues[optName] === val))
+          .map(val => `<option value="${escapeHtml(val)}">${escapeHtml(val)}</option>`)
+          .join('');
+        const cls = /^size$/i.test(optName) ? 'product-option-select product-size-select' : 'product-option-select';
+        return `
+      <select class="${cls}" data-option="${escapeHtml(optName)}" ${soldOut ? 'disabled' : ''} aria-label="Select ${escapeHtml(optName.toLowerCase())}">
+        <option value="">Select ${escapeHtml(optName.toLowerCase())}</option>
+        ${values}
+      </select>`;
+      });
 
       return `
   <div
@@ -917,17 +1350,20 @@
     data-title="${escapeHtml(name)}"
     data-cover="${escapeHtml(cover)}"
     data-pricejmd="${escapeHtml(String(priceNum || 0))}"
-    data-stock="${stockJson}"
+    data-variants="${escapeHtml(JSON.stringify(variants))}"
   >
-    <img src="${escapeHtml(cover)}" alt="${escapeHtml(name || 'Product')}" />
-    <h3>${escapeHtml(name)}</h3>
-    <p class="price">JMD ${escapeHtml(price)}</p>
-
-    <div class="product-actions">
-      <select class="product-size-select" ${soldOut ? 'disabled' : ''} aria-label="Select size">
-        <option value="">Select size</option>
-        ${options}
-      </select>
+    <a class="product-card-link" href="${escapeHtml(productUrl(p))}">
+      ${pictureHtml(p?.media?.responsive, {
+        fallbackUrl: cover,
+        sizes: '(max-width: 520px) 100vw, (max-width: 820px) 50vw, 300px',
+        alt: name || 'Product'
+      })}
+      <h3>${escapeHtml(name)}</h3>
+      ${ratingHtml(p?.rating)}
+    </a>
+    <p class="price">${priceLabel}</p>
+
+    <div class="product-actions">${withSizeGuideButton(selects, p)}
 
       <button class="btn btn--primary add-to-cart" type="button" ${soldOut ? 'disabled' : ''}>
         ${soldOut ? 'Sold Out' : 'Add to cart'}
@@ -936,6 +1372,128 @@
   </div>
 `;
     }).join('');
+
+    if (append) container.insertAdjacentHTML('beforeend', html);
+    else container.innerHTML = html;
+  }
+
+  // Shop filters live in the query string so filtered views can be shared.
+  const SHOP_FILTER_KEYS = ['q', 'minPrice', 'maxPrice', 'size', 'collection', 'sort'];
+
+  function readShopFilters() {
+    const params = new URLSearchParams(location.search);
+    const filters = {};
+    SHOP_FILTER_KEYS.forEach((key) => {
+      const value = String(params.get(key) || '').trim();
+      if (value) filters[key] = value;
+    });
+    if (filters.collection) filters.collection = filters.collection.toLowerCase();
+    return filters;
+  }
+
+  function shopQueryString(filters, extra = {}) {
+    const params = new URLSearchParams();
+    Object.entries({ ...filters, ...extra }).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && String(value) !== '') params.set(key, String(value));
+    });
+    const qs = params.toString();
+    return qs ? `?${qs}` : '';
+  }
+
+  // Collection chips from the search facets; links keep the other filters.
+  function renderCollectionFilters(facets, filters) {
+    const nav = document.getElementById('collectionFilters');
+    if (!nav) return;
+
+    const collections = (Array.isArray(facets?.collections) ? facets.collections : [])
+      .filter(c => Number(c?.count || 0) > 0 || c?.slug === filters.collection);
+    if (!collections.length) {
+      nav.hidden = true;
+      return;
+    }
+
+    const chip = (slug, label, count) => {
+      const active = (slug || '') === (filters.collection || '');
+      const href = `${location.pathname}${shopQueryString(filters, { collection: slug })}`;
+      const countHtml = count === null ? '' : ` <span class="collection-chip-count">${escapeHtml(String(count))}</span>`;
+      return `<a class="collection-chip${active ? ' is-active' : ''}" href="${escapeHtml(href)}"${active ? ' aria-current="page"' : ''}>${escapeHtml(label)}${countHtml}</a>`;
+    };
+
+    nav.innerHTML = [
+      chip('', 'All', null),
+      ...collections.map(c => chip(c.slug, c.name, Number(c.count || 0)))
+    ].join('');
+    nav.hidden = false;
+  }
+
+  function renderSizeFilters(facets, filters) {
+    const box = document.getElementById('shopSizeFilters');
+    if (!box) return;
+
+    const selected = new Set(String(filters.size || '').split(',').filter(Boolean));
+    const sizes = Array.isArray(facets?.sizes) ? facets.sizes : [];
+    // Keep selected sizes visible even when nothing else matches them
+    selected.forEach((value) => {
+      if (!sizes.some(s => s.value === value)) sizes.push({ value, count: 0 });
+    });
+
+    box.hidden = !sizes.length;
+    box.querySelectorAll('.size-filter').forEach(el => el.remove());
+    box.insertAdjacentHTML('beforeend', sizes.map(s => `
+      <label class="size-filter">
+        <input type="checkbox" name="size" value="${escapeHtml(s.value)}" ${selected.has(s.value) ? 'checked' : ''} />
+        <span>${escapeHtml(s.value)}</span>
+        <span class="size-filter-count">${escapeHtml(String(s.count))}</span>
+      </label>`).join(''));
+  }
+
+  function fillShopFilterForm(form, filters, facets) {
+    if (!form) return;
+    ['q', 'sort', 'minPrice', 'maxPrice'].forEach((key) => {
+      const input = form.elements.namedItem(key);
+      if (input && document.activeElement !== input) input.value = filters[key] || '';
+    });
+
+    const min = facets?.price?.min;
+    const max = facets?.price?.max;
+    const minInput = form.elements.namedItem('minPrice');
+    const maxInput = form.elements.namedItem('maxPrice');
+    if (minInput && Number.isFinite(min)) minInput.placeholder = `Min ${min.toLocaleString('en-JM')}`;
+    if (maxInput && Number.isFinite(max)) maxInput.placeholder = `Max ${max.toLocaleString('en-JM')}`;
+  }
+
+  function readShopFilterForm(form, base) {
+    const filters = { ...(base.collection ? { collection: base.collection } : {}) };
+    ['q', 'sort', 'minPrice', 'maxPrice'].forEach((key) => {
+      const value = String(form.elements.namedItem(key)?.value || '').trim();
+      if (value) filters[key] = value;
+    });
+    const sizes = Array.from(form.querySelectorAll('input[name="size"]:checked')).map(el => el.value);
+    if (sizes.length) filters.size = sizes.join(',');
+    return filters;
+  }
+
+  async function renderCollectionHeader(slug) {
+    const titleEl = document.getElementById('shopTitle');
+    const descEl = document.getElementById('shopCollectionDescription');
+
+    if (!slug) {
+      if (titleEl) titleEl.textContent = 'Shop Collection';
+      if (descEl) descEl.hidden = true;
+      return true;
+    }
+
+    const { ok, status, data } = await apiJson(`/api/collections/${encodeURIComponent(slug)}`);
+    if (status === 404) return false;
+    if (!ok || !data?.collection) return true;
+
+    if (titleEl) titleEl.textContent = data.collection.name || 'Shop Collection';
+    if (descEl) {
+      descEl.textContent = data.collection.description || '';
+      descEl.hidden = !data.collection.description;
+    }
+    document.title = `${data.collection.name} | Beyond Silhouette`;
+    return true;
   }
 
   async function renderShopFromStore() {
@@ -945,24 +1503,465 @@
 
     if (!container) return;
 
-    container.innerHTML = `<div class="muted">Loading products…</div>`;
+    const form = document.getElementById('shopFilters');
+    const countEl = document.getElementById('shopResultCount');
+    const loadMoreBtn = document.getElementById('shopLoadMore');
 
-    try {
-      const res = await fetch('/api/products', { credentials: 'omit' });
+    let filters = readShopFilters();
+    let loaded = [];
+    let nextCursor = null;
+    let requestSeq = 0;
 
-      const ct = String(res.headers.get('content-type') || '');
-      if (!res.ok || !ct.includes('application/json')) throw new Error('Products fetch failed');
+    async function load({ append = false } = {}) {
+      const seq = ++requestSeq;
+      if (!append) container.innerHTML = `<div class="muted">Loading products…</div>`;
+      if (loadMoreBtn) loadMoreBtn.disabled = true;
+
+      try {
+        const res = await fetch(`/api/products${shopQueryString(filters, { cursor: append ? nextCursor : '' })}`, { credentials: 'omit' });
+        const ct = String(res.headers.get('content-type') || '');
+        if (!res.ok || !ct.includes('application/json')) throw new Error('Products fetch failed');
+
+        const data = await res.json();
+        if (!data || data.ok !== true || !Array.isArray(data.products)) throw new Error('Bad products response');
+        if (seq !== requestSeq) return;
 
-      const data = await res.json();
-      if (!data || data.ok !== true || !Array.isArray(data.products)) throw new Error('Bad products response');
+        loaded = append ? loaded.concat(data.products) : data.products;
+        nextCursor = data.nextCursor || null;
+        Products.setAll(loaded);
 
-      Products.setAll(data.products);
-      renderProducts(container, Products.listPublished());
+        if (append) {
+          const ids = new Set(data.products.map(p => String(p?.id || '')));
+          renderProducts(container, Products.listPublished().filter(p => ids.has(String(p.id))), { append: true });
+        } else {
+          renderProducts(container, Products.listPublished());
+          renderCollectionFilters(data.facets, filters);
+          renderSizeFilters(data.facets, filters);
+          fillShopFilterForm(form, filters, data.facets);
+        }
+
+        const total = Number(data.total || 0);
+        if (countEl) countEl.textContent = `${total} ${total === 1 ? 'product' : 'products'}`;
+        if (loadMoreBtn) loadMoreBtn.hidden = !nextCursor;
+      } catch (_) {
+        if (seq !== requestSeq) return;
+        if (append) toast('Could not load more products. Please try again.');
+        else container.innerHTML = `<div class="muted">We couldn't load products right now. Please try again.</div>`;
+      } finally {
+        if (loadMoreBtn && seq === requestSeq) loadMoreBtn.disabled = false;
+      }
+    }
+
+    function applyFilters() {
+      filters = readShopFilterForm(form, filters);
+      history.replaceState(null, '', `${location.pathname}${shopQueryString(filters)}${location.hash}`);
+      load();
+    }
+
+    if (form) {
+      let searchTimer = null;
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        clearTimeout(searchTimer);
+        applyFilters();
+      });
+      form.addEventListener('input', (e) => {
+        if (e.target?.name !== 'q') return;
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(applyFilters, 300);
+      });
+      form.addEventListener('change', (e) => {
+        if (e.target?.name === 'q') return;
+        applyFilters();
+      });
+      form.addEventListener('reset', () => {
+        // Let the browser clear the inputs first; the collection stays selected.
+        setTimeout(applyFilters, 0);
+      });
+    }
+
+    loadMoreBtn?.addEventListener('click', () => {
+      if (nextCursor) load({ append: true });
+    });
+
+    const collectionFound = await renderCollectionHeader(filters.collection).catch(() => true);
+    if (!collectionFound) {
+      container.innerHTML = `<div class="muted">That collection isn't available. <a href="${escapeHtml(location.pathname)}">See all products</a>.</div>`;
+      if (form) form.hidden = true;
       return;
-    } catch (_) {
-      container.innerHTML = `<div class="muted">We couldn't load products right now. Please try again.</div>`;
+    }
+
+    await load();
+  }
+
+
+  // -----------------------------
+  // PRODUCT DETAIL PAGE
+  // -----------------------------
+  // /product/<slug-or-id>, or product.html?slug=<slug> when served without the server routes.
+  function currentProductKey() {
+    const match = location.pathname.match(/^\/product\/([^/]+)\/?$/i);
+    if (match) {
+      try { return decodeURIComponent(match[1]); } catch { return match[1]; }
+    }
+    const params = new URLSearchParams(location.search);
+    return String(params.get('slug') || params.get('id') || '').trim();
+  }
+
+  function availabilityText(stock) {
+    if (stock <= 0) return 'Sold out';
+    if (stock <= 3) return `Only ${stock} left`;
+    return 'In stock';
+  }
+
+  async function renderProductPageIfPresent() {
+    if (page() !== 'product') return;
+
+    const detail = document.getElementById('productDetail');
+    const statusEl = document.getElementById('productStatus');
+    if (!detail) return;
+
+    const key = currentProductKey();
+    const { ok, status, data } = key
+      ? await apiJson(`/api/products/${encodeURIComponent(key)}`)
+      : { ok: false, status: 404, data: null };
+
+    if (!ok || !data?.product) {
+      if (statusEl) {
+        statusEl.textContent = status === 404
+          ? "We couldn't find that product. It may no longer be available."
+          : "We couldn't load this product right now. Please try again.";
+      }
       return;
     }
+
+    const p = data.product;
+    const name = String(p.title || p.name || 'Product');
+    const basePrice = Number(p.priceJMD || 0);
+
+    // Reached through an id or an old slug: show the canonical address
+    if (p.slug && p.slug !== key && location.pathname.startsWith('/product/')) {
+      history.replaceState(null, '', `/product/${encodeURIComponent(p.slug)}${location.search}${location.hash}`);
+    }
+
+    document.title = `${p.seo?.title || name} | Beyond Silhouette`;
+    const crumb = document.getElementById('productBreadcrumbName');
+    if (crumb) crumb.textContent = name;
+
+    // Gallery
+    const images = (Array.isArray(p.images) ? p.images : [])
+      .map((img) => ({ url: normalizePublicImageUrl(img?.url), alt: String(img?.alt || ''), responsive: img?.responsive }))
+      .filter((img) => isRenderableImageUrl(img.url));
+    if (!images.length && p.media?.coverUrl) {
+      images.push({ url: normalizePublicImageUrl(p.media.coverUrl), alt: '', responsive: p.media.responsive });
+    }
+
+    const mainImg = document.getElementById('productMainImage');
+    const mainWebp = document.getElementById('productMainImageWebp');
+    const thumbs = document.getElementById('productThumbs');
+
+    function showImage(index) {
+      const img = images[index];
+      if (!img || !mainImg) return;
+      const r = responsiveFor(img.responsive, img.url);
+      if (mainWebp) mainWebp.srcset = r.webpSrcset;
+      mainImg.srcset = r.srcset;
+      mainImg.src = r.detail;
+      mainImg.alt = img.alt || name;
+      thumbs?.querySelectorAll('.product-thumb').forEach((el, i) => el.classList.toggle('is-active', i === index));
+    }
+
+    if (thumbs) {
+      thumbs.innerHTML = images.length > 1
+        ? images.map((img, i) => `
+          <button type="button" class="product-thumb" data-index="${i}" aria-label="Show image ${i + 1}">
+            ${pictureHtml(img.responsive, { fallbackUrl: img.url, size: 'thumb', sizes: '80px' })}
+          </button>`).join('')
+        : '';
+      thumbs.addEventListener('click', (e) => {
+        const btn = e.target.closest('.product-thumb');
+        if (btn) showImage(Number(btn.getAttribute('data-index')));
+      });
+    }
+    showImage(0);
+
+    // Buy box: same data-* contract as shop cards so bindAddToCart handles it
+    const variants = (Array.isArray(p.variants) ? p.variants : []).map((v) => ({
+      id: String(v?.id || ''),
+      label: String(v?.label || ''),
+      optionValues: (v?.optionValues && typeof v.optionValues === 'object') ? v.optionValues : {},
+      priceJMD: Number(v?.priceJMD ?? basePrice),
+      compareAtPriceJMD: v?.compareAtPriceJMD == null ? null : Number(v.compareAtPriceJMD),
+      stock: Math.max(0, Number(v?.stock ?? 0))
+    }));
+    const options = (Array.isArray(p.options) ? p.options : []).map((o) => ({
+      name: String(o?.name || ''),
+      values: Array.isArray(o?.values) ? o.values.map(String) : []
+    }));
+
+    detail.setAttribute('data-product-id', String(p.id || ''));
+    detail.setAttribute('data-title', name);
+    detail.setAttribute('data-cover', images[0]?.url || '');
+    detail.setAttribute('data-pricejmd', String(basePrice));
+    detail.setAttribute('data-variants', JSON.stringify(variants));
+
+    document.getElementById('productTitle').textContent = name;
+    document.getElementById('productDescription').textContent = String(p.description || '');
+
+    const optionsEl = document.getElementById('productOptions');
+    const priceEl = document.getElementById('productPrice');
+    const qtyInput = document.getElementById('productQty');
+    const addBtn = detail.querySelector('.add-to-cart');
+    const availabilityEl = document.getElementById('productAvailability');
+    const availabilityLabel = document.getElementById('productAvailabilityLabel');
+    const availabilityList = document.getElementById('productAvailabilityList');
+
+    // Availability is listed per size (or per value of the only option), narrowed by the other picks
+    const availabilityOption = options.find(o => /^size$/i.test(o.name)) || (options.length === 1 ? options[0] : null);
+
+    function currentVariants() {
+      try {
+        return JSON.parse(detail.getAttribute('data-variants') || '[]');
+      } catch {
+        return variants;
+      }
+    }
+
+    function selectedValues() {
+      const picked = {};
+      optionsEl?.querySelectorAll('.product-option-select').forEach((sel) => {
+        if (sel.value) picked[sel.getAttribute('data-option')] = sel.value;
+      });
+      return picked;
+    }
+
+    function stockFor(list, picked) {
+      return list
+        .filter(v => Object.entries(picked).every(([k, val]) => String(v.optionValues?.[k] ?? '') === val))
+        .reduce((sum, v) => sum + Number(v.stock || 0), 0);
+    }
+
+    function renderOptions() {
+      if (!optionsEl) return;
+      const list = currentVariants();
+      const picked = selectedValues();
+
+      optionsEl.innerHTML = withSizeGuideButton(options.map((o) => {
+        const values = o.values.map((val) => {
+          const out = stockFor(list, { [o.name]: val }) <= 0;
+          const selected = picked[o.name] === val && !out;
+          return `<option value="${escapeHtml(val)}" ${out ? 'disabled' : ''} ${selected ? 'selected' : ''}>${escapeHtml(val)}${out ? ' (sold out)' : ''}</option>`;
+        }).join('');
+        const cls = /^size$/i.test(o.name) ? 'product-option-select product-size-select' : 'product-option-select';
+        return `
+        <select class="${cls}" data-option="${escapeHtml(o.name)}" aria-label="Select ${escapeHtml(o.name.toLowerCase())}">
+          <option value="">Select ${escapeHtml(o.name.toLowerCase())}</option>
+          ${values}
+        </select>`;
+      }), p);
+    }
+
+    function renderState() {
+      const list = currentVariants();
+      const picked = selectedValues();
+      const complete = options.every(o => picked[o.name]);
+      const variant = complete
+        ? list.find(v => options.every(o => String(v.optionValues?.[o.name] ?? '') === picked[o.name]))
+        : (options.length ? null : list[0]);
+
+      // Price: the chosen variant's, else a "From" price when variants differ
+      const prices = list.map(v => Number(v.priceJMD)).filter(Number.isFinite);
+      const minPrice = prices.length ? Math.min(...prices) : basePrice;
+      if (priceEl) {
+        const cheapest = list.find(v => Number(v.priceJMD) === minPrice);
+        priceEl.innerHTML = variant
+          ? priceHtml(variant.priceJMD ?? basePrice, variant.compareAtPriceJMD)
+          : priceHtml(minPrice, cheapest ? cheapest.compareAtPriceJMD : p.compareAtPriceJMD, {
+            prefix: prices.length && Math.max(...prices) !== minPrice ? 'From ' : ''
+          });
+      }
+
+      if (availabilityEl && availabilityList && availabilityOption) {
+        const others = { ...picked };
+        delete others[availabilityOption.name];
+        if (availabilityLabel) availabilityLabel.textContent = `${availabilityOption.name} availability`;
+        availabilityList.innerHTML = availabilityOption.values.map((val) => {
+          const stock = stockFor(list, { ...others, [availabilityOption.name]: val });
+          const cls = stock <= 0 ? 'is-out' : (stock <= 3 ? 'is-low' : '');
+          return `<li class="${cls}">${escapeHtml(val)} — ${escapeHtml(availabilityText(stock))}</li>`;
+        }).join('');
+        availabilityEl.hidden = false;
+      }
+
+      const totalStock = list.reduce((sum, v) => sum + Number(v.stock || 0), 0);
+      const maxQty = variant ? Number(variant.stock || 0) : totalStock;
+      if (qtyInput) {
+        qtyInput.max = String(Math.max(1, maxQty));
+        if (Number(qtyInput.value) > maxQty && maxQty > 0) qtyInput.value = String(maxQty);
+        qtyInput.disabled = totalStock <= 0;
+      }
+      if (addBtn) {
+        addBtn.disabled = totalStock <= 0 || (variant && Number(variant.stock) <= 0);
+        addBtn.textContent = totalStock <= 0 ? 'Sold Out' : 'Add to cart';
+      }
+    }
+
+    optionsEl?.addEventListener('change', renderState);
+    detail.addEventListener('stockchange', () => {
+      renderOptions();
+      renderState();
+    });
+
+    renderOptions();
+    renderState();
+
+    if (statusEl) statusEl.hidden = true;
+    detail.hidden = false;
+
+    await renderProductReviews(p);
+  }
+
+  // -----------------------------
+  // PRODUCT REVIEWS
+  // -----------------------------
+  const REVIEW_STATUS_NOTES = {
+    pending: 'Thanks for your review! It will appear here once it has been approved.',
+    approved: 'Thanks for reviewing this product. Editing your review sends it back for approval.',
+    rejected: "Your review wasn't approved. You can edit it and send it again."
+  };
+
+  function reviewHtml(r) {
+    const date = r?.createdAt
+      ? new Date(r.createdAt).toLocaleDateString('en-JM', { year: 'numeric', month: 'short', day: 'numeric' })
+      : '';
+    const photoUrl = normalizePublicImageUrl(r?.photo?.url);
+
+    return `
+      <li class="review">
+        <div class="review-head">
+          ${starsHtml(r.rating)}
+          ${r.title ? `<strong class="review-title">${escapeHtml(r.title)}</strong>` : ''}
+        </div>
+        <div class="review-meta">${escapeHtml(r.author || 'Verified buyer')} · Verified purchase${date ? ` · ${escapeHtml(date)}` : ''}</div>
+        <p class="review-body">${escapeHtml(r.body)}</p>
+        ${isRenderableImageUrl(photoUrl) ? `
+        <a class="review-photo" href="${escapeHtml(photoUrl)}" target="_blank" rel="noopener">
+          ${pictureHtml(r.photo.responsive, { fallbackUrl: photoUrl, size: 'thumb', sizes: '120px', alt: 'Photo from the reviewer' })}
+        </a>` : ''}
+        ${r.reply ? `
+        <div class="review-reply">
+          <strong>Reply from Beyond Silhouette</strong>
+          <p>${escapeHtml(r.reply.body)}</p>
+        </div>` : ''}
+      </li>`;
+  }
+
+  // Approved reviews, the star breakdown and (for customers with a delivered order) the review form.
+  async function renderProductReviews(product) {
+    const section = document.getElementById('reviews');
+    if (!section || !product?.id) return;
+
+    const summaryEl = document.getElementById('reviewsSummary');
+    const breakdownEl = document.getElementById('reviewsBreakdown');
+    const listEl = document.getElementById('reviewsList');
+    const moreBtn = document.getElementById('reviewsMore');
+    const formWrap = document.getElementById('reviewFormWrap');
+    const form = document.getElementById('reviewForm');
+    const noteEl = document.getElementById('reviewFormNote');
+    const formStatus = document.getElementById('reviewFormStatus');
+    const ratingLink = document.getElementById('productRating');
+
+    const base = `/api/products/${encodeURIComponent(product.slug || product.id)}/reviews`;
+    let nextCursor = null;
+
+    async function load(cursor) {
+      const { ok, data } = await apiJson(cursor ? `${base}?cursor=${encodeURIComponent(cursor)}` : base);
+      if (!ok || !data?.ok) return null;
+      nextCursor = data.nextCursor || null;
+      if (moreBtn) moreBtn.hidden = !nextCursor;
+      return data;
+    }
+
+    const data = await load();
+    if (!data) return;
+
+    const count = Number(data.rating?.count || 0);
+    const average = Number(data.rating?.average || 0);
+
+    if (ratingLink && count) {
+      ratingLink.innerHTML = ratingHtml(data.rating);
+      ratingLink.hidden = false;
+    }
+    if (summaryEl) {
+      summaryEl.innerHTML = count
+        ? `${starsHtml(average)} <strong>${average.toFixed(1)}</strong> out of 5 · ${count} review${count === 1 ? '' : 's'}`
+        : 'No reviews yet.';
+    }
+    if (breakdownEl) {
+      const breakdown = data.rating?.breakdown || {};
+      breakdownEl.innerHTML = count
+        ? [5, 4, 3, 2, 1].map((stars) => {
+          const n = Number(breakdown[stars] || 0);
+          return `
+          <li>
+            <span>${stars} star</span>
+            <span class="reviews-bar"><span style="width:${Math.round((n / count) * 100)}%"></span></span>
+            <span>${n}</span>
+          </li>`;
+        }).join('')
+        : '';
+    }
+    if (listEl) listEl.innerHTML = (data.reviews || []).map(reviewHtml).join('');
+
+    moreBtn?.addEventListener('click', async () => {
+      moreBtn.disabled = true;
+      const page = await load(nextCursor);
+      moreBtn.disabled = false;
+      if (page && listEl) listEl.insertAdjacentHTML('beforeend', (page.reviews || []).map(reviewHtml).join(''));
+    });
+
+    const viewer = data.viewer;
+    if (formWrap && form && viewer?.canReview) {
+      const own = viewer.review;
+      if (own) {
+        const star = form.querySelector(`input[name="rating"][value="${Number(own.rating)}"]`);
+        if (star) star.checked = true;
+        form.elements.title.value = own.title || '';
+        form.elements.body.value = own.body || '';
+      }
+      if (noteEl) noteEl.textContent = own ? REVIEW_STATUS_NOTES[own.status] || '' : 'You bought this. Tell other shoppers what you think.';
+      formWrap.hidden = false;
+
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const body = new FormData(form);
+        if (!body.get('rating')) {
+          if (formStatus) formStatus.textContent = 'Choose a star rating.';
+          return;
+        }
+        if (!form.elements.photo?.files?.length) body.delete('photo');
+
+        const submitBtn = form.querySelector('[type="submit"]');
+        if (submitBtn) submitBtn.disabled = true;
+        const res = await apiJson(base, { method: 'POST', body });
+        if (submitBtn) submitBtn.disabled = false;
+
+        if (!res.ok || !res.data?.ok) {
+          if (formStatus) formStatus.textContent = res.data?.error || "Your review couldn't be sent. Please try again.";
+          return;
+        }
+        if (formStatus) formStatus.textContent = '';
+        if (noteEl) noteEl.textContent = REVIEW_STATUS_NOTES.pending;
+        if (form.elements.photo) form.elements.photo.value = '';
+        toast('Review sent for approval.');
+      });
+    } else if (formWrap && noteEl && !viewer) {
+      noteEl.innerHTML = `Bought this? <a href="/login.html?returnTo=${encodeURIComponent(location.pathname)}">Sign in</a> to review it once your order is delivered.`;
+      form?.remove();
+      formWrap.hidden = false;
+    }
+
+    section.hidden = false;
   }
 
   // -----------------------------
@@ -995,7 +1994,7 @@
 
     popup.hidden = !!dismissed;
 
-    popupMedia.style.backgroundImage = `url("${String(imageUrl).replace(/"/g, '\\"')}")`;
+    setBackgroundImage(popupMedia, home?.promoImage, imageUrl, 'detail');
 
     popupTitle.textContent =
       home?.promoTitle == null || String(home.promoTitle).trim() === ''
@@ -1076,10 +2075,11 @@
 
       renderPromoPopup(home);
 
-      const slideshowUrls = Array.isArray(home.slideshowUrls)
+      const slideshowSets = Array.isArray(home.slideshow) ? home.slideshow : [];
+      const slideshowImages = Array.isArray(home.slideshowUrls)
         ? home.slideshowUrls
-            .map(normalizePublicImageUrl)
-            .filter((url) => isRenderableImageUrl(url))
+            .map((url, i) => ({ url: normalizePublicImageUrl(url), responsive: slideshowSets[i] }))
+            .filter((img) => isRenderableImageUrl(img.url))
             .slice(0, 4)
         : [];
 
@@ -1110,11 +2110,16 @@
       }
 
       if (slides.length) {
-        if (slideshowUrls.length) {
-          slides.forEach((slide, index) => {
-            const url = slideshowUrls[index % slideshowUrls.length];
-            slide.style.backgroundImage = url ? `url("${String(url).replace(/"/g, '\\"')}")` : '';
-          });
+        if (slideshowImages.length) {
+          const showSlide = (slide, index) => {
+            const img = slideshowImages[index % slideshowImages.length];
+            setBackgroundImage(slide, img.responsive, img.url);
+          };
+          // First slide right away; the rest once the page has finished loading
+          showSlide(slides[0], 0);
+          const showRest = () => slides.slice(1).forEach((slide, i) => showSlide(slide, i + 1));
+          if (document.readyState === 'complete') setTimeout(showRest, 0);
+          else window.addEventListener('load', showRest, { once: true });
         } else if (hasSettings) {
           slides.forEach((slide) => {
             slide.style.backgroundImage = '';
@@ -1127,14 +2132,16 @@
           featuredGrid.innerHTML = featured.slice(0, 3).map((p) => {
             const cover = normalizePublicImageUrl(String(p?.media?.coverUrl || ''));
             const name = String(p?.title || p?.name || 'Product');
-            const price = Number(p?.priceJMD || 0).toLocaleString('en-JM');
+            const price = priceHtml(p?.priceJMD, p?.compareAtPriceJMD, {
+              format: (n) => (isForeignCurrency() ? displayPrice(n) : `J$ ${Number(n || 0).toLocaleString('en-JM')}`)
+            });
 
             return `
             <div class="product-card">
-              <a href="shop-page.html">
-                <img src="${escapeHtml(cover)}" alt="${escapeHtml(name)}" class="product-image" />
+              <a href="${escapeHtml(productUrl(p))}">
+                ${pictureHtml(p?.media?.responsive, { fallbackUrl: cover, sizes: '(max-width: 820px) 100vw, 400px', alt: name, className: 'product-image' })}
                 <h3 class="product-title">${escapeHtml(name)}</h3>
-                <p class="product-price">J$ ${escapeHtml(price)}</p>
+                <p class="product-price">${price}</p>
               </a>
             </div>
           `;
@@ -1158,7 +2165,7 @@
       const btn = e.target.closest('.add-to-cart');
       if (!btn) return;
 
-      const card = btn.closest('.product-card');
+      const card = btn.closest('.product-card, .product-detail');
       if (!card) return;
 
       const productId = String(card.getAttribute('data-product-id') || '');
@@ -1166,28 +2173,39 @@
       const coverUrl = String(card.getAttribute('data-cover') || '');
       const priceJMD = Number(card.getAttribute('data-pricejmd') || 0);
 
-      const sizeSelect = card.querySelector('.product-size-select');
-      const size = String(sizeSelect?.value || '').trim().toUpperCase();
+      let variants = [];
+      try {
+        variants = JSON.parse(card.getAttribute('data-variants') || '[]');
+      } catch {
+        variants = [];
+      }
 
-      if (!size) {
-        toast('Please select a size.');
+      const selects = Array.from(card.querySelectorAll('.product-option-select'));
+      const missing = selects.find(sel => !sel.value);
+      if (missing) {
+        toast(`Please select a ${String(missing.getAttribute('data-option') || 'option').toLowerCase()}.`);
+        missing.classList.add('shake');
+        setTimeout(() => missing.classList.remove('shake'), 400);
         return;
       }
 
-      let stockBySize = {};
-      try {
-        stockBySize = JSON.parse(card.getAttribute('data-stock') || '{}');
-      } catch {
-        stockBySize = {};
+      const variant = variants.find(v =>
+        selects.every(sel => String(v?.optionValues?.[sel.getAttribute('data-option')] ?? '') === sel.value)
+      );
+      if (!variant || Number(variant.stock) <= 0) {
+        toast('That option is out of stock.');
+        return;
       }
 
-      const currentStock = Number(stockBySize?.[size] ?? 0);
-      if (!Number.isFinite(currentStock) || currentStock <= 0) {
-        toast('That size is out of stock.');
+      // The detail page has a quantity field; shop cards add one at a time
+      const qtyInput = card.querySelector('.product-qty-input');
+      const qty = qtyInput ? Math.max(1, Math.floor(Number(qtyInput.value) || 1)) : 1;
+      if (qty > Number(variant.stock)) {
+        toast(`Only ${Number(variant.stock)} left in that option.`);
         return;
       }
 
-      await Cart.add(productId, size, 1);
+      await Cart.add(productId, variant.id, qty);
 
       try {
         const st = readState();
@@ -1195,27 +2213,34 @@
         st.productCache[String(productId)] = {
           name: title || 'Item',
           image: coverUrl || '',
-          price: Number.isFinite(priceJMD) ? priceJMD : 0
+          price: Number.isFinite(Number(variant.priceJMD)) ? Number(variant.priceJMD) : priceJMD
         };
         writeState(st);
       } catch (_) {}
 
-      stockBySize[size] = Math.max(0, currentStock - 1);
-      card.setAttribute('data-stock', JSON.stringify(stockBySize));
-
-      if (Number(stockBySize[size]) <= 0 && sizeSelect) {
-        const opt = sizeSelect.querySelector(`option[value="${size}"]`);
-        if (opt) opt.remove();
-        sizeSelect.value = '';
+      variant.stock = Math.max(0, Number(variant.stock) - qty);
+      card.setAttribute('data-variants', JSON.stringify(variants));
+
+      // Drop option values that no longer have any in-stock variant
+      if (variant.stock <= 0) {
+        selects.forEach((sel) => {
+          const optName = sel.getAttribute('data-option');
+          Array.from(sel.options).forEach((opt) => {
+            if (!opt.value) return;
+            const available = variants.some(v => v.stock > 0 && String(v?.optionValues?.[optName] ?? '') === opt.value);
+            if (!available) opt.remove();
+          });
+          if (!sel.querySelector(`option[value="${CSS.escape(sel.value)}"]`)) sel.value = '';
+        });
       }
 
-      const sizes = ['S', 'M', 'L', 'XL'];
-      const total = sizes.reduce((sum, s) => sum + Number(stockBySize[s] || 0), 0);
+      const total = variants.reduce((sum, v) => sum + Number(v?.stock || 0), 0);
       if (total <= 0) {
         btn.disabled = true;
         btn.textContent = 'Sold Out';
-        if (sizeSelect) sizeSelect.disabled = true;
+        selects.forEach((sel) => { sel.disabled = true; });
       }
+      card.dispatchEvent(new CustomEvent('stockchange'));
 
       if (typeof updateCartCount === 'function') updateCartCount();
 
@@ -1246,11 +2271,26 @@
       const pid = String(it.productId || '');
       const p = Products.findById(pid);
 
+      // Server cart lines carry the variant's effective price
+      const linePrice = Number.isFinite(Number(it.priceJMD)) ? Number(it.priceJMD) : null;
+
       if (p) {
         return {
-          name: p.title || p.name || it.name || 'Item',
-          image: (p.media && p.media.coverUrl) ? p.media.coverUrl : (it.image || ''),
-          price: Number(p.priceJMD || it.price || 0)
+          name: p.title || p.name || it.title || it.name || 'Item',
+          image: (p.media && p.media.coverUrl) ? p.media.coverUrl : (it.media?.coverUrl || it.image || ''),
+          imageSet: (p.media && p.media.coverUrl) ? p.media.responsive : it.media?.responsive,
+          price: linePrice ?? Number(p.priceJMD || it.price || 0),
+          compareAt: linePrice === null ? p.compareAtPriceJMD : it.compareAtPriceJMD
+        };
+      }
+
+      if (it.product) {
+        return {
+          name: it.title || it.product.name || 'Item',
+          image: it.media?.coverUrl || '',
+          imageSet: it.media?.responsive,
+          price: linePrice ?? Number(it.product.priceJMD || 0),
+          compareAt: it.compareAtPriceJMD
         };
       }
 
@@ -1270,25 +2310,47 @@
       };
     }
 
+    function findVariant(it, optionValues) {
+      const variants = Array.isArray(it?.product?.variants) ? it.product.variants : [];
+      if (!optionValues) return variants.find(v => String(v.id) === String(it.variantId)) || null;
+      return variants.find(v =>
+        Object.keys(optionValues).every(k => String(v?.optionValues?.[k] ?? '') === String(optionValues[k]))
+      ) || null;
+    }
+
     function maxAllowedForItem(it) {
-      const pid = String(it.productId || '');
-      const sz = String(it.size || '');
-      if (!sz) return null;
+      const v = findVariant(it);
+      if (!v) return null;
 
-      const p = Products.findById(pid);
-      if (!p || !p.stockBySize || typeof p.stockBySize !== 'object') return null;
+      const base = Number(v.stock ?? 0);
+      return Number.isFinite(base) ? Math.max(0, base) : null;
+    }
 
-      const base = Number(p.stockBySize?.[sz] ?? 0);
-      if (!Number.isFinite(base)) return null;
+    // One select per product option so shoppers can switch size/colour in place
+    function variantPickerHtml(it) {
+      const options = Array.isArray(it?.product?.options) ? it.product.options : [];
+      if (!options.length) {
+        return `<p class="cart-item-meta">${escapeHtml(it.variantLabel || it.size || '')}</p>`;
+      }
 
-      const otherQty = items.reduce((sum, row) => {
-        if (row !== it && String(row.productId) === pid && String(row.size || '') === sz) {
-          return sum + Number(row.qty || 0);
-        }
-        return sum;
-      }, 0);
+      const current = (it.optionValues && typeof it.optionValues === 'object') ? it.optionValues : {};
+      return options.map((o) => `
+            <label class="cart-item-meta cart-item-option">${escapeHtml(o.name)}:
+              <select class="cart-option-select" data-option="${escapeHtml(o.name)}">
+                ${(Array.isArray(o.values) ? o.values : []).map((val) => `
+                  <option value="${escapeHtml(val)}" ${current[o.name] === val ? 'selected' : ''}>${escapeHtml(val)}</option>
+                `).join('')}
+              </select>
+            </label>`).join('');
+    }
 
-      return Math.max(0, base - otherQty);
+    function reportApplied(applied, q, input) {
+      if (applied === 0) {
+        toast('That option is now out of stock, so we removed it from your cart.', { important: true });
+      } else if (typeof applied === 'number' && applied < q) {
+        if (input) input.value = String(applied);
+        toast(`We updated your quantity to ${applied} because only ${applied} left in stock for that option.`, { important: true });
+      }
     }
 
     if (itemsEl && emptyEl && subtotalEl && totalEl) {
@@ -1312,8 +2374,8 @@
 
       if (isEmpty) {
         itemsEl.innerHTML = '';
-        subtotalEl.textContent = money(0);
-        totalEl.textContent = money(0);
+        subtotalEl.textContent = displayMoney(0);
+        totalEl.textContent = displayMoney(0);
         return;
       }
 
@@ -1325,12 +2387,12 @@
       const subtotal = filled.reduce((sum, it) => sum + (Number(it.price || 0) * Number(it.qty || 0)), 0);
 
       itemsEl.innerHTML = filled.map((it) => `
-        <div class="cart-item" data-id="${escapeHtml(it.productId)}" data-size="${escapeHtml(it.size || '')}">
-          <img src="${escapeHtml(it.image || '')}" alt="${escapeHtml(it.name || 'Product')}" />
+        <div class="cart-item" data-id="${escapeHtml(it.productId)}" data-variant="${escapeHtml(it.variantId || '')}">
+          ${pictureHtml(it.imageSet, { fallbackUrl: it.image, size: 'thumb', sizes: '160px', alt: it.name || 'Product' })}
           <div class="cart-item-info">
             <h4>${escapeHtml(it.name || 'Item')}</h4>
-            <p class="cart-item-meta">Size: ${escapeHtml(it.size || '')}</p>
-            <p class="cart-item-price">${money(Number(it.price || 0) * Number(it.qty || 0))}</p>
+            ${variantPickerHtml(it)}
+            <p class="cart-item-price">${priceHtml(Number(it.price || 0) * Number(it.qty || 0), Number(it.compareAt || 0) * Number(it.qty || 0), { format: displayMoney })}</p>
           </div>
 
           <div class="cart-item-qty">
@@ -1343,48 +2405,57 @@
         </div>
       `).join('');
 
-      subtotalEl.textContent = money(subtotal);
-      totalEl.textContent = money(subtotal);
+      subtotalEl.textContent = displayMoney(subtotal);
+      totalEl.textContent = displayMoney(subtotal);
 
-      itemsEl.addEventListener('input', async (e) => {
+      // Delegated handlers: bind once, rows are re-rendered on every change
+      if (itemsEl.dataset.bound) return;
+      itemsEl.dataset.bound = '1';
+
+      itemsEl.addEventListener('change', async (e) => {
         const input = e.target.closest('input[type="number"]');
         if (!input) return;
+
         const row = input.closest('.cart-item');
         if (!row) return;
-        const pid = row.getAttribute('data-id');
-        const size = row.getAttribute('data-size') || null;
+
+        const variantId = row.getAttribute('data-variant');
         const q = Math.max(1, Number(input.value || 1));
-        const applied = await Cart.setQty(pid, size, q);
-        if (applied === 0) {
-          toast('That size is now out of stock, so we removed it from your cart.', { important: true });
-        } else if (typeof applied === 'number' && applied < q) {
-          input.value = String(applied);
-          toast(`We updated your quantity to ${applied} because only ${applied} left in stock for that size.`, { important: true });
-        }
+
+        const applied = await Cart.setQty(variantId, q);
+        reportApplied(applied, q, input);
+
         UI.updateCartBadges();
         await renderCartIfOnCartPage();
       });
 
       itemsEl.addEventListener('change', async (e) => {
-        const input = e.target.closest('input[type="number"]');
-        if (!input) return;
+        const select = e.target.closest('.cart-option-select');
+        if (!select) return;
 
-        const row = input.closest('.cart-item');
+        const row = select.closest('.cart-item');
         if (!row) return;
 
-        const pid = row.getAttribute('data-id');
-        const size = row.getAttribute('data-size') || null;
-        const q = Math.max(1, Number(input.value || 1));
+        const variantId = row.getAttribute('data-variant');
+        const it = Cart.items().find(r => String(r.variantId) === String(variantId));
+        if (!it) return;
 
-        const applied = await Cart.setQty(pid, size, q);
+        const wanted = {};
+        row.querySelectorAll('.cart-option-select').forEach((sel) => {
+          wanted[sel.getAttribute('data-option')] = sel.value;
+        });
 
-        if (applied === 0) {
-          toast('That size is now out of stock, so we removed it from your cart.', { important: true });
-        } else if (typeof applied === 'number' && applied < q) {
-          input.value = String(applied);
-          toast(`We updated your quantity to ${applied} because only ${applied} left in stock for that size.`, { important: true });
+        const target = findVariant(it, wanted);
+        if (!target || Number(target.stock || 0) <= 0) {
+          toast('That combination is out of stock.', { important: true });
+          await renderCartIfOnCartPage();
+          return;
         }
 
+        const q = Math.max(1, Number(it.qty || 1));
+        const applied = await Cart.changeVariant(variantId, target.id, q);
+        reportApplied(applied, q);
+
         UI.updateCartBadges();
         await renderCartIfOnCartPage();
       });
@@ -1396,10 +2467,7 @@
         const row = btn.closest('.cart-item');
         if (!row) return;
 
-        const pid = row.getAttribute('data-id');
-        const size = row.getAttribute('data-size') || null;
-
-        await Cart.remove(pid, size);
+        await Cart.remove(row.getAttribute('data-variant'));
         UI.updateCartBadges();
         await renderCartIfOnCartPage();
       });
@@ -1430,11 +2498,11 @@
       const row = document.createElement('div');
       row.className = 'cart-item';
       row.innerHTML = `
-        <img src="${escapeHtml(meta.image || '')}" alt="${escapeHtml(meta.name || 'Product')}" class="cart-item-img" />
+        ${pictureHtml(meta.imageSet, { fallbackUrl: meta.image, size: 'thumb', sizes: '160px', alt: meta.name || 'Product', className: 'cart-item-img' })}
         <div class="cart-item-info">
           <h4>${escapeHtml(meta.name || 'Item')}</h4>
-          <p class="cart-item-meta">Size: ${escapeHtml(it.size || '')}</p>
-          <p class="cart-item-price">${money(lineTotal)}</p>
+          <p class="cart-item-meta">${escapeHtml(it.variantLabel || it.size || '')}</p>
+          <p class="cart-item-price">${priceHtml(lineTotal, Number(meta.compareAt || 0) * Number(it.qty || 0), { format: displayMoney })}</p>
         </div>
         <div class="cart-item-qty">
           <input type="number" min="1" ${(() => {
@@ -1448,38 +2516,17 @@
       const qtyInput = row.querySelector('input[type="number"]');
       const removeBtn = row.querySelector('.remove-from-cart');
 
-      qtyInput.addEventListener('input', async () => {
-        const q = Math.max(1, Number(qtyInput.value || 1));
-        const applied = await Cart.setQty(it.productId, it.size || null, q);
-
-        if (applied === 0) {
-          toast('That size is now out of stock, so we removed it from your cart.', { important: true });
-        } else if (typeof applied === 'number' && applied < q) {
-          qtyInput.value = String(applied);
-          toast(`We updated your quantity to ${applied} because only ${applied} left in stock for that size.`, { important: true });
-        }
-
-        UI.updateCartBadges();
-        await renderCartIfOnCartPage();
-      });
-
       qtyInput.addEventListener('change', async () => {
         const q = Math.max(1, Number(qtyInput.value || 1));
-        const applied = await Cart.setQty(it.productId, it.size || null, q);
-
-        if (applied === 0) {
-          toast('That size is now out of stock, so we removed it from your cart.', { important: true });
-        } else if (typeof applied === 'number' && applied < q) {
-          qtyInput.value = String(applied);
-          toast(`We updated your quantity to ${applied} because only ${applied} left in stock for that size.`, { important: true });
-        }
+        const applied = await Cart.setQty(it.variantId, q);
+        reportApplied(applied, q, qtyInput);
 
         UI.updateCartBadges();
         await renderCartIfOnCartPage();
       });
 
       removeBtn.addEventListener('click', async () => {
-        await Cart.remove(it.productId, it.size || null);
+        await Cart.remove(it.variantId);
         UI.updateCartBadges();
         await renderCartIfOnCartPage();
       });
@@ -1490,8 +2537,8 @@
     const summary = document.createElement('div');
     summary.className = 'cart-summary';
     summary.innerHTML = `
-      <p><strong>Subtotal:</strong> ${money(subtotal)}</p>
-      <p><strong>Total:</strong> ${money(subtotal)}</p>
+      <p><strong>Subtotal:</strong> ${displayMoney(subtotal)}</p>
+      <p><strong>Total:</strong> ${displayMoney(subtotal)}</p>
       <a href="shop-page.html" class="btn continue-shopping-btn">Continue Shopping</a>
       <a href="checkout.html" class="btn checkout-btn proceed-checkout-btn">Proceed to Checkout</a>
     `;
@@ -1530,7 +2577,12 @@
       const password = (form.querySelector('input[type="password"]')?.value || '').trim();
 
       try {
-        await Auth.login({ email, password });
+        const result = await Auth.login({ email, password });
+        if (result?.twoFactorRequired) {
+          showTwoFactorStep(result.challenge);
+          return;
+        }
+
         UI.updateNavAuthState();
         UI.updateCartBadges();
 
@@ -1542,6 +2594,76 @@
     });
   }
 
+  // Swap the login form for the two-factor form (login page only).
+  function showTwoFactorStep(challenge) {
+    const form = document.getElementById('twoFactorForm');
+    if (!form) {
+      toast('Please sign in with your email and password to finish two-factor verification.', { important: true });
+      return;
+    }
+
+    const loginForm = document.querySelector('form:not(#twoFactorForm)');
+    const input = document.getElementById('twoFactorCode');
+    const hint = document.getElementById('twoFactorHint');
+    const toggle = document.getElementById('twoFactorUseRecovery');
+
+    form.dataset.challenge = String(challenge || '');
+    if (loginForm) loginForm.hidden = true;
+    form.hidden = false;
+    input?.focus();
+
+    if (form.dataset.bound) return;
+    form.dataset.bound = '1';
+
+    let useRecovery = false;
+
+    toggle?.addEventListener('click', () => {
+      useRecovery = !useRecovery;
+      if (input) {
+        input.value = '';
+        input.placeholder = useRecovery ? 'xxxxx-xxxxx' : '123456';
+        input.inputMode = useRecovery ? 'text' : 'numeric';
+        input.maxLength = useRecovery ? 11 : 6;
+        input.focus();
+      }
+      if (hint) {
+        hint.textContent = useRecovery
+          ? 'Enter one of the recovery codes you saved when you set up two-factor.'
+          : 'Enter the 6-digit code from your authenticator app.';
+      }
+      toggle.textContent = useRecovery ? 'Use authenticator code' : 'Use a recovery code';
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const value = String(input?.value || '').trim();
+      try {
+        const data = await Auth.completeTwoFactorLogin({
+          challenge: form.dataset.challenge,
+          code: useRecovery ? '' : value,
+          recoveryCode: useRecovery ? value : '',
+        });
+
+        if (data?.recoveryCodesRemaining !== undefined) {
+          toast(`Recovery code used. ${data.recoveryCodesRemaining} left.`, { important: true });
+        }
+
+        UI.updateNavAuthState();
+        UI.updateCartBadges();
+
+        const returnTo = getReturnTo();
+        location.href = returnTo || 'account.html';
+      } catch (err) {
+        toast(err?.message || 'Verification failed.', { important: true });
+        if (err?.code === 'TWO_FACTOR_CHALLENGE_INVALID') {
+          form.hidden = true;
+          if (loginForm) loginForm.hidden = false;
+        }
+      }
+    });
+  }
+
   function bindRegisterForm() {
     if (page() !== 'register.html' && page() !== 'register') return;
 
@@ -1566,7 +2688,7 @@
         await Auth.register({ fullname, email, password, confirmPassword });
         UI.updateNavAuthState();
         UI.updateCartBadges();
-        toast('Account created.');
+        toast('Account created. Check your email to verify your address.');
         location.href = 'account.html';
       } catch (err) {
         toast(err?.message || 'Registration failed.', { important: true });
@@ -1584,9 +2706,8 @@
     if (!form) return;
 
     const emailInput = document.getElementById('fpEmail');
-    const codeWrap = document.getElementById('fpCodeWrap');
-    const codeEl = document.getElementById('fpResetCode');
-    const copyBtn = document.getElementById('fpCopyCodeBtn');
+    const sentWrap = document.getElementById('fpSentNotice');
+    const submitBtn = form.querySelector('button[type="submit"]');
 
     if (form.dataset.bound) return;
     form.dataset.bound = '1';
@@ -1595,32 +2716,21 @@
       e.preventDefault();
 
       const email = String(emailInput?.value || '').trim();
+      if (submitBtn) submitBtn.disabled = true;
 
       try {
-        const { code } = Auth.requestPasswordReset(email);
+        const data = await Auth.requestPasswordReset(email);
 
-        if (codeEl) codeEl.textContent = String(code);
-        if (codeWrap) codeWrap.hidden = false;
+        form.hidden = true;
+        if (sentWrap) sentWrap.hidden = false;
 
-        toast('Reset code generated (demo).');
+        toast(data?.message || 'Check your email for a reset link.');
       } catch (err) {
-        toast(err?.message || 'Could not generate reset code.', { important: true });
+        toast(err?.message || 'Could not send reset link.', { important: true });
+      } finally {
+        if (submitBtn) submitBtn.disabled = false;
       }
     });
-
-    if (copyBtn && !copyBtn.dataset.bound) {
-      copyBtn.dataset.bound = '1';
-      copyBtn.addEventListener('click', async () => {
-        try {
-          const txt = String(codeEl?.textContent || '').trim();
-          if (!txt) throw new Error('No code to copy.');
-          await navigator.clipboard.writeText(txt);
-          toast('Code copied.');
-        } catch (err) {
-          toast('Could not copy code.', { important: true });
-        }
-      });
-    }
   }
 
   function bindResetPasswordForm() {
@@ -1629,29 +2739,36 @@
     const form = document.getElementById('resetPasswordForm');
     if (!form) return;
 
-    const emailInput = document.getElementById('rpEmail');
-    const codeInput = document.getElementById('rpCode');
     const newPwInput = document.getElementById('rpNewPassword');
     const confirmPwInput = document.getElementById('rpConfirmNewPassword');
+    const missingEl = document.getElementById('rpMissingToken');
 
     if (form.dataset.bound) return;
     form.dataset.bound = '1';
 
+    let token = '';
+    try { token = String(new URLSearchParams(location.search).get('token') || '').trim(); } catch { token = ''; }
+
+    if (!token) {
+      form.hidden = true;
+      if (missingEl) missingEl.hidden = false;
+      return;
+    }
+
+    // Keep the token out of the address bar / history once we've read it.
+    try { history.replaceState(null, '', location.pathname); } catch (_) {}
+
     form.addEventListener('submit', async (e) => {
       e.preventDefault();
 
       try {
-        const email = String(emailInput?.value || '').trim();
-        const code = String(codeInput?.value || '').trim();
         const newPassword = String(newPwInput?.value || '').trim();
         const confirm = String(confirmPwInput?.value || '').trim();
 
-        if (!email) throw new Error('Please enter your email.');
-        if (!code) throw new Error('Please enter your reset code.');
         if (!newPassword) throw new Error('Please enter a new password.');
         if (newPassword !== confirm) throw new Error('New passwords do not match.');
 
-        Auth.resetPassword({ email, code, newPassword });
+        await Auth.resetPassword({ token, newPassword });
 
         toast('Password reset successfully. Please log in.');
         location.href = 'login.html';
@@ -1661,6 +2778,50 @@
     });
   }
 
+  async function renderVerifyEmailIfOnVerifyPage() {
+    if (page() !== 'verify-email.html' && page() !== 'verify-email') return;
+
+    const titleEl = document.getElementById('veTitle');
+    const msgEl = document.getElementById('veMessage');
+    const accountLink = document.getElementById('veAccountLink');
+    const resendBtn = document.getElementById('veResendBtn');
+
+    const show = (title, message) => {
+      if (titleEl) titleEl.textContent = title;
+      if (msgEl) msgEl.textContent = message;
+    };
+
+    let token = '';
+    try { token = String(new URLSearchParams(location.search).get('token') || '').trim(); } catch { token = ''; }
+    try { history.replaceState(null, '', location.pathname); } catch (_) {}
+
+    try {
+      const data = await Auth.verifyEmail(token);
+      show(
+        data?.alreadyVerified ? 'Email already verified' : 'Email verified',
+        'Thanks! Your email address is confirmed.'
+      );
+      if (accountLink) accountLink.hidden = !Auth.currentUser();
+    } catch (err) {
+      show('Verification failed', err?.message || 'This verification link is invalid or has expired.');
+
+      if (resendBtn && Auth.currentUser()) {
+        resendBtn.hidden = false;
+        resendBtn.addEventListener('click', async () => {
+          resendBtn.disabled = true;
+          try {
+            await Auth.resendVerificationEmail();
+            toast('Verification email sent. Check your inbox.');
+          } catch (e) {
+            toast(e?.message || 'Could not send verification email.', { important: true });
+          } finally {
+            resendBtn.disabled = false;
+          }
+        });
+      }
+    }
+  }
+
   function bindEditProfileForm() {
     if (page() !== 'edit-profile.html' && page() !== 'edit-profile') return;
 
@@ -1684,6 +2845,8 @@
     if (emailInput) emailInput.value = user.email || '';
     if (nameInput) nameInput.value = user.name || '';
 
+    renderSignInMethods();
+
     if (cancelBtn && !cancelBtn.dataset.bound) {
       cancelBtn.dataset.bound = '1';
       cancelBtn.addEventListener('click', () => {
@@ -1704,7 +2867,8 @@
         const confirmNewPassword = String(confirmPwInput?.value || '').trim();
 
         if (!name) throw new Error('Please enter your display name.');
-        if (!currentPassword) throw new Error('Please enter your current password.');
+        const hasPassword = !document.getElementById('epCurrentPasswordField')?.hidden;
+        if (hasPassword && !currentPassword) throw new Error('Please enter your current password.');
 
         const wantsPwChange = (newPassword !== '' || confirmNewPassword !== '');
         if (wantsPwChange) {
@@ -1727,6 +2891,94 @@
     });
   }
 
+  // Linked sign-in methods on edit-profile. Google-only accounts have no password yet,
+  // so the current-password field is hidden and the form sets one instead.
+  async function renderSignInMethods() {
+    const listEl = document.getElementById('epSignInMethods');
+    if (!listEl) return;
+
+    const linkWrap = document.getElementById('epGoogleLinkWrap');
+    const currentPwField = document.getElementById('epCurrentPasswordField');
+    const intro = document.getElementById('epIntro');
+
+    let info;
+    try {
+      info = await Auth.listSignInMethods();
+    } catch (err) {
+      listEl.innerHTML = `<li class="muted">${escapeHtml(err?.message || 'Could not load sign-in methods.')}</li>`;
+      return;
+    }
+
+    if (currentPwField) currentPwField.hidden = !info.hasPassword;
+    if (intro && !info.hasPassword) {
+      intro.textContent = 'You sign in with Google. Set a password below to also sign in with your email.';
+    }
+
+    const google = (info.identities || []).find((i) => i.provider === 'google');
+    const canUnlink = info.hasPassword || (info.identities || []).length > 1;
+
+    listEl.innerHTML = `
+      <li class="method-item">
+        <div>
+          <strong>Password</strong>
+          <span class="muted">${info.hasPassword ? 'Set' : 'Not set'}</span>
+        </div>
+      </li>
+      <li class="method-item">
+        <div>
+          <strong>Google</strong>
+          <span class="muted">${google ? `Linked${google.email ? ` • ${escapeHtml(google.email)}` : ''}` : 'Not linked'}</span>
+        </div>
+        ${google ? `<button type="button" class="btn-secondary" data-unlink="google"${canUnlink ? '' : ' disabled title="Set a password first"'}>Unlink</button>` : ''}
+      </li>
+    `;
+
+    if (!listEl.dataset.bound) {
+      listEl.dataset.bound = '1';
+      listEl.addEventListener('click', async (e) => {
+        const btn = e.target.closest('[data-unlink]');
+        if (!btn || btn.disabled) return;
+        if (!window.confirm('Unlink Google from your account?')) return;
+
+        try {
+          await Auth.unlinkIdentity(btn.getAttribute('data-unlink'));
+          toast('Google unlinked.');
+          await renderSignInMethods();
+        } catch (err) {
+          toast(err?.message || 'Could not unlink.', { important: true });
+        }
+      });
+    }
+
+    if (!linkWrap) return;
+    linkWrap.hidden = !!google || !info.googleAvailable;
+    if (linkWrap.hidden || linkWrap.dataset.bound) return;
+
+    const gisInfo = await loadGoogleIdentity();
+    const host = document.getElementById('epGoogleLink');
+    if (!gisInfo || !host) {
+      linkWrap.hidden = true;
+      return;
+    }
+    linkWrap.dataset.bound = '1';
+
+    gisInfo.gis.initialize({
+      client_id: gisInfo.clientId,
+      auto_select: false,
+      callback: async (response) => {
+        try {
+          await Auth.linkGoogle(response?.credential);
+          toast('Google linked.');
+          await renderSignInMethods();
+        } catch (err) {
+          toast(err?.message || 'Could not link Google.', { important: true });
+        }
+      },
+    });
+    host.innerHTML = '';
+    gisInfo.gis.renderButton(host, { type: 'standard', size: 'large', width: 260, theme: 'outline', text: 'continue_with' });
+  }
+
   // -----------------------------
   // LOGOUT + ACCOUNT
   // -----------------------------
@@ -1744,7 +2996,7 @@
     });
   }
 
-  function renderAccountIfOnAccountPage() {
+  async function renderAccountIfOnAccountPage() {
     if (page() !== 'account.html' && page() !== 'account') return;
 
     const user = Auth.currentUser();
@@ -1755,6 +3007,129 @@
     if (nameEl) nameEl.textContent = user?.name || '';
     if (emailEl) emailEl.textContent = user?.email || '';
     if (sinceEl) sinceEl.textContent = formatMemberSince(user?.createdAt);
+
+    renderAccountVerification(user);
+    bindAccountDeletion(user);
+    await renderAccountSessions();
+  }
+
+  function bindAccountDeletion(user) {
+    const btn = $('#deleteAccountBtn');
+    if (!btn || btn.dataset.bound) return;
+    btn.dataset.bound = '1';
+
+    btn.addEventListener('click', async () => {
+      const typed = window.prompt(`This cannot be undone. Type your email (${user?.email || ''}) to delete your account.`);
+      if (typed === null) return;
+
+      btn.disabled = true;
+      try {
+        await Auth.deleteAccount(typed.trim());
+        UI.updateCartBadges();
+        toast('Your account has been deleted.', { important: true });
+        location.href = 'index.html';
+      } catch (err) {
+        toast(err?.message || 'Could not delete your account.', { important: true });
+        btn.disabled = false;
+      }
+    });
+  }
+
+  function renderAccountVerification(user) {
+    const statusEl = $('#accountVerified');
+    const resendBtn = $('#resendVerificationBtn');
+    if (!statusEl) return;
+
+    const verified = !!user?.emailVerifiedAt;
+    statusEl.textContent = verified ? 'Verified' : 'Not verified';
+    statusEl.classList.toggle('is-verified', verified);
+    if (resendBtn) resendBtn.hidden = verified;
+
+    if (resendBtn && !resendBtn.dataset.bound) {
+      resendBtn.dataset.bound = '1';
+      resendBtn.addEventListener('click', async () => {
+        resendBtn.disabled = true;
+        try {
+          const data = await Auth.resendVerificationEmail();
+          toast(data?.alreadyVerified ? 'Your email is already verified.' : 'Verification email sent. Check your inbox.');
+        } catch (err) {
+          toast(err?.message || 'Could not send verification email.', { important: true });
+        } finally {
+          resendBtn.disabled = false;
+        }
+      });
+    }
+  }
+
+  async function renderAccountSessions() {
+    const listEl = $('#accountSessions');
+    const everywhereBtn = $('#signOutEverywhereBtn');
+    if (!listEl) return;
+
+    const fmtSeen = (iso) => {
+      const d = iso ? new Date(iso) : null;
+      if (!d || !Number.isFinite(d.getTime())) return '—';
+      return d.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    };
+
+    try {
+      const sessions = await Auth.listSessions();
+
+      listEl.innerHTML = sessions.length
+        ? sessions.map((s) => `
+          <li class="session-item" data-session-id="${escapeHtml(s.id)}">
+            <div>
+              <strong>
+                ${escapeHtml(describeUserAgent(s.userAgent))}
+                ${s.current ? '<span class="session-current">This device</span>' : ''}
+              </strong>
+              <span class="muted">${escapeHtml(s.ip || 'Unknown IP')} • Last active ${escapeHtml(fmtSeen(s.lastSeenAt))}</span>
+            </div>
+            <button type="button" class="session-revoke">${s.current ? 'Sign out' : 'Revoke'}</button>
+          </li>
+        `).join('')
+        : '<li class="muted">No active sessions.</li>';
+    } catch (err) {
+      listEl.innerHTML = `<li class="muted">${escapeHtml(err?.message || 'Could not load sessions.')}</li>`;
+    }
+
+    if (!listEl.dataset.bound) {
+      listEl.dataset.bound = '1';
+      listEl.addEventListener('click', async (e) => {
+        const btn = e.target.closest('.session-revoke');
+        if (!btn) return;
+        const id = btn.closest('[data-session-id]')?.getAttribute('data-session-id');
+        if (!id) return;
+
+        try {
+          const result = await Auth.revokeSession(id);
+          if (result?.current) {
+            toast('Signed out.');
+            location.href = 'login.html';
+            return;
+          }
+          toast('Session signed out.');
+          await renderAccountSessions();
+        } catch (err) {
+          toast(err?.message || 'Could not sign out that session.', { important: true });
+        }
+      });
+    }
+
+    if (everywhereBtn && !everywhereBtn.dataset.bound) {
+      everywhereBtn.dataset.bound = '1';
+      everywhereBtn.addEventListener('click', async () => {
+        if (!window.confirm('Sign out of all devices, including this one?')) return;
+
+        try {
+          await Auth.signOutEverywhere();
+          toast('Signed out of all devices.');
+          location.href = 'login.html';
+        } catch (err) {
+          toast(err?.message || 'Could not sign out of all devices.', { important: true });
+        }
+      });
+    }
   }
 
   // -----------------------------
@@ -1876,11 +3251,23 @@
     function resolveProduct(it) {
       const pid = String(it.productId || '');
       const p = Products.findById(pid);
+      const linePrice = Number.isFinite(Number(it.priceJMD)) ? Number(it.priceJMD) : null;
       if (p) {
         return {
-          name: p.title || p.name || it.name || 'Item',
-          image: (p.media && p.media.coverUrl) ? p.media.coverUrl : (it.image || ''),
-          price: Number(p.priceJMD || it.price || 0)
+          name: p.title || p.name || it.title || it.name || 'Item',
+          image: (p.media && p.media.coverUrl) ? p.media.coverUrl : (it.media?.coverUrl || it.image || ''),
+          imageSet: (p.media && p.media.coverUrl) ? p.media.responsive : it.media?.responsive,
+          price: linePrice ?? Number(p.priceJMD || it.price || 0),
+          compareAt: linePrice === null ? p.compareAtPriceJMD : it.compareAtPriceJMD
+        };
+      }
+      if (it.product) {
+        return {
+          name: it.title || it.product.name || 'Item',
+          image: it.media?.coverUrl || '',
+          imageSet: it.media?.responsive,
+          price: linePrice ?? Number(it.product.priceJMD || 0),
+          compareAt: it.compareAtPriceJMD
         };
       }
       const c = cache[pid];
@@ -1921,18 +3308,26 @@
     if (listEl) {
       listEl.innerHTML = filled.map(it => `
         <div class="checkout-item">
-          <img src="${escapeHtml(it.image || '')}" alt="${escapeHtml(it.name || 'Product')}" />
+          ${pictureHtml(it.imageSet, { fallbackUrl: it.image, size: 'thumb', sizes: '160px', alt: it.name || 'Product' })}
           <div class="checkout-item-info">
             <div class="checkout-item-title">${escapeHtml(it.name || 'Item')}</div>
-            <div class="checkout-item-meta">Size: ${escapeHtml(it.size || '')} • Qty: ${Number(it.qty || 0)}</div>
+            <div class="checkout-item-meta">${escapeHtml(it.variantLabel || it.size || '')} • Qty: ${Number(it.qty || 0)}</div>
           </div>
-          <div class="checkout-item-price">${money(Number(it.price || 0) * Number(it.qty || 0))}</div>
+          <div class="checkout-item-price">${priceHtml(Number(it.price || 0) * Number(it.qty || 0), Number(it.compareAt || 0) * Number(it.qty || 0), { format: displayMoney })}</div>
         </div>
       `).join('');
     }
 
-    if (subtotalEl) subtotalEl.textContent = money(subtotal);
-    if (totalEl) totalEl.textContent = money(subtotal);
+    if (subtotalEl) subtotalEl.textContent = displayMoney(subtotal);
+    if (totalEl) totalEl.textContent = displayMoney(subtotal);
+
+    const currencyNote = $('#checkoutCurrencyNote');
+    if (currencyNote) {
+      currencyNote.hidden = !isForeignCurrency();
+      currencyNote.textContent = isForeignCurrency()
+        ? `${displayCurrency.code} prices are estimates at today's rate. You'll be charged ${money(subtotal)} in Jamaican dollars.`
+        : '';
+    }
 
     if (btn) {
       btn.onclick = async () => {
@@ -1945,56 +3340,47 @@
 
         const orderItemsResolved = filled.map(it => ({
           productId: String(it.productId),
-          size: String(it.size || ''),
+          variantId: String(it.variantId || ''),
+          size: String(it.variantLabel || it.size || ''),
           qty: Number(it.qty || 0),
           name: String(it.name || 'Item'),
           price: Number(it.price || 0),
           image: String(it.image || '')
         }));
 
-        try {
-          const payload = {
-            items: orderItemsResolved.map(it => ({
-              productId: it.productId,
-              size: it.size,
-              qty: it.qty
-            }))
-          };
-
-          const res = await fetch('/api/orders', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload),
-            credentials: 'include'
-          });
-
-          const data = await res.json().catch(() => null);
+        const payload = {
+          items: orderItemsResolved.map(it => ({
+            productId: it.productId,
+            variantId: it.variantId,
+            qty: it.qty
+          })),
+          // Recorded on the order with the rate shown; the charge is still in JMD
+          displayCurrency: displayCurrency.code
+        };
 
-          if (!res.ok) {
-            throw new Error(data?.error || 'Could not place order.');
-          }
+        // apiJson refreshes an expired CSRF token and retries once
+        const { ok, status, data } = await apiJson('/api/orders', { method: 'POST', body: payload });
 
+        if (ok) {
           const orderId = String(data?.orderId || data?.order?.id || '').trim();
-          if (!orderId) throw new Error('Order placed but missing order id from server.');
+          if (!orderId) {
+            toast('Order placed but missing order id from server.', { important: true });
+            return;
+          }
 
           await Cart.clear();
           UI.updateCartBadges();
           toast('Order placed.');
           location.href = `receipt.html?order=${encodeURIComponent(orderId)}`;
           return;
-        } catch (err) {
-          const msg = String(err?.message || '');
-          const canFallback =
-            msg.toLowerCase().includes('failed to fetch') ||
-            msg.toLowerCase().includes('networkerror') ||
-            msg.toLowerCase().includes('not found') ||
-            msg.toLowerCase().includes('unexpected token') ||
-            msg.toLowerCase().includes('load failed');
-
-          if (!canFallback) {
-            toast(msg || 'Could not place order.', { important: true });
-            return;
-          }
+        }
+
+        // Only fall back to a demo order when there is no order API to reach
+        // (offline, 404, or a static host answering with a non-JSON page).
+        const canFallback = status === 0 || status === 404 || (status >= 200 && status < 300);
+        if (!canFallback) {
+          toast(data?.error || 'Could not place order.', { important: true });
+          return;
         }
 
         const now = nowISO();
@@ -2066,6 +3452,13 @@
       setText('rcptItemCount', items.reduce((sum, it) => sum + Number(it?.qty || 0), 0));
       setText('rcptTotal', money(order.totalJMD || 0));
 
+      const displayTotalEl = document.getElementById('rcptDisplayTotal');
+      if (displayTotalEl && order.displayCurrency && Number(order.displayRate) > 0) {
+        const shown = twoDecimals(Number(order.totalJMD || 0) / Number(order.displayRate));
+        displayTotalEl.textContent = `About ${order.displayCurrency} ${shown} at the rate when you ordered (1 ${order.displayCurrency} = J$${order.displayRate}).`;
+        displayTotalEl.hidden = false;
+      }
+
       const tbody = document.getElementById('rcptItems');
       if (tbody) {
         if (!items.length) {
@@ -2117,44 +3510,134 @@
   }
 
   // -----------------------------
-  // ADMIN UTILITIES
+  // STAFF INVITATIONS + FIRST-RUN SETUP
   // -----------------------------
-  async function promoteToAdmin({ email, secret }) {
-    const em = String(email || '').trim().toLowerCase();
-    const sec = String(secret || '').trim();
-    if (!em) throw new Error('promoteToAdmin: email is required.');
-    if (!sec) throw new Error('promoteToAdmin: secret is required.');
-
-    const { ok, status, data } = await apiJson('/api/dev/make-admin', {
-      method: 'POST',
-      body: { email: em, secret: sec }
-    });
+  function readTokenFromUrl() {
+    let token = '';
+    try { token = String(new URLSearchParams(location.search).get('token') || '').trim(); } catch { token = ''; }
+    try { history.replaceState(null, '', location.pathname); } catch (_) {}
+    return token;
+  }
+
+  async function renderAcceptInviteIfOnInvitePage() {
+    if (page() !== 'accept-invite.html' && page() !== 'accept-invite') return;
 
-    if (!ok) {
-      throw new Error(data?.error || `Failed to promote (${status})`);
+    const titleEl = document.getElementById('aiTitle');
+    const msgEl = document.getElementById('aiMessage');
+    const form = document.getElementById('acceptInviteForm');
+    if (!form) return;
+
+    const show = (title, message) => {
+      if (titleEl) titleEl.textContent = title;
+      if (msgEl) msgEl.textContent = message;
+    };
+
+    const token = readTokenFromUrl();
+    if (!token) {
+      show('Invitation link incomplete', 'Please open the link from your invitation email again.');
+      return;
     }
 
-    await Auth.bootstrap();
-    UI.updateNavAuthState();
-    return data;
+    const { ok, data } = await apiJson(`/api/invites/${encodeURIComponent(token)}`);
+    if (!ok || !data?.ok) {
+      show('Invitation unavailable', data?.error || 'This invitation is invalid, has expired, or was already used.');
+      return;
+    }
+
+    const invite = data.invite || {};
+    show(
+      `You're invited as ${invite.role}`,
+      'Set a password to finish joining the Beyond Silhouette admin team.'
+    );
+    const emailInput = document.getElementById('aiEmail');
+    if (emailInput) emailInput.value = invite.email || '';
+    const existingHint = document.getElementById('aiExistingHint');
+    if (existingHint) existingHint.hidden = !invite.existingAccount;
+    form.hidden = false;
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const name = String(document.getElementById('aiName')?.value || '').trim();
+      const password = String(document.getElementById('aiPassword')?.value || '');
+      const confirmPassword = String(document.getElementById('aiConfirmPassword')?.value || '');
+
+      if (password !== confirmPassword) {
+        toast('Passwords do not match.', { important: true });
+        return;
+      }
+
+      const submitBtn = form.querySelector('button[type="submit"]');
+      if (submitBtn) submitBtn.disabled = true;
+
+      const res = await apiJson('/api/invites/accept', {
+        method: 'POST',
+        body: { token, name, password },
+      });
+
+      if (!res.ok || !res.data?.ok) {
+        toast(res.data?.error || 'The invitation could not be accepted.', { important: true });
+        if (submitBtn) submitBtn.disabled = false;
+        return;
+      }
+
+      await Auth.bootstrap();
+      location.href = '/admin/dashboard.html';
+    });
   }
 
-  function makeAdmin(email) {
-    const em = String(email || '').trim().toLowerCase();
-    if (!em) throw new Error('makeAdmin(email): email is required.');
+  async function renderSetupIfOnSetupPage() {
+    if (page() !== 'setup.html' && page() !== 'setup') return;
+
+    const titleEl = document.getElementById('suTitle');
+    const msgEl = document.getElementById('suMessage');
+    const form = document.getElementById('setupOwnerForm');
+    if (!form) return;
+
+    const show = (title, message) => {
+      if (titleEl) titleEl.textContent = title;
+      if (msgEl) msgEl.textContent = message;
+    };
+
+    const token = readTokenFromUrl();
+    const { ok, data } = await apiJson('/api/setup/status');
+    if (!ok || !data?.ok) {
+      show('Setup unavailable', data?.error || 'Please try again in a moment.');
+      return;
+    }
+    if (!data.needsSetup) {
+      show('Setup complete', 'This store already has an owner. Sign in to manage it.');
+      return;
+    }
+    if (!token) {
+      show('Setup link required', 'Open the setup link printed in the server log when it started.');
+      return;
+    }
+
+    form.hidden = false;
 
-    const users = readUsers();
-    const u = users[em];
-    if (!u) throw new Error('makeAdmin(email): no user found with that email.');
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
 
-    u.email = u.email || em;
-    u.createdAt = u.createdAt || nowISO();
-    u.role = 'admin';
+      const email = String(document.getElementById('suEmail')?.value || '').trim().toLowerCase();
+      const res = await apiJson('/api/setup/owner', { method: 'POST', body: { token, email } });
+
+      if (!res.ok || !res.data?.ok) {
+        toast(res.data?.error || 'Setup could not be completed.', { important: true });
+        return;
+      }
 
-    users[em] = u;
-    writeUsers(users);
+      form.hidden = true;
+      show('Invitation sent', `Check ${email} for a link to set the owner password.`);
 
-    return true;
+      // Outside production the server hands back the link directly.
+      const linkWrap = document.getElementById('suInviteLinkWrap');
+      const link = document.getElementById('suInviteLink');
+      if (res.data.inviteUrl && linkWrap && link) {
+        link.href = res.data.inviteUrl;
+        linkWrap.hidden = false;
+      }
+    });
   }
 
   // -----------------------------
@@ -2170,6 +3653,7 @@
     UI.updateCartBadges();
     UI.bindLoginDropdown();
     UI.bindNavActive();
+    await loadCurrencies();
 
     gateCheckoutAndOrders();
 
@@ -2177,7 +3661,9 @@
 
     await renderHomeIfOnHomePage();
     await renderShopFromStore();
+    await renderProductPageIfPresent();
     bindAddToCart();
+    bindSizeGuideButtons();
 
     await renderCartIfOnCartPage();
     await renderCheckoutIfOnCheckoutPage();
@@ -2190,6 +3676,9 @@
     bindLogoutLinks();
 
     renderAccountIfOnAccountPage();
+    renderVerifyEmailIfOnVerifyPage();
+    renderAcceptInviteIfOnInvitePage();
+    renderSetupIfOnSetupPage();
     renderOrdersIfOnOrdersPage();
     renderReceiptIfOnReceiptPage();
   }
@@ -35,20 +35,19 @@
       (Array.isArray(p?.images) && p.images[0]?.url) ? String(p.images[0].url) :
         (p?.media?.coverUrl ? String(p.media.coverUrl) : "");
 
-    // build stockBySize from inventory[] if present
+    // options/variants drive the pickers; stockBySize is keyed by variant label
+    const options = Array.isArray(p?.options) ? p.options : [];
+    const variants = Array.isArray(p?.variants) ? p.variants : [];
     const stockBySize = {};
-    if (Array.isArray(p?.inventory)) {
-      p.inventory.forEach(row => {
-        const size = String(row?.size || "").trim();
-        const stock = Number(row?.stock);
-        if (size) stockBySize[size] = Number.isFinite(stock) ? Math.max(0, Math.floor(stock)) : 0;
-      });
-    }
+    variants.forEach(v => {
+      const label = String(v?.label || "").trim();
+      const stock = Number(v?.stock);
+      if (label) stockBySize[label] = Number.isFinite(stock) ? Math.max(0, Math.floor(stock)) : 0;
+    });
 
-    // sizes: from stock map keys, else default
     const sizes = Object.keys(stockBySize).length
       ? Object.keys(stockBySize)
-      : (Array.isArray(p?.sizes) && p.sizes.length ? p.sizes.map(String) : ["S", "M", "L", "XL"]);
+      : (Array.isArray(p?.sizes) ? p.sizes.map(String) : []);
 
     const isPublished = !!p?.isPublished;
 
@@ -59,6 +58,8 @@
       priceJMD,
       description: p?.description || "",
       isPublished,
+      options,
+      variants,
       sizes,
       stockBySize,
       media: { coverUrl }
@@ -66,7 +67,7 @@
   }
 
   async function fetchProductsFromApi() {
-    const url = `/api/products`;
+    const url = `/api/products?limit=60`;
     const res = await fetch(url, { credentials: "include" });
     const data = await res.json().catch(() => null);
 
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "emailVerifiedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "admin_config" ADD COLUMN "requireVerifiedEmailForCheckout" BOOLEAN NOT NULL DEFAULT false;
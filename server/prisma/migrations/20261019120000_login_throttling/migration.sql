@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "login_throttles" (
+    "key" TEXT NOT NULL,
+    "failures" INTEGER NOT NULL DEFAULT 0,
+    "lockedUntil" TIMESTAMP(3),
+    "lastFailureAt" TIMESTAMP(3),
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "login_throttles_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateTable
+CREATE TABLE "failed_login_attempts" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT,
+    "email" TEXT NOT NULL,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "reason" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "failed_login_attempts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "failed_login_attempts_userId_createdAt_idx" ON "failed_login_attempts"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "failed_login_attempts_email_createdAt_idx" ON "failed_login_attempts"("email", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "failed_login_attempts" ADD CONSTRAINT "failed_login_attempts_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- Existing full admins become owners under the staff role model.
+UPDATE "users" SET "role" = 'owner' WHERE "role" = 'admin';
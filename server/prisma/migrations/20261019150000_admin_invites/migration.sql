@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "admin_invites" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "role" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "invitedById" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "acceptedAt" TIMESTAMP(3),
+    "acceptedUserId" TEXT,
+    "revokedAt" TIMESTAMP(3),
+    "revokedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "admin_invites_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "admin_invites_tokenHash_key" ON "admin_invites"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "admin_invites_email_idx" ON "admin_invites"("email");
+
+-- CreateIndex
+CREATE INDEX "admin_invites_createdAt_idx" ON "admin_invites"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "admin_invites" ADD CONSTRAINT "admin_invites_invitedById_fkey" FOREIGN KEY ("invitedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "admin_invites" ADD CONSTRAINT "admin_invites_revokedById_fkey" FOREIGN KEY ("revokedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
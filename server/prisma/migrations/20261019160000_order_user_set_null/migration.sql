@@ -0,0 +1,8 @@
+-- DropForeignKey
+ALTER TABLE "orders" DROP CONSTRAINT "orders_userId_fkey";
+
+-- AlterTable
+ALTER TABLE "orders" ALTER COLUMN "userId" DROP NOT NULL;
+
+-- AddForeignKey
+ALTER TABLE "orders" ADD CONSTRAINT "orders_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,136 @@
+-- CreateTable
+CREATE TABLE "product_options" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "values" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "position" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "product_options_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "product_variants" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "sku" TEXT,
+    "optionValues" JSONB NOT NULL DEFAULT '{}',
+    "label" TEXT NOT NULL,
+    "priceJMD" INTEGER,
+    "stock" INTEGER NOT NULL DEFAULT 0,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "product_variants_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_options_productId_name_key" ON "product_options"("productId", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_variants_sku_key" ON "product_variants"("sku");
+
+-- CreateIndex
+CREATE INDEX "product_variants_productId_idx" ON "product_variants"("productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_variants_productId_label_key" ON "product_variants"("productId", "label");
+
+-- AddForeignKey
+ALTER TABLE "product_options" ADD CONSTRAINT "product_options_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_variants" ADD CONSTRAINT "product_variants_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: each product's inventory sizes become a "Size" option with one variant per size.
+CREATE TEMP TABLE "_legacy_sizes" AS
+SELECT "productId", upper(trim("size")) AS "size", sum("stock")::int AS "stock",
+       array_position(ARRAY['XXS','XS','S','M','L','XL','XXL','XXXL'], upper(trim("size"))) AS "rank"
+FROM "inventory"
+WHERE trim("size") <> ''
+GROUP BY "productId", upper(trim("size"));
+
+INSERT INTO "product_options" ("id", "productId", "name", "values", "position")
+SELECT gen_random_uuid()::text, "productId", 'Size', array_agg("size" ORDER BY "rank" NULLS LAST, "size"), 0
+FROM "_legacy_sizes"
+GROUP BY "productId";
+
+INSERT INTO "product_variants" ("id", "productId", "optionValues", "label", "stock", "position", "updatedAt")
+SELECT gen_random_uuid()::text, "productId", jsonb_build_object('Size', "size"), "size", "stock",
+       (row_number() OVER (PARTITION BY "productId" ORDER BY "rank" NULLS LAST, "size") - 1)::int,
+       CURRENT_TIMESTAMP
+FROM "_legacy_sizes";
+
+-- Products that never had inventory rows get their single "One size" variant.
+INSERT INTO "product_variants" ("id", "productId", "optionValues", "label", "stock", "position", "updatedAt")
+SELECT gen_random_uuid()::text, p."id", '{}'::jsonb, 'One size', 0, 0, CURRENT_TIMESTAMP
+FROM "products" p
+WHERE NOT EXISTS (SELECT 1 FROM "_legacy_sizes" l WHERE l."productId" = p."id");
+
+DROP TABLE "_legacy_sizes";
+
+-- Cart lines and reservations now point at a variant instead of a free-text size.
+ALTER TABLE "cart_items" ADD COLUMN "variantId" TEXT;
+UPDATE "cart_items" c SET "variantId" = v."id"
+FROM "product_variants" v
+WHERE v."productId" = c."productId" AND v."label" = upper(trim(c."size"));
+DELETE FROM "cart_items" WHERE "variantId" IS NULL;
+
+ALTER TABLE "inventory_reservations" ADD COLUMN "variantId" TEXT;
+UPDATE "inventory_reservations" r SET "variantId" = v."id"
+FROM "product_variants" v
+WHERE v."productId" = r."productId" AND v."label" = upper(trim(r."size"));
+DELETE FROM "inventory_reservations" WHERE "variantId" IS NULL;
+
+-- DropIndex
+DROP INDEX "cart_items_userId_productId_size_key";
+
+-- DropIndex
+DROP INDEX "cart_items_productId_size_idx";
+
+-- DropIndex
+DROP INDEX "inventory_reservations_userId_productId_size_key";
+
+-- DropIndex
+DROP INDEX "inventory_reservations_productId_size_idx";
+
+-- AlterTable
+ALTER TABLE "cart_items" DROP COLUMN "size",
+ALTER COLUMN "variantId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "inventory_reservations" DROP COLUMN "size",
+ALTER COLUMN "variantId" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cart_items_userId_variantId_key" ON "cart_items"("userId", "variantId");
+
+-- CreateIndex
+CREATE INDEX "cart_items_variantId_idx" ON "cart_items"("variantId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "inventory_reservations_userId_variantId_key" ON "inventory_reservations"("userId", "variantId");
+
+-- CreateIndex
+CREATE INDEX "inventory_reservations_variantId_idx" ON "inventory_reservations"("variantId");
+
+-- AddForeignKey
+ALTER TABLE "cart_items" ADD CONSTRAINT "cart_items_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_reservations" ADD CONSTRAINT "inventory_reservations_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AlterTable: order lines keep their size label and gain a link to the variant + SKU snapshot.
+ALTER TABLE "order_items" ADD COLUMN "variantId" TEXT,
+ADD COLUMN "sku" TEXT;
+
+UPDATE "order_items" o SET "variantId" = v."id"
+FROM "product_variants" v
+WHERE v."productId" = o."productId" AND v."label" = upper(trim(o."size"));
+
+-- AddForeignKey
+ALTER TABLE "order_items" ADD CONSTRAINT "order_items_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "product_variants"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- DropTable
+DROP TABLE "inventory";
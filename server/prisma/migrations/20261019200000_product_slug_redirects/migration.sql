@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "product_slug_redirects" (
+    "slug" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "product_slug_redirects_pkey" PRIMARY KEY ("slug")
+);
+
+-- CreateIndex
+CREATE INDEX "product_slug_redirects_productId_idx" ON "product_slug_redirects"("productId");
+
+-- AddForeignKey
+ALTER TABLE "product_slug_redirects" ADD CONSTRAINT "product_slug_redirects_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill slugs for products created without one: the name lowercased with runs of
+-- other characters collapsed to "-". Duplicates after the first get a piece of the id.
+WITH "base" AS (
+    SELECT
+        "id",
+        "createdAt",
+        COALESCE(NULLIF(trim(BOTH '-' FROM lower(regexp_replace("name", '[^a-zA-Z0-9]+', '-', 'g'))), ''), 'product') AS "slug"
+    FROM "products"
+    WHERE "slug" IS NULL OR trim("slug") = ''
+),
+"ranked" AS (
+    SELECT
+        b."id",
+        b."slug",
+        row_number() OVER (PARTITION BY b."slug" ORDER BY b."createdAt", b."id") AS "n",
+        EXISTS (SELECT 1 FROM "products" p WHERE p."slug" = b."slug") AS "taken"
+    FROM "base" b
+)
+UPDATE "products" p
+SET "slug" = CASE
+    WHEN r."n" = 1 AND NOT r."taken" THEN r."slug"
+    ELSE r."slug" || '-' || right(p."id", 6)
+END
+FROM "ranked" r
+WHERE p."id" = r."id";
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "compareAtPriceJMD" INTEGER,
+ADD COLUMN "salePriceJMD" INTEGER,
+ADD COLUMN "saleStartsAt" TIMESTAMP(3),
+ADD COLUMN "saleEndsAt" TIMESTAMP(3);
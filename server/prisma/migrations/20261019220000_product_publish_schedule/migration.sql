@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "publishAt" TIMESTAMP(3),
+ADD COLUMN "unpublishAt" TIMESTAMP(3);
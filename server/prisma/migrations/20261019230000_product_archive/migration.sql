@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "archivedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "products_archivedAt_idx" ON "products"("archivedAt");
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "sizeChartId" TEXT,
+ADD COLUMN "fitNotes" TEXT,
+ADD COLUMN "modelMeasurements" TEXT;
+
+-- CreateTable
+CREATE TABLE "size_charts" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "unit" TEXT NOT NULL DEFAULT 'cm',
+    "columns" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "rows" JSONB NOT NULL DEFAULT '[]',
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "size_charts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "products_sizeChartId_idx" ON "products"("sizeChartId");
+
+-- AddForeignKey
+ALTER TABLE "products" ADD CONSTRAINT "products_sizeChartId_fkey" FOREIGN KEY ("sizeChartId") REFERENCES "size_charts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "seoTitle" TEXT,
+ADD COLUMN "seoDescription" TEXT;
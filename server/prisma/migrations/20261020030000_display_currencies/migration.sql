@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "admin_config" ADD COLUMN "exchangeRates" JSONB NOT NULL DEFAULT '{}';
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "displayCurrency" TEXT,
+ADD COLUMN "displayRate" DOUBLE PRECISION;
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "listPriceJMD" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "saleListPriceJMD" INTEGER;
+
+-- Backfill: the cheapest variant price (the product price when it has no variants or no override),
+-- and the sale price scaled by the same ratio the storefront applies to variant overrides.
+UPDATE "products" p
+SET "listPriceJMD" = COALESCE(
+    (SELECT MIN(COALESCE(v."priceJMD", p."priceJMD")) FROM "product_variants" v WHERE v."productId" = p."id"),
+    p."priceJMD"
+);
+
+UPDATE "products"
+SET "saleListPriceJMD" = CASE
+    WHEN "priceJMD" > 0 THEN ROUND("salePriceJMD"::numeric * "listPriceJMD" / "priceJMD")::INTEGER
+    ELSE "salePriceJMD"
+END
+WHERE "salePriceJMD" IS NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "products_listPriceJMD_id_idx" ON "products"("listPriceJMD", "id");
+
+-- CreateIndex
+CREATE INDEX "products_saleListPriceJMD_id_idx" ON "products"("saleListPriceJMD", "id");
+
+-- CreateIndex
+CREATE INDEX "products_createdAt_id_idx" ON "products"("createdAt", "id");
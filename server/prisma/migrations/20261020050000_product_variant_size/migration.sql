@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "product_variants" ADD COLUMN "size" TEXT;
+
+-- Backfill from the variant's option values
+UPDATE "product_variants"
+SET "size" = NULLIF("optionValues"->>'Size', '')
+WHERE jsonb_typeof("optionValues"->'Size') = 'string';
+
+-- CreateIndex
+CREATE INDEX "product_variants_size_idx" ON "product_variants"("size");
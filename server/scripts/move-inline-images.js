@@ -0,0 +1,115 @@
+import dotenv from "dotenv";
+
+import prisma from "../src/prisma.js";
+import { getStorage, getStorageDriverName } from "../src/storage.js";
+import { MAX_IMAGE_BYTES, decodeDataUrl, newImageKey, sniffImageType } from "../src/uploads.js";
+
+// Moves base64 data-URL images out of Postgres into the configured storage driver
+// (product images, homepage slideshow + promo banner, collection covers) and rewrites
+// the rows to point at the stored files. Safe to re-run: only data: URLs are touched.
+//
+//   npm run images:move-inline             # move everything
+//   npm run images:move-inline -- --dry-run  # report what would move
+
+dotenv.config();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const BATCH = 20;
+
+const stats = { moved: 0, skipped: 0, bytes: 0 };
+
+// Stored URL for one data URL, or null when it can't be decoded as a supported image.
+async function moveDataUrl(value, kind, label) {
+    const buffer = decodeDataUrl(value);
+    const type = buffer && buffer.length <= MAX_IMAGE_BYTES ? sniffImageType(buffer) : null;
+    if (!type) {
+        console.warn(`[images] skipped ${label}: not a PNG/JPG/WEBP image of at most 5MB`);
+        stats.skipped += 1;
+        return null;
+    }
+
+    stats.moved += 1;
+    stats.bytes += buffer.length;
+    if (DRY_RUN) return `(dry run) ${kind}/….${type.ext}`;
+    return getStorage().put(newImageKey(kind, type.ext), buffer, { contentType: type.contentType });
+}
+
+async function moveProductImages() {
+    let cursor = null;
+
+    while (true) {
+        const rows = await prisma.productImage.findMany({
+            where: { url: { startsWith: "data:" } },
+            orderBy: { id: "asc" },
+            take: BATCH,
+            ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+            select: { id: true, productId: true, url: true },
+        });
+        if (!rows.length) break;
+
+        for (const row of rows) {
+            const url = await moveDataUrl(row.url, "products", `product image ${row.id} (product ${row.productId})`);
+            if (url && !DRY_RUN) await prisma.productImage.update({ where: { id: row.id }, data: { url } });
+        }
+        cursor = rows[rows.length - 1].id;
+    }
+}
+
+async function moveHomeImages() {
+    const settings = await prisma.siteHomeSettings.findUnique({
+        where: { id: "singleton" },
+        select: { slideshowUrls: true, promoImageUrl: true },
+    });
+    if (!settings) return;
+
+    let changed = false;
+    const slideshowUrls = [];
+    for (const [i, value] of settings.slideshowUrls.entries()) {
+        const url = value.startsWith("data:") ? await moveDataUrl(value, "home", `slideshow image #${i + 1}`) : null;
+        slideshowUrls.push(url || value);
+        changed = changed || !!url;
+    }
+
+    let promoImageUrl = settings.promoImageUrl;
+    if (promoImageUrl?.startsWith("data:")) {
+        const url = await moveDataUrl(promoImageUrl, "home", "promo banner");
+        if (url) {
+            promoImageUrl = url;
+            changed = true;
+        }
+    }
+
+    if (changed && !DRY_RUN) {
+        await prisma.siteHomeSettings.update({ where: { id: "singleton" }, data: { slideshowUrls, promoImageUrl } });
+    }
+}
+
+async function moveCollectionCovers() {
+    const rows = await prisma.collection.findMany({
+        where: { coverImageUrl: { startsWith: "data:" } },
+        select: { id: true, slug: true, coverImageUrl: true },
+    });
+
+    for (const row of rows) {
+        const url = await moveDataUrl(row.coverImageUrl, "collections", `cover of collection "${row.slug}"`);
+        if (url && !DRY_RUN) await prisma.collection.update({ where: { id: row.id }, data: { coverImageUrl: url } });
+    }
+}
+
+async function main() {
+    console.info(`[images] moving inline images to "${getStorageDriverName()}" storage${DRY_RUN ? " (dry run)" : ""}`);
+
+    await moveProductImages();
+    await moveHomeImages();
+    await moveCollectionCovers();
+
+    const mb = (stats.bytes / (1024 * 1024)).toFixed(1);
+    console.info(`[images] ${DRY_RUN ? "would move" : "moved"} ${stats.moved} image(s), ${mb} MB; skipped ${stats.skipped}`);
+}
+
+main()
+    .catch((err) => {
+        console.error("[images] failed:", err);
+        process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
@@ -0,0 +1,60 @@
+import crypto from "crypto";
+
+// Synchronizer-style CSRF token for cookie-authenticated API calls.
+// A random nonce lives in an httpOnly cookie; the token handed to the page is an HMAC of
+// that nonce and the current session id, so a cookie planted from a sibling subdomain is
+// useless without a token minted for the victim's own session.
+
+const CSRF_COOKIE = "bs_csrf";
+export const CSRF_HEADER = "x-csrf-token";
+
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+function csrfSecret() {
+    return String(process.env.CSRF_SECRET || process.env.AUTH_COOKIE_SECRET || "change_me");
+}
+
+function cookieOptions() {
+    const isProd = String(process.env.NODE_ENV || "").toLowerCase() === "production";
+    return { httpOnly: true, signed: true, sameSite: "lax", secure: isProd, path: "/" };
+}
+
+function tokenFor(nonce, sessionId) {
+    return crypto
+        .createHmac("sha256", csrfSecret())
+        .update(`${nonce}:${sessionId || "anonymous"}`)
+        .digest("base64url");
+}
+
+/**
+ * Token for the current request's session, setting the nonce cookie if needed.
+ * The token changes whenever the session does (sign-in, sign-out).
+ */
+export function issueCsrfToken(req, res) {
+    let nonce = String(req.signedCookies?.[CSRF_COOKIE] || "");
+    if (!nonce) {
+        nonce = crypto.randomBytes(24).toString("base64url");
+        res.cookie(CSRF_COOKIE, nonce, cookieOptions());
+    }
+    return tokenFor(nonce, req.session?.sessionId);
+}
+
+/**
+ * Middleware: reject state-changing requests that don't echo a valid token in X-CSRF-Token.
+ */
+export function requireCsrfToken(req, res, next) {
+    if (SAFE_METHODS.has(req.method)) return next();
+
+    const nonce = String(req.signedCookies?.[CSRF_COOKIE] || "");
+    const sent = Buffer.from(String(req.get(CSRF_HEADER) || ""));
+    const expected = Buffer.from(nonce ? tokenFor(nonce, req.session?.sessionId) : "");
+
+    if (!nonce || sent.length !== expected.length || !crypto.timingSafeEqual(sent, expected)) {
+        return res.status(403).json({
+            ok: false,
+            code: "CSRF_TOKEN_INVALID",
+            error: "Your session security token is missing or out of date. Refresh the page and try again.",
+        });
+    }
+    return next();
+}
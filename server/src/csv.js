@@ -0,0 +1,88 @@
+// Minimal RFC 4180 CSV reader/writer for admin spreadsheets (product import/export).
+
+/**
+ * Parse CSV text into rows of string cells.
+ * Handles quoted cells with embedded commas, quotes ("") and line breaks, CRLF or LF line
+ * endings and a leading UTF-8 BOM. Throws an error with code "BAD_CSV" for an unclosed quote.
+ */
+export function parseCsv(text) {
+    const src = String(text || "").replace(/^\uFEFF/, "");
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+    let i = 0;
+
+    while (i < src.length) {
+        const ch = src[i];
+
+        if (quoted) {
+            if (ch === '"' && src[i + 1] === '"') {
+                cell += '"';
+                i += 2;
+            } else if (ch === '"') {
+                quoted = false;
+                i += 1;
+            } else {
+                cell += ch;
+                i += 1;
+            }
+            continue;
+        }
+
+        if (ch === '"' && cell === "") {
+            quoted = true;
+        } else if (ch === ",") {
+            row.push(cell);
+            cell = "";
+        } else if (ch === "\n" || ch === "\r") {
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+            if (ch === "\r" && src[i + 1] === "\n") i += 1;
+        } else {
+            cell += ch;
+        }
+        i += 1;
+    }
+
+    if (quoted) {
+        const err = new Error("A quoted value is never closed");
+        err.code = "BAD_CSV";
+        throw err;
+    }
+    if (cell !== "" || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+// Spreadsheet apps run cells starting with these as formulas; prefix them so exported text stays text.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Undo the formula guard csvCell() adds, so an exported file imports back unchanged:
+ * "'-soft cotton" becomes "-soft cotton". Other leading quotes are left alone.
+ */
+export function unguardCsvCell(text) {
+    const value = String(text ?? "");
+    return value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    let text = String(value);
+    if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows (arrays of cells) as CSV with CRLF line endings.
+ * Numbers and booleans are written as-is; strings are quoted when needed.
+ */
+export function toCsv(rows) {
+    return rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,152 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import sharp from "sharp";
+
+import { getStorage, isStorageKey } from "./storage.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Fixed-width derivatives of stored images, served from /img/<preset>/<key> (source format)
+// and /img/<preset>/<key>.webp. They are rendered on first request (or warmed after an
+// upload) and cached on disk under IMAGE_CACHE_DIR; images are never enlarged.
+export const IMAGE_PRESETS = Object.freeze({
+    thumb: 160,
+    card: 480,
+    detail: 1080,
+    hero: 1920,
+});
+
+const SOURCE_EXT_RE = /\.(png|jpe?g|webp)$/i;
+
+const inflight = new Map();
+
+function imageCacheDir() {
+    return path.resolve(String(process.env.IMAGE_CACHE_DIR || "").trim() || path.join(__dirname, "..", "tmp", "image-cache"));
+}
+
+function derivativeUrl(preset, key, webp) {
+    return `/img/${preset}/${key}${webp ? ".webp" : ""}`;
+}
+
+/**
+ * srcset-ready URLs for an image URL. Images that didn't come from the configured storage
+ * (external links, legacy data URLs) get the original URL for every size and empty srcsets.
+ */
+export function responsiveImage(url) {
+    const src = String(url || "");
+    const key = src && !src.startsWith("data:") ? getStorage().keyFor(src) : null;
+    const presets = Object.entries(IMAGE_PRESETS);
+
+    if (!key || !SOURCE_EXT_RE.test(key)) {
+        return { src, ...Object.fromEntries(presets.map(([name]) => [name, src])), srcset: "", webpSrcset: "" };
+    }
+
+    return {
+        src,
+        ...Object.fromEntries(presets.map(([name]) => [name, derivativeUrl(name, key, false)])),
+        srcset: presets.map(([name, width]) => `${derivativeUrl(name, key, false)} ${width}w`).join(", "),
+        webpSrcset: presets.map(([name, width]) => `${derivativeUrl(name, key, true)} ${width}w`).join(", "),
+    };
+}
+
+/**
+ * Parse the part of a derivative URL after /img/<preset>/ into { key, webp }, or null.
+ */
+export function parseDerivativePath(rest) {
+    const value = String(rest || "");
+    const webp = value.endsWith(".webp") && SOURCE_EXT_RE.test(value.slice(0, -5));
+    const key = webp ? value.slice(0, -5) : value;
+    if (!isStorageKey(key) || !SOURCE_EXT_RE.test(key)) return null;
+    return { key, webp };
+}
+
+function contentTypeFor(key, webp) {
+    if (webp || /\.webp$/i.test(key)) return "image/webp";
+    return /\.png$/i.test(key) ? "image/png" : "image/jpeg";
+}
+
+async function render(source, width, contentType) {
+    const pipeline = sharp(source, { failOn: "none" })
+        .rotate()
+        .resize({ width, withoutEnlargement: true });
+
+    if (contentType === "image/webp") return pipeline.webp({ quality: 80 }).toBuffer();
+    if (contentType === "image/png") return pipeline.png({ compressionLevel: 9 }).toBuffer();
+    return pipeline.jpeg({ quality: 82, mozjpeg: true }).toBuffer();
+}
+
+/**
+ * Derivative bytes for a stored image, from the disk cache or freshly rendered.
+ * Resolves to { body, contentType }, or null when the source image doesn't exist.
+ */
+export async function getDerivative(preset, key, { webp = false } = {}) {
+    const width = IMAGE_PRESETS[preset];
+    if (!width || !isStorageKey(key)) return null;
+
+    const contentType = contentTypeFor(key, webp);
+    const file = path.join(imageCacheDir(), preset, ...`${key}${webp ? ".webp" : ""}`.split("/"));
+
+    try {
+        return { body: await fs.promises.readFile(file), contentType };
+    } catch (err) {
+        if (err?.code !== "ENOENT") throw err;
+    }
+
+    // Concurrent requests for the same derivative share one render
+    if (!inflight.has(file)) {
+        const job = (async () => {
+            const source = await getStorage().get(key);
+            if (!source) return null;
+
+            const body = await render(source, width, contentType);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            const tmp = `${file}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmp, body);
+            await fs.promises.rename(tmp, file);
+            return { body, contentType };
+        })().finally(() => inflight.delete(file));
+        inflight.set(file, job);
+    }
+    return inflight.get(file);
+}
+
+// Warm-up renders run one at a time, so a multi-file upload doesn't start dozens of sharp
+// jobs at once and crowd out request handling.
+let warmQueue = Promise.resolve();
+
+async function renderAll(key) {
+    for (const preset of Object.keys(IMAGE_PRESETS)) {
+        for (const webp of [false, true]) {
+            try {
+                await getDerivative(preset, key, { webp });
+            } catch (err) {
+                console.warn(`[images] could not render ${preset}${webp ? " webp" : ""} for ${key}: ${err?.message || err}`);
+                return;
+            }
+        }
+    }
+}
+
+/**
+ * Queue every derivative of a freshly uploaded image for rendering so the first visitor doesn't wait.
+ * Images are warmed one after another; the returned promise settles when this one is done.
+ * Failures are logged and otherwise ignored; the lazy path renders them again on demand.
+ */
+export function warmDerivatives(key) {
+    warmQueue = warmQueue.then(() => renderAll(key));
+    return warmQueue;
+}
+
+/**
+ * Remove every cached derivative of a stored image, e.g. after the image itself is deleted.
+ */
+export async function deleteDerivatives(key) {
+    if (!isStorageKey(key)) return;
+    for (const preset of Object.keys(IMAGE_PRESETS)) {
+        for (const webp of [false, true]) {
+            const file = path.join(imageCacheDir(), preset, ...`${key}${webp ? ".webp" : ""}`.split("/"));
+            await fs.promises.rm(file, { force: true });
+        }
+    }
+}
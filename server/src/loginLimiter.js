@@ -0,0 +1,222 @@
+import prisma from "./prisma.js";
+
+const DEFAULTS = {
+    accountFreeAttempts: 5,
+    ipFreeAttempts: 20,
+    baseLockSeconds: 30,
+    maxLockMinutes: 60,
+    // Failures older than this no longer count toward backoff.
+    windowHours: 24,
+};
+
+function numberEnv(name, fallback, min = 0) {
+    const n = Number(process.env[name]);
+    return Number.isFinite(n) && n >= min ? n : fallback;
+}
+
+function getPolicy() {
+    return {
+        accountFreeAttempts: numberEnv("LOGIN_MAX_ATTEMPTS_PER_ACCOUNT", DEFAULTS.accountFreeAttempts, 1),
+        ipFreeAttempts: numberEnv("LOGIN_MAX_ATTEMPTS_PER_IP", DEFAULTS.ipFreeAttempts, 1),
+        baseLockMs: numberEnv("LOGIN_LOCKOUT_BASE_SECONDS", DEFAULTS.baseLockSeconds, 1) * 1000,
+        maxLockMs: numberEnv("LOGIN_LOCKOUT_MAX_MINUTES", DEFAULTS.maxLockMinutes, 1) * 60 * 1000,
+        windowMs: DEFAULTS.windowHours * 60 * 60 * 1000,
+    };
+}
+
+// Throttle stores keep { failures, lockedUntil, lastFailureAt } per key.
+// - postgres: login_throttles table (default; survives restarts, shared across instances)
+// - memory:   in-process Map (single instance / local dev only)
+//
+// increment(key, { now, windowMs }) must be atomic: parallel failures for one key each
+// count, and a counter whose last failure is older than windowMs starts again from 1.
+// lock(key, until) only ever moves lockedUntil later.
+const memoryRows = new Map();
+
+const STORE_METHODS = ["get", "increment", "lock", "delete"];
+
+const stores = new Map([
+    ["postgres", {
+        async get(key) {
+            return prisma.loginThrottle.findUnique({ where: { key } });
+        },
+        async increment(key, { now, windowMs }) {
+            const at = new Date(now);
+            // Conditional, so it can't wipe a failure another request has just counted
+            await prisma.loginThrottle.updateMany({
+                where: { key, lastFailureAt: { lt: new Date(now - windowMs) } },
+                data: { failures: 0, lockedUntil: null },
+            });
+            return prisma.loginThrottle.upsert({
+                where: { key },
+                create: { key, failures: 1, lastFailureAt: at },
+                update: { failures: { increment: 1 }, lastFailureAt: at },
+            });
+        },
+        async lock(key, until) {
+            await prisma.loginThrottle.updateMany({
+                where: { key, OR: [{ lockedUntil: null }, { lockedUntil: { lt: until } }] },
+                data: { lockedUntil: until },
+            });
+        },
+        async delete(key) {
+            await prisma.loginThrottle.deleteMany({ where: { key } });
+        },
+    }],
+    ["memory", {
+        async get(key) {
+            return memoryRows.get(key) || null;
+        },
+        async increment(key, { now, windowMs }) {
+            const row = memoryRows.get(key);
+            const fresh = row && now - new Date(row.lastFailureAt).getTime() < windowMs;
+            const next = {
+                key,
+                failures: fresh ? row.failures + 1 : 1,
+                lastFailureAt: new Date(now),
+                lockedUntil: fresh ? row.lockedUntil : null,
+            };
+            memoryRows.set(key, next);
+            return next;
+        },
+        async lock(key, until) {
+            const row = memoryRows.get(key);
+            if (row && (!row.lockedUntil || row.lockedUntil < until)) row.lockedUntil = until;
+        },
+        async delete(key) {
+            memoryRows.delete(key);
+        },
+    }],
+]);
+
+/**
+ * Register (or replace) a named throttle store with get/increment/lock/delete methods
+ * (see the contract above). Select it with LOGIN_LIMITER_STORE=<name>.
+ */
+export function registerLoginLimiterStore(name, store) {
+    const key = String(name || "").trim().toLowerCase();
+    if (!key) throw new Error("Store name is required.");
+    if (!store || STORE_METHODS.some((m) => typeof store[m] !== "function")) {
+        throw new Error(`Store must implement ${STORE_METHODS.join(", ")}.`);
+    }
+    stores.set(key, store);
+}
+
+function getStore() {
+    const name = String(process.env.LOGIN_LIMITER_STORE || "").trim().toLowerCase() || "postgres";
+    const store = stores.get(name);
+    if (!store) throw new Error(`Unknown login limiter store "${name}".`);
+    return store;
+}
+
+function accountKey(email) {
+    return `account:${String(email || "").trim().toLowerCase()}`;
+}
+
+function ipKey(ip) {
+    return `ip:${String(ip || "").trim() || "unknown"}`;
+}
+
+function retryAfterSeconds(row, now) {
+    const until = row?.lockedUntil ? new Date(row.lockedUntil).getTime() : 0;
+    return until > now ? Math.ceil((until - now) / 1000) : 0;
+}
+
+/**
+ * Exponential backoff: no lock for the first `freeAttempts` failures,
+ * then base, 2x base, 4x base, ... capped at the max lockout.
+ */
+function lockDurationMs(failures, freeAttempts, policy) {
+    if (failures < freeAttempts) return 0;
+    const exp = Math.min(failures - freeAttempts, 30);
+    return Math.min(policy.baseLockMs * 2 ** exp, policy.maxLockMs);
+}
+
+// The lock is worked out from the count the atomic increment returned, not from an earlier read.
+async function bumpFailures(store, key, freeAttempts, policy, now) {
+    const row = await store.increment(key, { now, windowMs: policy.windowMs });
+
+    const lockMs = lockDurationMs(row.failures, freeAttempts, policy);
+    if (!lockMs) return row;
+
+    const lockedUntil = new Date(now + lockMs);
+    await store.lock(key, lockedUntil);
+    const current = row.lockedUntil ? new Date(row.lockedUntil) : null;
+    return { ...row, lockedUntil: current && current > lockedUntil ? current : lockedUntil };
+}
+
+/**
+ * Check whether a login for this email/IP may proceed right now.
+ * Returns { allowed, retryAfterSeconds, scope } where scope is "account" or "ip" when blocked.
+ */
+export async function checkLoginAllowed({ email, ip }) {
+    const store = getStore();
+    const now = Date.now();
+
+    const [account, client] = await Promise.all([store.get(accountKey(email)), store.get(ipKey(ip))]);
+    const accountWait = retryAfterSeconds(account, now);
+    const ipWait = retryAfterSeconds(client, now);
+
+    if (!accountWait && !ipWait) return { allowed: true, retryAfterSeconds: 0, scope: null };
+    return {
+        allowed: false,
+        retryAfterSeconds: Math.max(accountWait, ipWait),
+        scope: accountWait >= ipWait ? "account" : "ip",
+    };
+}
+
+/**
+ * Record a failed login: bumps the account + IP counters and appends to the audit log.
+ * Returns the seconds until the next attempt is allowed (0 if not locked).
+ */
+export async function recordLoginFailure({ email, ip, userAgent, userId = null, reason = "invalid_credentials" }) {
+    const store = getStore();
+    const policy = getPolicy();
+    const now = Date.now();
+
+    let wait = 0;
+    if (reason !== "locked") {
+        const [account, client] = await Promise.all([
+            bumpFailures(store, accountKey(email), policy.accountFreeAttempts, policy, now),
+            bumpFailures(store, ipKey(ip), policy.ipFreeAttempts, policy, now),
+        ]);
+        wait = Math.max(retryAfterSeconds(account, now), retryAfterSeconds(client, now));
+    }
+
+    await prisma.failedLoginAttempt.create({
+        data: {
+            userId,
+            email: String(email || "").trim().toLowerCase(),
+            ip: String(ip || "").trim() || null,
+            userAgent: String(userAgent || "").slice(0, 512) || null,
+            reason,
+        },
+    });
+
+    return wait;
+}
+
+/**
+ * A successful login clears the account counter. The IP counter is left to decay
+ * so one valid account can't be used to reset an IP that is guessing others.
+ */
+export async function recordLoginSuccess({ email }) {
+    await getStore().delete(accountKey(email));
+}
+
+/**
+ * Current throttle state for an account (admin view).
+ */
+export async function getAccountThrottle(email) {
+    const row = await getStore().get(accountKey(email));
+    const now = Date.now();
+    return {
+        failures: row?.failures || 0,
+        lastFailureAt: row?.lastFailureAt || null,
+        lockedUntil: retryAfterSeconds(row, now) ? row.lockedUntil : null,
+    };
+}
+
+export async function clearAccountThrottle(email) {
+    await getStore().delete(accountKey(email));
+}
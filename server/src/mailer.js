@@ -0,0 +1,74 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FROM = "Beyond Silhouette <no-reply@beyondsilhouette.com>";
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, "..", "tmp", "mail");
+
+function isProduction() {
+    return String(process.env.NODE_ENV || "").toLowerCase() === "production";
+}
+
+// Built-in transports. Each receives a normalized message and resolves when delivered.
+// - console: prints the message (dev default)
+// - file:    writes one JSON file per message into MAIL_OUTBOX_DIR
+// - none:    drops the message (production default until a real transport is registered)
+const transports = new Map([
+    ["console", async (message) => {
+        console.info(`[mail] to=${message.to} subject=${JSON.stringify(message.subject)}\n${message.text}`);
+    }],
+    ["file", async (message) => {
+        const dir = String(process.env.MAIL_OUTBOX_DIR || "").trim() || DEFAULT_OUTBOX_DIR;
+        await fs.promises.mkdir(dir, { recursive: true });
+        const filename = `${message.date.replace(/[:.]/g, "-")}-${message.id}.json`;
+        await fs.promises.writeFile(path.join(dir, filename), JSON.stringify(message, null, 2));
+    }],
+    ["none", async (message) => {
+        console.warn(`[mail] no transport configured; dropped message to ${message.to}`);
+    }],
+]);
+
+/**
+ * Register (or replace) a named transport, e.g. an SMTP or provider API client.
+ * Select it with MAIL_TRANSPORT=<name>.
+ */
+export function registerMailTransport(name, send) {
+    const key = String(name || "").trim().toLowerCase();
+    if (!key) throw new Error("Transport name is required.");
+    if (typeof send !== "function") throw new Error("Transport must be a function.");
+    transports.set(key, send);
+}
+
+export function getMailTransportName() {
+    const configured = String(process.env.MAIL_TRANSPORT || "").trim().toLowerCase();
+    if (configured) return configured;
+    return isProduction() ? "none" : "console";
+}
+
+/**
+ * Send a plain-text (optionally HTML) email through the configured transport.
+ */
+export async function sendMail({ to, subject, text, html } = {}) {
+    const recipient = String(to || "").trim();
+    if (!recipient) throw new Error("Recipient is required.");
+
+    const name = getMailTransportName();
+    const send = transports.get(name);
+    if (!send) throw new Error(`Unknown mail transport "${name}".`);
+
+    const message = {
+        id: crypto.randomUUID(),
+        date: new Date().toISOString(),
+        from: String(process.env.MAIL_FROM || "").trim() || DEFAULT_FROM,
+        to: recipient,
+        subject: String(subject || "").trim(),
+        text: String(text || ""),
+        html: html ? String(html) : null,
+    };
+
+    await send(message);
+    return { id: message.id, transport: name };
+}
@@ -1,41 +1,148 @@
 import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
 
 const SALT_BYTES = 16;
 const KEY_LEN = 64;
 
+// Hashes written before cost parameters were stored used Node's scrypt defaults.
+const LEGACY_COST = Object.freeze({ N: 16384, r: 8, p: 1 });
+
+const MIN_LENGTH = Math.max(8, Number(process.env.PASSWORD_MIN_LENGTH || 8));
+const MAX_LENGTH = 128;
+
+// A short deny-list of passwords that show up first in every credential-stuffing list.
+const COMMON_PASSWORDS = new Set([
+    "password",
+    "password1",
+    "password123",
+    "12345678",
+    "123456789",
+    "1234567890",
+    "qwerty123",
+    "qwertyuiop",
+    "iloveyou",
+    "letmein123",
+    "11111111",
+    "00000000",
+    "abcd1234",
+    "welcome1",
+]);
+
+function readCost(name, fallback) {
+    const n = Number(process.env[name]);
+    return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * Target scrypt cost for new hashes (PASSWORD_SCRYPT_N / _R / _P).
+ * N must be a power of two.
+ */
+export function targetCost() {
+    const N = readCost("PASSWORD_SCRYPT_N", 32768);
+    return {
+        N: N & (N - 1) ? 32768 : N,
+        r: readCost("PASSWORD_SCRYPT_R", 8),
+        p: readCost("PASSWORD_SCRYPT_P", 1),
+    };
+}
+
+// Async so a login's key derivation runs on the libuv pool instead of blocking every other request.
+function derive(password, salt, keyLen, { N, r, p }) {
+    // scrypt needs ~128 * N * r bytes; raise Node's 32 MiB default to fit the chosen cost.
+    return scrypt(password, salt, keyLen, { N, r, p, maxmem: 256 * N * r + 1024 * 1024 });
+}
+
+function parseHash(stored) {
+    const parts = String(stored || "").split("$");
+
+    // Legacy: "scrypt$<salt>$<hash>"
+    if (parts.length === 3 && parts[0] === "scrypt") {
+        return { version: 1, cost: LEGACY_COST, saltB64: parts[1], hashB64: parts[2] };
+    }
+
+    // Current: "scrypt$v2$N=<n>,r=<r>,p=<p>$<salt>$<hash>"
+    if (parts.length === 5 && parts[0] === "scrypt" && parts[1] === "v2") {
+        const params = Object.fromEntries(parts[2].split(",").map((kv) => kv.split("=")));
+        const cost = { N: Number(params.N), r: Number(params.r), p: Number(params.p) };
+        if (![cost.N, cost.r, cost.p].every((n) => Number.isInteger(n) && n > 0)) return null;
+        return { version: 2, cost, saltB64: parts[3], hashB64: parts[4] };
+    }
+
+    return null;
+}
+
 /**
- * Hash a password using scrypt with a random salt.
- * Stored format: "scrypt$<saltBase64>$<hashBase64>"
+ * Hash a password using scrypt with a random salt at the target cost.
+ * Stored format: "scrypt$v2$N=<n>,r=<r>,p=<p>$<saltBase64>$<hashBase64>"
  */
-export function hashPassword(password) {
+export async function hashPassword(password) {
     const pw = String(password || "");
     if (!pw) throw new Error("Password is required.");
 
+    const cost = targetCost();
     const salt = crypto.randomBytes(SALT_BYTES);
-    const derivedKey = crypto.scryptSync(pw, salt, KEY_LEN);
+    const derivedKey = await derive(pw, salt, KEY_LEN, cost);
 
-    return `scrypt$${salt.toString("base64")}$${derivedKey.toString("base64")}`;
+    return `scrypt$v2$N=${cost.N},r=${cost.r},p=${cost.p}$${salt.toString("base64")}$${derivedKey.toString("base64")}`;
 }
 
 /**
- * Verify password against stored hash.
+ * Verify password against stored hash (current or legacy format).
  */
-export function verifyPassword(password, stored) {
+export async function verifyPassword(password, stored) {
     const pw = String(password || "");
-    const s = String(stored || "");
+    if (!pw) return false;
 
-    if (!pw || !s) return false;
+    const parsed = parseHash(stored);
+    if (!parsed) return false;
 
-    const parts = s.split("$");
-    if (parts.length !== 3) return false;
-    const [algo, saltB64, hashB64] = parts;
-    if (algo !== "scrypt") return false;
+    const salt = Buffer.from(parsed.saltB64, "base64");
+    const expected = Buffer.from(parsed.hashB64, "base64");
+    if (!expected.length) return false;
 
-    const salt = Buffer.from(saltB64, "base64");
-    const expected = Buffer.from(hashB64, "base64");
-    const actual = crypto.scryptSync(pw, salt, expected.length);
+    let actual;
+    try {
+        actual = await derive(pw, salt, expected.length, parsed.cost);
+    } catch {
+        return false;
+    }
 
     // timing-safe compare
     if (actual.length !== expected.length) return false;
     return crypto.timingSafeEqual(actual, expected);
 }
+
+/**
+ * True when a stored hash is in the legacy format or weaker than the target cost,
+ * so it should be replaced after the next successful verification.
+ */
+export function needsRehash(stored) {
+    const parsed = parseHash(stored);
+    if (!parsed) return false;
+    if (parsed.version < 2) return true;
+
+    const target = targetCost();
+    return parsed.cost.N < target.N || parsed.cost.r < target.r || parsed.cost.p < target.p;
+}
+
+/**
+ * Minimum password policy shared by every place a password is chosen.
+ * Returns an error message, or null when the password is acceptable.
+ */
+export function checkPasswordPolicy(password, { email = "" } = {}) {
+    const pw = String(password || "");
+
+    if (pw.length < MIN_LENGTH) return `Password must be at least ${MIN_LENGTH} characters`;
+    if (pw.length > MAX_LENGTH) return `Password must be at most ${MAX_LENGTH} characters`;
+    if (/^(.)\1*$/.test(pw)) return "Password can't be a single repeated character";
+    if (COMMON_PASSWORDS.has(pw.toLowerCase())) return "That password is too common. Choose something less guessable";
+
+    const em = String(email || "").trim().toLowerCase();
+    if (em && (pw.toLowerCase() === em || pw.toLowerCase() === em.split("@")[0])) {
+        return "Password can't be your email address";
+    }
+
+    return null;
+}
@@ -0,0 +1,37 @@
+// Staff roles and the permissions each one grants.
+// Anything not listed here (e.g. "customer") has no admin panel access.
+export const PERMISSIONS = Object.freeze([
+    "dashboard.view",
+    "orders.view",
+    "orders.update",
+    "customers.view",
+    "customers.manage",
+    "products.view",
+    "products.manage",
+    "inventory.manage",
+    "content.manage",
+    "settings.manage",
+    "staff.manage",
+]);
+
+const ROLE_PERMISSIONS = {
+    owner: PERMISSIONS,
+    fulfilment: ["dashboard.view", "orders.view", "orders.update", "customers.view"],
+    content: ["dashboard.view", "products.view", "content.manage"],
+    inventory: ["dashboard.view", "products.view", "products.manage", "inventory.manage"],
+};
+
+export const STAFF_ROLES = Object.freeze(Object.keys(ROLE_PERMISSIONS));
+export const ASSIGNABLE_ROLES = Object.freeze(["customer", ...STAFF_ROLES]);
+
+export function isStaffRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, String(role || ""));
+}
+
+export function permissionsForRole(role) {
+    return isStaffRole(role) ? [...ROLE_PERMISSIONS[role]] : [];
+}
+
+export function hasPermission(role, permission) {
+    return permissionsForRole(role).includes(permission);
+}
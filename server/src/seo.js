@@ -0,0 +1,147 @@
+// Server-rendered SEO for storefront pages: <head> tags, schema.org JSON-LD, sitemap.xml and robots.txt.
+// The pages themselves stay static HTML; these helpers only rewrite their <head>.
+
+export const SITE_NAME = "Beyond Silhouette";
+
+const META_DESCRIPTION_LENGTH = 160;
+
+function escapeHtml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+function escapeXml(value) {
+    return escapeHtml(value).replace(/'/g, "&apos;");
+}
+
+// JSON inside <script> must not be able to close the tag.
+function jsonForScript(data) {
+    return JSON.stringify(data).replace(/</g, "\\u003c").replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029");
+}
+
+/**
+ * Collapse whitespace and cut text to a search-result sized description, on a word boundary.
+ */
+export function metaDescription(text, max = META_DESCRIPTION_LENGTH) {
+    const clean = String(text || "").replace(/\s+/g, " ").trim();
+    if (clean.length <= max) return clean;
+    const cut = clean.slice(0, max - 1);
+    const space = cut.lastIndexOf(" ");
+    return `${(space > max / 2 ? cut.slice(0, space) : cut).replace(/[\s,;:.-]+$/, "")}…`;
+}
+
+/**
+ * Replace the page's <title> and add description, canonical, Open Graph / Twitter and JSON-LD tags.
+ * meta: { title, description, url, image, type ("website" | "product"), noindex, jsonLd: [object] }.
+ * `url` and `image` must be absolute.
+ */
+export function injectSeoHead(html, meta = {}) {
+    const title = String(meta.title || SITE_NAME);
+    const description = metaDescription(meta.description);
+    const tags = [];
+
+    if (description) tags.push(`<meta name="description" content="${escapeHtml(description)}" />`);
+    if (meta.noindex) tags.push('<meta name="robots" content="noindex" />');
+    if (meta.url) tags.push(`<link rel="canonical" href="${escapeHtml(meta.url)}" />`);
+
+    tags.push(`<meta property="og:site_name" content="${escapeHtml(SITE_NAME)}" />`);
+    tags.push(`<meta property="og:type" content="${escapeHtml(meta.type || "website")}" />`);
+    tags.push(`<meta property="og:title" content="${escapeHtml(title)}" />`);
+    if (description) tags.push(`<meta property="og:description" content="${escapeHtml(description)}" />`);
+    if (meta.url) tags.push(`<meta property="og:url" content="${escapeHtml(meta.url)}" />`);
+    if (meta.image) tags.push(`<meta property="og:image" content="${escapeHtml(meta.image)}" />`);
+    tags.push(`<meta name="twitter:card" content="${meta.image ? "summary_large_image" : "summary"}" />`);
+
+    for (const data of meta.jsonLd || []) {
+        if (data) tags.push(`<script type="application/ld+json">${jsonForScript(data)}</script>`);
+    }
+
+    const head = tags.map((tag) => `  ${tag}`).join("\n");
+    const titled = /<title>[\s\S]*?<\/title>/i.test(html)
+        ? html.replace(/<title>[\s\S]*?<\/title>/i, () => `<title>${escapeHtml(title)}</title>`)
+        : html.replace(/<\/head>/i, () => `  <title>${escapeHtml(title)}</title>\n</head>`);
+    return titled.replace(/<\/head>/i, () => `${head}\n</head>`);
+}
+
+/**
+ * schema.org Product for a storefront product (toPublicProduct() shape).
+ * Prices are in JMD; one Offer when every variant costs the same, otherwise an AggregateOffer.
+ */
+export function productJsonLd(product, { url, images = [] } = {}) {
+    const variants = Array.isArray(product?.variants) ? product.variants : [];
+    const prices = variants.length ? variants.map((v) => Number(v.priceJMD || 0)) : [Number(product?.priceJMD || 0)];
+    const low = Math.min(...prices);
+    const high = Math.max(...prices);
+    const inStock = variants.some((v) => Number(v.stock || 0) > 0);
+
+    const offer = {
+        priceCurrency: "JMD",
+        availability: `https://schema.org/${inStock ? "InStock" : "OutOfStock"}`,
+        itemCondition: "https://schema.org/NewCondition",
+        url,
+    };
+    const offers = low === high
+        ? {
+            "@type": "Offer",
+            price: low,
+            ...(product?.saleEndsAt ? { priceValidUntil: new Date(product.saleEndsAt).toISOString().slice(0, 10) } : {}),
+            ...offer,
+        }
+        : { "@type": "AggregateOffer", lowPrice: low, highPrice: high, offerCount: variants.length, ...offer };
+
+    const data = {
+        "@context": "https://schema.org",
+        "@type": "Product",
+        name: product?.title || product?.name || "",
+        description: metaDescription(product?.description, 5000) || undefined,
+        image: images.length ? images : undefined,
+        sku: variants.length === 1 && variants[0].sku ? variants[0].sku : undefined,
+        brand: { "@type": "Brand", name: SITE_NAME },
+        url,
+        offers,
+    };
+
+    const rating = product?.rating;
+    if (rating?.count > 0 && rating.average !== null) {
+        data.aggregateRating = { "@type": "AggregateRating", ratingValue: rating.average, reviewCount: rating.count };
+    }
+    return data;
+}
+
+/**
+ * schema.org ItemList of product URLs, in listing order.
+ */
+export function itemListJsonLd(urls) {
+    return {
+        "@context": "https://schema.org",
+        "@type": "ItemList",
+        itemListElement: urls.map((url, i) => ({ "@type": "ListItem", position: i + 1, url })),
+    };
+}
+
+/**
+ * sitemap.xml for [{ loc, lastmod? }] with absolute `loc` URLs.
+ */
+export function sitemapXml(entries) {
+    const urls = entries.map((e) => {
+        const lastmod = e.lastmod ? `<lastmod>${new Date(e.lastmod).toISOString()}</lastmod>` : "";
+        return `  <url><loc>${escapeXml(e.loc)}</loc>${lastmod}</url>`;
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.join("\n")}\n</urlset>\n`;
+}
+
+/**
+ * robots.txt that keeps crawlers out of `disallow` paths and points them at the sitemap.
+ */
+export function robotsTxt(baseUrl, disallow = []) {
+    return [
+        "User-agent: *",
+        ...disallow.map((p) => `Disallow: ${p}`),
+        "",
+        `Sitemap: ${baseUrl}/sitemap.xml`,
+        "",
+    ].join("\n");
+}
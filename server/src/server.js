@@ -10,8 +10,34 @@ import crypto from "crypto";
 import { OAuth2Client } from "google-auth-library";
 
 import prisma from "./prisma.js";
-import { hashPassword, verifyPassword } from "./passwords.js";
-import { readSession, setSession, clearSession } from "./session.js";
+import { hashPassword, verifyPassword, needsRehash, checkPasswordPolicy } from "./passwords.js";
+import { readSession, startSession, endSession, revokeUserSessions, loadSession } from "./session.js";
+import { generateToken, hashToken, signToken, verifySignedToken } from "./tokens.js";
+import { sendMail } from "./mailer.js";
+import { ASSIGNABLE_ROLES, isStaffRole, hasPermission, permissionsForRole } from "./permissions.js";
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getAccountThrottle,
+  clearAccountThrottle,
+} from "./loginLimiter.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  sealTotpSecret,
+  openTotpSecret,
+} from "./totp.js";
+import { createZip } from "./zip.js";
+import { parseCsv, toCsv, unguardCsvCell } from "./csv.js";
+import { issueCsrfToken, requireCsrfToken } from "./csrf.js";
+import { localUploadsDir, getStorage, getStorageDriverName } from "./storage.js";
+import { MAX_IMAGE_BYTES, sniffImageType, decodeDataUrl, newImageKey, parseMultipart } from "./uploads.js";
+import { IMAGE_PRESETS, getDerivative, parseDerivativePath, responsiveImage, warmDerivatives, deleteDerivatives } from "./images.js";
+import { SITE_NAME, injectSeoHead, productJsonLd, itemListJsonLd, sitemapXml, robotsTxt } from "./seo.js";
 
 dotenv.config();
 
@@ -22,13 +48,32 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const CLIENT_DIR = path.join(__dirname, "../../client");
-const HOME_UPLOAD_DIR = path.join(CLIENT_DIR, "uploads", "home");
+const HOME_UPLOAD_DIR = path.join(localUploadsDir(), "home");
 if (!fs.existsSync(HOME_UPLOAD_DIR)) fs.mkdirSync(HOME_UPLOAD_DIR, { recursive: true });
 
 const PORT = Number(process.env.PORT || 3000);
+const PASSWORD_RESET_TTL_MINUTES = Math.max(5, Number(process.env.PASSWORD_RESET_TTL_MINUTES || 30));
+const EMAIL_VERIFICATION_TTL_HOURS = Math.max(1, Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 48));
+const TWO_FACTOR_CHALLENGE_TTL_MINUTES = 5;
+const ADMIN_INVITE_TTL_HOURS = Math.max(1, Number(process.env.ADMIN_INVITE_TTL_HOURS || 72));
+const TOTP_ISSUER = String(process.env.TOTP_ISSUER || "Beyond Silhouette").trim() || "Beyond Silhouette";
+
+// Public origin for emailed links (reset, verification, invites) and SEO URLs. Never taken from
+// the request Host header, which a client controls; production refuses to start without it.
+const APP_BASE_URL =
+  String(process.env.APP_BASE_URL || "").trim().replace(/\/+$/, "") || (isProduction() ? "" : `http://localhost:${PORT}`);
+if (!APP_BASE_URL) {
+  throw new Error("APP_BASE_URL must be set in production, e.g. https://shop.example.com");
+}
 
 const app = express();
 
+// Behind a reverse proxy, set TRUST_PROXY so req.ip (used for per-IP login limits) is the client address.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isFinite(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Security / logging
 app.use(helmet({ contentSecurityPolicy: false }));
 app.use(morgan(process.env.NODE_ENV === 'production' ? 'tiny' : 'dev'));
@@ -37,9 +82,18 @@ app.use(morgan(process.env.NODE_ENV === 'production' ? 'tiny' : 'dev'));
 app.use(express.json({ limit: "12mb" }));
 app.use(express.urlencoded({ extended: false }));
 
-// Cookies (auth uses signed httpOnly cookie)
+// Cookies (auth uses signed httpOnly cookie holding an opaque session token)
 app.use(cookieParser(process.env.AUTH_COOKIE_SECRET || "change_me"));
 
+// Resolve the session cookie against the sessions table (API + admin pages only).
+app.use(["/api", "/admin"], loadSession);
+
+// Every non-GET API call must echo the token issued by GET /api/me (X-CSRF-Token).
+app.use("/api", requireCsrfToken);
+
+// When AdminConfig.requireAdminTwoFactor is on, admins without 2FA can only reach enrollment.
+app.use(["/api/admin", "/admin"], enforceAdminTwoFactor);
+
 // -----------------------------
 // API HELPER FUNCTIONS
 // -----------------------------
@@ -52,16 +106,32 @@ function requireUser(req, res) {
   return sess;
 }
 
+// Any staff role (owner, fulfilment, content, inventory).
 function requireAdmin(req, res) {
   const sess = requireUser(req, res);
   if (!sess) return null;
-  if (sess.role !== "admin") {
+  if (!isStaffRole(sess.role)) {
     res.status(403).json({ ok: false, error: "Admin only" });
     return null;
   }
   return sess;
 }
 
+// Staff member whose role grants `permission` (see permissions.js).
+function requirePermission(req, res, permission) {
+  const sess = requireAdmin(req, res);
+  if (!sess) return null;
+  if (!hasPermission(sess.role, permission)) {
+    res.status(403).json({
+      ok: false,
+      code: "PERMISSION_DENIED",
+      error: "Your role doesn't allow this action.",
+    });
+    return null;
+  }
+  return sess;
+}
+
 function sendServerError(res, fallback = "Something went wrong. Please try again.") {
   return res.status(500).json({ ok: false, error: fallback });
 }
@@ -70,20 +140,36 @@ function sendUnavailable(res, fallback = "This feature is temporarily unavailabl
   return res.status(status).json({ ok: false, error: fallback });
 }
 
+function sendWeakPassword(res, message) {
+  return res.status(400).json({ ok: false, code: "WEAK_PASSWORD", error: message });
+}
+
+function passwordPolicyError(message) {
+  const err = new Error(message);
+  err.code = "WEAK_PASSWORD";
+  return err;
+}
+
 function isProduction() {
   return String(process.env.NODE_ENV || '').toLowerCase() === 'production';
 }
 
 function safeLogError(...args) {
-  if (!isProduction()) safeLogError(...args);
+  if (!isProduction()) console.error(...args);
 }
 
 function safeLogWarn(...args) {
-  if (!isProduction()) safeLogWarn(...args);
+  if (!isProduction()) console.warn(...args);
 }
 
 function safeLogInfo(...args) {
-  if (!isProduction()) safeLogInfo(...args);
+  if (!isProduction()) console.info(...args);
+}
+
+// Security-relevant events (staff invites, account changes). Unlike safeLog*, these are
+// written in production too, with a timestamp, so they end up in the host's log retention.
+function auditLog(message) {
+  console.info(`${new Date().toISOString()} [audit] ${message}`);
 }
 
 
@@ -163,6 +249,104 @@ function sanitizeHomeUploadUrls(values) {
     .filter((url) => url && isSafeHomeUploadUrl(url));
 }
 
+async function sendVerificationEmail(user) {
+  const token = signToken(
+    { purpose: "verify-email", uid: user.id, email: user.email },
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+  const link = `${APP_BASE_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: "Confirm your Beyond Silhouette email",
+    text: [
+      `Hi ${user.name || "there"},`,
+      "",
+      "Please confirm your email address by opening the link below:",
+      link,
+      "",
+      `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+    ].join("\n"),
+  });
+}
+
+async function isAdminTwoFactorRequired() {
+  if (!hasPrismaModel("adminConfig")) return false;
+  const cfg = await prisma.adminConfig.findUnique({
+    where: { id: "singleton" },
+    select: { requireAdminTwoFactor: true },
+  });
+  return !!cfg?.requireAdminTwoFactor;
+}
+
+async function enforceAdminTwoFactor(req, res, next) {
+  const sess = readSession(req);
+  if (!sess?.userId || !isStaffRole(sess.role) || sess.twoFactorEnabled) return next();
+
+  const p = req.path || "/";
+  const isPage = req.baseUrl === "/admin";
+  if (isPage && (p === "/settings.html" || (/\.[a-z0-9]+$/i.test(p) && !p.endsWith(".html")))) return next();
+
+  try {
+    if (!(await isAdminTwoFactorRequired())) return next();
+  } catch (err) {
+    return next(err);
+  }
+
+  if (isPage) return res.redirect("/admin/settings.html#security");
+  return res.status(403).json({
+    ok: false,
+    code: "TWO_FACTOR_SETUP_REQUIRED",
+    error: "Two-factor authentication is required for admin accounts. Set it up in Admin Settings.",
+  });
+}
+
+// Short-lived signed proof that the password step passed; exchanged at /api/auth/login/2fa.
+function issueTwoFactorChallenge(user) {
+  return signToken(
+    { purpose: "login-2fa", uid: user.id },
+    TWO_FACTOR_CHALLENGE_TTL_MINUTES * 60 * 1000
+  );
+}
+
+/**
+ * Check a TOTP code or a one-time recovery code for a user with 2FA enabled.
+ * Consumes the matched TOTP step / recovery code so neither can be replayed.
+ * Returns "totp", "recovery" or null.
+ */
+async function consumeSecondFactor(user, { code, recoveryCode }) {
+  if (!user?.totpEnabledAt) return null;
+
+  if (code) {
+    const secret = openTotpSecret(user.totpSecret);
+    const step = secret ? verifyTotp(secret, code, { afterStep: user.totpLastStep ?? null }) : null;
+    if (step === null) return null;
+
+    const claimed = await prisma.user.updateMany({
+      where: { id: user.id, OR: [{ totpLastStep: null }, { totpLastStep: { lt: step } }] },
+      data: { totpLastStep: step },
+    });
+    return claimed.count ? "totp" : null;
+  }
+
+  const normalized = normalizeRecoveryCode(recoveryCode);
+  if (!normalized) return null;
+
+  const hash = hashToken(normalized);
+  const codes = Array.isArray(user.totpRecoveryCodes) ? user.totpRecoveryCodes : [];
+  if (!codes.includes(hash)) return null;
+
+  const claimed = await prisma.user.updateMany({
+    where: { id: user.id, totpRecoveryCodes: { has: hash } },
+    data: { totpRecoveryCodes: codes.filter((c) => c !== hash) },
+  });
+  return claimed.count ? "recovery" : null;
+}
+
+function hashRecoveryCodes(codes) {
+  return codes.map((c) => hashToken(normalizeRecoveryCode(c)));
+}
+
 function parseQty(value) {
   const n = Number(value);
   if (!Number.isFinite(n)) return 0;
@@ -180,12 +364,580 @@ async function cleanupExpiredReservations(db) {
   });
 }
 
-async function reservedQtyByOthers(db, { productId, size, userId }) {
+// -----------------------------
+// PUBLISH SCHEDULE
+// -----------------------------
+// A product is live when isPublished is set, it isn't archived and the current time is inside
+// its optional publishAt/unpublishAt window. Storefront queries use liveProductWhere(); rows
+// already loaded are checked with isProductLive().
+const PRODUCT_PUBLISH_SELECT = {
+  isPublished: true,
+  publishAt: true,
+  unpublishAt: true,
+  archivedAt: true,
+};
+
+function isProductLive(product, now = new Date()) {
+  if (!product?.isPublished || product.archivedAt) return false;
+  if (product.publishAt && new Date(product.publishAt) > now) return false;
+  if (product.unpublishAt && new Date(product.unpublishAt) <= now) return false;
+  return true;
+}
+
+function liveProductWhere(now = new Date()) {
+  return {
+    isPublished: true,
+    archivedAt: null,
+    AND: [
+      { OR: [{ publishAt: null }, { publishAt: { lte: now } }] },
+      { OR: [{ unpublishAt: null }, { unpublishAt: { gt: now } }] },
+    ],
+  };
+}
+
+// "archived", "draft", "scheduled" (published, window not open yet), "live" or "ended", for the admin list.
+function publishState(product, now = new Date()) {
+  if (product?.archivedAt) return "archived";
+  if (!product?.isPublished) return "draft";
+  if (product.publishAt && new Date(product.publishAt) > now) return "scheduled";
+  if (product.unpublishAt && new Date(product.unpublishAt) <= now) return "ended";
+  return "live";
+}
+
+function scheduleInputError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_SCHEDULE";
+  return err;
+}
+
+/**
+ * Validate admin publishAt/unpublishAt (null or "" clears). Only fields present in the body
+ * are returned; `current` holds the product's stored window for the ordering check.
+ */
+function parsePublishSchedule(body, current = {}) {
+  const out = {};
+
+  for (const key of ["publishAt", "unpublishAt"]) {
+    if (body?.[key] === undefined) continue;
+    const raw = body[key];
+    if (raw === null || String(raw).trim() === "") {
+      out[key] = null;
+      continue;
+    }
+    const d = new Date(raw);
+    if (Number.isNaN(d.getTime())) throw scheduleInputError(`${key} must be a date`);
+    out[key] = d;
+  }
+
+  const next = { ...current, ...out };
+  if (next.publishAt && next.unpublishAt && new Date(next.unpublishAt) <= new Date(next.publishAt)) {
+    throw scheduleInputError("The product must be unpublished after it is published");
+  }
+
+  return out;
+}
+
+// -----------------------------
+// SALE PRICING
+// -----------------------------
+// Product.priceJMD is the regular price. While a sale is active (salePriceJMD set, between
+// saleStartsAt and saleEndsAt, either end open) it replaces that price; compareAtPriceJMD is an
+// optional "was" price. Variant price overrides scale by the same ratio, so a pricier XL stays on sale.
+const PRODUCT_PRICE_SELECT = {
+  priceJMD: true,
+  compareAtPriceJMD: true,
+  salePriceJMD: true,
+  saleStartsAt: true,
+  saleEndsAt: true,
+};
+
+function isSaleActive(product, now = new Date()) {
+  if (product?.salePriceJMD === null || product?.salePriceJMD === undefined) return false;
+  if (product.saleStartsAt && new Date(product.saleStartsAt) > now) return false;
+  if (product.saleEndsAt && new Date(product.saleEndsAt) <= now) return false;
+  return true;
+}
+
+// Prisma filter matching products whose sale is active at `now` (mirrors isSaleActive).
+function saleActiveWhere(now = new Date()) {
+  return {
+    salePriceJMD: { not: null },
+    AND: [
+      { OR: [{ saleStartsAt: null }, { saleStartsAt: { lte: now } }] },
+      { OR: [{ saleEndsAt: null }, { saleEndsAt: { gt: now } }] },
+    ],
+  };
+}
+
+/**
+ * What a product (or one of its variants) costs right now.
+ * `compareAtPriceJMD` is only set when it is above the price charged; `saleEndsAt` only while a sale runs.
+ */
+function productPricing(product, variant = null, now = new Date()) {
+  const base = Number(product?.priceJMD ?? 0);
+  const regular = Number(variant?.priceJMD ?? base);
+  const scaled = (amount) =>
+    variant?.priceJMD === null || variant?.priceJMD === undefined || base <= 0
+      ? amount
+      : Math.round((amount * regular) / base);
+
+  const onSale = isSaleActive(product, now);
+  const priceJMD = onSale ? scaled(Number(product.salePriceJMD)) : regular;
+  const wasBase = Math.max(Number(product?.compareAtPriceJMD ?? 0), onSale ? base : 0);
+  const compareAtPriceJMD = wasBase > 0 ? scaled(wasBase) : null;
+
+  return {
+    priceJMD,
+    compareAtPriceJMD: compareAtPriceJMD !== null && compareAtPriceJMD > priceJMD ? compareAtPriceJMD : null,
+    saleEndsAt: onSale && product.saleEndsAt ? product.saleEndsAt : null,
+  };
+}
+
+// Listings show, filter and sort by a product's cheapest variant. Its regular and sale prices are
+// stored on the product (listPriceJMD, saleListPriceJMD) so the database can filter and seek on them.
+const LISTING_PRICE_SELECT = {
+  ...PRODUCT_PRICE_SELECT,
+  listPriceJMD: true,
+  saleListPriceJMD: true,
+};
+
+function listingPrice(product, now = new Date()) {
+  return isSaleActive(product, now) ? product.saleListPriceJMD : product.listPriceJMD;
+}
+
+// Recompute a product's stored listing prices; call after its prices, sale or variants change.
+async function refreshProductListPrice(db, productId) {
+  const product = await db.product.findUnique({
+    where: { id: productId },
+    select: { ...PRODUCT_PRICE_SELECT, variants: { select: { priceJMD: true } } },
+  });
+  if (!product) return;
+
+  const variants = product.variants.length ? product.variants : [null];
+  const lowest = (p) => Math.min(...variants.map((v) => productPricing(p, v).priceJMD));
+  await db.product.update({
+    where: { id: productId },
+    data: {
+      listPriceJMD: lowest({ ...product, salePriceJMD: null }),
+      saleListPriceJMD:
+        product.salePriceJMD === null ? null : lowest({ ...product, saleStartsAt: null, saleEndsAt: null }),
+    },
+  });
+}
+
+function pricingInputError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_PRICING";
+  return err;
+}
+
+/**
+ * Validate admin sale fields (compareAtPriceJMD, salePriceJMD, saleStartsAt, saleEndsAt; null or "" clears).
+ * Only fields present in the body are returned; `current` holds the product's other prices for cross-checks.
+ */
+function parseSalePricing(body, current = {}) {
+  const out = {};
+
+  for (const key of ["compareAtPriceJMD", "salePriceJMD"]) {
+    if (body?.[key] === undefined) continue;
+    const raw = body[key];
+    if (raw === null || String(raw).trim() === "") {
+      out[key] = null;
+      continue;
+    }
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0) throw pricingInputError(`${key} must be a number of at least 0`);
+    out[key] = Math.round(n);
+  }
+
+  for (const key of ["saleStartsAt", "saleEndsAt"]) {
+    if (body?.[key] === undefined) continue;
+    const raw = body[key];
+    if (raw === null || String(raw).trim() === "") {
+      out[key] = null;
+      continue;
+    }
+    const d = new Date(raw);
+    if (Number.isNaN(d.getTime())) throw pricingInputError(`${key} must be a date`);
+    out[key] = d;
+  }
+
+  const next = { ...current, ...out };
+  if (next.salePriceJMD !== null && next.salePriceJMD !== undefined && next.salePriceJMD >= Number(next.priceJMD)) {
+    throw pricingInputError("Sale price must be lower than the regular price");
+  }
+  if (next.saleStartsAt && next.saleEndsAt && new Date(next.saleEndsAt) <= new Date(next.saleStartsAt)) {
+    throw pricingInputError("The sale must end after it starts");
+  }
+
+  return out;
+}
+
+// -----------------------------
+// SIZE GUIDES
+// -----------------------------
+// A SizeChart is a shared measurement table (one row per size) attached to any number of products;
+// fitNotes ("runs small") and modelMeasurements belong to the product. The shop shows them together.
+const SIZE_CHART_UNITS = ["cm", "in"];
+const MAX_SIZE_CHART_COLUMNS = 8;
+const MAX_SIZE_CHART_ROWS = 30;
+// One measurement or a range, e.g. "86" or "82-86"
+const MEASUREMENT_RE = /^\d+(?:\.\d+)?(?:\s*[-–]\s*\d+(?:\.\d+)?)?$/;
+
+const SIZE_CHART_SELECT = {
+  id: true,
+  name: true,
+  unit: true,
+  columns: true,
+  rows: true,
+  notes: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+const PRODUCT_SIZE_GUIDE_SELECT = {
+  sizeChartId: true,
+  fitNotes: true,
+  modelMeasurements: true,
+};
+
+function sizeChartInputError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_SIZE_CHART";
+  return err;
+}
+
+function sizeChartRows(rows) {
+  return (Array.isArray(rows) ? rows : []).map((r) => ({
+    size: String(r?.size || ""),
+    values: Array.isArray(r?.values) ? r.values.map((v) => String(v ?? "")) : [],
+  }));
+}
+
+/**
+ * Validate an admin size chart: { name, unit, columns: [name], rows: [{ size, values }], notes }.
+ * Each row has one value per column: blank, a number or a range ("82-86"). Throws INVALID_SIZE_CHART.
+ */
+function parseSizeChartInput(body) {
+  const name = String(body?.name || "").trim().slice(0, 60);
+  if (!name) throw sizeChartInputError("Give the size chart a name");
+
+  const unit = String(body?.unit || "cm").trim().toLowerCase();
+  if (!SIZE_CHART_UNITS.includes(unit)) throw sizeChartInputError("Unit must be cm or in");
+
+  const columns = (Array.isArray(body?.columns) ? body.columns : [])
+    .map((c) => String(c || "").trim().slice(0, 30))
+    .filter(Boolean);
+  if (!columns.length) throw sizeChartInputError("Add at least one measurement, e.g. Bust");
+  if (columns.length > MAX_SIZE_CHART_COLUMNS) throw sizeChartInputError(`Use at most ${MAX_SIZE_CHART_COLUMNS} measurements`);
+  if (new Set(columns.map((c) => c.toLowerCase())).size !== columns.length) {
+    throw sizeChartInputError("Each measurement can only be listed once");
+  }
+
+  const rows = [];
+  for (const raw of Array.isArray(body?.rows) ? body.rows : []) {
+    const size = String(raw?.size || "").trim().slice(0, 20);
+    if (!size) continue;
+    if (rows.some((r) => r.size.toLowerCase() === size.toLowerCase())) throw sizeChartInputError(`"${size}" is listed twice`);
+
+    const values = columns.map((column, i) => {
+      const value = String(raw?.values?.[i] ?? "").trim().replace(/\s*[-–]\s*/, "-");
+      if (value && !MEASUREMENT_RE.test(value)) {
+        throw sizeChartInputError(`${column} for ${size} must be a number or a range like 82-86`);
+      }
+      return value;
+    });
+    rows.push({ size, values });
+  }
+  if (!rows.length) throw sizeChartInputError("Add at least one size");
+  if (rows.length > MAX_SIZE_CHART_ROWS) throw sizeChartInputError(`Use at most ${MAX_SIZE_CHART_ROWS} sizes`);
+
+  const notes = String(body?.notes || "").trim().slice(0, 500) || null;
+
+  return { name, unit, columns, rows, notes };
+}
+
+/**
+ * Admin sizeChartId / fitNotes / modelMeasurements ("" or null clears). Only fields present
+ * in the body are returned. Whether the chart exists is left to the foreign key (P2003).
+ */
+function parseSizeGuideFields(body) {
+  const out = {};
+
+  if (body?.sizeChartId !== undefined) out.sizeChartId = String(body.sizeChartId || "").trim() || null;
+  if (body?.fitNotes !== undefined) out.fitNotes = String(body.fitNotes || "").trim().slice(0, 500) || null;
+  if (body?.modelMeasurements !== undefined) {
+    out.modelMeasurements = String(body.modelMeasurements || "").trim().slice(0, 200) || null;
+  }
+
+  return out;
+}
+
+// Storefront shape; null when the product has no size information at all.
+function toPublicSizeGuide(p) {
+  const chart = p?.sizeChart
+    ? {
+        name: p.sizeChart.name,
+        unit: p.sizeChart.unit,
+        columns: p.sizeChart.columns || [],
+        rows: sizeChartRows(p.sizeChart.rows),
+        notes: p.sizeChart.notes || "",
+      }
+    : null;
+  const fitNotes = p?.fitNotes || "";
+  const modelMeasurements = p?.modelMeasurements || "";
+
+  if (!chart && !fitNotes && !modelMeasurements) return null;
+  return { chart, fitNotes, modelMeasurements };
+}
+
+// -----------------------------
+// PRODUCT SEO FIELDS
+// -----------------------------
+// Optional overrides for the product page <title> and meta description (see seo.js);
+// empty fields fall back to the product name and description.
+const MAX_SEO_TITLE_LENGTH = 70;
+const MAX_SEO_DESCRIPTION_LENGTH = 160;
+
+const PRODUCT_SEO_SELECT = {
+  seoTitle: true,
+  seoDescription: true,
+};
+
+// Admin seoTitle / seoDescription ("" or null clears). Only fields present in the body are returned.
+function parseSeoFields(body) {
+  const out = {};
+
+  if (body?.seoTitle !== undefined) {
+    out.seoTitle = String(body.seoTitle || "").replace(/\s+/g, " ").trim().slice(0, MAX_SEO_TITLE_LENGTH) || null;
+  }
+  if (body?.seoDescription !== undefined) {
+    out.seoDescription =
+      String(body.seoDescription || "").replace(/\s+/g, " ").trim().slice(0, MAX_SEO_DESCRIPTION_LENGTH) || null;
+  }
+
+  return out;
+}
+
+// -----------------------------
+// PRODUCT OPTIONS + VARIANTS
+// -----------------------------
+// Options are the axes a product varies on ("Size", "Colour"); every purchasable combination
+// is a ProductVariant with its own SKU, optional price override and stock.
+const MAX_PRODUCT_OPTIONS = 3;
+const ONE_SIZE_LABEL = "One size";
+
+const VARIANT_SELECT = {
+  id: true,
+  sku: true,
+  optionValues: true,
+  label: true,
+  priceJMD: true,
+  stock: true,
+  position: true,
+};
+
+const PRODUCT_OPTIONS_SELECT = {
+  options: { orderBy: { position: "asc" }, select: { name: true, values: true } },
+  variants: { orderBy: { position: "asc" }, select: VARIANT_SELECT },
+};
+
+function variantPrice(variant, product) {
+  return productPricing(product, variant).priceJMD;
+}
+
+/**
+ * Storefront shape for a product's options/variants.
+ * `sizes` and `stockBySize` (keyed by variant label) are kept for older clients.
+ */
+function toPublicVariants(product) {
+  const options = (product?.options || []).map((o) => ({ name: o.name, values: o.values || [] }));
+  const variants = (product?.variants || []).map((v) => ({
+    id: v.id,
+    sku: v.sku || null,
+    label: v.label,
+    optionValues: v.optionValues && typeof v.optionValues === "object" ? v.optionValues : {},
+    priceJMD: variantPrice(v, product),
+    compareAtPriceJMD: productPricing(product, v).compareAtPriceJMD,
+    stock: Math.max(0, Number(v.stock || 0)),
+  }));
+
+  const stockBySize = {};
+  for (const v of variants) stockBySize[v.label] = v.stock;
+
+  return { options, variants, sizes: variants.map((v) => v.label), stockBySize };
+}
+
+function variantInputError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_VARIANTS";
+  return err;
+}
+
+function splitOptionValues(values) {
+  const list = Array.isArray(values) ? values : String(values || "").split(",");
+  const seen = new Set();
+  const out = [];
+  for (const raw of list) {
+    const value = String(raw ?? "").trim().slice(0, 40);
+    if (!value || seen.has(value.toLowerCase())) continue;
+    seen.add(value.toLowerCase());
+    out.push(value);
+  }
+  return out;
+}
+
+function parseVariantPrice(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw variantInputError("Variant prices must be 0 or more");
+  return Math.round(n);
+}
+
+/**
+ * Validate the admin's options/variants payload.
+ * Accepts { options: [{ name, values }], variants: [{ id?, optionValues, sku?, priceJMD?, stock }] }
+ * or the legacy { inventory: [{ size, stock }] }. Returns null when neither is present.
+ * Throws INVALID_VARIANTS with a user-facing message.
+ */
+function normalizeVariantInput(body) {
+  let optionsIn = body?.options;
+  let variantsIn = body?.variants;
+
+  if (!Array.isArray(optionsIn) && Array.isArray(body?.inventory)) {
+    const rows = body.inventory.filter((r) => String(r?.size || "").trim());
+    optionsIn = rows.length ? [{ name: "Size", values: rows.map((r) => r.size) }] : [];
+    variantsIn = rows.map((r) => ({ optionValues: { Size: String(r.size).trim() }, stock: r.stock }));
+  }
+  if (!Array.isArray(optionsIn) && !Array.isArray(variantsIn)) return null;
+
+  const options = [];
+  for (const raw of Array.isArray(optionsIn) ? optionsIn : []) {
+    const name = String(raw?.name || "").trim().slice(0, 40);
+    const values = splitOptionValues(raw?.values);
+    if (!name && !values.length) continue;
+    if (!name) throw variantInputError("Every option needs a name");
+    if (!values.length) throw variantInputError(`Add at least one value for "${name}"`);
+    if (options.some((o) => o.name.toLowerCase() === name.toLowerCase())) {
+      throw variantInputError(`"${name}" is listed twice`);
+    }
+    options.push({ name, values });
+  }
+  if (options.length > MAX_PRODUCT_OPTIONS) {
+    throw variantInputError(`A product can have at most ${MAX_PRODUCT_OPTIONS} options`);
+  }
+
+  const rows = Array.isArray(variantsIn) ? variantsIn : [];
+  const byLabel = new Map();
+
+  if (!options.length) {
+    const row = rows[0] || {};
+    byLabel.set(ONE_SIZE_LABEL, {
+      id: String(row.id || "").trim() || null,
+      optionValues: {},
+      label: ONE_SIZE_LABEL,
+      sku: String(row.sku || "").trim().slice(0, 64) || null,
+      priceJMD: parseVariantPrice(row.priceJMD),
+      stock: parseQty(row.stock),
+      rank: 0,
+    });
+  }
+
+  for (const row of options.length ? rows : []) {
+    const given = row?.optionValues && typeof row.optionValues === "object" ? row.optionValues : {};
+    const optionValues = {};
+    let rank = 0;
+
+    for (const opt of options) {
+      const entry = Object.entries(given).find(([k]) => k.trim().toLowerCase() === opt.name.toLowerCase());
+      const wanted = String(entry?.[1] ?? "").trim().toLowerCase();
+      const idx = opt.values.findIndex((v) => v.toLowerCase() === wanted);
+      if (idx < 0) throw variantInputError(`Each variant needs a ${opt.name} from its option values`);
+      optionValues[opt.name] = opt.values[idx];
+      rank = rank * opt.values.length + idx;
+    }
+
+    const label = options.map((o) => optionValues[o.name]).join(" / ");
+    byLabel.set(label, {
+      id: String(row?.id || "").trim() || null,
+      optionValues,
+      label,
+      sku: String(row?.sku || "").trim().slice(0, 64) || null,
+      priceJMD: parseVariantPrice(row?.priceJMD),
+      stock: parseQty(row?.stock),
+      rank,
+    });
+  }
+
+  if (options.length && !byLabel.size) throw variantInputError("Add at least one variant");
+
+  const variants = [...byLabel.values()].sort((a, b) => a.rank - b.rank);
+  const skus = variants.map((v) => v.sku?.toLowerCase()).filter(Boolean);
+  if (new Set(skus).size !== skus.length) throw variantInputError("Each variant needs a different SKU");
+
+  return {
+    options,
+    variants: variants.map(({ rank, ...v }, position) => ({ ...v, position })),
+  };
+}
+
+/**
+ * Replace a product's options and reconcile its variants: rows are matched by id, then by label,
+ * so stock/SKU survive edits; variants no longer listed are deleted (their cart lines go too).
+ */
+async function saveProductVariants(tx, productId, { options, variants }) {
+  await tx.productOption.deleteMany({ where: { productId } });
+  if (options.length) {
+    await tx.productOption.createMany({
+      data: options.map((o, position) => ({ productId, name: o.name, values: o.values, position })),
+    });
+  }
+
+  const existing = await tx.productVariant.findMany({ where: { productId }, select: { id: true, label: true } });
+  const byId = new Map(existing.map((v) => [v.id, v]));
+  const byLabel = new Map(existing.map((v) => [v.label.toLowerCase(), v]));
+
+  const matched = variants.map((v) => ({ input: v, current: byId.get(v.id) || byLabel.get(v.label.toLowerCase()) || null }));
+  const keepIds = matched.map((m) => m.current?.id).filter(Boolean);
+
+  await tx.productVariant.deleteMany({ where: { productId, id: { notIn: keepIds } } });
+
+  for (const { input, current } of matched) {
+    const data = {
+      optionValues: input.optionValues,
+      size: typeof input.optionValues.Size === "string" && input.optionValues.Size ? input.optionValues.Size : null,
+      label: input.label,
+      sku: input.sku,
+      priceJMD: input.priceJMD,
+      stock: input.stock,
+      position: input.position,
+    };
+    if (current) await tx.productVariant.update({ where: { id: current.id }, data });
+    else await tx.productVariant.create({ data: { ...data, productId } });
+  }
+}
+
+/**
+ * Find the variant a cart/order line refers to. `size` is the legacy form: a variant label,
+ * matched case-insensitively within the product.
+ */
+async function resolveVariant(db, { productId, variantId, size }) {
+  const select = { ...VARIANT_SELECT, productId: true };
+  if (variantId) {
+    return db.productVariant.findFirst({ where: { id: variantId, ...(productId ? { productId } : {}) }, select });
+  }
+  if (!productId || !size) return null;
+  return db.productVariant.findFirst({
+    where: { productId, label: { equals: String(size).trim(), mode: "insensitive" } },
+    select,
+  });
+}
+
+async function reservedQtyByOthers(db, { variantId, userId }) {
   if (!db?.inventoryReservation) return 0;
   const rows = await db.inventoryReservation.findMany({
     where: {
-      productId,
-      size,
+      variantId,
       ...(userId ? { NOT: { userId } } : {}),
       expiresAt: { gt: new Date() },
     },
@@ -194,13 +946,13 @@ async function reservedQtyByOthers(db, { productId, size, userId }) {
   return rows.reduce((sum, row) => sum + Number(row?.qty || 0), 0);
 }
 
-async function getAvailableStock(db, { productId, size, userId }) {
-  const inv = await db.inventory.findUnique({
-    where: { productId_size: { productId, size } },
+async function getAvailableStock(db, { variantId, userId }) {
+  const variant = await db.productVariant.findUnique({
+    where: { id: variantId },
     select: { stock: true },
   });
-  const stock = Number(inv?.stock || 0);
-  const reservedByOthers = await reservedQtyByOthers(db, { productId, size, userId });
+  const stock = Number(variant?.stock || 0);
+  const reservedByOthers = await reservedQtyByOthers(db, { variantId, userId });
   return Math.max(0, stock - reservedByOthers);
 }
 
@@ -209,39 +961,55 @@ async function buildCartResponse(db, userId) {
     where: { userId },
     orderBy: [{ createdAt: "desc" }],
     include: {
+      variant: { select: VARIANT_SELECT },
       product: {
         select: {
           id: true,
           name: true,
-          priceJMD: true,
-          isPublished: true,
+          ...PRODUCT_PRICE_SELECT,
+          ...PRODUCT_PUBLISH_SELECT,
           images: {
             orderBy: { sortOrder: "asc" },
             take: 1,
             select: { url: true, alt: true },
           },
+          ...PRODUCT_OPTIONS_SELECT,
         },
       },
     },
   });
 
-  const items = rows.map((row) => ({
-    productId: row.productId,
-    size: row.size,
-    qty: Number(row.qty || 0),
-    title: row.product?.name || "Product",
-    priceJMD: Number(row.product?.priceJMD || 0),
-    media: { coverUrl: row.product?.images?.[0]?.url || "" },
-    product: row.product
-      ? {
-          id: row.product.id,
-          name: row.product.name,
-          priceJMD: Number(row.product.priceJMD || 0),
-          isPublished: !!row.product.isPublished,
-          images: row.product.images || [],
-        }
-      : null,
-  }));
+  const items = rows.map((row) => {
+    const { options, variants } = toPublicVariants(row.product);
+    const pricing = productPricing(row.product, row.variant);
+    return {
+      productId: row.productId,
+      variantId: row.variantId,
+      size: row.variant?.label || "",
+      variantLabel: row.variant?.label || "",
+      optionValues: row.variant?.optionValues || {},
+      sku: row.variant?.sku || null,
+      qty: Number(row.qty || 0),
+      title: row.product?.name || "Product",
+      priceJMD: pricing.priceJMD,
+      compareAtPriceJMD: pricing.compareAtPriceJMD,
+      media: {
+        coverUrl: row.product?.images?.[0]?.url || "",
+        responsive: responsiveImage(row.product?.images?.[0]?.url),
+      },
+      product: row.product
+        ? {
+            id: row.product.id,
+            name: row.product.name,
+            priceJMD: productPricing(row.product).priceJMD,
+            isPublished: isProductLive(row.product),
+            images: row.product.images || [],
+            options,
+            variants,
+          }
+        : null,
+    };
+  });
 
   const totalQty = items.reduce((sum, item) => sum + Number(item.qty || 0), 0);
   const totalPrice = items.reduce((sum, item) => sum + Number(item.qty || 0) * Number(item.priceJMD || 0), 0);
@@ -286,67 +1054,357 @@ app.get("/api/db/health", async (req, res) => {
 // -----------------------------
 // PUBLIC PRODUCTS (for shop)
 // -----------------------------
-app.get("/api/products", async (req, res) => {
-  // Public endpoint: allow simple cross-origin GET (safe for products)
-  res.setHeader("Access-Control-Allow-Origin", "*");
+const PUBLIC_PRODUCT_SELECT = {
+  id: true,
+  slug: true,
+  name: true,
+  description: true,
+  ...PRODUCT_PRICE_SELECT,
+  ...PRODUCT_PUBLISH_SELECT,
+  ratingAverage: true,
+  ratingCount: true,
+  ...PRODUCT_SIZE_GUIDE_SELECT,
+  sizeChart: { select: { name: true, unit: true, columns: true, rows: true, notes: true } },
+  ...PRODUCT_SEO_SELECT,
+  createdAt: true,
+  updatedAt: true,
+  images: {
+    orderBy: { sortOrder: "asc" },
+    select: { url: true, alt: true, sortOrder: true },
+  },
+  ...PRODUCT_OPTIONS_SELECT,
+};
+
+function toPublicProduct(p) {
+  const coverUrl =
+    p.images && p.images.length > 0 ? String(p.images[0].url) : "";
+
+  return {
+    id: p.id,
+    slug: p.slug || null,
+    title: p.name, // frontend expects title
+    description: p.description || "",
+    ...productPricing(p),
+    status: isProductLive(p) ? "published" : "draft",
+    ...toPublicVariants(p),
+    media: { coverUrl, responsive: responsiveImage(coverUrl) },
+    rating: publicRating(p),
+    sizeGuide: toPublicSizeGuide(p),
+    seo: { title: p.seoTitle || "", description: p.seoDescription || "" },
+    createdAt: p.createdAt,
+    updatedAt: p.updatedAt,
+  };
+}
+
+// -----------------------------
+// PRODUCT SEARCH (public listing)
+// -----------------------------
+// GET /api/products?q=&minPrice=&maxPrice=&size=M,L&collection=<slug>&sort=&cursor=&limit=
+// The cursor is opaque to clients: the sort keys of the last product shown, which the next page
+// seeks past. Prices are the cheapest variant's current price (see LISTING_PRICE_SELECT).
+const PRODUCT_PAGE_SIZE = 24;
+const MAX_PRODUCT_PAGE_SIZE = 60;
+const LETTER_SIZE_ORDER = ["XXS", "XS", "S", "M", "L", "XL", "XXL", "XXXL"];
+
+// [field, direction] pairs, ending in a unique field so every product has one place in the order.
+// "price" stands for listPriceJMD or saleListPriceJMD, whichever applies to the product right now.
+// best_selling ranks by order line count, which has no column to seek on, so it pages by offset.
+const PRODUCT_SORTS = {
+  newest: [["createdAt", "desc"], ["id", "asc"]],
+  price_asc: [["price", "asc"], ["id", "asc"]],
+  price_desc: [["price", "desc"], ["id", "asc"]],
+  best_selling: null,
+};
+const COLLECTION_ORDER = [["position", "asc"], ["addedAt", "asc"], ["productId", "asc"]];
+const CURSOR_DATE_FIELDS = new Set(["createdAt", "addedAt"]);
+
+// "featured" follows the collection's own order, or newest first without one.
+function productSortKey(sort, collection) {
+  if (sort !== "featured") return sort;
+  return collection ? "collection" : "newest";
+}
+
+function productSortOrder(key) {
+  return key === "collection" ? COLLECTION_ORDER : PRODUCT_SORTS[key];
+}
 
+function encodeProductCursor(sortKey, after) {
+  return Buffer.from(JSON.stringify({ s: sortKey, k: after })).toString("base64url");
+}
+
+// Returns the key values to seek past (an offset for best_selling), or null to start from the top.
+function decodeProductCursor(raw, sortKey) {
+  if (!raw) return null;
   try {
-    const products = await prisma.product.findMany({
+    const { s, k } = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+    if (s !== sortKey) return null;
+
+    const order = productSortOrder(sortKey);
+    if (!order) return Number.isInteger(k) && k > 0 ? k : null;
+    if (!Array.isArray(k) || k.length !== order.length) return null;
+
+    const values = order.map(([field], i) => (CURSOR_DATE_FIELDS.has(field) ? new Date(k[i]) : k[i]));
+    const valid = values.every((v) =>
+      v instanceof Date ? !Number.isNaN(v.getTime()) : typeof v === "string" || Number.isFinite(v)
+    );
+    return valid ? values : null;
+  } catch {
+    return null;
+  }
+}
+
+// Prisma filter for rows after `values` in `order`: (a > x) OR (a = x AND b > y) OR ...
+function keysetWhere(order, values) {
+  return {
+    OR: order.map(([field, dir], i) => {
+      const clause = {};
+      for (let j = 0; j < i; j++) clause[order[j][0]] = values[j];
+      clause[field] = { [dir === "asc" ? "gt" : "lt"]: values[i] };
+      return clause;
+    }),
+  };
+}
+
+function keysetOrderBy(order) {
+  return order.map(([field, dir]) => ({ [field]: dir }));
+}
+
+function parseProductQuery(query = {}) {
+  const price = (v) => {
+    if (v === undefined || v === null || String(v).trim() === "") return null;
+    const n = Number(v);
+    return Number.isFinite(n) && n >= 0 ? Math.round(n) : null;
+  };
+  const list = (v) =>
+    (Array.isArray(v) ? v : String(v || "").split(","))
+      .map((s) => String(s).trim())
+      .filter(Boolean);
+
+  const requested = String(query.sort || "").trim();
+  const sort = Object.hasOwn(PRODUCT_SORTS, requested) ? requested : "featured";
+  const collection = String(query.collection || "").trim().toLowerCase();
+  const sortKey = productSortKey(sort, collection);
+  const limit = Number.parseInt(query.limit, 10);
+
+  return {
+    q: String(query.q || "").trim().slice(0, 100),
+    minPrice: price(query.minPrice),
+    maxPrice: price(query.maxPrice),
+    sizes: [...new Set(list(query.size))].slice(0, 20),
+    collection,
+    sort,
+    sortKey,
+    limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_PRODUCT_PAGE_SIZE) : PRODUCT_PAGE_SIZE,
+    after: decodeProductCursor(query.cursor, sortKey),
+  };
+}
+
+// Facets are counted with every filter except their own, so picking one size
+// still shows how many products the other sizes would add.
+function productSearchWhere(f, { omit = "" } = {}) {
+  const where = liveProductWhere();
+
+  if (f.q) {
+    where.OR = [
+      { name: { contains: f.q, mode: "insensitive" } },
+      { description: { contains: f.q, mode: "insensitive" } },
+    ];
+  }
+
+  if (omit !== "price" && (f.minPrice !== null || f.maxPrice !== null)) {
+    // Match the "from" price shoppers see: the cheapest variant, at its sale price while a sale runs
+    const range = {
+      ...(f.minPrice !== null ? { gte: f.minPrice } : {}),
+      ...(f.maxPrice !== null ? { lte: f.maxPrice } : {}),
+    };
+    const onSale = saleActiveWhere();
+    where.AND.push({ OR: [{ AND: [onSale, { saleListPriceJMD: range }] }, { NOT: onSale, listPriceJMD: range }] });
+  }
+
+  if (omit !== "size" && f.sizes.length) {
+    where.variants = {
+      some: {
+        stock: { gt: 0 },
+        size: { in: f.sizes },
+      },
+    };
+  }
+
+  if (omit !== "collection" && f.collection) {
+    where.collections = { some: { collection: { slug: f.collection, isPublished: true } } };
+  }
+
+  return where;
+}
+
+function compareSizes(a, b) {
+  const ia = LETTER_SIZE_ORDER.indexOf(a.toUpperCase());
+  const ib = LETTER_SIZE_ORDER.indexOf(b.toUpperCase());
+  if (ia !== -1 || ib !== -1) return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+
+  const na = Number(a);
+  const nb = Number(b);
+  if (Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+  if (Number.isFinite(na) !== Number.isFinite(nb)) return Number.isFinite(na) ? -1 : 1;
+  return a.localeCompare(b);
+}
+
+// Sizes with the number of distinct products in stock in each. One count per size value keeps
+// the work in SQL; a shop has a handful of sizes.
+async function sizeFacets(f) {
+  const product = productSearchWhere(f, { omit: "size" });
+  const groups = await prisma.productVariant.groupBy({
+    by: ["size"],
+    where: { stock: { gt: 0 }, size: { not: null }, product },
+  });
+  const sizes = groups.map((g) => g.size).sort(compareSizes);
+  const counts = await Promise.all(
+    sizes.map((size) => prisma.product.count({ where: { ...product, variants: { some: { stock: { gt: 0 }, size } } } }))
+  );
+  return sizes.map((value, i) => ({ value, count: counts[i] }));
+}
+
+// Lowest and highest listing price, split like the price sorts: products on sale now are bounded
+// by saleListPriceJMD, the rest by listPriceJMD.
+async function priceFacet(f) {
+  const where = productSearchWhere(f, { omit: "price" });
+  const onSale = saleActiveWhere();
+  const [sale, regular] = await Promise.all([
+    prisma.product.aggregate({
+      where: { AND: [where, onSale] },
+      _min: { saleListPriceJMD: true },
+      _max: { saleListPriceJMD: true },
+    }),
+    prisma.product.aggregate({
+      where: { AND: [where, { NOT: onSale }] },
+      _min: { listPriceJMD: true },
+      _max: { listPriceJMD: true },
+    }),
+  ]);
+  const mins = [sale._min.saleListPriceJMD, regular._min.listPriceJMD].filter((n) => n !== null);
+  const maxes = [sale._max.saleListPriceJMD, regular._max.listPriceJMD].filter((n) => n !== null);
+  return { min: mins.length ? Math.min(...mins) : null, max: maxes.length ? Math.max(...maxes) : null };
+}
+
+async function productSearchFacets(f) {
+  const [sizes, collections, price] = await Promise.all([
+    sizeFacets(f),
+    prisma.collection.findMany({
       where: { isPublished: true },
-      orderBy: { createdAt: "desc" },
-      take: 200,
+      orderBy: [{ position: "asc" }, { name: "asc" }],
       select: {
-        id: true,
         slug: true,
         name: true,
-        description: true,
-        priceJMD: true,
-        isPublished: true,
-        createdAt: true,
-        updatedAt: true,
-        images: {
-          orderBy: { sortOrder: "asc" },
-          select: { url: true, alt: true, sortOrder: true },
-        },
-        inventory: {
-          orderBy: { size: "asc" },
-          select: { size: true, stock: true },
+        _count: {
+          select: { products: { where: { product: productSearchWhere(f, { omit: "collection" }) } } },
         },
       },
-    });
-
-    const mapped = products.map((p) => {
-      const stockBySize = { S: 0, M: 0, L: 0, XL: 0 };
+    }),
+    priceFacet(f),
+  ]);
+
+  return {
+    sizes,
+    collections: collections.map((c) => ({ slug: c.slug, name: c.name, count: c._count.products })),
+    price,
+  };
+}
 
-      for (const row of p.inventory || []) {
-        const k = String(row.size || "").trim().toUpperCase();
-        if (k === "S" || k === "M" || k === "L" || k === "XL") {
-          stockBySize[k] = Number.isFinite(Number(row.stock))
-            ? Math.max(0, Math.round(Number(row.stock)))
-            : 0;
-        }
-      }
+// One page of products plus the cursor for the next, or null on the last page.
+async function findProductPage(f) {
+  const where = productSearchWhere(f);
+  const take = f.limit + 1;
+  const order = productSortOrder(f.sortKey);
+  const page = (rows, keyOf) => {
+    const shown = rows.slice(0, f.limit);
+    const last = shown[shown.length - 1];
+    return { rows: shown, nextCursor: rows.length > f.limit ? encodeProductCursor(f.sortKey, keyOf(last)) : null };
+  };
+
+  if (f.sortKey === "collection") {
+    const rows = await prisma.collectionProduct.findMany({
+      where: {
+        collection: { slug: f.collection, isPublished: true },
+        product: where,
+        ...(f.after ? keysetWhere(order, f.after) : {}),
+      },
+      orderBy: keysetOrderBy(order),
+      take,
+      select: { position: true, addedAt: true, productId: true, product: { select: PUBLIC_PRODUCT_SELECT } },
+    });
+    const { rows: shown, nextCursor } = page(rows, (r) => [r.position, r.addedAt, r.productId]);
+    return { rows: shown.map((r) => r.product), nextCursor };
+  }
 
-      const coverUrl =
-        p.images && p.images.length > 0 ? String(p.images[0].url) : "";
+  if (f.sortKey === "price_asc" || f.sortKey === "price_desc") {
+    // Sales start and end with the clock, so products on sale right now seek on saleListPriceJMD
+    // and the rest on listPriceJMD; the two runs are merged into one page.
+    const now = new Date();
+    const dir = order[0][1];
+    const onSale = saleActiveWhere(now);
+    const run = (field, filter) => {
+      const fieldOrder = [[field, dir], ["id", "asc"]];
+      return prisma.product.findMany({
+        where: { AND: [where, filter, ...(f.after ? [keysetWhere(fieldOrder, f.after)] : [])] },
+        orderBy: keysetOrderBy(fieldOrder),
+        take,
+        select: { ...PUBLIC_PRODUCT_SELECT, ...LISTING_PRICE_SELECT },
+      });
+    };
+    const [sale, regular] = await Promise.all([run("saleListPriceJMD", onSale), run("listPriceJMD", { NOT: onSale })]);
+
+    const sign = dir === "asc" ? 1 : -1;
+    const rows = [...sale, ...regular]
+      .map((p) => ({ p, price: listingPrice(p, now) }))
+      .sort((a, b) => sign * (a.price - b.price) || (a.p.id < b.p.id ? -1 : a.p.id > b.p.id ? 1 : 0))
+      .slice(0, take);
+    const { rows: shown, nextCursor } = page(rows, (r) => [r.price, r.p.id]);
+    return { rows: shown.map((r) => r.p), nextCursor };
+  }
 
-      return {
-        id: p.id,
-        slug: p.slug || null,
-        title: p.name, // frontend expects title
-        description: p.description || "",
-        priceJMD: p.priceJMD,
-        status: p.isPublished ? "published" : "draft",
-        sizes: ["S", "M", "L", "XL"],
-        stockBySize,
-        media: { coverUrl },
-        createdAt: p.createdAt,
-        updatedAt: p.updatedAt,
-      };
+  if (!order) {
+    const offset = f.after || 0;
+    const rows = await prisma.product.findMany({
+      where,
+      orderBy: [{ items: { _count: "desc" } }, { createdAt: "desc" }, { id: "asc" }],
+      skip: offset,
+      take,
+      select: PUBLIC_PRODUCT_SELECT,
     });
+    return page(rows, () => offset + f.limit);
+  }
 
-    return res.json({ ok: true, products: mapped });
-  } catch (err) {
+  const rows = await prisma.product.findMany({
+    where: f.after ? { AND: [where, keysetWhere(order, f.after)] } : where,
+    orderBy: keysetOrderBy(order),
+    take,
+    select: PUBLIC_PRODUCT_SELECT,
+  });
+  return page(rows, (p) => [p.createdAt, p.id]);
+}
+
+app.get("/api/products", async (req, res) => {
+  // Public endpoint: allow simple cross-origin GET (safe for products)
+  res.setHeader("Access-Control-Allow-Origin", "*");
+
+  const filters = parseProductQuery(req.query);
+
+  try {
+    const [page, total, facets] = await Promise.all([
+      findProductPage(filters),
+      prisma.product.count({ where: productSearchWhere(filters) }),
+      productSearchFacets(filters),
+    ]);
+
+    return res.json({
+      ok: true,
+      products: page.rows.map(toPublicProduct),
+      total,
+      nextCursor: page.nextCursor,
+      facets,
+    });
+  } catch (err) {
+    safeLogError("GET /api/products failed:", err);
     return res.status(500).json({
       ok: false,
       error: "Failed to load products",
@@ -354,556 +1412,2674 @@ app.get("/api/products", async (req, res) => {
   }
 });
 
+// -----------------------------
+// PRODUCT SLUGS + DETAIL
+// -----------------------------
+const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+function slugify(value) {
+  return String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+}
+
+function productSlugError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_SLUG";
+  return err;
+}
+
+// Explicit slugs are normalized the same way generated ones are.
+function parseProductSlug(raw) {
+  const slug = slugify(raw);
+  if (!slug || !SLUG_RE.test(slug)) throw productSlugError("Slug may only use letters, numbers and dashes");
+  return slug;
+}
+
+// True when `slug` looks like it was generated from `name` (e.g. "linen-dress" or "linen-dress-2"),
+// so renaming the product may regenerate it. Hand-picked slugs are left alone.
+function isGeneratedSlug(slug, name) {
+  const root = slugify(name) || "product";
+  if (!slug || slug === root) return true;
+  const prefix = `${root.slice(0, 56)}-`;
+  return slug.startsWith(prefix) && /^\d+$/.test(slug.slice(prefix.length));
+}
+
+// First free slug for `name`: the name itself, then name-2, name-3, ...
+// A slug is taken when another product uses it now or used it before (old links still redirect there).
+async function uniqueProductSlug(db, name, { productId = null } = {}) {
+  const root = slugify(name) || "product";
+
+  for (let n = 1; n <= 50; n += 1) {
+    const candidate = n === 1 ? root : `${root.slice(0, 56)}-${n}`;
+    const [owner, redirect] = await Promise.all([
+      db.product.findUnique({ where: { slug: candidate }, select: { id: true } }),
+      db.productSlugRedirect.findUnique({ where: { slug: candidate }, select: { productId: true } }),
+    ]);
+    if ((!owner || owner.id === productId) && (!redirect || redirect.productId === productId)) return candidate;
+  }
+
+  return `${root.slice(0, 50)}-${crypto.randomBytes(4).toString("hex")}`;
+}
+
+// Move a product to a new slug, keeping the old one as a redirect.
+// Claiming a slug that used to redirect somewhere ends that redirect.
+async function changeProductSlug(tx, productId, fromSlug, toSlug) {
+  if (fromSlug === toSlug) return;
+
+  await tx.productSlugRedirect.deleteMany({ where: { slug: toSlug } });
+  if (fromSlug) {
+    await tx.productSlugRedirect.upsert({
+      where: { slug: fromSlug },
+      update: { productId },
+      create: { slug: fromSlug, productId },
+    });
+  }
+}
+
+// Resolve a published product by current slug, id, or a previous slug.
+async function findPublishedProduct(key) {
+  const k = String(key || "").trim();
+  if (!k) return null;
+
+  const product = await prisma.product.findFirst({
+    where: { ...liveProductWhere(), OR: [{ slug: k.toLowerCase() }, { id: k }] },
+    select: PUBLIC_PRODUCT_SELECT,
+  });
+  if (product) return product;
+
+  const redirect = await prisma.productSlugRedirect.findUnique({
+    where: { slug: k.toLowerCase() },
+    select: { product: { select: PUBLIC_PRODUCT_SELECT } },
+  });
+  return isProductLive(redirect?.product) ? redirect.product : null;
+}
+
+// GET /api/products/:slugOrId
+// `product.slug` is canonical; clients reached through an id or old slug should switch to it.
+app.get("/api/products/:slugOrId", async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+
+  try {
+    const p = await findPublishedProduct(req.params.slugOrId);
+    if (!p) return res.status(404).json({ ok: false, error: "Product not found" });
+
+    return res.json({
+      ok: true,
+      product: {
+        ...toPublicProduct(p),
+        images: (p.images || []).map((img) => ({
+          url: img.url,
+          alt: img.alt || "",
+          responsive: responsiveImage(img.url),
+        })),
+      },
+    });
+  } catch (err) {
+    safeLogError("GET /api/products/:slugOrId failed:", err);
+    return res.status(500).json({ ok: false, error: "Failed to load product" });
+  }
+});
+
+// -----------------------------
+// COLLECTIONS (public + admin)
+// -----------------------------
+const ADMIN_COLLECTION_SELECT = {
+  id: true,
+  slug: true,
+  name: true,
+  description: true,
+  coverImageUrl: true,
+  isPublished: true,
+  position: true,
+  createdAt: true,
+  updatedAt: true,
+  products: { orderBy: { position: "asc" }, select: { productId: true } },
+};
+
+function toPublicCollection(c) {
+  return {
+    id: c.id,
+    slug: c.slug,
+    name: c.name,
+    description: c.description || "",
+    coverImageUrl: isSafeHomeUploadUrl(c.coverImageUrl) ? normalizeHomeUploadUrl(c.coverImageUrl) : null,
+    coverImage: isSafeHomeUploadUrl(c.coverImageUrl) ? responsiveImage(normalizeHomeUploadUrl(c.coverImageUrl)) : null,
+    productCount: Number(c._count?.products ?? 0),
+  };
+}
+
+function toAdminCollection(c) {
+  const { products, ...rest } = c;
+  return { ...rest, productIds: (products || []).map((p) => p.productId) };
+}
+
+function collectionInputError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_COLLECTION";
+  return err;
+}
+
+/**
+ * Validate admin collection fields. With `partial`, only fields present in the body are returned.
+ * `productIds` (ordered) is returned separately since it replaces the membership.
+ */
+function parseCollectionInput(body, { partial = false } = {}) {
+  const data = {};
+  const has = (key) => body?.[key] !== undefined;
+
+  if (!partial || has("name")) {
+    data.name = String(body?.name || "").trim().slice(0, 80);
+    if (!data.name) throw collectionInputError("Collection name is required");
+  }
+  if (!partial || has("slug")) {
+    const slug = slugify(body?.slug || (partial ? "" : data.name));
+    if (!slug || !SLUG_RE.test(slug)) throw collectionInputError("Slug may only use letters, numbers and dashes");
+    data.slug = slug;
+  }
+  if (!partial || has("description")) {
+    data.description = String(body?.description || "").trim().slice(0, 1000) || null;
+  }
+  if (!partial || has("coverImageUrl")) {
+    const url = body?.coverImageUrl;
+    data.coverImageUrl = url && isSafeHomeUploadUrl(url) ? normalizeHomeUploadUrl(url) : null;
+  }
+  if (!partial || has("isPublished")) data.isPublished = body?.isPublished === undefined ? true : Boolean(body.isPublished);
+  if (has("position")) data.position = parseQty(body.position);
+
+  const productIds = Array.isArray(body?.productIds)
+    ? [...new Set(body.productIds.map((id) => String(id || "").trim()).filter(Boolean))]
+    : null;
+
+  return { data, productIds };
+}
+
+async function replaceCollectionProducts(tx, collectionId, productIds) {
+  await tx.collectionProduct.deleteMany({ where: { collectionId } });
+  if (!productIds.length) return;
+
+  const existing = await tx.product.findMany({ where: { id: { in: productIds } }, select: { id: true } });
+  const known = new Set(existing.map((p) => p.id));
+  await tx.collectionProduct.createMany({
+    data: productIds.filter((id) => known.has(id)).map((productId, position) => ({ collectionId, productId, position })),
+  });
+}
+
+function sendCollectionError(res, err, fallback) {
+  if (err?.code === "INVALID_COLLECTION") {
+    return res.status(400).json({ ok: false, code: "INVALID_COLLECTION", error: err.message });
+  }
+  if (err?.code === "INVALID_UPLOAD") return sendUploadError(res, err);
+  if (err?.code === "P2002") {
+    return res.status(409).json({ ok: false, code: "SLUG_IN_USE", error: "Another collection already uses that slug" });
+  }
+  if (err?.code === "P2025") return res.status(404).json({ ok: false, error: "Collection not found" });
+  return sendServerError(res, fallback);
+}
+
+// Public: published collections for the shop filter bar.
+app.get("/api/collections", async (req, res) => {
+  try {
+    const collections = await prisma.collection.findMany({
+      where: { isPublished: true },
+      orderBy: [{ position: "asc" }, { name: "asc" }],
+      select: {
+        id: true,
+        slug: true,
+        name: true,
+        description: true,
+        coverImageUrl: true,
+        _count: { select: { products: { where: { product: liveProductWhere() } } } },
+      },
+    });
+    return res.json({ ok: true, collections: collections.map(toPublicCollection) });
+  } catch (err) {
+    return sendServerError(res, "Collections could not be loaded right now.");
+  }
+});
+
+// Public: one collection with its published products in collection order.
+app.get("/api/collections/:slug", async (req, res) => {
+  const slug = String(req.params.slug || "").trim().toLowerCase();
+
+  try {
+    const collection = await prisma.collection.findFirst({
+      where: { slug, isPublished: true },
+      select: {
+        id: true,
+        slug: true,
+        name: true,
+        description: true,
+        coverImageUrl: true,
+        products: {
+          where: { product: liveProductWhere() },
+          orderBy: { position: "asc" },
+          select: { product: { select: PUBLIC_PRODUCT_SELECT } },
+        },
+      },
+    });
+    if (!collection) return res.status(404).json({ ok: false, error: "Collection not found" });
+
+    const products = collection.products.map((row) => toPublicProduct(row.product));
+    return res.json({
+      ok: true,
+      collection: toPublicCollection({ ...collection, _count: { products: products.length } }),
+      products,
+    });
+  } catch (err) {
+    return sendServerError(res, "This collection could not be loaded right now.");
+  }
+});
+
+app.get("/api/admin/collections", async (req, res) => {
+  const sess = requirePermission(req, res, "products.view");
+  if (!sess) return;
+
+  try {
+    const collections = await prisma.collection.findMany({
+      orderBy: [{ position: "asc" }, { name: "asc" }],
+      select: ADMIN_COLLECTION_SELECT,
+    });
+    return res.json({ ok: true, collections: collections.map(toAdminCollection) });
+  } catch (err) {
+    return sendServerError(res, "Collections could not be loaded right now.");
+  }
+});
+
+app.post("/api/admin/collections", async (req, res) => {
+  const sess = requirePermission(req, res, "products.manage");
+  if (!sess) return;
+
+  try {
+    const { data, productIds } = parseCollectionInput(req.body);
+    if (data.coverImageUrl) data.coverImageUrl = await ingestImageUrl(data.coverImageUrl, "collections");
+
+    const created = await prisma.$transaction(async (tx) => {
+      const collection = await tx.collection.create({ data, select: { id: true } });
+      if (productIds) await replaceCollectionProducts(tx, collection.id, productIds);
+      return tx.collection.findUnique({ where: { id: collection.id }, select: ADMIN_COLLECTION_SELECT });
+    });
+
+    return res.status(201).json({ ok: true, collection: toAdminCollection(created) });
+  } catch (err) {
+    return sendCollectionError(res, err, "Collection could not be created right now.");
+  }
+});
+
+app.patch("/api/admin/collections/:id", async (req, res) => {
+  const sess = requirePermission(req, res, "products.manage");
+  if (!sess) return;
+
+  const id = String(req.params.id || "").trim();
+
+  try {
+    const { data, productIds } = parseCollectionInput(req.body, { partial: true });
+    if (data.coverImageUrl) data.coverImageUrl = await ingestImageUrl(data.coverImageUrl, "collections");
+
+    const updated = await prisma.$transaction(async (tx) => {
+      await tx.collection.update({ where: { id }, data, select: { id: true } });
+      if (productIds) await replaceCollectionProducts(tx, id, productIds);
+      return tx.collection.findUnique({ where: { id }, select: ADMIN_COLLECTION_SELECT });
+    });
+
+    return res.json({ ok: true, collection: toAdminCollection(updated) });
+  } catch (err) {
+    return sendCollectionError(res, err, "Collection could not be updated right now.");
+  }
+});
+
+app.delete("/api/admin/collections/:id", async (req, res) => {
+  const sess = requirePermission(req, res, "products.manage");
+  if (!sess) return;
+
+  try {
+    await prisma.collection.delete({ where: { id: String(req.params.id || "").trim() } });
+    return res.json({ ok: true });
+  } catch (err) {
+    return sendCollectionError(res, err, "Collection could not be deleted right now.");
+  }
+});
+
+
+// -----------------------------
+// IMAGE UPLOADS (admin)
+// -----------------------------
+// Image bytes live with the configured storage driver (STORAGE_DRIVER=local|s3, see storage.js);
+// the database only keeps the returned URL. Each kind maps to the permission that edits its images.
+const UPLOAD_KINDS = {
+  products: "products.manage",
+  collections: "products.manage",
+  home: "content.manage",
+};
+const MAX_UPLOAD_FILES = 10;
+
+function uploadError(message, status = 400) {
+  const err = new Error(message);
+  err.code = "INVALID_UPLOAD";
+  err.status = status;
+  return err;
+}
+
+// Size and real content type of an image buffer, or an INVALID_UPLOAD error.
+function checkImage(buffer) {
+  if (!buffer?.length) throw uploadError("Empty image");
+  if (buffer.length > MAX_IMAGE_BYTES) throw uploadError("Image must be 5MB or smaller", 413);
+  const type = sniffImageType(buffer);
+  if (!type) throw uploadError("Only PNG, JPG, and WEBP images are allowed", 415);
+  return type;
+}
+
+async function storeImage(buffer, kind) {
+  const type = checkImage(buffer);
+  const key = newImageKey(kind, type.ext);
+  const url = await getStorage().put(key, buffer, { contentType: type.contentType });
+  // Queue the responsive sizes for rendering, one image at a time; /img renders any missing ones on demand.
+  warmDerivatives(key);
+  return { url, contentType: type.contentType, size: buffer.length };
+}
+
+// Remove a stored image and its cached sizes once nothing points at it. URLs that didn't come
+// from the configured storage are left alone; failures are only logged.
+async function deleteStoredImage(url) {
+  const key = url ? getStorage().keyFor(url) : null;
+  if (!key) return;
+  try {
+    await getStorage().delete(key);
+    await deleteDerivatives(key);
+  } catch (err) {
+    safeLogError(`[images] could not delete ${key}:`, err);
+  }
+}
+
+// Older clients still send base64 data URLs; store those and keep only the URL.
+async function ingestImageUrl(value, kind) {
+  const raw = String(value || "").trim();
+  if (!raw.startsWith("data:")) return raw;
+  const buffer = decodeDataUrl(raw);
+  if (!buffer) throw uploadError("Invalid image data URL");
+  return (await storeImage(buffer, kind)).url;
+}
+
+function sendUploadError(res, err) {
+  return res.status(err.status || 400).json({ ok: false, code: "INVALID_UPLOAD", error: err.message });
+}
+
+const readUploadBody = express.raw({
+  type: "multipart/form-data",
+  limit: MAX_UPLOAD_FILES * MAX_IMAGE_BYTES + 1024 * 1024,
+});
+
+// Admin: POST /api/admin/uploads?kind=products|collections|home
+// multipart/form-data with one or more file parts; returns { files: [{ url, filename, contentType, size }] }.
+app.post(
+  "/api/admin/uploads",
+  (req, res, next) => {
+    const kind = String(req.query?.kind || "products").trim().toLowerCase();
+    if (!UPLOAD_KINDS[kind]) return res.status(400).json({ ok: false, error: "Unknown upload kind" });
+
+    // Check access before buffering the body
+    const sess = requirePermission(req, res, UPLOAD_KINDS[kind]);
+    if (!sess) return;
+    req.uploadKind = kind;
+
+    readUploadBody(req, res, (err) => {
+      if (err?.type === "entity.too.large") return sendUploadError(res, uploadError("Upload is too large", 413));
+      return next(err);
+    });
+  },
+  async (req, res) => {
+    try {
+      const { files } = parseMultipart(req.body, req.get("content-type"), { maxFiles: MAX_UPLOAD_FILES });
+      if (!files.length) return res.status(400).json({ ok: false, error: "No files uploaded" });
+
+      // Validate every file before storing any of them
+      files.forEach((file) => checkImage(file.data));
+
+      const stored = [];
+      for (const file of files) {
+        const saved = await storeImage(file.data, req.uploadKind);
+        stored.push({ ...saved, filename: file.filename });
+      }
+
+      return res.status(201).json({ ok: true, storage: getStorageDriverName(), files: stored });
+    } catch (err) {
+      if (err?.code === "INVALID_UPLOAD") return sendUploadError(res, err);
+      if (err?.code === "BAD_MULTIPART") return res.status(400).json({ ok: false, error: err.message });
+      safeLogError("POST /api/admin/uploads failed:", err);
+      return sendServerError(res, "Images could not be uploaded right now.");
+    }
+  }
+);
+
+// -----------------------------
+// PRODUCT REVIEWS (public + admin)
+// -----------------------------
+// Customers with a delivered order containing a product can review it once; sending the form again
+// edits the review and puts it back in the moderation queue. Only approved reviews are shown and
+// counted in Product.ratingAverage / ratingCount.
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+const MAX_REVIEW_TITLE = 120;
+const MAX_REVIEW_BODY = 2000;
+const MAX_REVIEW_REPLY = 1000;
+const REVIEWS_PAGE_SIZE = 10;
+
+const readReviewBody = express.raw({ type: "multipart/form-data", limit: MAX_IMAGE_BYTES + 64 * 1024 });
+
+const REVIEW_SELECT = {
+  id: true,
+  rating: true,
+  title: true,
+  body: true,
+  photoUrl: true,
+  status: true,
+  reply: true,
+  repliedAt: true,
+  moderatedAt: true,
+  createdAt: true,
+  updatedAt: true,
+  user: { select: { name: true } },
+};
+
+function reviewInputError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_REVIEW";
+  return err;
+}
+
+function publicRating(p) {
+  const count = Number(p?.ratingCount || 0);
+  return {
+    average: count && p.ratingAverage !== null ? Math.round(p.ratingAverage * 10) / 10 : null,
+    count,
+  };
+}
+
+// Recompute a product's rating from its approved reviews; call after any review changes.
+async function refreshProductRating(db, productId) {
+  const agg = await db.productReview.aggregate({
+    where: { productId, status: "approved" },
+    _avg: { rating: true },
+    _count: { _all: true },
+  });
+  await db.product.update({
+    where: { id: productId },
+    data: { ratingAverage: agg._avg.rating, ratingCount: agg._count._all },
+  });
+}
+
+async function hasDeliveredPurchase(db, userId, productId) {
+  const item = await db.orderItem.findFirst({
+    where: { productId, order: { userId, status: "delivered" } },
+    select: { id: true },
+  });
+  return !!item;
+}
+
+// "Jane D." from the account name; reviews never show email addresses.
+function reviewerName(user) {
+  const parts = String(user?.name || "").trim().split(/\s+/).filter(Boolean);
+  if (!parts.length) return "Verified buyer";
+  if (parts.length === 1) return parts[0];
+  return `${parts[0]} ${parts[parts.length - 1][0].toUpperCase()}.`;
+}
+
+function toPublicReview(r) {
+  return {
+    id: r.id,
+    rating: r.rating,
+    title: r.title || "",
+    body: r.body,
+    photo: r.photoUrl ? { url: r.photoUrl, responsive: responsiveImage(r.photoUrl) } : null,
+    author: reviewerName(r.user),
+    createdAt: r.createdAt,
+    reply: r.reply ? { body: r.reply, at: r.repliedAt } : null,
+  };
+}
+
+function parseReviewInput(body) {
+  const rating = Number(body?.rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) throw reviewInputError("Choose a rating from 1 to 5 stars");
+
+  const title = String(body?.title || "").trim();
+  if (title.length > MAX_REVIEW_TITLE) throw reviewInputError(`Keep the title under ${MAX_REVIEW_TITLE} characters`);
+
+  const text = String(body?.body || "").trim();
+  if (!text) throw reviewInputError("Write a few words about the product");
+  if (text.length > MAX_REVIEW_BODY) throw reviewInputError(`Keep the review under ${MAX_REVIEW_BODY} characters`);
+
+  return { rating, title: title || null, body: text };
+}
+
+// GET /api/products/:slugOrId/reviews?cursor=
+// Approved reviews, newest first. The first page also carries the star breakdown and, for a
+// signed-in customer, whether they can review the product and their own review (any status).
+app.get("/api/products/:slugOrId/reviews", async (req, res) => {
+  const cursor = String(req.query?.cursor || "").trim();
+  const limit = Math.min(50, Math.max(1, Math.round(Number(req.query?.limit) || REVIEWS_PAGE_SIZE)));
+
+  try {
+    const product = await findPublishedProduct(req.params.slugOrId);
+    if (!product) return res.status(404).json({ ok: false, error: "Product not found" });
+
+    const approved = { productId: product.id, status: "approved" };
+    const rows = await prisma.productReview.findMany({
+      where: approved,
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      take: limit + 1,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      select: REVIEW_SELECT,
+    });
+    const reviews = rows.slice(0, limit);
+
+    let breakdown = null;
+    let viewer = null;
+    if (!cursor) {
+      const counts = await prisma.productReview.groupBy({ by: ["rating"], where: approved, _count: { _all: true } });
+      breakdown = Object.fromEntries([5, 4, 3, 2, 1].map((stars) => [stars, counts.find((c) => c.rating === stars)?._count._all || 0]));
+
+      const sess = readSession(req);
+      if (sess?.userId) {
+        const [canReview, own] = await Promise.all([
+          hasDeliveredPurchase(prisma, sess.userId, product.id),
+          prisma.productReview.findUnique({
+            where: { productId_userId: { productId: product.id, userId: sess.userId } },
+            select: REVIEW_SELECT,
+          }),
+        ]);
+        viewer = { canReview, review: own ? { ...toPublicReview(own), status: own.status } : null };
+      }
+    }
+
+    return res.json({
+      ok: true,
+      rating: { ...publicRating(product), breakdown },
+      reviews: reviews.map(toPublicReview),
+      nextCursor: rows.length > limit ? reviews[reviews.length - 1].id : null,
+      viewer,
+    });
+  } catch (err) {
+    safeLogError("GET /api/products/:slugOrId/reviews failed:", err);
+    return sendServerError(res, "Reviews could not be loaded right now.");
+  }
+});
+
+// POST /api/products/:slugOrId/reviews
+// JSON { rating, title?, body } or multipart/form-data with the same fields plus an optional "photo"
+// file (removePhoto=1 drops an earlier one). Creates or replaces the customer's review as pending.
+app.post(
+  "/api/products/:slugOrId/reviews",
+  (req, res, next) => {
+    const sess = requireUser(req, res);
+    if (!sess) return;
+    req.reviewer = sess;
+
+    readReviewBody(req, res, (err) => {
+      if (err?.type === "entity.too.large") return sendUploadError(res, uploadError("Photo must be 5MB or smaller", 413));
+      return next(err);
+    });
+  },
+  async (req, res) => {
+    const sess = req.reviewer;
+    // Set while a newly stored photo isn't saved on the review yet
+    let unsavedPhotoUrl = null;
+
+    try {
+      let fields = req.body || {};
+      let photo = null;
+      if (Buffer.isBuffer(req.body)) {
+        const parsed = parseMultipart(req.body, req.get("content-type"), { maxFiles: 1 });
+        fields = parsed.fields;
+        photo = parsed.files.find((f) => f.field === "photo" && f.data.length)?.data || null;
+      }
+
+      const input = parseReviewInput(fields);
+      if (photo) checkImage(photo);
+
+      const product = await findPublishedProduct(req.params.slugOrId);
+      if (!product) return res.status(404).json({ ok: false, error: "Product not found" });
+
+      if (!(await hasDeliveredPurchase(prisma, sess.userId, product.id))) {
+        return res.status(403).json({
+          ok: false,
+          code: "REVIEW_NOT_ALLOWED",
+          error: "You can review products once an order containing them has been delivered.",
+        });
+      }
+
+      const removePhoto = ["1", "true"].includes(String(fields.removePhoto || "").toLowerCase());
+      const photoUrl = photo ? (await storeImage(photo, "reviews")).url : removePhoto ? null : undefined;
+      unsavedPhotoUrl = photoUrl || null;
+
+      // Edits go back to moderation, and a reply to the old text no longer applies
+      const data = { ...input, status: "pending", moderatedAt: null, reply: null, repliedAt: null };
+      if (photoUrl !== undefined) data.photoUrl = photoUrl;
+
+      const where = { productId_userId: { productId: product.id, userId: sess.userId } };
+      const { review, previousPhotoUrl } = await prisma.$transaction(async (tx) => {
+        const previous = await tx.productReview.findUnique({ where, select: { photoUrl: true } });
+        const saved = await tx.productReview.upsert({
+          where,
+          update: data,
+          create: { ...data, productId: product.id, userId: sess.userId },
+          select: REVIEW_SELECT,
+        });
+        await refreshProductRating(tx, product.id);
+        return { review: saved, previousPhotoUrl: previous?.photoUrl || null };
+      });
+      unsavedPhotoUrl = null;
+      // A replaced or removed photo is no longer referenced anywhere
+      if (photoUrl !== undefined && previousPhotoUrl && previousPhotoUrl !== photoUrl) {
+        await deleteStoredImage(previousPhotoUrl);
+      }
+
+      return res.status(201).json({ ok: true, review: { ...toPublicReview(review), status: review.status } });
+    } catch (err) {
+      // The review wasn't saved, so a photo stored for it is orphaned
+      await deleteStoredImage(unsavedPhotoUrl);
+      if (err?.code === "INVALID_REVIEW") return res.status(400).json({ ok: false, code: "INVALID_REVIEW", error: err.message });
+      if (err?.code === "INVALID_UPLOAD") return sendUploadError(res, err);
+      if (err?.code === "BAD_MULTIPART") return res.status(400).json({ ok: false, error: err.message });
+      safeLogError("POST /api/products/:slugOrId/reviews failed:", err);
+      return sendServerError(res, "Your review could not be saved right now.");
+    }
+  }
+);
+
+function toAdminReview(r) {
+  return {
+    ...toPublicReview(r),
+    status: r.status,
+    moderatedAt: r.moderatedAt,
+    updatedAt: r.updatedAt,
+    product: r.product,
+    customer: { name: r.user?.name || null, email: r.user?.email || null },
+  };
+}
+
+const ADMIN_REVIEW_SELECT = {
+  ...REVIEW_SELECT,
+  user: { select: { name: true, email: true } },
+  product: { select: { id: true, slug: true, name: true } },
+};
+
+// GET /api/admin/reviews?status=pending|approved|rejected|all
+// The pending queue is oldest first; the other lists are newest first.
+app.get("/api/admin/reviews", async (req, res) => {
+  const admin = requirePermission(req, res, "content.manage");
+  if (!admin) return;
+
+  const status = String(req.query?.status || "pending").trim().toLowerCase();
+  if (status !== "all" && !REVIEW_STATUSES.includes(status)) {
+    return res.status(400).json({ ok: false, error: "Unknown review status" });
+  }
+
+  try {
+    const [reviews, counts] = await Promise.all([
+      prisma.productReview.findMany({
+        where: status === "all" ? {} : { status },
+        orderBy: { createdAt: status === "pending" ? "asc" : "desc" },
+        take: 200,
+        select: ADMIN_REVIEW_SELECT,
+      }),
+      prisma.productReview.groupBy({ by: ["status"], _count: { _all: true } }),
+    ]);
+
+    return res.json({
+      ok: true,
+      reviews: reviews.map(toAdminReview),
+      counts: Object.fromEntries(REVIEW_STATUSES.map((s) => [s, counts.find((c) => c.status === s)?._count._all || 0])),
+    });
+  } catch (err) {
+    safeLogError("GET /api/admin/reviews failed:", err);
+    return sendServerError(res, "Reviews could not be loaded right now.");
+  }
+});
+
+async function moderateReview(req, res, status) {
+  const admin = requirePermission(req, res, "content.manage");
+  if (!admin) return;
+
+  const id = String(req.params.id);
+
+  try {
+    // A rejected review's photo is never shown, so it is deleted rather than left in public storage
+    const { review, droppedPhotoUrl } = await prisma.$transaction(async (tx) => {
+      const before = status === "rejected" ? await tx.productReview.findUnique({ where: { id }, select: { photoUrl: true } }) : null;
+      const updated = await tx.productReview.update({
+        where: { id },
+        data: { status, moderatedAt: new Date(), ...(status === "rejected" ? { photoUrl: null } : {}) },
+        select: ADMIN_REVIEW_SELECT,
+      });
+      await refreshProductRating(tx, updated.product.id);
+      return { review: updated, droppedPhotoUrl: before?.photoUrl || null };
+    });
+    await deleteStoredImage(droppedPhotoUrl);
+    return res.json({ ok: true, review: toAdminReview(review) });
+  } catch (err) {
+    if (err?.code === "P2025") return res.status(404).json({ ok: false, error: "Review not found" });
+    safeLogError(`POST /api/admin/reviews/:id/${status === "approved" ? "approve" : "reject"} failed:`, err);
+    return sendServerError(res, "The review could not be updated right now.");
+  }
+}
+
+// POST /api/admin/reviews/:id/approve
+app.post("/api/admin/reviews/:id/approve", (req, res) => moderateReview(req, res, "approved"));
+
+// POST /api/admin/reviews/:id/reject
+app.post("/api/admin/reviews/:id/reject", (req, res) => moderateReview(req, res, "rejected"));
+
+// POST /api/admin/reviews/:id/reply  { reply }
+// Public reply from the store; an empty reply removes it.
+app.post("/api/admin/reviews/:id/reply", async (req, res) => {
+  const admin = requirePermission(req, res, "content.manage");
+  if (!admin) return;
+
+  const reply = String(req.body?.reply || "").trim();
+  if (reply.length > MAX_REVIEW_REPLY) {
+    return res.status(400).json({ ok: false, error: `Keep the reply under ${MAX_REVIEW_REPLY} characters` });
+  }
+
+  try {
+    const review = await prisma.productReview.update({
+      where: { id: String(req.params.id) },
+      data: { reply: reply || null, repliedAt: reply ? new Date() : null },
+      select: ADMIN_REVIEW_SELECT,
+    });
+    return res.json({ ok: true, review: toAdminReview(review) });
+  } catch (err) {
+    if (err?.code === "P2025") return res.status(404).json({ ok: false, error: "Review not found" });
+    safeLogError("POST /api/admin/reviews/:id/reply failed:", err);
+    return sendServerError(res, "The reply could not be saved right now.");
+  }
+});
+
+// -----------------------------
+// SITE HOME SETTINGS (public + admin)
+// -----------------------------
+
+// Public: GET /api/site/home
+// Returns the singleton home settings + featured products (published only).
+app.get("/api/site/home", async (req, res) => {
+  try {
+    if (!hasPrismaModel("siteHomeSettings")) {
+      return res.status(503).json({
+        ok: false,
+        error: "Homepage settings are temporarily unavailable.",
+      });
+    }
+
+    const settings = await prisma.siteHomeSettings.findUnique({
+      where: { id: "singleton" },
+      select: {
+        id: true,
+        heroTitle: true,
+        heroSubtitle: true,
+        slideshowUrls: true,
+        featuredProductIds: true,
+        promoEnabled: true,
+        promoImageUrl: true,
+        promoTitle: true,
+        promoSubtitle: true,
+        promoCtaText: true,
+        promoCtaLink: true,
+        updatedAt: true,
+      },
+    });
+
+    const featuredIds = Array.isArray(settings?.featuredProductIds) ? settings.featuredProductIds : [];
+    const slideshowUrls = sanitizeHomeUploadUrls(settings?.slideshowUrls);
+    const promoImageUrl = isSafeHomeUploadUrl(settings?.promoImageUrl)
+      ? normalizeHomeUploadUrl(settings?.promoImageUrl)
+      : "";
+    const featuredProducts = featuredIds.length
+      ? await prisma.product.findMany({
+        where: { id: { in: featuredIds }, ...liveProductWhere() },
+        select: {
+          id: true,
+          slug: true,
+          name: true,
+          description: true,
+          ...PRODUCT_PRICE_SELECT,
+          images: { orderBy: { sortOrder: "asc" }, take: 1, select: { url: true, alt: true } },
+          ...PRODUCT_OPTIONS_SELECT,
+        },
+      })
+      : [];
+
+    // Keep stable order according to featuredProductIds
+    const byId = new Map(featuredProducts.map(p => [p.id, p]));
+    const orderedFeatured = featuredIds.map(id => byId.get(id)).filter(Boolean).map((p) => {
+      return {
+        id: p.id,
+        slug: p.slug || null,
+        title: p.name,
+        description: p.description || "",
+        ...productPricing(p),
+        ...toPublicVariants(p),
+        media: {
+          coverUrl: p.images?.[0]?.url || "",
+          responsive: responsiveImage(p.images?.[0]?.url),
+        },
+        isPublished: true,
+      };
+    });
+
+    return res.json({
+      ok: true,
+      hasSettings: !!settings,
+      home: {
+        heroTitle: settings?.heroTitle || null,
+        heroSubtitle: settings?.heroSubtitle || null,
+        promoEnabled: !!settings?.promoEnabled,
+        promoImageUrl: promoImageUrl || null,
+        promoTitle: settings?.promoTitle || null,
+        promoSubtitle: settings?.promoSubtitle || null,
+        promoCtaText: settings?.promoCtaText || null,
+        promoCtaLink: settings?.promoCtaLink || null,
+        slideshowUrls,
+        slideshow: slideshowUrls.map(responsiveImage),
+        promoImage: promoImageUrl ? responsiveImage(promoImageUrl) : null,
+        featuredProductIds: featuredIds,
+        updatedAt: settings?.updatedAt || null,
+      },
+      featured: orderedFeatured,
+    });
+  } catch (err) {
+    safeLogError("GET /api/site/home failed:", err);
+    return res.status(500).json({ ok: false, error: "Failed to load home settings" });
+  }
+});
+
+// Admin: GET /api/admin/site/home
+app.get("/api/admin/site/home", async (req, res) => {
+  const sess = requirePermission(req, res, "content.manage");
+  if (!sess) return;
+
+  try {
+    if (!hasPrismaModel("siteHomeSettings")) {
+      return res.status(503).json({
+        ok: false,
+        error: "Homepage settings are temporarily unavailable.",
+      });
+    }
+
+    const settings = await prisma.siteHomeSettings.findUnique({
+      where: { id: "singleton" },
+      select: {
+        id: true,
+        heroTitle: true,
+        heroSubtitle: true,
+        slideshowUrls: true,
+        featuredProductIds: true,
+        promoEnabled: true,
+        promoImageUrl: true,
+        promoTitle: true,
+        promoSubtitle: true,
+        promoCtaText: true,
+        promoCtaLink: true,
+        createdAt: true,
+        updatedAt: true,
+      },
+    });
+
+    const normalized = settings
+      ? {
+        ...settings,
+        slideshowUrls: sanitizeHomeUploadUrls(settings.slideshowUrls),
+        promoImageUrl: isSafeHomeUploadUrl(settings.promoImageUrl)
+          ? normalizeHomeUploadUrl(settings.promoImageUrl)
+          : null,
+      }
+      : null;
+
+    return res.json({
+      ok: true,
+      hasSettings: !!settings,
+      home: normalized || {
+        id: "singleton",
+        heroTitle: null,
+        heroSubtitle: null,
+        promoEnabled: false,
+        promoImageUrl: null,
+        promoTitle: null,
+        promoSubtitle: null,
+        promoCtaText: null,
+        promoCtaLink: null,
+        slideshowUrls: [],
+        featuredProductIds: [],
+        createdAt: null,
+        updatedAt: null,
+      },
+    });
+  } catch (err) {
+    safeLogError("GET /api/admin/site/home failed:", err);
+    return res.status(500).json({ ok: false, error: "Failed to load home settings" });
+  }
+});
+
+// Admin: POST /api/admin/site/home/upload
+// Older JSON form ({ filename, dataUrl }); new clients post multipart to /api/admin/uploads?kind=home.
+app.post("/api/admin/site/home/upload", async (req, res) => {
+  const sess = requirePermission(req, res, "content.manage");
+  if (!sess) return;
+
+  try {
+    const dataUrl = String(req.body?.dataUrl || "").trim();
+    const filename = String(req.body?.filename || "slide").trim();
+
+    if (!dataUrl.startsWith("data:image/")) {
+      return res.status(400).json({ ok: false, error: "Invalid image payload" });
+    }
+
+    const buffer = decodeDataUrl(dataUrl);
+    if (!buffer) {
+      return res.status(400).json({ ok: false, error: "Invalid data URL format" });
+    }
+
+    const { url } = await storeImage(buffer, "home");
+
+    return res.json({
+      ok: true,
+      url,
+      storage: getStorageDriverName(),
+      filename,
+    });
+  } catch (err) {
+    if (err?.code === "INVALID_UPLOAD") return sendUploadError(res, err);
+    safeLogError("POST /api/admin/site/home/upload failed:", err);
+    return res.status(500).json({ ok: false, error: "Failed to upload image" });
+  }
+});
+
+
+// Admin: PUT /api/admin/site/home (upsert singleton)
+app.put("/api/admin/site/home", async (req, res) => {
+  const sess = requirePermission(req, res, "content.manage");
+  if (!sess) return;
+
+  const heroTitle = req.body?.heroTitle === null || req.body?.heroTitle === undefined ? null : String(req.body.heroTitle).trim() || null;
+  const heroSubtitle = req.body?.heroSubtitle === null || req.body?.heroSubtitle === undefined ? null : String(req.body.heroSubtitle).trim() || null;
+
+  const slideshowUrlsIn = Array.isArray(req.body?.slideshowUrls) ? req.body.slideshowUrls.slice(0, 20) : [];
+
+  const featuredIn = Array.isArray(req.body?.featuredProductIds) ? req.body.featuredProductIds : [];
+  const featuredProductIds = featuredIn.map((id) => String(id || "").trim()).filter(Boolean).slice(0, 20);
+
+  const promoEnabled = !!req.body?.promoEnabled;
+  const promoTitle = req.body?.promoTitle === null || req.body?.promoTitle === undefined ? null : String(req.body.promoTitle).trim() || null;
+  const promoSubtitle = req.body?.promoSubtitle === null || req.body?.promoSubtitle === undefined ? null : String(req.body.promoSubtitle).trim() || null;
+  const promoCtaText = req.body?.promoCtaText === null || req.body?.promoCtaText === undefined ? null : String(req.body.promoCtaText).trim() || null;
+  const promoCtaLink = req.body?.promoCtaLink === null || req.body?.promoCtaLink === undefined ? null : String(req.body.promoCtaLink).trim() || null;
+
+  try {
+    if (!hasPrismaModel("siteHomeSettings")) {
+      return res.status(500).json({
+        ok: false,
+        error: "Homepage settings are temporarily unavailable.",
+      });
+    }
+
+    // Inline images from older clients are moved to storage first
+    const slideshowUrls = sanitizeHomeUploadUrls(
+      await Promise.all(slideshowUrlsIn.map((url) => ingestImageUrl(url, "home")))
+    );
+    const promoImageIn = req.body?.promoImageUrl === null || req.body?.promoImageUrl === undefined
+      ? null
+      : await ingestImageUrl(req.body.promoImageUrl, "home");
+    const promoImageUrl = promoImageIn && isSafeHomeUploadUrl(promoImageIn) ? normalizeHomeUploadUrl(promoImageIn) : null;
+
+    const saved = await prisma.siteHomeSettings.upsert({
+      where: { id: "singleton" },
+      update: { heroTitle, heroSubtitle, slideshowUrls, featuredProductIds, promoEnabled, promoImageUrl, promoTitle, promoSubtitle, promoCtaText, promoCtaLink },
+      create: { id: "singleton", heroTitle, heroSubtitle, slideshowUrls, featuredProductIds, promoEnabled, promoImageUrl, promoTitle, promoSubtitle, promoCtaText, promoCtaLink },
+      select: {
+        id: true,
+        heroTitle: true,
+        heroSubtitle: true,
+        slideshowUrls: true,
+        featuredProductIds: true,
+        promoEnabled: true,
+        promoImageUrl: true,
+        promoTitle: true,
+        promoSubtitle: true,
+        promoCtaText: true,
+        promoCtaLink: true,
+        createdAt: true,
+        updatedAt: true,
+      },
+    });
+
+    return res.json({
+      ok: true,
+      home: {
+        ...saved,
+        slideshowUrls: sanitizeHomeUploadUrls(saved.slideshowUrls),
+        promoImageUrl: isSafeHomeUploadUrl(saved.promoImageUrl)
+          ? normalizeHomeUploadUrl(saved.promoImageUrl)
+          : null,
+      },
+    });
+  } catch (err) {
+    if (err?.code === "INVALID_UPLOAD") return sendUploadError(res, err);
+    safeLogError("PUT /api/admin/site/home failed:", err);
+    return res.status(500).json({ ok: false, error: "Failed to save home settings" });
+  }
+});
+
+// -----------------------------
+// DISPLAY CURRENCIES
+// -----------------------------
+// Prices are stored and charged in JMD. Shoppers can browse in another currency using the
+// rates admins keep in AdminConfig.exchangeRates (JMD per one unit, e.g. { "USD": 157.5 });
+// a currency without a rate isn't offered. Orders keep the rate that was shown (displayRate).
+const BASE_CURRENCY = "JMD";
+const DISPLAY_CURRENCIES = {
+  USD: { symbol: "US$", name: "US dollar" },
+  GBP: { symbol: "£", name: "British pound" },
+  CAD: { symbol: "CA$", name: "Canadian dollar" },
+};
+const MAX_EXCHANGE_RATE = 100000;
+
+function ratesInputError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_RATES";
+  return err;
+}
+
+// Stored rates, dropping anything that isn't a supported currency with a positive rate.
+function exchangeRatesFrom(raw) {
+  const out = {};
+  const value = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  for (const code of Object.keys(DISPLAY_CURRENCIES)) {
+    const rate = Number(value[code]);
+    if (Number.isFinite(rate) && rate > 0) out[code] = rate;
+  }
+  return out;
+}
+
+/**
+ * Validate admin exchange rates: { USD: 157.5, GBP: "" }. Blank, null or 0 removes a currency.
+ * Throws INVALID_RATES for unknown currencies and non-numeric or out-of-range rates.
+ */
+function parseExchangeRates(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw ratesInputError('Exchange rates must be an object like { "USD": 157.5 }');
+  }
+
+  const out = {};
+  for (const [key, raw] of Object.entries(body)) {
+    const code = String(key || "").trim().toUpperCase();
+    if (!DISPLAY_CURRENCIES[code]) throw ratesInputError(`${code || "That currency"} is not a supported display currency`);
+    if (raw === null || raw === undefined || String(raw).trim() === "" || Number(raw) === 0) continue;
+
+    const rate = Number(raw);
+    if (!Number.isFinite(rate) || rate < 0 || rate > MAX_EXCHANGE_RATE) {
+      throw ratesInputError(`The ${code} rate must be the number of JMD in one ${code}, e.g. 157.5`);
+    }
+    out[code] = Math.round(rate * 10000) / 10000;
+  }
+  return out;
+}
+
+async function loadExchangeRates(db = prisma) {
+  if (!hasPrismaModel("adminConfig")) return {};
+  const cfg = await db.adminConfig.findUnique({ where: { id: "singleton" }, select: { exchangeRates: true } });
+  return exchangeRatesFrom(cfg?.exchangeRates);
+}
+
+// GET /api/currencies
+// JMD first, then every currency with a rate. `rate` is JMD per unit: shown = priceJMD / rate.
+app.get("/api/currencies", async (req, res) => {
+  try {
+    const rates = await loadExchangeRates();
+    res.setHeader("Cache-Control", "public, max-age=300");
+    return res.json({
+      ok: true,
+      base: BASE_CURRENCY,
+      currencies: [
+        { code: BASE_CURRENCY, symbol: "J$", name: "Jamaican dollar", rate: 1 },
+        ...Object.entries(rates).map(([code, rate]) => ({ code, ...DISPLAY_CURRENCIES[code], rate })),
+      ],
+    });
+  } catch (err) {
+    return sendServerError(res, "Currencies could not be loaded right now.");
+  }
+});
+
+// -----------------------------
+// ADMIN CONFIG (thresholds, etc.)
+// -----------------------------
+
+app.get("/api/admin/config", async (req, res) => {
+  const sess = requirePermission(req, res, "settings.manage");
+  if (!sess) return;
+
+  try {
+    if (!hasPrismaModel("adminConfig")) {
+      return res.status(500).json({
+        ok: false,
+        error: "Admin settings are temporarily unavailable.",
+      });
+    }
+    const cfg = await prisma.adminConfig.findUnique({
+      where: { id: "singleton" },
+      select: {
+        id: true,
+        lowStockThreshold: true,
+        requireVerifiedEmailForCheckout: true,
+        requireAdminTwoFactor: true,
+        exchangeRates: true,
+        updatedAt: true,
+      },
+    });
+    return res.json({
+      ok: true,
+      config: cfg
+        ? { ...cfg, exchangeRates: exchangeRatesFrom(cfg.exchangeRates) }
+        : {
+          id: "singleton",
+          lowStockThreshold: 3,
+          requireVerifiedEmailForCheckout: false,
+          requireAdminTwoFactor: false,
+          exchangeRates: {},
+          updatedAt: null,
+        },
+      currencies: Object.entries(DISPLAY_CURRENCIES).map(([code, c]) => ({ code, ...c })),
+    });
+  } catch (err) {
+    safeLogError("GET /api/admin/config failed:", err);
+    return res.status(500).json({ ok: false, error: "Failed to load admin config" });
+  }
+});
+
+app.put("/api/admin/config", async (req, res) => {
+  const sess = requirePermission(req, res, "settings.manage");
+  if (!sess) return;
+
+  // Only the settings present in the body change; the rest keep their saved values.
+  const data = {};
+  if (req.body?.lowStockThreshold !== undefined) {
+    const n = Number(req.body.lowStockThreshold);
+    if (!Number.isFinite(n)) {
+      return res.status(400).json({ ok: false, error: "lowStockThreshold must be a number" });
+    }
+    data.lowStockThreshold = Math.max(0, Math.floor(n));
+  }
+  if (req.body?.requireVerifiedEmailForCheckout !== undefined) {
+    data.requireVerifiedEmailForCheckout = Boolean(req.body.requireVerifiedEmailForCheckout);
+  }
+  if (req.body?.requireAdminTwoFactor !== undefined) {
+    data.requireAdminTwoFactor = Boolean(req.body.requireAdminTwoFactor);
+    // Don't let an admin switch this on and lock themselves out of settings.
+    if (data.requireAdminTwoFactor && !sess.twoFactorEnabled) {
+      return res.status(409).json({
+        ok: false,
+        error: "Turn on two-factor authentication for your own account before requiring it for all admins.",
+      });
+    }
+  }
+  if (req.body?.exchangeRates !== undefined) {
+    try {
+      data.exchangeRates = parseExchangeRates(req.body.exchangeRates);
+    } catch (err) {
+      return res.status(400).json({ ok: false, code: err.code, error: err.message });
+    }
+  }
+
+  try {
+    if (!hasPrismaModel("adminConfig")) {
+      return res.status(500).json({
+        ok: false,
+        error: "Admin settings are temporarily unavailable.",
+      });
+    }
+    const cfg = await prisma.adminConfig.upsert({
+      where: { id: "singleton" },
+      update: data,
+      create: { id: "singleton", ...data },
+      select: {
+        id: true,
+        lowStockThreshold: true,
+        requireVerifiedEmailForCheckout: true,
+        requireAdminTwoFactor: true,
+        exchangeRates: true,
+        updatedAt: true,
+      },
+    });
+    return res.json({ ok: true, config: { ...cfg, exchangeRates: exchangeRatesFrom(cfg.exchangeRates) } });
+  } catch (err) {
+    safeLogError("PUT /api/admin/config failed:", err);
+    return res.status(500).json({ ok: false, error: "Failed to save admin config" });
+  }
+});
+// -----------------------------
+// AUTH (backend foundation)
+// -----------------------------
+app.get("/api/me", async (req, res) => {
+  const sess = readSession(req);
+  // Signed-out visitors need a token too (login, register, password reset).
+  const csrfToken = issueCsrfToken(req, res);
+  if (!sess?.userId) return res.status(401).json({ ok: false, user: null, csrfToken });
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: sess.userId },
+      select: { id: true, email: true, name: true, role: true, emailVerifiedAt: true, createdAt: true, updatedAt: true },
+    });
+
+    if (!user) return res.status(401).json({ ok: false, user: null, csrfToken });
+    return res.json({ ok: true, user: { ...user, permissions: permissionsForRole(user.role) }, csrfToken });
+  } catch (err) {
+    return sendServerError(res, "We couldn't load your account right now.");
+  }
+});
+
+
+app.patch("/api/me/profile", async (req, res) => {
+  const sess = requireUser(req, res);
+  if (!sess) return;
+
+  try {
+    const name = String(req.body?.name || "").trim();
+    const currentPassword = String(req.body?.currentPassword || "");
+    const newPassword = String(req.body?.newPassword || "").trim();
+
+    if (!name) return res.status(400).json({ ok: false, error: "Display name is required" });
+
+    const user = await prisma.user.findUnique({ where: { id: sess.userId } });
+    if (!user) return res.status(404).json({ ok: false, error: "User not found" });
+
+    // Accounts created through Google have no password yet: they can set one here without
+    // a current password. Everyone else has to confirm the one they have.
+    if (user.passwordHash) {
+      if (!currentPassword) return res.status(400).json({ ok: false, error: "Current password is required" });
+      const valid = await verifyPassword(currentPassword, user.passwordHash);
+      if (!valid) return res.status(400).json({ ok: false, error: "Current password is incorrect" });
+    }
+
+    const data = { name };
+    if (newPassword) {
+      const weak = checkPasswordPolicy(newPassword, { email: user.email });
+      if (weak) return sendWeakPassword(res, weak);
+      data.passwordHash = await hashPassword(newPassword);
+    }
+
+    const updated = await prisma.user.update({
+      where: { id: sess.userId },
+      data,
+      select: { id: true, email: true, name: true, role: true, emailVerifiedAt: true, createdAt: true, updatedAt: true },
+    });
+
+    // A password change signs out every other device.
+    if (data.passwordHash) {
+      await revokeUserSessions(sess.userId, { exceptSessionId: sess.sessionId });
+    }
+
+    return res.json({ ok: true, user: updated });
+  } catch (err) {
+    return sendServerError(res, "Your profile could not be updated right now.");
+  }
+});
+
+// -----------------------------
+// SESSIONS (active devices)
+// -----------------------------
+app.get("/api/me/sessions", async (req, res) => {
+  const sess = requireUser(req, res);
+  if (!sess) return;
+
+  try {
+    const rows = await prisma.session.findMany({
+      where: { userId: sess.userId, expiresAt: { gt: new Date() } },
+      orderBy: { lastSeenAt: "desc" },
+      select: { id: true, ip: true, userAgent: true, createdAt: true, lastSeenAt: true, expiresAt: true },
+    });
+
+    return res.json({
+      ok: true,
+      sessions: rows.map((row) => ({ ...row, current: row.id === sess.sessionId })),
+    });
+  } catch (err) {
+    return sendServerError(res, "Your active sessions could not be loaded right now.");
+  }
+});
+
+app.delete("/api/me/sessions/:id", async (req, res) => {
+  const sess = requireUser(req, res);
+  if (!sess) return;
+
+  const id = String(req.params?.id || "").trim();
+  if (!id) return res.status(400).json({ ok: false, error: "Missing session id" });
+
+  try {
+    const removed = await prisma.session.deleteMany({ where: { id, userId: sess.userId } });
+    if (!removed.count) return res.status(404).json({ ok: false, error: "Session not found" });
+
+    if (id === sess.sessionId) await endSession(req, res);
+    return res.json({ ok: true, current: id === sess.sessionId });
+  } catch (err) {
+    return sendServerError(res, "That session could not be signed out right now.");
+  }
+});
+
+// Sign out of all devices (including this one).
+app.post("/api/me/sessions/revoke-all", async (req, res) => {
+  const sess = requireUser(req, res);
+  if (!sess) return;
+
+  try {
+    const count = await revokeUserSessions(sess.userId);
+    await endSession(req, res);
+    return res.json({ ok: true, count });
+  } catch (err) {
+    return sendServerError(res, "Your devices could not be signed out right now.");
+  }
+});
+
+// -----------------------------
+// ACCOUNT DATA (export + deletion)
+// -----------------------------
+// Everything we hold about one customer, grouped the way the ZIP export lays it out.
+async function buildAccountExport(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      role: true,
+      emailVerifiedAt: true,
+      totpEnabledAt: true,
+      createdAt: true,
+      updatedAt: true,
+      identities: { select: { provider: true, email: true, createdAt: true, lastUsedAt: true } },
+    },
+  });
+  if (!user) return null;
+
+  const [orders, cart, reviews, sessions, failedLogins] = await Promise.all([
+    prisma.order.findMany({
+      where: { userId },
+      orderBy: { createdAt: "desc" },
+      select: {
+        id: true,
+        subtotal: true,
+        total: true,
+        currency: true,
+        displayCurrency: true,
+        displayRate: true,
+        status: true,
+        createdAt: true,
+        items: {
+          select: {
+            productId: true,
+            size: true,
+            sku: true,
+            quantity: true,
+            unitPrice: true,
+            product: { select: { name: true } },
+          },
+        },
+        history: { orderBy: { createdAt: "asc" }, select: { fromStatus: true, toStatus: true, createdAt: true } },
+      },
+    }),
+    buildCartResponse(prisma, userId),
+    prisma.productReview.findMany({
+      where: { userId },
+      orderBy: { createdAt: "desc" },
+      select: {
+        productId: true,
+        rating: true,
+        title: true,
+        body: true,
+        photoUrl: true,
+        status: true,
+        reply: true,
+        createdAt: true,
+        updatedAt: true,
+        product: { select: { name: true } },
+      },
+    }),
+    prisma.session.findMany({
+      where: { userId },
+      orderBy: { lastSeenAt: "desc" },
+      select: { ip: true, userAgent: true, createdAt: true, lastSeenAt: true, expiresAt: true },
+    }),
+    prisma.failedLoginAttempt.findMany({
+      where: { OR: [{ userId }, { email: user.email }] },
+      orderBy: { createdAt: "desc" },
+      select: { ip: true, userAgent: true, reason: true, createdAt: true },
+    }),
+  ]);
+
+  return {
+    profile: { ...user, twoFactorEnabled: !!user.totpEnabledAt },
+    orders: orders.map((o) => ({
+      id: o.id,
+      status: o.status,
+      currency: o.currency,
+      displayCurrency: o.displayCurrency,
+      displayRate: o.displayRate,
+      subtotalJMD: o.subtotal,
+      totalJMD: o.total,
+      createdAt: o.createdAt,
+      items: o.items.map((it) => ({
+        productId: it.productId,
+        name: it.product?.name || null,
+        size: it.size,
+        sku: it.sku,
+        qty: it.quantity,
+        priceJMD: it.unitPrice,
+      })),
+      history: o.history.map((h) => ({ from: h.fromStatus, to: h.toStatus, at: h.createdAt })),
+    })),
+    cart: { items: cart.items.map(({ product, ...item }) => item), totalQty: cart.totalQty, totalPrice: cart.totalPrice },
+    reviews: reviews.map(({ product, ...review }) => ({ ...review, productName: product?.name || null })),
+    sessions,
+    security: { failedLogins },
+  };
+}
+
+/**
+ * Delete a customer account while keeping its orders for the store's records.
+ * Orders are detached (userId -> null); sessions, cart, reservations, reviews and reset tokens
+ * cascade with the user row. Staff accounts must be demoted to customer first.
+ */
+async function deleteCustomerAccount(userId) {
+  const result = await prisma.$transaction(async (tx) => {
+    const user = await tx.user.findUnique({ where: { id: userId }, select: { id: true, email: true, role: true } });
+    if (!user) {
+      const err = new Error("User not found");
+      err.code = "USER_NOT_FOUND";
+      throw err;
+    }
+    if (isStaffRole(user.role)) {
+      const err = new Error("Staff account");
+      err.code = "STAFF_ACCOUNT";
+      throw err;
+    }
+
+    const orders = await tx.order.updateMany({ where: { userId: user.id }, data: { userId: null } });
+    await tx.failedLoginAttempt.deleteMany({ where: { OR: [{ userId: user.id }, { email: user.email }] } });
+    await tx.adminInvite.deleteMany({ where: { email: user.email, acceptedAt: null } });
+    const reviewed = await tx.productReview.findMany({ where: { userId: user.id, status: "approved" }, select: { productId: true } });
+    const photos = await tx.productReview.findMany({ where: { userId: user.id, photoUrl: { not: null } }, select: { photoUrl: true } });
+    await tx.user.delete({ where: { id: user.id } });
+    for (const { productId } of reviewed) await refreshProductRating(tx, productId);
+
+    return { email: user.email, ordersAnonymized: orders.count, photoUrls: photos.map((r) => r.photoUrl) };
+  });
+
+  for (const url of result.photoUrls) await deleteStoredImage(url);
+  await clearAccountThrottle(result.email);
+  return { ordersAnonymized: result.ordersAnonymized };
+}
+
+// Download my data: JSON by default, ?format=zip for one file per section.
+app.get("/api/me/export", async (req, res) => {
+  const sess = requireUser(req, res);
+  if (!sess) return;
+
+  const format = String(req.query?.format || "json").toLowerCase();
+  if (!["json", "zip"].includes(format)) {
+    return res.status(400).json({ ok: false, error: "Format must be json or zip" });
+  }
+
+  try {
+    const data = await buildAccountExport(sess.userId);
+    if (!data) return res.status(404).json({ ok: false, error: "User not found" });
+
+    const exportedAt = new Date();
+    const filename = `beyond-silhouette-data-${exportedAt.toISOString().slice(0, 10)}`;
+    res.setHeader("Cache-Control", "no-store");
+
+    if (format === "zip") {
+      const files = Object.entries(data).map(([section, value]) => ({
+        name: `${section}.json`,
+        data: JSON.stringify(value, null, 2),
+      }));
+      const zip = createZip(files, { date: exportedAt });
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.zip"`);
+      return res.send(zip);
+    }
+
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.json"`);
+    return res.json({ ok: true, exportedAt, ...data });
+  } catch (err) {
+    return sendServerError(res, "Your data export could not be prepared right now.");
+  }
+});
+
+// Delete my account. The caller retypes their email to confirm.
+app.delete("/api/me", async (req, res) => {
+  const sess = requireUser(req, res);
+  if (!sess) return;
+
+  const confirmEmail = String(req.body?.confirmEmail || "").trim().toLowerCase();
+  if (!confirmEmail || confirmEmail !== String(sess.email || "").toLowerCase()) {
+    return res.status(400).json({
+      ok: false,
+      code: "CONFIRMATION_MISMATCH",
+      error: "Type your account email to confirm deletion.",
+    });
+  }
+
+  try {
+    const { ordersAnonymized } = await deleteCustomerAccount(sess.userId);
+    await endSession(req, res);
+
+    auditLog(`[privacy] account ${sess.userId} deleted by its owner (${ordersAnonymized} orders anonymised)`);
+    return res.json({ ok: true, ordersAnonymized });
+  } catch (err) {
+    if (err?.code === "STAFF_ACCOUNT") {
+      return res.status(409).json({
+        ok: false,
+        code: "STAFF_ACCOUNT",
+        error: "Staff accounts can't be deleted. Ask an owner to change your role to customer first.",
+      });
+    }
+    if (err?.code === "USER_NOT_FOUND") return res.status(404).json({ ok: false, error: "User not found" });
+    return sendServerError(res, "Your account could not be deleted right now.");
+  }
+});
+
+app.post("/api/auth/register", async (req, res) => {
+  try {
+    const email = String(req.body?.email || "").trim().toLowerCase();
+    const password = String(req.body?.password || "");
+    const name = String(req.body?.name || "").trim() || null;
+
+    // Prisma schema default role is "customer"
+    const role = "customer";
+
+    if (!email) return res.status(400).json({ ok: false, error: "Email is required" });
+    const weak = checkPasswordPolicy(password, { email });
+    if (weak) return sendWeakPassword(res, weak);
+
+    const existing = await prisma.user.findUnique({ where: { email } });
+    if (existing) return res.status(409).json({ ok: false, error: "Email already registered" });
+
+    const passwordHash = await hashPassword(password);
+
+    const user = await prisma.user.create({
+      data: { email, name, passwordHash, role },
+      select: { id: true, email: true, name: true, role: true, emailVerifiedAt: true, createdAt: true },
+    });
+
+    await startSession(req, res, user);
+
+    // The account is usable immediately; a failed email only means the user has to resend.
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailErr) {
+      safeLogWarn("Verification email failed:", mailErr?.message || mailErr);
+    }
+
+    return res.status(201).json({ ok: true, user });
+  } catch (err) {
+    return sendServerError(res, "Registration could not be completed right now.");
+  }
+});
+
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
 
-// -----------------------------
-// SITE HOME SETTINGS (public + admin)
-// -----------------------------
+function sendLoginLocked(res, retryAfterSeconds) {
+  res.set("Retry-After", String(retryAfterSeconds));
+  return res.status(429).json({
+    ok: false,
+    code: "LOGIN_LOCKED",
+    retryAfterSeconds,
+    error: `Too many failed sign-in attempts. Please try again in ${formatWait(retryAfterSeconds)}.`,
+  });
+}
 
-// Public: GET /api/site/home
-// Returns the singleton home settings + featured products (published only).
-app.get("/api/site/home", async (req, res) => {
+app.post("/api/auth/login", async (req, res) => {
   try {
-    if (!hasPrismaModel("siteHomeSettings")) {
-      return res.status(503).json({
-        ok: false,
-        error: "Homepage settings are temporarily unavailable.",
-      });
+    const email = String(req.body?.email || "").trim().toLowerCase();
+    const password = String(req.body?.password || "");
+
+    if (!email || !password) {
+      return res.status(400).json({ ok: false, error: "Email and password are required" });
     }
 
-    const settings = await prisma.siteHomeSettings.findUnique({
-      where: { id: "singleton" },
+    const attempt = { email, ip: req.ip, userAgent: req.get("user-agent") };
+
+    const gate = await checkLoginAllowed(attempt);
+    if (!gate.allowed) {
+      await recordLoginFailure({ ...attempt, reason: "locked" });
+      return sendLoginLocked(res, gate.retryAfterSeconds);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email },
       select: {
         id: true,
-        heroTitle: true,
-        heroSubtitle: true,
-        slideshowUrls: true,
-        featuredProductIds: true,
-        promoEnabled: true,
-        promoImageUrl: true,
-        promoTitle: true,
-        promoSubtitle: true,
-        promoCtaText: true,
-        promoCtaLink: true,
-        updatedAt: true,
+        email: true,
+        name: true,
+        role: true,
+        passwordHash: true,
+        emailVerifiedAt: true,
+        totpEnabledAt: true,
+        createdAt: true,
       },
     });
 
-    const featuredIds = Array.isArray(settings?.featuredProductIds) ? settings.featuredProductIds : [];
-    const slideshowUrls = sanitizeHomeUploadUrls(settings?.slideshowUrls);
-    const promoImageUrl = isSafeHomeUploadUrl(settings?.promoImageUrl)
-      ? normalizeHomeUploadUrl(settings?.promoImageUrl)
-      : "";
-    const featuredProducts = featuredIds.length
-      ? await prisma.product.findMany({
-        where: { id: { in: featuredIds }, isPublished: true },
-        select: {
-          id: true,
-          slug: true,
-          name: true,
-          description: true,
-          priceJMD: true,
-          images: { orderBy: { sortOrder: "asc" }, take: 1, select: { url: true, alt: true } },
-          inventory: { orderBy: { size: "asc" }, select: { size: true, stock: true } },
-        },
-      })
-      : [];
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      const wait = await recordLoginFailure({ ...attempt, userId: user?.id || null });
+      if (wait) return sendLoginLocked(res, wait);
+      return res.status(401).json({ ok: false, error: "Invalid credentials" });
+    }
 
-    // Keep stable order according to featuredProductIds
-    const byId = new Map(featuredProducts.map(p => [p.id, p]));
-    const orderedFeatured = featuredIds.map(id => byId.get(id)).filter(Boolean).map((p) => {
-      const stockBySize = { S: 0, M: 0, L: 0, XL: 0 };
-      for (const row of p.inventory || []) {
-        const k = String(row.size || "").trim().toUpperCase();
-        if (k === "S" || k === "M" || k === "L" || k === "XL") stockBySize[k] = Math.max(0, Number(row.stock || 0));
+    // Upgrade hashes stored in an older format or at a lower cost than the current target.
+    if (needsRehash(user.passwordHash)) {
+      try {
+        await prisma.user.update({ where: { id: user.id }, data: { passwordHash: await hashPassword(password) } });
+      } catch (rehashErr) {
+        safeLogWarn("[auth] password rehash failed:", rehashErr?.message || rehashErr);
       }
-      return {
-        id: p.id,
-        slug: p.slug || null,
-        title: p.name,
-        description: p.description || "",
-        priceJMD: p.priceJMD,
-        sizes: ["S", "M", "L", "XL"],
-        stockBySize,
-        media: { coverUrl: p.images?.[0]?.url || "" },
-        isPublished: true,
-      };
+    }
+
+    // Password is right but the account also needs a second factor; the failure
+    // counter is only cleared once that step succeeds.
+    if (user.totpEnabledAt) {
+      return res.json({ ok: true, twoFactorRequired: true, challenge: issueTwoFactorChallenge(user) });
+    }
+
+    await recordLoginSuccess(attempt);
+    await startSession(req, res, user);
+    return res.json({
+      ok: true,
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        emailVerifiedAt: user.emailVerifiedAt,
+        createdAt: user.createdAt,
+      },
+    });
+  } catch (err) {
+    return sendServerError(res, "Login could not be completed right now.");
+  }
+});
+
+// Second login step for accounts with TOTP enabled.
+// Body: { challenge, code } or { challenge, recoveryCode }
+app.post("/api/auth/login/2fa", async (req, res) => {
+  const payload = verifySignedToken(String(req.body?.challenge || "").trim());
+  if (!payload || payload.purpose !== "login-2fa" || !payload.uid) {
+    return res.status(400).json({
+      ok: false,
+      code: "TWO_FACTOR_CHALLENGE_INVALID",
+      error: "Your sign-in attempt expired. Please sign in again.",
+    });
+  }
+
+  const code = String(req.body?.code || "").trim();
+  const recoveryCode = String(req.body?.recoveryCode || "").trim();
+  if (!code && !recoveryCode) {
+    return res.status(400).json({ ok: false, error: "Enter the code from your authenticator app or a recovery code." });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: String(payload.uid) },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        role: true,
+        emailVerifiedAt: true,
+        createdAt: true,
+        totpSecret: true,
+        totpEnabledAt: true,
+        totpLastStep: true,
+        totpRecoveryCodes: true,
+      },
     });
+    if (!user) {
+      return res.status(400).json({ ok: false, code: "TWO_FACTOR_CHALLENGE_INVALID", error: "Please sign in again." });
+    }
+
+    const attempt = { email: user.email, ip: req.ip, userAgent: req.get("user-agent") };
+
+    const gate = await checkLoginAllowed(attempt);
+    if (!gate.allowed) {
+      await recordLoginFailure({ ...attempt, userId: user.id, reason: "locked" });
+      return sendLoginLocked(res, gate.retryAfterSeconds);
+    }
 
+    const method = await consumeSecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      const wait = await recordLoginFailure({ ...attempt, userId: user.id, reason: "invalid_two_factor" });
+      if (wait) return sendLoginLocked(res, wait);
+      return res.status(401).json({ ok: false, code: "TWO_FACTOR_INVALID", error: "That code is not valid." });
+    }
+
+    await recordLoginSuccess(attempt);
+    await startSession(req, res, user);
+
+    const remaining = method === "recovery" ? Math.max(0, user.totpRecoveryCodes.length - 1) : undefined;
     return res.json({
       ok: true,
-      hasSettings: !!settings,
-      home: {
-        heroTitle: settings?.heroTitle || null,
-        heroSubtitle: settings?.heroSubtitle || null,
-        promoEnabled: !!settings?.promoEnabled,
-        promoImageUrl: promoImageUrl || null,
-        promoTitle: settings?.promoTitle || null,
-        promoSubtitle: settings?.promoSubtitle || null,
-        promoCtaText: settings?.promoCtaText || null,
-        promoCtaLink: settings?.promoCtaLink || null,
-        slideshowUrls,
-        featuredProductIds: featuredIds,
-        updatedAt: settings?.updatedAt || null,
+      recoveryCodesRemaining: remaining,
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        emailVerifiedAt: user.emailVerifiedAt,
+        createdAt: user.createdAt,
       },
-      featured: orderedFeatured,
     });
   } catch (err) {
-    safeLogError("GET /api/site/home failed:", err);
-    return res.status(500).json({ ok: false, error: "Failed to load home settings" });
+    return sendServerError(res, "Login could not be completed right now.");
   }
 });
 
-// Admin: GET /api/admin/site/home
-app.get("/api/admin/site/home", async (req, res) => {
-  const sess = requireAdmin(req, res);
-  if (!sess) return;
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    await endSession(req, res);
+    return res.json({ ok: true });
+  } catch (err) {
+    return sendServerError(res, "You could not be signed out right now.");
+  }
+});
+
+// Optional: Google Sign-In (only works if GOOGLE_CLIENT_ID is set)
+// Accepts either:
+// - { credential: "..." }  (Google Identity Services)
+// - { idToken: "..." }     (older/manual testing)
+// Verify a Google ID token. Returns the fields we rely on, keyed by Google's stable `sub`.
+async function verifyGoogleCredential(idToken) {
+  const ticket = await googleClient.verifyIdToken({ idToken, audience: GOOGLE_CLIENT_ID });
+  const payload = ticket.getPayload();
+  return {
+    subject: String(payload?.sub || ""),
+    email: String(payload?.email || "").trim().toLowerCase(),
+    name: String(payload?.name || "").trim() || null,
+    emailVerified: payload?.email_verified === true,
+  };
+}
+
+function sendGoogleNotConfigured(res) {
+  return res.status(501).json({
+    ok: false,
+    error: "Google auth is not configured on this server.",
+    missing: ["GOOGLE_CLIENT_ID"],
+  });
+}
+
+const GOOGLE_LOGIN_USER_SELECT = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  emailVerifiedAt: true,
+  totpEnabledAt: true,
+  createdAt: true,
+};
+
+app.post("/api/auth/google", async (req, res) => {
+  if (!googleClient) return sendGoogleNotConfigured(res);
+
+  const token = String(req.body?.credential || req.body?.idToken || "").trim();
+  if (!token) {
+    return res.status(400).json({ ok: false, error: "Missing credential" });
+  }
 
+  let google;
   try {
-    if (!hasPrismaModel("siteHomeSettings")) {
-      return res.status(503).json({
-        ok: false,
-        error: "Homepage settings are temporarily unavailable.",
+    google = await verifyGoogleCredential(token);
+  } catch (err) {
+    return res.status(401).json({ ok: false, error: "Google sign-in could not be completed." });
+  }
+
+  if (!google.subject) return res.status(400).json({ ok: false, error: "Google token missing subject" });
+  if (!google.email) return res.status(400).json({ ok: false, error: "Google token missing email" });
+
+  try {
+    // 1) Already linked: the subject ID is authoritative, whatever the email is now.
+    const identity = await prisma.userIdentity.findUnique({
+      where: { provider_subject: { provider: "google", subject: google.subject } },
+      select: { id: true, user: { select: GOOGLE_LOGIN_USER_SELECT } },
+    });
+
+    let user = identity?.user || null;
+
+    if (identity) {
+      await prisma.userIdentity.update({ where: { id: identity.id }, data: { lastUsedAt: new Date() } });
+    } else {
+      const existing = await prisma.user.findUnique({ where: { email: google.email }, select: { id: true } });
+
+      if (existing) {
+        // 2) Same email as an existing account. Never attach Google on its own: the owner signs in
+        // (or resets their password by email) and links Google from Edit Profile. That also covers
+        // Google sign-ups from before identities were stored, which have no subject to match.
+        return res.status(409).json({
+          ok: false,
+          code: "GOOGLE_LINK_REQUIRES_SIGN_IN",
+          error: "An account with this email already exists. Sign in with your password (or reset it), then link Google from Edit Profile.",
+        });
+      }
+
+      // 3) New customer with no password; they can set one later from Edit Profile.
+      user = await prisma.user.create({
+        data: {
+          email: google.email,
+          name: google.name,
+          passwordHash: null,
+          role: "customer",
+          emailVerifiedAt: google.emailVerified ? new Date() : null,
+          identities: {
+            create: { provider: "google", subject: google.subject, email: google.email, lastUsedAt: new Date() },
+          },
+        },
+        select: GOOGLE_LOGIN_USER_SELECT,
       });
     }
 
-    const settings = await prisma.siteHomeSettings.findUnique({
-      where: { id: "singleton" },
+    if (user.totpEnabledAt) {
+      return res.json({ ok: true, twoFactorRequired: true, challenge: issueTwoFactorChallenge(user) });
+    }
+
+    const { totpEnabledAt, ...publicUser } = user;
+    await startSession(req, res, user);
+    return res.json({ ok: true, user: publicUser });
+  } catch (err) {
+    if (err?.code === "P2002") {
+      return res.status(409).json({ ok: false, error: "This Google account is already linked. Please try again." });
+    }
+    return sendServerError(res, "Google sign-in could not be completed right now.");
+  }
+});
+
+// -----------------------------
+// LINKED SIGN-IN METHODS (password + external identities)
+// -----------------------------
+app.get("/api/me/identities", async (req, res) => {
+  const sess = requireUser(req, res);
+  if (!sess) return;
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: sess.userId },
       select: {
-        id: true,
-        heroTitle: true,
-        heroSubtitle: true,
-        slideshowUrls: true,
-        featuredProductIds: true,
-        promoEnabled: true,
-        promoImageUrl: true,
-        promoTitle: true,
-        promoSubtitle: true,
-        promoCtaText: true,
-        promoCtaLink: true,
-        createdAt: true,
-        updatedAt: true,
+        passwordHash: true,
+        identities: {
+          orderBy: { createdAt: "asc" },
+          select: { provider: true, email: true, createdAt: true, lastUsedAt: true },
+        },
       },
     });
+    if (!user) return res.status(404).json({ ok: false, error: "User not found" });
+
+    return res.json({
+      ok: true,
+      hasPassword: !!user.passwordHash,
+      identities: user.identities,
+      googleAvailable: !!googleClient,
+    });
+  } catch (err) {
+    return sendServerError(res, "Your sign-in methods could not be loaded right now.");
+  }
+});
+
+// Link the Google account behind `credential` to the signed-in user.
+app.post("/api/me/identities/google", async (req, res) => {
+  const sess = requireUser(req, res);
+  if (!sess) return;
+  if (!googleClient) return sendGoogleNotConfigured(res);
+
+  const token = String(req.body?.credential || "").trim();
+  if (!token) return res.status(400).json({ ok: false, error: "Missing credential" });
+
+  let google;
+  try {
+    google = await verifyGoogleCredential(token);
+  } catch (err) {
+    return res.status(401).json({ ok: false, error: "Google could not confirm that account." });
+  }
+  if (!google.subject) return res.status(400).json({ ok: false, error: "Google token missing subject" });
+
+  try {
+    const identity = await prisma.userIdentity.create({
+      data: { userId: sess.userId, provider: "google", subject: google.subject, email: google.email || null },
+      select: { provider: true, email: true, createdAt: true, lastUsedAt: true },
+    });
+
+    auditLog(`[identities] google linked to ${sess.email}`);
+    return res.status(201).json({ ok: true, identity });
+  } catch (err) {
+    if (err?.code === "P2002") {
+      const target = String(err?.meta?.target || "");
+      return res.status(409).json({
+        ok: false,
+        code: "IDENTITY_IN_USE",
+        error: target.includes("userId")
+          ? "A Google account is already linked. Unlink it first."
+          : "That Google account is already linked to another user.",
+      });
+    }
+    return sendServerError(res, "Google could not be linked right now.");
+  }
+});
+
+app.delete("/api/me/identities/:provider", async (req, res) => {
+  const sess = requireUser(req, res);
+  if (!sess) return;
+
+  const provider = String(req.params?.provider || "").trim().toLowerCase();
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: sess.userId },
+      select: { passwordHash: true, _count: { select: { identities: true } } },
+    });
+    if (!user) return res.status(404).json({ ok: false, error: "User not found" });
+
+    // Never leave an account without any way to sign in.
+    if (!user.passwordHash && user._count.identities <= 1) {
+      return res.status(409).json({
+        ok: false,
+        code: "LAST_SIGN_IN_METHOD",
+        error: "Set a password before unlinking your only sign-in method.",
+      });
+    }
+
+    const removed = await prisma.userIdentity.deleteMany({ where: { userId: sess.userId, provider } });
+    if (!removed.count) return res.status(404).json({ ok: false, error: "That sign-in method isn't linked." });
+
+    auditLog(`[identities] ${provider} unlinked from ${sess.email}`);
+    return res.json({ ok: true });
+  } catch (err) {
+    return sendServerError(res, "That sign-in method could not be unlinked right now.");
+  }
+});
+
+// -----------------------------
+// TWO-FACTOR AUTHENTICATION (TOTP, admin accounts)
+// -----------------------------
+const TWO_FACTOR_USER_SELECT = {
+  id: true,
+  email: true,
+  role: true,
+  totpSecret: true,
+  totpEnabledAt: true,
+  totpLastStep: true,
+  totpRecoveryCodes: true,
+};
+
+app.get("/api/me/2fa", async (req, res) => {
+  const sess = requireUser(req, res);
+  if (!sess) return;
 
-    const normalized = settings
-      ? {
-        ...settings,
-        slideshowUrls: sanitizeHomeUploadUrls(settings.slideshowUrls),
-        promoImageUrl: isSafeHomeUploadUrl(settings.promoImageUrl)
-          ? normalizeHomeUploadUrl(settings.promoImageUrl)
-          : null,
-      }
-      : null;
+  try {
+    const user = await prisma.user.findUnique({ where: { id: sess.userId }, select: TWO_FACTOR_USER_SELECT });
+    if (!user) return res.status(404).json({ ok: false, error: "User not found" });
 
     return res.json({
       ok: true,
-      hasSettings: !!settings,
-      home: normalized || {
-        id: "singleton",
-        heroTitle: null,
-        heroSubtitle: null,
-        promoEnabled: false,
-        promoImageUrl: null,
-        promoTitle: null,
-        promoSubtitle: null,
-        promoCtaText: null,
-        promoCtaLink: null,
-        slideshowUrls: [],
-        featuredProductIds: [],
-        createdAt: null,
-        updatedAt: null,
+      twoFactor: {
+        enabled: !!user.totpEnabledAt,
+        enabledAt: user.totpEnabledAt,
+        recoveryCodesRemaining: user.totpEnabledAt ? user.totpRecoveryCodes.length : 0,
+        required: isStaffRole(user.role) && (await isAdminTwoFactorRequired()),
       },
     });
   } catch (err) {
-    safeLogError("GET /api/admin/site/home failed:", err);
-    return res.status(500).json({ ok: false, error: "Failed to load home settings" });
+    return sendServerError(res, "Two-factor settings could not be loaded right now.");
   }
 });
 
-// Admin: POST /api/admin/site/home/upload
-app.post("/api/admin/site/home/upload", async (req, res) => {
+// Start enrollment: stores a pending secret and returns it with an otpauth:// URI.
+app.post("/api/me/2fa/setup", async (req, res) => {
   const sess = requireAdmin(req, res);
   if (!sess) return;
 
   try {
-    const dataUrl = String(req.body?.dataUrl || "").trim();
-    const filename = String(req.body?.filename || "slide").trim();
-
-    if (!dataUrl.startsWith("data:image/")) {
-      return res.status(400).json({ ok: false, error: "Invalid image payload" });
+    const user = await prisma.user.findUnique({ where: { id: sess.userId }, select: TWO_FACTOR_USER_SELECT });
+    if (!user) return res.status(404).json({ ok: false, error: "User not found" });
+    if (user.totpEnabledAt) {
+      return res.status(409).json({ ok: false, error: "Two-factor authentication is already enabled." });
     }
 
-    const match = dataUrl.match(/^data:(image\/[a-zA-Z0-9.+-]+);base64,(.+)$/);
-    if (!match) {
-      return res.status(400).json({ ok: false, error: "Invalid data URL format" });
-    }
+    const secret = generateTotpSecret();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpSecret: sealTotpSecret(secret), totpLastStep: null, totpRecoveryCodes: [] },
+    });
+
+    return res.json({
+      ok: true,
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, account: user.email, issuer: TOTP_ISSUER }),
+    });
+  } catch (err) {
+    return sendServerError(res, "Two-factor setup could not be started right now.");
+  }
+});
 
-    const mime = match[1];
-    const base64 = match[2];
-    const allowed = new Set(["image/png", "image/jpeg", "image/webp"]);
+// Finish enrollment with a code from the app; returns recovery codes (shown once).
+app.post("/api/me/2fa/confirm", async (req, res) => {
+  const sess = requireAdmin(req, res);
+  if (!sess) return;
 
-    if (!allowed.has(mime)) {
-      return res.status(400).json({ ok: false, error: "Only PNG, JPG, and WEBP are allowed" });
-    }
+  const code = String(req.body?.code || "").trim();
+  if (!code) return res.status(400).json({ ok: false, error: "Enter the 6-digit code from your authenticator app." });
 
-    const buffer = Buffer.from(base64, "base64");
-    if (!buffer.length) {
-      return res.status(400).json({ ok: false, error: "Empty image" });
+  try {
+    const user = await prisma.user.findUnique({ where: { id: sess.userId }, select: TWO_FACTOR_USER_SELECT });
+    if (!user) return res.status(404).json({ ok: false, error: "User not found" });
+    if (user.totpEnabledAt) {
+      return res.status(409).json({ ok: false, error: "Two-factor authentication is already enabled." });
     }
 
-    if (buffer.length > 5 * 1024 * 1024) {
-      return res.status(400).json({ ok: false, error: "Image must be 5MB or smaller" });
+    const secret = openTotpSecret(user.totpSecret);
+    if (!secret) return res.status(400).json({ ok: false, error: "Start two-factor setup first." });
+
+    const step = verifyTotp(secret, code);
+    if (step === null) {
+      return res.status(400).json({ ok: false, code: "TWO_FACTOR_INVALID", error: "That code is not valid. Check your device clock and try again." });
     }
 
-    // Return the validated data URL directly so homepage CMS images do not depend
-    // on local disk persistence.
-    return res.json({
-      ok: true,
-      url: dataUrl,
-      storage: "inline-data-url",
-      filename,
+    const recoveryCodes = generateRecoveryCodes();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpEnabledAt: new Date(), totpLastStep: step, totpRecoveryCodes: hashRecoveryCodes(recoveryCodes) },
     });
+
+    // Sessions opened with only a password shouldn't outlive enrollment.
+    await revokeUserSessions(user.id, { exceptSessionId: sess.sessionId });
+
+    return res.json({ ok: true, recoveryCodes });
   } catch (err) {
-    safeLogError("POST /api/admin/site/home/upload failed:", err);
-    return res.status(500).json({ ok: false, error: "Failed to upload image" });
+    return sendServerError(res, "Two-factor setup could not be completed right now.");
   }
 });
 
+// Check a code on a signed-in route against the same per-account limiter as sign-in, so a
+// stolen session can't be used to guess codes. Returns the method used, or null once it has responded.
+async function consumeSecondFactorLimited(req, res, user, input) {
+  const attempt = { email: user.email, ip: req.ip, userAgent: req.get("user-agent") };
 
-// Admin: PUT /api/admin/site/home (upsert singleton)
-app.put("/api/admin/site/home", async (req, res) => {
-  const sess = requireAdmin(req, res);
+  const gate = await checkLoginAllowed(attempt);
+  if (!gate.allowed) {
+    await recordLoginFailure({ ...attempt, userId: user.id, reason: "locked" });
+    sendLoginLocked(res, gate.retryAfterSeconds);
+    return null;
+  }
+
+  const method = await consumeSecondFactor(user, input);
+  if (!method) {
+    const wait = await recordLoginFailure({ ...attempt, userId: user.id, reason: "invalid_two_factor" });
+    if (wait) sendLoginLocked(res, wait);
+    else res.status(400).json({ ok: false, code: "TWO_FACTOR_INVALID", error: "That code is not valid." });
+    return null;
+  }
+  return method;
+}
+
+// Replace recovery codes (requires a current code).
+app.post("/api/me/2fa/recovery-codes", async (req, res) => {
+  const sess = requireUser(req, res);
   if (!sess) return;
 
-  const heroTitle = req.body?.heroTitle === null || req.body?.heroTitle === undefined ? null : String(req.body.heroTitle).trim() || null;
-  const heroSubtitle = req.body?.heroSubtitle === null || req.body?.heroSubtitle === undefined ? null : String(req.body.heroSubtitle).trim() || null;
+  try {
+    const user = await prisma.user.findUnique({ where: { id: sess.userId }, select: TWO_FACTOR_USER_SELECT });
+    if (!user?.totpEnabledAt) {
+      return res.status(400).json({ ok: false, error: "Two-factor authentication is not enabled." });
+    }
 
-  const slideshowUrlsIn = Array.isArray(req.body?.slideshowUrls) ? req.body.slideshowUrls : [];
-  const slideshowUrls = sanitizeHomeUploadUrls(slideshowUrlsIn).slice(0, 20);
+    const method = await consumeSecondFactorLimited(req, res, user, { code: String(req.body?.code || "").trim() });
+    if (!method) return;
 
-  const featuredIn = Array.isArray(req.body?.featuredProductIds) ? req.body.featuredProductIds : [];
-  const featuredProductIds = featuredIn.map((id) => String(id || "").trim()).filter(Boolean).slice(0, 20);
+    const recoveryCodes = generateRecoveryCodes();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpRecoveryCodes: hashRecoveryCodes(recoveryCodes) },
+    });
 
-  const promoEnabled = !!req.body?.promoEnabled;
-  const promoImageUrl = req.body?.promoImageUrl === null || req.body?.promoImageUrl === undefined
-    ? null
-    : (isSafeHomeUploadUrl(req.body.promoImageUrl)
-      ? normalizeHomeUploadUrl(req.body.promoImageUrl)
-      : null);
-  const promoTitle = req.body?.promoTitle === null || req.body?.promoTitle === undefined ? null : String(req.body.promoTitle).trim() || null;
-  const promoSubtitle = req.body?.promoSubtitle === null || req.body?.promoSubtitle === undefined ? null : String(req.body.promoSubtitle).trim() || null;
-  const promoCtaText = req.body?.promoCtaText === null || req.body?.promoCtaText === undefined ? null : String(req.body.promoCtaText).trim() || null;
-  const promoCtaLink = req.body?.promoCtaLink === null || req.body?.promoCtaLink === undefined ? null : String(req.body.promoCtaLink).trim() || null;
+    return res.json({ ok: true, recoveryCodes });
+  } catch (err) {
+    return sendServerError(res, "Recovery codes could not be regenerated right now.");
+  }
+});
+
+app.post("/api/me/2fa/disable", async (req, res) => {
+  const sess = requireUser(req, res);
+  if (!sess) return;
 
   try {
-    if (!hasPrismaModel("siteHomeSettings")) {
-      return res.status(500).json({
-        ok: false,
-        error: "Homepage settings are temporarily unavailable.",
-      });
+    const user = await prisma.user.findUnique({ where: { id: sess.userId }, select: TWO_FACTOR_USER_SELECT });
+    if (!user?.totpEnabledAt) {
+      return res.status(400).json({ ok: false, error: "Two-factor authentication is not enabled." });
     }
 
-    const saved = await prisma.siteHomeSettings.upsert({
-      where: { id: "singleton" },
-      update: { heroTitle, heroSubtitle, slideshowUrls, featuredProductIds, promoEnabled, promoImageUrl, promoTitle, promoSubtitle, promoCtaText, promoCtaLink },
-      create: { id: "singleton", heroTitle, heroSubtitle, slideshowUrls, featuredProductIds, promoEnabled, promoImageUrl, promoTitle, promoSubtitle, promoCtaText, promoCtaLink },
-      select: {
-        id: true,
-        heroTitle: true,
-        heroSubtitle: true,
-        slideshowUrls: true,
-        featuredProductIds: true,
-        promoEnabled: true,
-        promoImageUrl: true,
-        promoTitle: true,
-        promoSubtitle: true,
-        promoCtaText: true,
-        promoCtaLink: true,
-        createdAt: true,
-        updatedAt: true,
-      },
+    if (isStaffRole(user.role) && (await isAdminTwoFactorRequired())) {
+      return res.status(409).json({ ok: false, error: "Two-factor authentication is required for all admins." });
+    }
+
+    const method = await consumeSecondFactorLimited(req, res, user, {
+      code: String(req.body?.code || "").trim(),
+      recoveryCode: String(req.body?.recoveryCode || "").trim(),
     });
+    if (!method) return;
 
-    return res.json({
-      ok: true,
-      home: {
-        ...saved,
-        slideshowUrls: sanitizeHomeUploadUrls(saved.slideshowUrls),
-        promoImageUrl: isSafeHomeUploadUrl(saved.promoImageUrl)
-          ? normalizeHomeUploadUrl(saved.promoImageUrl)
-          : null,
-      },
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpSecret: null, totpEnabledAt: null, totpLastStep: null, totpRecoveryCodes: [] },
     });
+
+    return res.json({ ok: true });
   } catch (err) {
-    safeLogError("PUT /api/admin/site/home failed:", err);
-    return res.status(500).json({ ok: false, error: "Failed to save home settings" });
+    return sendServerError(res, "Two-factor authentication could not be turned off right now.");
   }
 });
 
 // -----------------------------
-// ADMIN CONFIG (thresholds, etc.)
+// EMAIL VERIFICATION
 // -----------------------------
+app.post("/api/auth/verify-email", async (req, res) => {
+  const token = String(req.body?.token || "").trim();
+  const payload = verifySignedToken(token);
 
-app.get("/api/admin/config", async (req, res) => {
-  const sess = requireAdmin(req, res);
-  if (!sess) return;
+  if (!payload || payload.purpose !== "verify-email" || !payload.uid) {
+    return res.status(400).json({
+      ok: false,
+      code: "VERIFY_TOKEN_INVALID",
+      error: "This verification link is invalid or has expired. Please request a new one.",
+    });
+  }
 
   try {
-    if (!hasPrismaModel("adminConfig")) {
-      return res.status(500).json({
+    const user = await prisma.user.findUnique({
+      where: { id: String(payload.uid) },
+      select: { id: true, email: true, emailVerifiedAt: true },
+    });
+
+    // The token is bound to the address it was sent to.
+    if (!user || user.email !== String(payload.email || "").toLowerCase()) {
+      return res.status(400).json({
         ok: false,
-        error: "Admin settings are temporarily unavailable.",
+        code: "VERIFY_TOKEN_INVALID",
+        error: "This verification link is invalid or has expired. Please request a new one.",
       });
     }
-    const cfg = await prisma.adminConfig.findUnique({
-      where: { id: "singleton" },
-      select: { id: true, lowStockThreshold: true, updatedAt: true },
+
+    if (user.emailVerifiedAt) {
+      return res.json({ ok: true, alreadyVerified: true, emailVerifiedAt: user.emailVerifiedAt });
+    }
+
+    const updated = await prisma.user.update({
+      where: { id: user.id },
+      data: { emailVerifiedAt: new Date() },
+      select: { emailVerifiedAt: true },
     });
-    return res.json({ ok: true, config: cfg || { id: "singleton", lowStockThreshold: 3, updatedAt: null } });
+
+    return res.json({ ok: true, emailVerifiedAt: updated.emailVerifiedAt });
   } catch (err) {
-    safeLogError("GET /api/admin/config failed:", err);
-    return res.status(500).json({ ok: false, error: "Failed to load admin config" });
+    return sendServerError(res, "Your email could not be verified right now.");
   }
 });
 
-app.put("/api/admin/config", async (req, res) => {
-  const sess = requireAdmin(req, res);
+app.post("/api/auth/verify-email/resend", async (req, res) => {
+  const sess = requireUser(req, res);
   if (!sess) return;
 
-  const n = Number(req.body?.lowStockThreshold);
-  const lowStockThreshold = Number.isFinite(n) ? Math.max(0, Math.floor(n)) : 3;
-
   try {
-    if (!hasPrismaModel("adminConfig")) {
-      return res.status(500).json({
-        ok: false,
-        error: "Admin settings are temporarily unavailable.",
-      });
-    }
-    const cfg = await prisma.adminConfig.upsert({
-      where: { id: "singleton" },
-      update: { lowStockThreshold },
-      create: { id: "singleton", lowStockThreshold },
-      select: { id: true, lowStockThreshold: true, updatedAt: true },
+    const user = await prisma.user.findUnique({
+      where: { id: sess.userId },
+      select: { id: true, email: true, name: true, emailVerifiedAt: true },
     });
-    return res.json({ ok: true, config: cfg });
+    if (!user) return res.status(404).json({ ok: false, error: "User not found" });
+
+    if (user.emailVerifiedAt) return res.json({ ok: true, alreadyVerified: true });
+
+    await sendVerificationEmail(user);
+    return res.json({ ok: true });
   } catch (err) {
-    safeLogError("PUT /api/admin/config failed:", err);
-    return res.status(500).json({ ok: false, error: "Failed to save admin config" });
+    return sendServerError(res, "We couldn't send a verification email right now.");
   }
 });
+
 // -----------------------------
-// AUTH (backend foundation)
+// PASSWORD RESET (emailed single-use link)
 // -----------------------------
-app.get("/api/me", async (req, res) => {
-  const sess = readSession(req);
-  if (!sess?.userId) return res.status(401).json({ ok: false, user: null });
+app.post("/api/auth/password/forgot", async (req, res) => {
+  const email = String(req.body?.email || "").trim().toLowerCase();
+  if (!email) return res.status(400).json({ ok: false, error: "Email is required" });
 
   try {
+    if (!hasPrismaModel("passwordResetToken")) {
+      return sendUnavailable(res, "Password reset is temporarily unavailable.");
+    }
+
     const user = await prisma.user.findUnique({
-      where: { id: sess.userId },
-      select: { id: true, email: true, name: true, role: true, createdAt: true, updatedAt: true },
+      where: { email },
+      select: { id: true, email: true, name: true },
     });
 
-    if (!user) return res.status(401).json({ ok: false, user: null });
-    // Keep the signed session cookie aligned with the canonical DB role.
-    // This prevents stale role data (e.g. after promoting a user to admin)
-    // from blocking admin-only endpoints even when /api/me reports admin.
-    setSession(res, { userId: user.id, email: user.email, role: user.role });
-    return res.json({ ok: true, user });
+    // Same response whether or not the account exists, so this can't be used to probe emails.
+    if (user) {
+      const token = generateToken();
+      const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+      await prisma.$transaction([
+        prisma.passwordResetToken.deleteMany({ where: { userId: user.id, usedAt: null } }),
+        prisma.passwordResetToken.create({
+          data: { userId: user.id, tokenHash: hashToken(token), expiresAt, requestedIp: req.ip || null },
+        }),
+      ]);
+
+      const link = `${APP_BASE_URL}/reset-password?token=${encodeURIComponent(token)}`;
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Beyond Silhouette password",
+        text: [
+          `Hi ${user.name || "there"},`,
+          "",
+          "We received a request to reset your password. Use the link below to choose a new one:",
+          link,
+          "",
+          `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.`,
+          "If you didn't ask for this, you can ignore this email.",
+        ].join("\n"),
+      });
+    }
+
+    return res.json({ ok: true, message: "If an account exists for that email, a reset link is on its way." });
   } catch (err) {
-    return sendServerError(res, "We couldn't load your account right now.");
+    return sendServerError(res, "We couldn't send a reset link right now.");
   }
 });
 
+app.post("/api/auth/password/reset", async (req, res) => {
+  const token = String(req.body?.token || "").trim();
+  const password = String(req.body?.password || "");
 
-app.patch("/api/me/profile", async (req, res) => {
-  const sess = requireUser(req, res);
-  if (!sess) return;
+  if (!token) return res.status(400).json({ ok: false, error: "Reset link is missing or invalid" });
+  const weak = checkPasswordPolicy(password);
+  if (weak) return sendWeakPassword(res, weak);
 
   try {
-    const name = String(req.body?.name || "").trim();
-    const currentPassword = String(req.body?.currentPassword || "");
-    const newPassword = String(req.body?.newPassword || "").trim();
+    if (!hasPrismaModel("passwordResetToken")) {
+      return sendUnavailable(res, "Password reset is temporarily unavailable.");
+    }
 
-    if (!name) return res.status(400).json({ ok: false, error: "Display name is required" });
-    if (!currentPassword) return res.status(400).json({ ok: false, error: "Current password is required" });
+    await prisma.$transaction(async (tx) => {
+      const row = await tx.passwordResetToken.findUnique({
+        where: { tokenHash: hashToken(token) },
+        select: { id: true, userId: true, expiresAt: true, usedAt: true },
+      });
 
-    const user = await prisma.user.findUnique({ where: { id: sess.userId } });
-    if (!user) return res.status(404).json({ ok: false, error: "User not found" });
+      if (!row || row.usedAt || row.expiresAt <= new Date()) {
+        const err = new Error("RESET_TOKEN_INVALID");
+        err.code = "RESET_TOKEN_INVALID";
+        throw err;
+      }
 
-    const valid = await verifyPassword(currentPassword, user.passwordHash);
-    if (!valid) return res.status(400).json({ ok: false, error: "Current password is incorrect" });
+      // Claim the token first so two concurrent submissions can't both succeed.
+      const claimed = await tx.passwordResetToken.updateMany({
+        where: { id: row.id, usedAt: null },
+        data: { usedAt: new Date() },
+      });
+      if (claimed.count !== 1) {
+        const err = new Error("RESET_TOKEN_INVALID");
+        err.code = "RESET_TOKEN_INVALID";
+        throw err;
+      }
 
-    const data = { name };
-    if (newPassword) data.passwordHash = await hashPassword(newPassword);
+      const owner = await tx.user.findUnique({ where: { id: row.userId }, select: { email: true } });
+      const weakForUser = checkPasswordPolicy(password, { email: owner?.email });
+      if (weakForUser) throw passwordPolicyError(weakForUser);
 
-    const updated = await prisma.user.update({
-      where: { id: sess.userId },
-      data,
-      select: { id: true, email: true, name: true, role: true, createdAt: true, updatedAt: true },
+      await tx.user.update({
+        where: { id: row.userId },
+        data: { passwordHash: await hashPassword(password) },
+      });
+
+      await tx.passwordResetToken.deleteMany({ where: { userId: row.userId, usedAt: null } });
+      await tx.session.deleteMany({ where: { userId: row.userId } });
     });
 
-    setSession(res, { userId: updated.id, email: updated.email, role: updated.role });
-    return res.json({ ok: true, user: updated });
+    return res.json({ ok: true });
   } catch (err) {
-    return sendServerError(res, "Your profile could not be updated right now.");
+    if (err?.code === "RESET_TOKEN_INVALID") {
+      return res.status(400).json({
+        ok: false,
+        code: "RESET_TOKEN_INVALID",
+        error: "This reset link is invalid or has expired. Please request a new one.",
+      });
+    }
+    if (err?.code === "WEAK_PASSWORD") return sendWeakPassword(res, err.message);
+    return sendServerError(res, "Your password could not be reset right now.");
   }
 });
 
-app.post("/api/auth/register", async (req, res) => {
+// -----------------------------
+// STAFF INVITATIONS (single-use emailed links)
+// -----------------------------
+function inviteStatus(invite, now = new Date()) {
+  if (invite.acceptedAt) return "accepted";
+  if (invite.revokedAt) return "revoked";
+  if (invite.expiresAt <= now) return "expired";
+  return "pending";
+}
+
+const INVITE_SELECT = {
+  id: true,
+  email: true,
+  role: true,
+  expiresAt: true,
+  acceptedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  invitedBy: { select: { email: true } },
+  revokedBy: { select: { email: true } },
+};
+
+function toInviteResponse(invite) {
+  return {
+    id: invite.id,
+    email: invite.email,
+    role: invite.role,
+    status: inviteStatus(invite),
+    invitedBy: invite.invitedBy?.email || null,
+    revokedBy: invite.revokedBy?.email || null,
+    expiresAt: invite.expiresAt,
+    acceptedAt: invite.acceptedAt,
+    revokedAt: invite.revokedAt,
+    createdAt: invite.createdAt,
+  };
+}
+
+/**
+ * Create an invite (revoking any still-pending one for the same email) and email the link.
+ * `invitedById` is null for the first-run owner invite.
+ */
+async function createStaffInvite({ email, role, invitedById = null, inviterName = null }) {
+  const token = generateToken();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ADMIN_INVITE_TTL_HOURS * 60 * 60 * 1000);
+
+  const [, invite] = await prisma.$transaction([
+    prisma.adminInvite.updateMany({
+      where: { email, acceptedAt: null, revokedAt: null, expiresAt: { gt: now } },
+      data: { revokedAt: now, revokedById: invitedById },
+    }),
+    prisma.adminInvite.create({
+      data: { email, role, tokenHash: hashToken(token), invitedById, expiresAt },
+      select: INVITE_SELECT,
+    }),
+  ]);
+
+  const link = `${APP_BASE_URL}/accept-invite?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: email,
+    subject: "You're invited to the Beyond Silhouette admin",
+    text: [
+      "Hi there,",
+      "",
+      `${inviterName || "The store owner"} invited you to join the Beyond Silhouette admin as ${role}.`,
+      "Open the link below to set your password and get started:",
+      link,
+      "",
+      `This link expires in ${ADMIN_INVITE_TTL_HOURS} hours and can only be used once.`,
+    ].join("\n"),
+  });
+
+  auditLog(`[invites] ${invite.email} invited as ${role} by ${inviterName || "first-run setup"}`);
+  return { invite, link };
+}
+
+app.get("/api/admin/invites", async (req, res) => {
+  const sess = requirePermission(req, res, "staff.manage");
+  if (!sess) return;
+
   try {
-    const email = String(req.body?.email || "").trim().toLowerCase();
-    const password = String(req.body?.password || "");
-    const name = String(req.body?.name || "").trim() || null;
+    const invites = await prisma.adminInvite.findMany({
+      orderBy: { createdAt: "desc" },
+      take: 100,
+      select: INVITE_SELECT,
+    });
+    return res.json({ ok: true, invites: invites.map(toInviteResponse) });
+  } catch (err) {
+    safeLogError("GET /api/admin/invites failed:", err);
+    return res.status(500).json({ ok: false, error: "Failed to load invitations" });
+  }
+});
 
-    // Prisma schema default role is "customer"
-    const role = "customer";
+app.post("/api/admin/invites", async (req, res) => {
+  const sess = requirePermission(req, res, "staff.manage");
+  if (!sess) return;
 
-    if (!email) return res.status(400).json({ ok: false, error: "Email is required" });
-    if (!password || password.length < 6) {
-      return res.status(400).json({ ok: false, error: "Password must be at least 6 characters" });
+  const email = String(req.body?.email || "").trim().toLowerCase();
+  const role = String(req.body?.role || "").trim().toLowerCase();
+
+  if (!email || !email.includes("@")) return res.status(400).json({ ok: false, error: "A valid email is required" });
+  if (!isStaffRole(role)) return res.status(400).json({ ok: false, error: "Choose a staff role for the invitation" });
+
+  try {
+    const existing = await prisma.user.findUnique({ where: { email }, select: { role: true } });
+    if (existing && isStaffRole(existing.role)) {
+      return res.status(409).json({ ok: false, error: "That person is already on the staff. Change their role from Customers." });
     }
 
-    const existing = await prisma.user.findUnique({ where: { email } });
-    if (existing) return res.status(409).json({ ok: false, error: "Email already registered" });
+    const inviter = await prisma.user.findUnique({ where: { id: sess.userId }, select: { name: true, email: true } });
+    const { invite } = await createStaffInvite({
+      email,
+      role,
+      invitedById: sess.userId,
+      inviterName: inviter?.name || inviter?.email || null,
+    });
 
-    const passwordHash = hashPassword(password);
+    return res.status(201).json({ ok: true, invite: toInviteResponse(invite) });
+  } catch (err) {
+    safeLogError("POST /api/admin/invites failed:", err);
+    return res.status(500).json({ ok: false, error: "Failed to send invitation" });
+  }
+});
 
-    const user = await prisma.user.create({
-      data: { email, name, passwordHash, role },
-      select: { id: true, email: true, name: true, role: true, createdAt: true },
+app.delete("/api/admin/invites/:id", async (req, res) => {
+  const sess = requirePermission(req, res, "staff.manage");
+  if (!sess) return;
+
+  try {
+    const revoked = await prisma.adminInvite.updateMany({
+      where: { id: String(req.params.id || ""), acceptedAt: null, revokedAt: null },
+      data: { revokedAt: new Date(), revokedById: sess.userId },
     });
+    if (!revoked.count) {
+      return res.status(404).json({ ok: false, error: "No pending invitation found" });
+    }
 
-    setSession(res, { userId: user.id, email: user.email, role: user.role });
-    return res.status(201).json({ ok: true, user });
+    auditLog(`[invites] ${req.params.id} revoked by ${sess.email}`);
+    return res.json({ ok: true });
   } catch (err) {
-    return sendServerError(res, "Registration could not be completed right now.");
+    safeLogError("DELETE /api/admin/invites/:id failed:", err);
+    return res.status(500).json({ ok: false, error: "Failed to revoke invitation" });
   }
 });
 
-app.post("/api/auth/login", async (req, res) => {
+// Public: what an invite link is for (so the accept page can show it).
+app.get("/api/invites/:token", async (req, res) => {
   try {
-    const email = String(req.body?.email || "").trim().toLowerCase();
-    const password = String(req.body?.password || "");
-
-    if (!email || !password) {
-      return res.status(400).json({ ok: false, error: "Email and password are required" });
-    }
-
-    const user = await prisma.user.findUnique({
-      where: { email },
-      select: { id: true, email: true, name: true, role: true, passwordHash: true, createdAt: true },
+    const invite = await prisma.adminInvite.findUnique({
+      where: { tokenHash: hashToken(String(req.params.token || "")) },
+      select: { email: true, role: true, expiresAt: true, acceptedAt: true, revokedAt: true },
     });
-
-    if (!user || !verifyPassword(password, user.passwordHash)) {
-      return res.status(401).json({ ok: false, error: "Invalid credentials" });
+    if (!invite || inviteStatus(invite) !== "pending") {
+      return res.status(404).json({
+        ok: false,
+        code: "INVITE_INVALID",
+        error: "This invitation is invalid, has expired, or was already used.",
+      });
     }
 
-    setSession(res, { userId: user.id, email: user.email, role: user.role });
+    const existing = await prisma.user.findUnique({ where: { email: invite.email }, select: { id: true } });
     return res.json({
       ok: true,
-      user: { id: user.id, email: user.email, name: user.name, role: user.role, createdAt: user.createdAt },
+      invite: { email: invite.email, role: invite.role, expiresAt: invite.expiresAt, existingAccount: !!existing },
     });
   } catch (err) {
-    return sendServerError(res, "Login could not be completed right now.");
+    return sendServerError(res, "We couldn't load this invitation right now.");
   }
 });
 
-app.post("/api/auth/logout", (req, res) => {
-  clearSession(res);
-  return res.json({ ok: true });
-});
-
-// Optional: Google Sign-In (only works if GOOGLE_CLIENT_ID is set)
-// Accepts either:
-// - { credential: "..." }  (Google Identity Services)
-// - { idToken: "..." }     (older/manual testing)
-app.post("/api/auth/google", async (req, res) => {
-  if (!googleClient) {
-    return res.status(501).json({
-      ok: false,
-      error: "Google auth is not configured on this server.",
-      missing: ["GOOGLE_CLIENT_ID"],
-    });
-  }
+// Public: accept an invite -> set password, get the role, signed in.
+// The link was delivered to the invited address, so it also confirms that email.
+app.post("/api/invites/accept", async (req, res) => {
+  const token = String(req.body?.token || "").trim();
+  const name = String(req.body?.name || "").trim() || null;
+  const password = String(req.body?.password || "");
 
-  const token = String(req.body?.credential || req.body?.idToken || "").trim();
-  if (!token) {
-    return res.status(400).json({ ok: false, error: "Missing credential" });
-  }
+  if (!token) return res.status(400).json({ ok: false, code: "INVITE_INVALID", error: "Missing invitation token" });
+  const weak = checkPasswordPolicy(password);
+  if (weak) return sendWeakPassword(res, weak);
 
   try {
-    const ticket = await googleClient.verifyIdToken({
-      idToken: token,
-      audience: GOOGLE_CLIENT_ID,
-    });
+    const passwordHash = await hashPassword(password);
+
+    const user = await prisma.$transaction(async (tx) => {
+      const now = new Date();
+      const invite = await tx.adminInvite.findUnique({
+        where: { tokenHash: hashToken(token) },
+        select: { id: true, email: true, role: true },
+      });
+
+      const claimed = invite
+        ? await tx.adminInvite.updateMany({
+          where: { id: invite.id, acceptedAt: null, revokedAt: null, expiresAt: { gt: now } },
+          data: { acceptedAt: now },
+        })
+        : { count: 0 };
+      if (!claimed.count) {
+        const err = new Error("Invite invalid");
+        err.code = "INVITE_INVALID";
+        throw err;
+      }
 
-    const payload = ticket.getPayload();
-    const email = String(payload?.email || "").trim().toLowerCase();
-    const name = String(payload?.name || "").trim() || null;
+      const weakForInvite = checkPasswordPolicy(password, { email: invite.email });
+      if (weakForInvite) throw passwordPolicyError(weakForInvite);
 
-    if (!email) return res.status(400).json({ ok: false, error: "Google token missing email" });
+      const select = { id: true, email: true, name: true, role: true, emailVerifiedAt: true, createdAt: true };
+      const existing = await tx.user.findUnique({ where: { email: invite.email }, select: { id: true, name: true } });
+      const accepted = existing
+        ? await tx.user.update({
+          where: { id: existing.id },
+          data: { role: invite.role, passwordHash, name: existing.name || name, emailVerifiedAt: now },
+          select,
+        })
+        : await tx.user.create({
+          data: { email: invite.email, name, passwordHash, role: invite.role, emailVerifiedAt: now },
+          select,
+        });
 
-    // Create-or-login user
-    let user = await prisma.user.findUnique({
-      where: { email },
-      select: { id: true, email: true, name: true, role: true, createdAt: true },
+      await tx.adminInvite.update({ where: { id: invite.id }, data: { acceptedUserId: accepted.id } });
+      return accepted;
     });
 
-    if (!user) {
-      const randomPw = crypto.randomBytes(32).toString("hex");
-      const passwordHash = hashPassword(randomPw);
+    // New password for an existing account: drop its old sessions.
+    await revokeUserSessions(user.id);
+    await startSession(req, res, user);
 
-      user = await prisma.user.create({
-        data: { email, name, passwordHash, role: "customer" },
-        select: { id: true, email: true, name: true, role: true, createdAt: true },
+    auditLog(`[invites] ${user.email} accepted invitation as ${user.role}`);
+    return res.json({ ok: true, user: { ...user, permissions: permissionsForRole(user.role) } });
+  } catch (err) {
+    if (err?.code === "INVITE_INVALID") {
+      return res.status(400).json({
+        ok: false,
+        code: "INVITE_INVALID",
+        error: "This invitation is invalid, has expired, or was already used.",
       });
     }
-
-    setSession(res, { userId: user.id, email: user.email, role: user.role });
-    return res.json({ ok: true, user });
-  } catch (err) {
-    return res.status(401).json({ ok: false, error: "Google sign-in could not be completed." });
+    if (err?.code === "WEAK_PASSWORD") return sendWeakPassword(res, err.message);
+    return sendServerError(res, "The invitation could not be accepted right now.");
   }
 });
 
 // -----------------------------
-// Restricted admin bootstrap utility
+// FIRST-RUN SETUP (empty database -> first owner)
 // -----------------------------
-app.post("/api/dev/make-admin", async (req, res) => {
-  if (isProduction()) {
-    return res.status(404).json({ ok: false, error: "Not found" });
-  }
+// While no owner exists, a setup token is logged on boot (or taken from SETUP_TOKEN).
+// It lets whoever can read the server log invite the first owner, once: using it clears it,
+// and a restart prints a fresh link that replaces any owner invite still pending from setup.
+let firstRunSetupToken = null;
 
-  const secret = String(req.body?.secret || "");
-  const email = String(req.body?.email || "").trim().toLowerCase();
+async function ownerExists() {
+  return (await prisma.user.count({ where: { role: "owner" } })) > 0;
+}
 
-  if (!process.env.DEV_ADMIN_SECRET) {
-    return sendUnavailable(res, "Admin bootstrap is temporarily unavailable.");
-  }
-  if (secret !== String(process.env.DEV_ADMIN_SECRET)) {
-    return res.status(401).json({ ok: false, error: "Unauthorized" });
+async function announceFirstRunSetup() {
+  try {
+    if (await ownerExists()) return;
+    firstRunSetupToken = String(process.env.SETUP_TOKEN || "").trim() || generateToken(18);
+    // Always printed: on a fresh production deploy this is the only way to reach setup
+    console.warn(`[setup] No store owner yet. Finish setup at ${APP_BASE_URL}/setup?token=${firstRunSetupToken}`);
+  } catch (err) {
+    console.warn("[setup] Could not check for an existing owner:", err?.message || err);
   }
-  if (!email) {
-    return res.status(400).json({ ok: false, error: "Email is required" });
+}
+
+function isFirstRunTokenValid(token) {
+  if (!firstRunSetupToken || !token) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(hashToken(firstRunSetupToken)));
+}
+
+app.get("/api/setup/status", async (req, res) => {
+  try {
+    return res.json({ ok: true, needsSetup: !(await ownerExists()) });
+  } catch (err) {
+    return sendServerError(res, "Setup status is unavailable right now.");
   }
+});
+
+// Sends an owner invitation to `email`; the normal accept flow creates the account.
+app.post("/api/setup/owner", async (req, res) => {
+  const token = String(req.body?.token || "").trim();
+  const email = String(req.body?.email || "").trim().toLowerCase();
+
+  if (!email || !email.includes("@")) return res.status(400).json({ ok: false, error: "A valid email is required" });
 
+  let consumed = null;
   try {
-    const user = await prisma.user.update({
-      where: { email },
-      data: { role: "admin" },
-      select: { id: true, email: true, role: true },
-    });
+    if (await ownerExists()) {
+      return res.status(409).json({ ok: false, code: "SETUP_COMPLETE", error: "This store already has an owner." });
+    }
+    if (!isFirstRunTokenValid(token)) {
+      return res.status(401).json({
+        ok: false,
+        code: "SETUP_TOKEN_INVALID",
+        error: "This setup link is invalid or has already been used. Restart the server for a new link.",
+      });
+    }
+    // Single use: cleared before any await so a second request with the same link fails.
+    consumed = firstRunSetupToken;
+    firstRunSetupToken = null;
 
-    setSession(res, { userId: user.id, email: user.email, role: user.role });
+    await prisma.adminInvite.updateMany({
+      where: { role: "owner", invitedById: null, acceptedAt: null, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    const { link } = await createStaffInvite({ email, role: "owner" });
+    safeLogWarn(`[setup] Owner invitation for ${email}: ${link}`);
 
-    return res.json({ ok: true, user });
+    // Outside production the link is returned directly, since mail may not be set up yet.
+    return res.json({ ok: true, ...(isProduction() ? {} : { inviteUrl: link }) });
   } catch (err) {
-    if (err?.code === "P2025" || String(err?.message || "").includes("Record to update not found")) {
-      return res.status(404).json({ ok: false, error: "User not found." });
-    }
-    return sendServerError(res, "User role could not be updated.");
+    // Let setup be retried; the retry revokes any invite this attempt left behind.
+    if (consumed && !firstRunSetupToken) firstRunSetupToken = consumed;
+    return sendServerError(res, "Setup could not be completed right now.");
   }
 });
 
@@ -911,6 +4087,47 @@ app.post("/api/dev/make-admin", async (req, res) => {
 // CART API
 // -----------------------------
 
+const CART_RESERVATION_MS = 15 * 60 * 1000;
+
+// Cart lines accept { variantId } or the legacy { productId, size } (size = variant label).
+async function resolveCartVariant(tx, body) {
+  const variant = await resolveVariant(tx, {
+    productId: String(body?.productId || "").trim(),
+    variantId: String(body?.variantId || "").trim(),
+    size: String(body?.size || "").trim(),
+  });
+  if (!variant) {
+    const err = new Error("VARIANT_NOT_FOUND");
+    err.code = "VARIANT_NOT_FOUND";
+    throw err;
+  }
+  return variant;
+}
+
+async function setCartLine(tx, userId, variant, qty) {
+  const key = { userId_variantId: { userId, variantId: variant.id } };
+  const expiresAt = new Date(Date.now() + CART_RESERVATION_MS);
+  await tx.cartItem.upsert({
+    where: key,
+    update: { qty },
+    create: { userId, productId: variant.productId, variantId: variant.id, qty },
+  });
+  await tx.inventoryReservation.upsert({
+    where: key,
+    update: { qty, expiresAt },
+    create: { userId, productId: variant.productId, variantId: variant.id, qty, expiresAt },
+  });
+}
+
+async function removeCartLine(tx, userId, variantId) {
+  await tx.cartItem.deleteMany({ where: { userId, variantId } });
+  await tx.inventoryReservation.deleteMany({ where: { userId, variantId } });
+}
+
+function sendVariantNotFound(res) {
+  return res.status(404).json({ ok: false, code: "VARIANT_NOT_FOUND", error: "That option is no longer available" });
+}
+
 app.get("/api/cart", async (req, res) => {
   const sess = readSession(req);
 
@@ -931,34 +4148,33 @@ app.post("/api/cart/add", async (req, res) => {
   const sess = requireUser(req, res);
   if (!sess) return;
 
-  const productId = String(req.body?.productId || "").trim();
-  const size = String(req.body?.size || "").trim().toUpperCase();
   const qty = Math.max(1, parseQty(req.body?.qty || 1));
 
-  if (!productId || !size) {
-    return res.status(400).json({ ok: false, error: "Missing product or size" });
+  if (!req.body?.variantId && !(req.body?.productId && req.body?.size)) {
+    return res.status(400).json({ ok: false, error: "Missing product option" });
   }
 
   try {
     const payload = await prisma.$transaction(async (tx) => {
       await cleanupExpiredReservations(tx);
 
+      const variant = await resolveCartVariant(tx, req.body);
       const product = await tx.product.findUnique({
-        where: { id: productId },
-        select: { id: true, isPublished: true },
+        where: { id: variant.productId },
+        select: { id: true, ...PRODUCT_PUBLISH_SELECT },
       });
-      if (!product || !product.isPublished) {
+      if (!isProductLive(product)) {
         const err = new Error('PRODUCT_NOT_FOUND');
         err.code = 'PRODUCT_NOT_FOUND';
         throw err;
       }
 
       const existing = await tx.cartItem.findUnique({
-        where: { userId_productId_size: { userId: sess.userId, productId, size } },
+        where: { userId_variantId: { userId: sess.userId, variantId: variant.id } },
         select: { qty: true },
       });
       const nextQty = Number(existing?.qty || 0) + qty;
-      const available = await getAvailableStock(tx, { productId, size, userId: sess.userId });
+      const available = await getAvailableStock(tx, { variantId: variant.id, userId: sess.userId });
       if (nextQty > available) {
         const err = new Error('OUT_OF_STOCK');
         err.code = 'OUT_OF_STOCK';
@@ -966,19 +4182,7 @@ app.post("/api/cart/add", async (req, res) => {
         throw err;
       }
 
-      await tx.cartItem.upsert({
-        where: { userId_productId_size: { userId: sess.userId, productId, size } },
-        update: { qty: nextQty },
-        create: { userId: sess.userId, productId, size, qty },
-      });
-
-      const expiresAt = new Date(Date.now() + 15 * 60 * 1000);
-      await tx.inventoryReservation.upsert({
-        where: { userId_productId_size: { userId: sess.userId, productId, size } },
-        update: { qty: nextQty, expiresAt },
-        create: { userId: sess.userId, productId, size, qty: nextQty, expiresAt },
-      });
-
+      await setCartLine(tx, sess.userId, variant, nextQty);
       return buildCartResponse(tx, sess.userId);
     });
 
@@ -987,6 +4191,7 @@ app.post("/api/cart/add", async (req, res) => {
     if (err?.code === 'PRODUCT_NOT_FOUND') {
       return res.status(404).json({ ok: false, error: 'Product not found' });
     }
+    if (err?.code === 'VARIANT_NOT_FOUND') return sendVariantNotFound(res);
     if (err?.code === 'OUT_OF_STOCK') {
       return res.status(409).json({ ok: false, error: 'Not enough stock available', available: Number(err.available || 0) });
     }
@@ -995,24 +4200,26 @@ app.post("/api/cart/add", async (req, res) => {
   }
 });
 
+// Body: { variantId, qty, toVariantId? } — toVariantId moves the line to another option
+// of the same product, merging with an existing line for it.
 app.patch("/api/cart/item", async (req, res) => {
   const sess = requireUser(req, res);
   if (!sess) return;
 
-  const productId = String(req.body?.productId || '').trim();
-  const size = String(req.body?.size || '').trim().toUpperCase();
   const requestedQty = parseQty(req.body?.qty);
+  const toVariantId = String(req.body?.toVariantId || '').trim();
 
-  if (!productId || !size) {
-    return res.status(400).json({ ok: false, error: 'Missing product or size' });
+  if (!req.body?.variantId && !(req.body?.productId && req.body?.size)) {
+    return res.status(400).json({ ok: false, error: 'Missing product option' });
   }
 
   try {
     const result = await prisma.$transaction(async (tx) => {
       await cleanupExpiredReservations(tx);
 
+      const variant = await resolveCartVariant(tx, req.body);
       const current = await tx.cartItem.findUnique({
-        where: { userId_productId_size: { userId: sess.userId, productId, size } },
+        where: { userId_variantId: { userId: sess.userId, variantId: variant.id } },
         select: { id: true },
       });
 
@@ -1021,41 +4228,39 @@ app.patch("/api/cart/item", async (req, res) => {
         return { ...payload, appliedQty: 0 };
       }
 
-      if (requestedQty <= 0) {
-        await tx.cartItem.delete({ where: { userId_productId_size: { userId: sess.userId, productId, size } } });
-        await tx.inventoryReservation.deleteMany({ where: { userId: sess.userId, productId, size } });
-        const payload = await buildCartResponse(tx, sess.userId);
-        return { ...payload, appliedQty: 0 };
+      let target = variant;
+      let baseQty = 0;
+      if (toVariantId && toVariantId !== variant.id) {
+        target = await resolveCartVariant(tx, { productId: variant.productId, variantId: toVariantId });
+        const merged = await tx.cartItem.findUnique({
+          where: { userId_variantId: { userId: sess.userId, variantId: target.id } },
+          select: { qty: true },
+        });
+        baseQty = Number(merged?.qty || 0);
+        await removeCartLine(tx, sess.userId, variant.id);
       }
 
-      const available = await getAvailableStock(tx, { productId, size, userId: sess.userId });
-      const appliedQty = Math.min(requestedQty, available);
+      const wantedQty = baseQty + requestedQty;
+      const available = wantedQty > 0
+        ? await getAvailableStock(tx, { variantId: target.id, userId: sess.userId })
+        : 0;
+      const appliedQty = Math.min(wantedQty, available);
 
       if (appliedQty <= 0) {
-        await tx.cartItem.delete({ where: { userId_productId_size: { userId: sess.userId, productId, size } } });
-        await tx.inventoryReservation.deleteMany({ where: { userId: sess.userId, productId, size } });
+        await removeCartLine(tx, sess.userId, target.id);
         const payload = await buildCartResponse(tx, sess.userId);
         return { ...payload, appliedQty: 0 };
       }
 
-      await tx.cartItem.update({
-        where: { userId_productId_size: { userId: sess.userId, productId, size } },
-        data: { qty: appliedQty },
-      });
-
-      const expiresAt = new Date(Date.now() + 15 * 60 * 1000);
-      await tx.inventoryReservation.upsert({
-        where: { userId_productId_size: { userId: sess.userId, productId, size } },
-        update: { qty: appliedQty, expiresAt },
-        create: { userId: sess.userId, productId, size, qty: appliedQty, expiresAt },
-      });
+      await setCartLine(tx, sess.userId, target, appliedQty);
 
       const payload = await buildCartResponse(tx, sess.userId);
-      return { ...payload, appliedQty };
+      return { ...payload, appliedQty, variantId: target.id };
     });
 
     return res.json(result);
   } catch (err) {
+    if (err?.code === 'VARIANT_NOT_FOUND') return sendVariantNotFound(res);
     safeLogError('PATCH /api/cart/item failed:', err);
     return res.status(500).json({ ok: false, error: 'Failed to update cart' });
   }
@@ -1065,17 +4270,18 @@ app.delete("/api/cart/item", async (req, res) => {
   const sess = requireUser(req, res);
   if (!sess) return;
 
-  const productId = String(req.body?.productId || '').trim();
-  const size = String(req.body?.size || '').trim().toUpperCase();
-
-  if (!productId || !size) {
-    return res.status(400).json({ ok: false, error: 'Missing product or size' });
+  if (!req.body?.variantId && !(req.body?.productId && req.body?.size)) {
+    return res.status(400).json({ ok: false, error: 'Missing product option' });
   }
 
   try {
     const payload = await prisma.$transaction(async (tx) => {
-      await tx.cartItem.deleteMany({ where: { userId: sess.userId, productId, size } });
-      await tx.inventoryReservation.deleteMany({ where: { userId: sess.userId, productId, size } });
+      const variant = await resolveVariant(tx, {
+        productId: String(req.body?.productId || '').trim(),
+        variantId: String(req.body?.variantId || '').trim(),
+        size: String(req.body?.size || '').trim(),
+      });
+      if (variant) await removeCartLine(tx, sess.userId, variant.id);
       return buildCartResponse(tx, sess.userId);
     });
 
@@ -1107,7 +4313,7 @@ app.post("/api/cart/clear", async (req, res) => {
 
 // ADMIN: list users (no password hashes)
 app.get("/api/admin/users", async (req, res) => {
-  const sess = requireAdmin(req, res);
+  const sess = requirePermission(req, res, "customers.view");
   if (!sess) return;
 
   try {
@@ -1123,64 +4329,162 @@ app.get("/api/admin/users", async (req, res) => {
   }
 });
 
-// ADMIN: update a user's role (no delete; prevents self-demotion)
-app.patch("/api/admin/users/:id/role", async (req, res) => {
-  const sess = requireAdmin(req, res);
+// ADMIN: recent failed sign-ins + current lockout for a user
+app.get("/api/admin/users/:id/login-activity", async (req, res) => {
+  const sess = requirePermission(req, res, "customers.view");
   if (!sess) return;
 
-  const id = String(req.params?.id || "").trim();
-  const role = String(req.body?.role || "").trim().toLowerCase();
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: String(req.params.id || "") },
+      select: { id: true, email: true },
+    });
+    if (!user) return res.status(404).json({ ok: false, error: "User not found" });
 
-  if (!id) return res.status(400).json({ ok: false, error: "Missing user id" });
+    const [attempts, throttle] = await Promise.all([
+      prisma.failedLoginAttempt.findMany({
+        where: { OR: [{ userId: user.id }, { email: user.email }] },
+        orderBy: { createdAt: "desc" },
+        take: 25,
+        select: { id: true, ip: true, userAgent: true, reason: true, createdAt: true },
+      }),
+      getAccountThrottle(user.email),
+    ]);
+
+    return res.json({ ok: true, attempts, throttle });
+  } catch (err) {
+    safeLogError("GET /api/admin/users/:id/login-activity failed:", err);
+    return res.status(500).json({ ok: false, error: "Failed to load sign-in activity" });
+  }
+});
+
+// ADMIN: lift an account lockout early
+app.delete("/api/admin/users/:id/login-lock", async (req, res) => {
+  const sess = requirePermission(req, res, "customers.manage");
+  if (!sess) return;
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: String(req.params.id || "") },
+      select: { email: true },
+    });
+    if (!user) return res.status(404).json({ ok: false, error: "User not found" });
 
-  const allowed = new Set(["customer", "admin"]);
-  if (!allowed.has(role)) return res.status(400).json({ ok: false, error: "Invalid role" });
+    await clearAccountThrottle(user.email);
+    return res.json({ ok: true });
+  } catch (err) {
+    safeLogError("DELETE /api/admin/users/:id/login-lock failed:", err);
+    return res.status(500).json({ ok: false, error: "Failed to unlock account" });
+  }
+});
 
-  if (id === sess.userId && role !== "admin") {
-    return res.status(400).json({ ok: false, error: "You cannot remove your own admin role." });
+// ADMIN: delete a customer account on their behalf (orders are kept, anonymised)
+app.delete("/api/admin/users/:id", async (req, res) => {
+  const sess = requirePermission(req, res, "customers.manage");
+  if (!sess) return;
+
+  const id = String(req.params?.id || "").trim();
+  if (!id) return res.status(400).json({ ok: false, error: "Missing user id" });
+  if (id === sess.userId) {
+    return res.status(400).json({ ok: false, error: "Use your own account page to delete your account." });
   }
 
   try {
-    const user = await prisma.user.update({
-      where: { id },
+    const { ordersAnonymized } = await deleteCustomerAccount(id);
+    auditLog(`[privacy] account ${id} anonymised by ${sess.email} (${ordersAnonymized} orders)`);
+    return res.json({ ok: true, ordersAnonymized });
+  } catch (err) {
+    if (err?.code === "STAFF_ACCOUNT") {
+      return res.status(409).json({ ok: false, error: "Change this person's role to customer before anonymising." });
+    }
+    if (err?.code === "USER_NOT_FOUND") return res.status(404).json({ ok: false, error: "User not found." });
+    safeLogError("DELETE /api/admin/users/:id failed:", err);
+    return res.status(500).json({ ok: false, error: "Failed to anonymise customer" });
+  }
+});
+
+// Change a user's role; refuses to demote the last remaining owner.
+async function assignUserRole(where, role) {
+  return prisma.$transaction(async (tx) => {
+    const current = await tx.user.findUnique({ where, select: { id: true, role: true } });
+    if (!current) {
+      const err = new Error("User not found");
+      err.code = "USER_NOT_FOUND";
+      throw err;
+    }
+
+    if (current.role === "owner" && role !== "owner") {
+      const owners = await tx.user.count({ where: { role: "owner" } });
+      if (owners <= 1) {
+        const err = new Error("Last owner");
+        err.code = "LAST_OWNER";
+        throw err;
+      }
+    }
+
+    return tx.user.update({
+      where: { id: current.id },
       data: { role },
       select: { id: true, email: true, name: true, role: true, createdAt: true },
     });
+  });
+}
+
+// ADMIN: update a user's role (owners only; prevents self-demotion)
+app.patch("/api/admin/users/:id/role", async (req, res) => {
+  const sess = requirePermission(req, res, "staff.manage");
+  if (!sess) return;
+
+  const id = String(req.params?.id || "").trim();
+  const role = String(req.body?.role || "").trim().toLowerCase();
+
+  if (!id) return res.status(400).json({ ok: false, error: "Missing user id" });
+
+  if (!ASSIGNABLE_ROLES.includes(role)) return res.status(400).json({ ok: false, error: "Invalid role" });
+
+  if (id === sess.userId && role !== sess.role) {
+    return res.status(400).json({ ok: false, error: "You cannot change your own role." });
+  }
 
+  try {
+    const user = await assignUserRole({ id }, role);
     return res.json({ ok: true, user });
   } catch (err) {
+    if (err?.code === "LAST_OWNER") {
+      return res.status(409).json({ ok: false, error: "The store needs at least one owner." });
+    }
+    if (err?.code === "P2025" || err?.code === "USER_NOT_FOUND") {
+      return res.status(404).json({ ok: false, error: "User not found." });
+    }
     safeLogError("PATCH /api/admin/users/:id/role failed:", err);
     return res.status(500).json({ ok: false, error: "Failed to update user role" });
   }
 });
 
-// ADMIN: promote/demote a user by email
+// ADMIN: assign a role by email (owners only)
 app.post("/api/admin/users/promote", async (req, res) => {
-  const sess = requireAdmin(req, res);
+  const sess = requirePermission(req, res, "staff.manage");
   if (!sess) return;
 
   const email = String(req.body?.email || "").trim().toLowerCase();
-  const role = String(req.body?.role || "admin").trim().toLowerCase();
+  const role = String(req.body?.role || "owner").trim().toLowerCase();
 
   if (!email) return res.status(400).json({ ok: false, error: "Email is required" });
-  if (!["customer", "admin"].includes(role)) {
+  if (!ASSIGNABLE_ROLES.includes(role)) {
     return res.status(400).json({ ok: false, error: "Invalid role" });
   }
+  if (email === String(sess.email || "").toLowerCase() && role !== sess.role) {
+    return res.status(400).json({ ok: false, error: "You cannot change your own role." });
+  }
 
   try {
-    const user = await prisma.user.update({
-      where: { email },
-      data: { role },
-      select: { id: true, email: true, name: true, role: true, createdAt: true },
-    });
-
-    if (user.id === sess.userId && user.role !== "admin") {
-      return res.status(400).json({ ok: false, error: "You cannot remove your own admin role." });
-    }
-
+    const user = await assignUserRole({ email }, role);
     return res.json({ ok: true, user });
   } catch (err) {
-    if (err?.code === "P2025" || String(err?.message || "").includes("Record to update not found")) {
+    if (err?.code === "LAST_OWNER") {
+      return res.status(409).json({ ok: false, error: "The store needs at least one owner." });
+    }
+    if (err?.code === "P2025" || err?.code === "USER_NOT_FOUND") {
       return res.status(404).json({ ok: false, error: "User not found." });
     }
     safeLogError("POST /api/admin/users/promote failed:", err);
@@ -1190,7 +4494,7 @@ app.post("/api/admin/users/promote", async (req, res) => {
 
 // ADMIN: dashboard stats (real DB)
 app.get("/api/admin/stats", async (req, res) => {
-  const sess = requireAdmin(req, res);
+  const sess = requirePermission(req, res, "dashboard.view");
   if (!sess) return;
 
   try {
@@ -1205,8 +4509,8 @@ app.get("/api/admin/stats", async (req, res) => {
     const [usersCount, ordersCount, lowInvRows, revenueAgg] = await Promise.all([
       prisma.user.count(),
       prisma.order.count(),
-      prisma.inventory.findMany({
-        where: { stock: { gt: 0, lte: threshold } },
+      prisma.productVariant.findMany({
+        where: { stock: { gt: 0, lte: threshold }, product: { archivedAt: null } },
         distinct: ["productId"],
         select: { productId: true },
       }),
@@ -1228,7 +4532,7 @@ app.get("/api/admin/stats", async (req, res) => {
 
 // ADMIN: list orders
 app.get("/api/admin/orders", async (req, res) => {
-  const sess = requireAdmin(req, res);
+  const sess = requirePermission(req, res, "orders.view");
   if (!sess) return;
 
   try {
@@ -1248,10 +4552,11 @@ app.get("/api/admin/orders", async (req, res) => {
         status: o.status,
         totalJMD: o.total,
         email: (o.user?.email || "").toLowerCase(),
-        customerName: o.user?.name || null,
+        customerName: o.user ? o.user.name || null : "Deleted customer",
         items: o.items.map((it) => ({
           name: it.product?.name || it.productId,
           size: it.size,
+          sku: it.sku || null,
           qty: it.quantity,
           priceJMD: it.unitPrice,
         })),
@@ -1265,7 +4570,7 @@ app.get("/api/admin/orders", async (req, res) => {
 
 // ADMIN: single order (includes history)
 app.get("/api/admin/orders/:id", async (req, res) => {
-  const sess = requireAdmin(req, res);
+  const sess = requirePermission(req, res, "orders.view");
   if (!sess) return;
 
   const id = String(req.params.id || "").trim();
@@ -1308,11 +4613,14 @@ app.get("/api/admin/orders/:id", async (req, res) => {
         createdAt: order.createdAt,
         status: order.status,
         totalJMD: order.total,
+        displayCurrency: order.displayCurrency || null,
+        displayRate: order.displayRate || null,
         email: (order.user?.email || "").toLowerCase(),
-        customerName: order.user?.name || null,
+        customerName: order.user ? order.user.name || null : "Deleted customer",
         items: order.items.map((it) => ({
           name: it.product?.name || it.productId,
           size: it.size,
+          sku: it.sku || null,
           qty: it.quantity,
           priceJMD: it.unitPrice,
         })),
@@ -1334,7 +4642,7 @@ app.get("/api/admin/orders/:id", async (req, res) => {
 
 // ADMIN: update status + write history row
 app.patch("/api/admin/orders/:id/status", async (req, res) => {
-  const sess = requireAdmin(req, res);
+  const sess = requirePermission(req, res, "orders.update");
   if (!sess) return;
 
   const id = String(req.params.id || "").trim();
@@ -1395,24 +4703,49 @@ app.post("/api/orders", async (req, res) => {
   if (!sess) return;
 
   const rawItems = Array.isArray(req.body?.items) ? req.body.items : [];
+  const displayCurrency = String(req.body?.displayCurrency || "").trim().toUpperCase();
 
   try {
+    const cfg = hasPrismaModel("adminConfig")
+      ? await prisma.adminConfig.findUnique({
+          where: { id: "singleton" },
+          select: { requireVerifiedEmailForCheckout: true, exchangeRates: true },
+        })
+      : null;
+    // Snapshot the rate the customer saw; unknown or unpriced currencies are ignored
+    const displayRate = exchangeRatesFrom(cfg?.exchangeRates)[displayCurrency] || null;
+
+    if (cfg?.requireVerifiedEmailForCheckout) {
+      const buyer = await prisma.user.findUnique({
+        where: { id: sess.userId },
+        select: { emailVerifiedAt: true },
+      });
+      if (!buyer?.emailVerifiedAt) {
+        return res.status(403).json({
+          ok: false,
+          code: "EMAIL_NOT_VERIFIED",
+          error: "Please verify your email address before placing an order.",
+        });
+      }
+    }
+
     const order = await prisma.$transaction(async (tx) => {
       await cleanupExpiredReservations(tx);
 
       let items = rawItems
         .map((it) => ({
           productId: String(it?.productId || "").trim(),
-          size: String(it?.size || "").trim().toUpperCase(),
+          variantId: String(it?.variantId || "").trim(),
+          size: String(it?.size || "").trim(),
           quantity: parseQty(it?.quantity ?? it?.qty),
         }))
-        .filter((it) => it.productId && it.size && it.quantity > 0);
+        .filter((it) => (it.variantId || (it.productId && it.size)) && it.quantity > 0);
 
       if (!items.length) {
         const cartRows = await tx.cartItem.findMany({ where: { userId: sess.userId } });
         items = cartRows
-          .map((it) => ({ productId: it.productId, size: String(it.size || '').toUpperCase(), quantity: parseQty(it.qty) }))
-          .filter((it) => it.productId && it.size && it.quantity > 0);
+          .map((it) => ({ productId: it.productId, variantId: it.variantId, size: '', quantity: parseQty(it.qty) }))
+          .filter((it) => it.quantity > 0);
       }
 
       if (!items.length) {
@@ -1421,24 +4754,30 @@ app.post("/api/orders", async (req, res) => {
         throw err;
       }
 
-      const productIds = Array.from(new Set(items.map((i) => i.productId)));
+      for (const it of items) {
+        it.variant = await resolveVariant(tx, it);
+        if (it.variant) it.productId = it.variant.productId;
+      }
+
+      const productIds = Array.from(new Set(items.map((i) => i.productId).filter(Boolean)));
       const products = await tx.product.findMany({
         where: { id: { in: productIds } },
-        select: { id: true, priceJMD: true, isPublished: true, name: true },
+        select: { id: true, ...PRODUCT_PRICE_SELECT, ...PRODUCT_PUBLISH_SELECT, name: true },
       });
       const productById = new Map(products.map((p) => [p.id, p]));
 
       const outOfStock = [];
       for (const it of items) {
         const p = productById.get(it.productId);
-        if (!p || !p.isPublished) {
-          outOfStock.push({ productId: it.productId, size: it.size, available: 0, reason: 'NOT_FOUND' });
+        const line = { productId: it.productId, variantId: it.variant?.id || it.variantId || null, size: it.variant?.label || it.size };
+        if (!it.variant || !isProductLive(p)) {
+          outOfStock.push({ ...line, available: 0, reason: 'NOT_FOUND' });
           continue;
         }
 
-        const available = await getAvailableStock(tx, { productId: it.productId, size: it.size, userId: sess.userId });
+        const available = await getAvailableStock(tx, { variantId: it.variant.id, userId: sess.userId });
         if (available < it.quantity) {
-          outOfStock.push({ productId: it.productId, size: it.size, available });
+          outOfStock.push({ ...line, available });
         }
       }
 
@@ -1450,16 +4789,16 @@ app.post("/api/orders", async (req, res) => {
       }
 
       for (const it of items) {
-        const updated = await tx.inventory.updateMany({
-          where: { productId: it.productId, size: it.size, stock: { gte: it.quantity } },
+        const updated = await tx.productVariant.updateMany({
+          where: { id: it.variant.id, stock: { gte: it.quantity } },
           data: { stock: { decrement: it.quantity } },
         });
 
         if (updated.count !== 1) {
-          const inv2 = await tx.inventory.findUnique({ where: { productId_size: { productId: it.productId, size: it.size } }, select: { stock: true } });
+          const v2 = await tx.productVariant.findUnique({ where: { id: it.variant.id }, select: { stock: true } });
           const err = new Error('OUT_OF_STOCK');
           err.code = 'OUT_OF_STOCK';
-          err.details = [{ productId: it.productId, size: it.size, available: Number(inv2?.stock || 0) }];
+          err.details = [{ productId: it.productId, variantId: it.variant.id, size: it.variant.label, available: Number(v2?.stock || 0) }];
           throw err;
         }
       }
@@ -1468,9 +4807,11 @@ app.post("/api/orders", async (req, res) => {
         const p = productById.get(it.productId);
         return {
           productId: it.productId,
-          size: it.size,
+          variantId: it.variant.id,
+          size: it.variant.label,
+          sku: it.variant.sku || null,
           quantity: it.quantity,
-          unitPrice: Number(p?.priceJMD || 0),
+          unitPrice: variantPrice(it.variant, p),
         };
       });
 
@@ -1482,11 +4823,22 @@ app.post("/api/orders", async (req, res) => {
           userId: sess.userId,
           subtotal,
           total,
-          currency: 'JMD',
+          currency: BASE_CURRENCY,
+          displayCurrency: displayRate ? displayCurrency : null,
+          displayRate,
           status: 'placed',
           items: { create: orderItems },
         },
-        select: { id: true, subtotal: true, total: true, currency: true, status: true, createdAt: true },
+        select: {
+          id: true,
+          subtotal: true,
+          total: true,
+          currency: true,
+          displayCurrency: true,
+          displayRate: true,
+          status: true,
+          createdAt: true,
+        },
       });
 
       if (tx.orderStatusHistory) {
@@ -1605,6 +4957,8 @@ app.get("/api/orders/:id", async (req, res) => {
         subtotal: true,
         total: true,
         currency: true,
+        displayCurrency: true,
+        displayRate: true,
         items: {
           select: {
             size: true,
@@ -1626,6 +4980,8 @@ app.get("/api/orders/:id", async (req, res) => {
       subtotalJMD: o.subtotal,
       totalJMD: o.total,
       currency: o.currency,
+      displayCurrency: o.displayCurrency || null,
+      displayRate: o.displayRate || null,
       items: (o.items || []).map((it) => ({
         name: it.product?.name || "Item",
         size: it.size,
@@ -1641,26 +4997,110 @@ app.get("/api/orders/:id", async (req, res) => {
 });
 
 
+// -----------------------------
+// PRODUCT INPUT (admin form + CSV import)
+// -----------------------------
+function productInputError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_PRODUCT";
+  return err;
+}
+
+/**
+ * Validate and normalise a new product's fields, as sent by the admin form or built from a CSV row.
+ * Image URLs come back as given; the form route stores inline data URLs with ingestImageUrl.
+ * Throws INVALID_PRODUCT, INVALID_SLUG, INVALID_VARIANTS, INVALID_PRICING or INVALID_SCHEDULE.
+ */
+function normalizeNewProductInput(body) {
+  const name = String(body?.name || "").trim();
+  if (!name) throw productInputError("name is required");
+
+  // Without an explicit slug, createProduct derives a free one from the name
+  const slugRaw = String(body?.slug ?? "").trim();
+  const slug = slugRaw ? parseProductSlug(slugRaw) : null;
+
+  const descriptionRaw = body?.description;
+  const description =
+    descriptionRaw === null || descriptionRaw === undefined ? null : String(descriptionRaw).trim() || null;
+
+  const priceJMDNum = Number(body?.priceJMD);
+  if (!Number.isFinite(priceJMDNum)) throw productInputError("priceJMD must be a number");
+  const priceJMD = Math.max(0, Math.round(priceJMDNum));
+
+  const images = (Array.isArray(body?.images) ? body.images : [])
+    .map((img) => ({
+      url: String(img?.url || "").trim(),
+      alt: img?.alt === undefined || img?.alt === null ? null : String(img.alt).trim() || null,
+      sortOrder: Number.isFinite(Number(img?.sortOrder)) ? Math.round(Number(img.sortOrder)) : 0,
+    }))
+    .filter((img) => img.url);
+
+  return {
+    name,
+    slug,
+    description,
+    priceJMD,
+    isPublished: Boolean(body?.isPublished),
+    images,
+    variantInput: normalizeVariantInput(body) || normalizeVariantInput({ options: [] }),
+    salePricing: parseSalePricing(body, { priceJMD }),
+    schedule: parsePublishSchedule(body),
+    sizeGuide: parseSizeGuideFields(body),
+    seo: parseSeoFields(body),
+  };
+}
+
+// Create a product from normalizeNewProductInput() output. Returns { id, slug }.
+async function createProduct(tx, input) {
+  const slug = input.slug || (await uniqueProductSlug(tx, input.name));
+  await changeProductSlug(tx, null, null, slug);
+
+  const product = await tx.product.create({
+    data: {
+      slug,
+      name: input.name,
+      description: input.description,
+      priceJMD: input.priceJMD,
+      ...input.salePricing,
+      isPublished: input.isPublished,
+      ...input.schedule,
+      ...input.sizeGuide,
+      ...input.seo,
+      images: input.images.length ? { create: input.images } : undefined,
+    },
+    select: { id: true, slug: true },
+  });
+  await saveProductVariants(tx, product.id, input.variantInput);
+  await refreshProductListPrice(tx, product.id);
+  return product;
+}
+
 // -----------------------------
 // ADMIN (requires admin role)
 // -----------------------------
 
 // GET /api/admin/products
+// Archived products are listed separately with ?archived=1.
 app.get("/api/admin/products", async (req, res) => {
-  const admin = requireAdmin(req, res);
+  const admin = requirePermission(req, res, "products.view");
   if (!admin) return;
 
+  const archived = ["1", "true"].includes(String(req.query?.archived || "").toLowerCase());
+
   try {
     const products = await prisma.product.findMany({
-      orderBy: { createdAt: "desc" },
+      where: { archivedAt: archived ? { not: null } : null },
+      orderBy: archived ? { archivedAt: "desc" } : { createdAt: "desc" },
       take: 200,
       select: {
         id: true,
         slug: true,
         name: true,
         description: true,
-        priceJMD: true,
-        isPublished: true,
+        ...PRODUCT_PRICE_SELECT,
+        ...PRODUCT_PUBLISH_SELECT,
+        ...PRODUCT_SIZE_GUIDE_SELECT,
+        ...PRODUCT_SEO_SELECT,
         createdAt: true,
         updatedAt: true,
         images: {
@@ -1673,19 +5113,21 @@ app.get("/api/admin/products", async (req, res) => {
             createdAt: true,
           },
         },
-        inventory: {
-          orderBy: { size: "asc" },
-          select: {
-            id: true,
-            size: true,
-            stock: true,
-            updatedAt: true,
-          },
-        },
+        ...PRODUCT_OPTIONS_SELECT,
+        _count: { select: { items: true } },
       },
     });
 
-    return res.json({ ok: true, products });
+    const now = new Date();
+    return res.json({
+      ok: true,
+      products: products.map(({ _count, ...p }) => ({
+        ...p,
+        publishState: publishState(p, now),
+        // Ordered products can only be archived, never deleted
+        hasOrders: _count.items > 0,
+      })),
+    });
   } catch (err) {
     return res.status(500).json({
       ok: false,
@@ -1696,91 +5138,63 @@ app.get("/api/admin/products", async (req, res) => {
 
 // POST /api/admin/products
 app.post("/api/admin/products", async (req, res) => {
-  const admin = requireAdmin(req, res);
+  const admin = requirePermission(req, res, "products.manage");
   if (!admin) return;
 
   try {
-    const name = String(req.body?.name || "").trim();
-    const slugRaw = req.body?.slug;
-    const slug = slugRaw === null || slugRaw === undefined ? null : String(slugRaw).trim() || null;
-
-    const descriptionRaw = req.body?.description;
-    const description =
-      descriptionRaw === null || descriptionRaw === undefined ? null : String(descriptionRaw).trim() || null;
+    const input = normalizeNewProductInput(req.body);
+    for (const img of input.images) img.url = await ingestImageUrl(img.url, "products");
 
-    const priceJMDNum = Number(req.body?.priceJMD);
-    const priceJMD = Number.isFinite(priceJMDNum) ? Math.max(0, Math.round(priceJMDNum)) : NaN;
-
-    const isPublished = Boolean(req.body?.isPublished);
-
-    const imagesIn = Array.isArray(req.body?.images) ? req.body.images : [];
-    const inventoryIn = Array.isArray(req.body?.inventory) ? req.body.inventory : [];
-
-    if (!name) return res.status(400).json({ ok: false, error: "name is required" });
-    if (!Number.isFinite(priceJMD)) return res.status(400).json({ ok: false, error: "priceJMD must be a number" });
-
-    const images = imagesIn
-      .map((img) => ({
-        url: String(img?.url || "").trim(),
-        alt: img?.alt === undefined || img?.alt === null ? null : String(img.alt).trim() || null,
-        sortOrder: Number.isFinite(Number(img?.sortOrder)) ? Math.round(Number(img.sortOrder)) : 0,
-      }))
-      .filter((img) => img.url);
-
-    // De-dupe inventory by size (keep last)
-    const invMap = new Map();
-    for (const row of inventoryIn) {
-      const size = String(row?.size || "").trim();
-      if (!size) continue;
-      const stockNum = Number(row?.stock);
-      const stock = Number.isFinite(stockNum) ? Math.max(0, Math.round(stockNum)) : 0;
-      invMap.set(size, stock);
-    }
-    const inventory = Array.from(invMap.entries()).map(([size, stock]) => ({ size, stock }));
-
-    const created = await prisma.product.create({
-      data: {
-        slug,
-        name,
-        description,
-        priceJMD,
-        isPublished,
-        images: images.length ? { create: images } : undefined,
-        inventory: inventory.length ? { create: inventory } : undefined,
-      },
-      select: {
-        id: true,
-        slug: true,
-        name: true,
-        description: true,
-        priceJMD: true,
-        isPublished: true,
-        createdAt: true,
-        updatedAt: true,
-        images: {
-          orderBy: { sortOrder: "asc" },
-          select: {
-            id: true,
-            url: true,
-            alt: true,
-            sortOrder: true,
-            createdAt: true,
-          },
-        },
-        inventory: {
-          orderBy: { size: "asc" },
-          select: {
-            id: true,
-            size: true,
-            stock: true,
-            updatedAt: true,
+    const created = await prisma.$transaction(async (tx) => {
+      const product = await createProduct(tx, input);
+
+      return tx.product.findUnique({
+        where: { id: product.id },
+        select: {
+          id: true,
+          slug: true,
+          name: true,
+          description: true,
+          ...PRODUCT_PRICE_SELECT,
+          ...PRODUCT_PUBLISH_SELECT,
+          ...PRODUCT_SIZE_GUIDE_SELECT,
+          ...PRODUCT_SEO_SELECT,
+          createdAt: true,
+          updatedAt: true,
+          images: {
+            orderBy: { sortOrder: "asc" },
+            select: {
+              id: true,
+              url: true,
+              alt: true,
+              sortOrder: true,
+              createdAt: true,
+            },
           },
+          ...PRODUCT_OPTIONS_SELECT,
         },
-      },
+      });
     });
 
     return res.status(201).json({ ok: true, product: created });
   } catch (err) {
+    if (err?.code === "INVALID_PRODUCT") return res.status(400).json({ ok: false, error: err.message });
+    if (err?.code === "INVALID_UPLOAD") return sendUploadError(res, err);
+    if (err?.code === "INVALID_SLUG") {
+      return res.status(400).json({ ok: false, code: "INVALID_SLUG", error: err.message });
+    }
+    if (err?.code === "INVALID_VARIANTS") {
+      return res.status(400).json({ ok: false, code: "INVALID_VARIANTS", error: err.message });
+    }
+    if (err?.code === "INVALID_PRICING" || err?.code === "INVALID_SCHEDULE") {
+      return res.status(400).json({ ok: false, code: err.code, error: err.message });
+    }
+    if (err?.code === "P2003" && String(err?.meta?.field_name || "").includes("sizeChartId")) {
+      return res.status(400).json({ ok: false, error: "That size chart no longer exists" });
+    }
+    if (err?.code === "P2002" && String(err?.meta?.target || "").includes("sku")) {
+      return res.status(409).json({ ok: false, code: "SKU_IN_USE", error: "That SKU is already used by another variant" });
+    }
     const msg = String(err?.message || "");
     if (msg.includes("Unique constraint") || msg.includes("unique") || err?.code === "P2002") {
       return res.status(409).json({ ok: false, error: "Duplicate unique field (slug/email/etc)" });
@@ -1790,9 +5204,9 @@ app.post("/api/admin/products", async (req, res) => {
 });
 
 // PATCH /api/admin/products/:id
-// Updates basic product fields + optional full replace of images/inventory arrays.
+// Updates basic product fields + optional full replace of images and options/variants.
 app.patch("/api/admin/products/:id", async (req, res) => {
-  const admin = requireAdmin(req, res);
+  const admin = requirePermission(req, res, "products.manage");
   if (!admin) return;
 
   const id = String(req.params?.id || "").trim();
@@ -1801,11 +5215,8 @@ app.patch("/api/admin/products/:id", async (req, res) => {
   try {
     const data = {};
 
-    // Optional fields
-    if (req.body?.slug !== undefined) {
-      const slugRaw = req.body.slug;
-      data.slug = slugRaw === null ? null : String(slugRaw).trim() || null;
-    }
+    // Optional fields (slug is resolved inside the transaction against the current row)
+    const slugIn = req.body?.slug;
     if (req.body?.name !== undefined) data.name = String(req.body.name || "").trim();
     if (req.body?.description !== undefined) {
       const dRaw = req.body.description;
@@ -1818,17 +5229,43 @@ app.patch("/api/admin/products/:id", async (req, res) => {
     }
     if (req.body?.isPublished !== undefined) data.isPublished = Boolean(req.body.isPublished);
 
-    const imagesIn = req.body?.images;
-    const inventoryIn = req.body?.inventory;
+    // Inline images from older clients are moved to storage before the transaction
+    const imagesIn = Array.isArray(req.body?.images)
+      ? await Promise.all(req.body.images.map(async (img) => ({ ...img, url: await ingestImageUrl(img?.url, "products") })))
+      : undefined;
+    const variantInput = normalizeVariantInput(req.body);
 
     const result = await prisma.$transaction(async (tx) => {
-      const exists = await tx.product.findUnique({ where: { id }, select: { id: true } });
+      const exists = await tx.product.findUnique({
+        where: { id },
+        select: { id: true, slug: true, name: true, ...PRODUCT_PRICE_SELECT, ...PRODUCT_PUBLISH_SELECT },
+      });
       if (!exists) {
         const err = new Error("NOT_FOUND");
         err.code = "NOT_FOUND";
         throw err;
       }
 
+      // An empty slug regenerates it from the name; renaming a product whose slug
+      // was generated follows the new name. The previous slug keeps redirecting.
+      const nextName = data.name || exists.name;
+      let nextSlug = exists.slug;
+      if (slugIn !== undefined) {
+        const raw = String(slugIn ?? "").trim();
+        nextSlug = raw ? parseProductSlug(raw) : await uniqueProductSlug(tx, nextName, { productId: id });
+      } else if (!exists.slug || (nextName !== exists.name && isGeneratedSlug(exists.slug, exists.name))) {
+        nextSlug = await uniqueProductSlug(tx, nextName, { productId: id });
+      }
+      if (nextSlug !== exists.slug) {
+        await changeProductSlug(tx, id, exists.slug, nextSlug);
+        data.slug = nextSlug;
+      }
+
+      Object.assign(data, parseSalePricing(req.body, { ...exists, ...data }));
+      Object.assign(data, parsePublishSchedule(req.body, exists));
+      Object.assign(data, parseSizeGuideFields(req.body));
+      Object.assign(data, parseSeoFields(req.body));
+
       // Optional full replace: images
       if (Array.isArray(imagesIn)) {
         await tx.productImage.deleteMany({ where: { productId: id } });
@@ -1848,31 +5285,18 @@ app.patch("/api/admin/products/:id", async (req, res) => {
         }
       }
 
-      // Optional full replace: inventory
-      if (Array.isArray(inventoryIn)) {
-        await tx.inventory.deleteMany({ where: { productId: id } });
-
-        const invMap = new Map();
-        for (const row of inventoryIn) {
-          const size = String(row?.size || "").trim();
-          if (!size) continue;
-          const stockNum = Number(row?.stock);
-          const stock = Number.isFinite(stockNum) ? Math.max(0, Math.round(stockNum)) : 0;
-          invMap.set(size, stock);
-        }
-        const inventory = Array.from(invMap.entries()).map(([size, stock]) => ({ size, stock }));
-
-        if (inventory.length) {
-          await tx.inventory.createMany({
-            data: inventory.map((r) => ({ ...r, productId: id })),
-          });
-        }
+      // Optional full replace: options + variants
+      if (variantInput) {
+        await saveProductVariants(tx, id, variantInput);
       }
 
       // Update core fields (if any)
       if (Object.keys(data).length) {
         await tx.product.update({ where: { id }, data });
       }
+      if (variantInput || Object.keys(data).length) {
+        await refreshProductListPrice(tx, id);
+      }
 
       const product = await tx.product.findUnique({
         where: { id },
@@ -1881,18 +5305,17 @@ app.patch("/api/admin/products/:id", async (req, res) => {
           slug: true,
           name: true,
           description: true,
-          priceJMD: true,
-          isPublished: true,
+          ...PRODUCT_PRICE_SELECT,
+          ...PRODUCT_PUBLISH_SELECT,
+          ...PRODUCT_SIZE_GUIDE_SELECT,
+          ...PRODUCT_SEO_SELECT,
           createdAt: true,
           updatedAt: true,
           images: {
             orderBy: { sortOrder: "asc" },
             select: { id: true, url: true, alt: true, sortOrder: true, createdAt: true },
           },
-          inventory: {
-            orderBy: { size: "asc" },
-            select: { id: true, size: true, stock: true, updatedAt: true },
-          },
+          ...PRODUCT_OPTIONS_SELECT,
         },
       });
 
@@ -1902,6 +5325,22 @@ app.patch("/api/admin/products/:id", async (req, res) => {
     return res.json({ ok: true, product: result });
   } catch (err) {
     if (err?.code === "NOT_FOUND") return res.status(404).json({ ok: false, error: "Product not found" });
+    if (err?.code === "INVALID_UPLOAD") return sendUploadError(res, err);
+    if (err?.code === "INVALID_SLUG") {
+      return res.status(400).json({ ok: false, code: "INVALID_SLUG", error: err.message });
+    }
+    if (err?.code === "INVALID_VARIANTS") {
+      return res.status(400).json({ ok: false, code: "INVALID_VARIANTS", error: err.message });
+    }
+    if (err?.code === "INVALID_PRICING" || err?.code === "INVALID_SCHEDULE") {
+      return res.status(400).json({ ok: false, code: err.code, error: err.message });
+    }
+    if (err?.code === "P2003" && String(err?.meta?.field_name || "").includes("sizeChartId")) {
+      return res.status(400).json({ ok: false, error: "That size chart no longer exists" });
+    }
+    if (err?.code === "P2002" && String(err?.meta?.target || "").includes("sku")) {
+      return res.status(409).json({ ok: false, code: "SKU_IN_USE", error: "That SKU is already used by another variant" });
+    }
     const msg = String(err?.message || "");
     if (msg.includes("Unique constraint") || msg.includes("unique") || err?.code === "P2002") {
       return res.status(409).json({ ok: false, error: "Duplicate unique field (slug/etc)" });
@@ -1911,35 +5350,478 @@ app.patch("/api/admin/products/:id", async (req, res) => {
 });
 
 app.delete("/api/admin/products/:id", async (req, res) => {
-  const admin = requireAdmin(req, res);
+  const admin = requirePermission(req, res, "products.manage");
   if (!admin) return;
 
   const id = String(req.params?.id || '').trim();
   if (!id) return res.status(400).json({ ok: false, error: 'Missing product id' });
 
   try {
+    const orderLines = await prisma.orderItem.count({ where: { productId: id } });
+    if (orderLines > 0) {
+      const err = new Error("PRODUCT_HAS_ORDERS");
+      err.code = "PRODUCT_HAS_ORDERS";
+      throw err;
+    }
+
+    const photos = await prisma.productReview.findMany({ where: { productId: id, photoUrl: { not: null } }, select: { photoUrl: true } });
     await prisma.product.delete({ where: { id } });
+    // Its reviews cascade with it; their photos would otherwise stay in storage
+    for (const { photoUrl } of photos) await deleteStoredImage(photoUrl);
     return res.json({ ok: true });
   } catch (err) {
     if (err?.code === 'P2025') return res.status(404).json({ ok: false, error: 'Product not found' });
+    // P2003: an order referenced it between the check and the delete
+    if (err?.code === "PRODUCT_HAS_ORDERS" || err?.code === "P2003") {
+      return res.status(409).json({
+        ok: false,
+        code: "PRODUCT_HAS_ORDERS",
+        error: "This product appears in past orders, so it can't be deleted. Archive it instead to hide it from the shop while keeping order history intact.",
+      });
+    }
     return sendServerError(res, 'Product could not be deleted right now.');
   }
 });
 
+// POST /api/admin/products/:id/archive
+// Hides the product from every storefront query and unpublishes it, so a restore comes back as a draft.
+app.post("/api/admin/products/:id/archive", async (req, res) => {
+  const admin = requirePermission(req, res, "products.manage");
+  if (!admin) return;
+
+  const id = String(req.params?.id || "").trim();
+  if (!id) return res.status(400).json({ ok: false, error: "Missing product id" });
+
+  try {
+    const product = await prisma.product.update({
+      where: { id },
+      data: { archivedAt: new Date(), isPublished: false },
+      select: { id: true, ...PRODUCT_PUBLISH_SELECT },
+    });
+    return res.json({ ok: true, product: { ...product, publishState: publishState(product) } });
+  } catch (err) {
+    if (err?.code === "P2025") return res.status(404).json({ ok: false, error: "Product not found" });
+    return sendServerError(res, "Product could not be archived right now.");
+  }
+});
+
+// POST /api/admin/products/:id/restore
+app.post("/api/admin/products/:id/restore", async (req, res) => {
+  const admin = requirePermission(req, res, "products.manage");
+  if (!admin) return;
+
+  const id = String(req.params?.id || "").trim();
+  if (!id) return res.status(400).json({ ok: false, error: "Missing product id" });
+
+  try {
+    const product = await prisma.product.update({
+      where: { id },
+      data: { archivedAt: null },
+      select: { id: true, ...PRODUCT_PUBLISH_SELECT },
+    });
+    return res.json({ ok: true, product: { ...product, publishState: publishState(product) } });
+  } catch (err) {
+    if (err?.code === "P2025") return res.status(404).json({ ok: false, error: "Product not found" });
+    return sendServerError(res, "Product could not be restored right now.");
+  }
+});
+
+// -----------------------------
+// PRODUCT CSV IMPORT/EXPORT (admin)
+// -----------------------------
+// Columns: id, slug, name, description, price_jmd, published, image_urls (separated by "|"),
+// then one "stock:<variant label>" column per size, e.g. "stock:M". Rows match existing products
+// by id, then slug; other rows create products. Blank cells keep the current value on updates.
+const PRODUCT_CSV_COLUMNS = ["id", "slug", "name", "description", "price_jmd", "published", "image_urls"];
+const CSV_STOCK_PREFIX = "stock:";
+const MAX_IMPORT_ROWS = 1000;
+const ROW_ERROR_CODES = new Set(["INVALID_PRODUCT", "INVALID_SLUG", "INVALID_VARIANTS", "INVALID_PRICING", "INVALID_SCHEDULE"]);
+
+const readCsvBody = express.text({ type: ["text/csv", "text/plain"], limit: "5mb" });
+
+function importError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_IMPORT";
+  return err;
+}
+
+function parseCsvBoolean(value) {
+  const v = String(value || "").trim().toLowerCase();
+  if (["true", "yes", "y", "1", "published"].includes(v)) return true;
+  if (["false", "no", "n", "0", "draft"].includes(v)) return false;
+  return null;
+}
+
+/**
+ * Validate a CSV file against the catalog without writing anything.
+ * Returns one entry per non-blank row: { line, action: "create" | "update" | "error", productId,
+ * name, slug, errors } plus the normalised input applyProductImport() writes.
+ */
+async function planProductImport(db, text) {
+  const [header = [], ...records] = parseCsv(text);
+  const columns = header.map((h) => String(h || "").trim());
+  const index = new Map(columns.map((c, i) => [c.toLowerCase(), i]));
+
+  if (!columns.some(Boolean)) throw importError("The file is empty");
+  const unknown = columns.filter((c) => c && !PRODUCT_CSV_COLUMNS.includes(c.toLowerCase()) && !c.toLowerCase().startsWith(CSV_STOCK_PREFIX));
+  if (unknown.length) throw importError(`Unknown column${unknown.length > 1 ? "s" : ""}: ${unknown.join(", ")}`);
+  if (!index.has("name") && !index.has("id") && !index.has("slug")) {
+    throw importError("The first row must be a header with at least a name, id or slug column");
+  }
+
+  const stockColumns = columns
+    .map((c, i) => ({ i, label: c.slice(CSV_STOCK_PREFIX.length).trim() }))
+    .filter((c, i) => columns[i].toLowerCase().startsWith(CSV_STOCK_PREFIX) && c.label);
+
+  const rowsIn = records
+    .map((cells, i) => ({ line: i + 2, cells }))
+    .filter((r) => r.cells.some((c) => String(c).trim()));
+  if (rowsIn.length > MAX_IMPORT_ROWS) throw importError(`Import at most ${MAX_IMPORT_ROWS} products at a time`);
+
+  // undefined: no such column; "": blank cell. Cells keep no formula guard from an export.
+  const cell = (r, name) => (index.has(name) ? unguardCsvCell(String(r.cells[index.get(name)] ?? "").trim()) : undefined);
+
+  const ids = rowsIn.map((r) => cell(r, "id")).filter(Boolean);
+  const slugs = rowsIn.map((r) => cell(r, "slug")).filter(Boolean).map((s) => s.toLowerCase());
+  const existing = ids.length || slugs.length
+    ? await db.product.findMany({
+      where: { OR: [{ id: { in: ids } }, { slug: { in: slugs } }] },
+      select: {
+        id: true,
+        slug: true,
+        name: true,
+        description: true,
+        ...PRODUCT_PRICE_SELECT,
+        isPublished: true,
+        archivedAt: true,
+        variants: { select: { id: true, label: true } },
+      },
+    })
+    : [];
+  const byId = new Map(existing.map((p) => [p.id, p]));
+  const bySlug = new Map(existing.filter((p) => p.slug).map((p) => [p.slug, p]));
+
+  const seen = new Set();
+  return rowsIn.map((r) => {
+    const errors = [];
+    const id = cell(r, "id");
+    const slug = cell(r, "slug");
+    const current = id ? byId.get(id) : slug ? bySlug.get(slug.toLowerCase()) : null;
+    if (id && !current) errors.push(`No product has the id "${id}"`);
+    if (current?.archivedAt) errors.push("This product is archived; restore it before importing changes to it");
+
+    const key = current?.id || (slug ? `slug:${slug.toLowerCase()}` : null);
+    if (key && seen.has(key)) errors.push("This product appears more than once in the file");
+    if (key) seen.add(key);
+
+    const given = (name) => {
+      const v = cell(r, name);
+      return v === undefined || v === "" ? undefined : v;
+    };
+
+    const publishedCell = given("published");
+    const isPublished = publishedCell === undefined ? !!current?.isPublished : parseCsvBoolean(publishedCell);
+    if (isPublished === null) errors.push(`published must be yes or no, not "${publishedCell}"`);
+
+    const imageUrls = (given("image_urls") || "").split(/[|\s]+/).filter(Boolean);
+    for (const url of imageUrls) {
+      if (!/^https?:\/\//i.test(url) && !url.startsWith("/")) errors.push(`"${url.slice(0, 60)}" is not an image URL`);
+    }
+
+    const stock = [];
+    for (const c of stockColumns) {
+      const raw = String(r.cells[c.i] ?? "").trim();
+      if (!raw) continue;
+      const n = Number(raw);
+      if (!Number.isInteger(n) || n < 0) {
+        errors.push(`Stock for ${c.label} must be a whole number of 0 or more`);
+        continue;
+      }
+      if (!current) {
+        stock.push({ label: c.label, stock: n });
+        continue;
+      }
+      // Updates only set stock; sizes are added or removed in the product form
+      const variant = current.variants.find((v) => v.label.toLowerCase() === c.label.toLowerCase());
+      if (variant) stock.push({ variantId: variant.id, label: variant.label, stock: n });
+      else errors.push(`"${c.label}" is not a size of this product; add it in the product form first`);
+    }
+
+    const price = given("price_jmd");
+    const body = {
+      name: given("name") ?? current?.name,
+      slug: slug || undefined,
+      description: cell(r, "description") === undefined ? current?.description : cell(r, "description") || null,
+      priceJMD: price === undefined ? current?.priceJMD : price.replace(/[,\s]/g, ""),
+      isPublished,
+      images: imageUrls.map((url, sortOrder) => ({ url, sortOrder })),
+      // New products get one "Size" option from the stock columns (see normalizeVariantInput)
+      inventory: current ? undefined : stock.map((s) => ({ size: s.label, stock: s.stock })),
+    };
+
+    let input = null;
+    try {
+      input = normalizeNewProductInput(body);
+      // Keep an existing sale below the new regular price
+      if (current) parseSalePricing({}, { ...current, priceJMD: input.priceJMD });
+    } catch (err) {
+      if (!ROW_ERROR_CODES.has(err?.code)) throw err;
+      errors.push(err.message);
+    }
+
+    return {
+      line: r.line,
+      action: errors.length ? "error" : current ? "update" : "create",
+      productId: current?.id || null,
+      name: String(body.name || ""),
+      slug: input?.slug || current?.slug || null,
+      errors,
+      input,
+      stock,
+      replaceImages: imageUrls.length > 0,
+    };
+  });
+}
+
+async function applyProductImport(tx, rows) {
+  for (const row of rows) {
+    if (row.action === "create") {
+      const created = await createProduct(tx, row.input);
+      row.productId = created.id;
+      row.slug = created.slug;
+      continue;
+    }
+
+    const { input } = row;
+    const current = await tx.product.findUnique({ where: { id: row.productId }, select: { slug: true } });
+    const slug = input.slug || current.slug;
+    if (slug !== current.slug) await changeProductSlug(tx, row.productId, current.slug, slug);
+
+    await tx.product.update({
+      where: { id: row.productId },
+      data: {
+        slug,
+        name: input.name,
+        description: input.description,
+        priceJMD: input.priceJMD,
+        isPublished: input.isPublished,
+      },
+    });
+    await refreshProductListPrice(tx, row.productId);
+
+    if (row.replaceImages) {
+      await tx.productImage.deleteMany({ where: { productId: row.productId } });
+      await tx.productImage.createMany({ data: input.images.map((img) => ({ ...img, productId: row.productId })) });
+    }
+
+    for (const s of row.stock) {
+      await tx.productVariant.update({ where: { id: s.variantId }, data: { stock: s.stock } });
+    }
+  }
+}
+
+// GET /api/admin/products/export.csv
+// Every product that isn't archived, in the same columns the import reads.
+app.get("/api/admin/products/export.csv", async (req, res) => {
+  const admin = requirePermission(req, res, "products.view");
+  if (!admin) return;
+
+  try {
+    const products = await prisma.product.findMany({
+      where: { archivedAt: null },
+      orderBy: { createdAt: "asc" },
+      select: {
+        id: true,
+        slug: true,
+        name: true,
+        description: true,
+        priceJMD: true,
+        isPublished: true,
+        images: { orderBy: { sortOrder: "asc" }, select: { url: true } },
+        variants: { orderBy: { position: "asc" }, select: { label: true, stock: true } },
+      },
+    });
+
+    const labels = [...new Set(products.flatMap((p) => p.variants.map((v) => v.label)))].sort(compareSizes);
+    const rows = [
+      [...PRODUCT_CSV_COLUMNS, ...labels.map((label) => `${CSV_STOCK_PREFIX}${label}`)],
+      ...products.map((p) => {
+        const stock = new Map(p.variants.map((v) => [v.label, v.stock]));
+        return [
+          p.id,
+          p.slug || "",
+          p.name,
+          p.description || "",
+          p.priceJMD,
+          p.isPublished ? "yes" : "no",
+          p.images.map((img) => img.url).filter((url) => !url.startsWith("data:")).join(" | "),
+          ...labels.map((label) => (stock.has(label) ? stock.get(label) : "")),
+        ];
+      }),
+    ];
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="products-${date}.csv"`);
+    // The BOM makes Excel read the file as UTF-8
+    return res.send(`\uFEFF${toCsv(rows)}`);
+  } catch (err) {
+    safeLogError("GET /api/admin/products/export.csv failed:", err);
+    return sendServerError(res, "Products could not be exported right now.");
+  }
+});
+
+// POST /api/admin/products/import[?dryRun=false]
+// Body: the CSV as text/csv (or JSON { csv }). By default this is a dry run that only reports what
+// each row would do; with dryRun=false every row is written in one transaction, or none when any row has errors.
+app.post("/api/admin/products/import", readCsvBody, async (req, res) => {
+  const admin = requirePermission(req, res, "products.manage");
+  if (!admin) return;
+
+  const dryRun = !["0", "false", "no"].includes(String(req.query?.dryRun ?? "").trim().toLowerCase());
+  const text = typeof req.body === "string" ? req.body : String(req.body?.csv || "");
+  if (!text.trim()) return res.status(400).json({ ok: false, code: "INVALID_IMPORT", error: "Choose a CSV file to import" });
+
+  const summarize = (rows) => ({
+    create: rows.filter((r) => r.action === "create").length,
+    update: rows.filter((r) => r.action === "update").length,
+    error: rows.filter((r) => r.action === "error").length,
+  });
+  const publicRows = (rows) => rows.map(({ input, stock, replaceImages, ...row }) => row);
+
+  try {
+    if (dryRun) {
+      const rows = await planProductImport(prisma, text);
+      return res.json({ ok: true, dryRun: true, summary: summarize(rows), rows: publicRows(rows) });
+    }
+
+    const rows = await prisma.$transaction(
+      async (tx) => {
+        const planned = await planProductImport(tx, text);
+        if (planned.some((r) => r.action === "error")) {
+          const err = new Error("IMPORT_HAS_ERRORS");
+          err.code = "IMPORT_HAS_ERRORS";
+          err.rows = planned;
+          throw err;
+        }
+        await applyProductImport(tx, planned);
+        return planned;
+      },
+      { maxWait: 10_000, timeout: 120_000 }
+    );
+
+    return res.json({ ok: true, dryRun: false, summary: summarize(rows), rows: publicRows(rows) });
+  } catch (err) {
+    if (err?.code === "BAD_CSV" || err?.code === "INVALID_IMPORT") {
+      return res.status(400).json({ ok: false, code: "INVALID_IMPORT", error: err.message });
+    }
+    if (err?.code === "IMPORT_HAS_ERRORS") {
+      return res.status(422).json({
+        ok: false,
+        code: "IMPORT_HAS_ERRORS",
+        error: "Nothing was imported. Fix the rows with errors and try again.",
+        summary: summarize(err.rows),
+        rows: publicRows(err.rows),
+      });
+    }
+    if (err?.code === "P2002") {
+      return res.status(409).json({ ok: false, error: "A slug in the file is already used by another product. Nothing was imported." });
+    }
+    safeLogError("POST /api/admin/products/import failed:", err);
+    return sendServerError(res, "Products could not be imported right now.");
+  }
+});
+
+// -----------------------------
+// SIZE CHARTS (admin)
+// -----------------------------
+// GET /api/admin/size-charts
+app.get("/api/admin/size-charts", async (req, res) => {
+  const admin = requirePermission(req, res, "products.view");
+  if (!admin) return;
+
+  try {
+    const charts = await prisma.sizeChart.findMany({
+      orderBy: { name: "asc" },
+      select: { ...SIZE_CHART_SELECT, _count: { select: { products: true } } },
+    });
+    return res.json({
+      ok: true,
+      sizeCharts: charts.map(({ _count, rows, ...chart }) => ({ ...chart, rows: sizeChartRows(rows), productCount: _count.products })),
+    });
+  } catch (err) {
+    safeLogError("GET /api/admin/size-charts failed:", err);
+    return sendServerError(res, "Size charts could not be loaded right now.");
+  }
+});
+
+// POST /api/admin/size-charts
+app.post("/api/admin/size-charts", async (req, res) => {
+  const admin = requirePermission(req, res, "products.manage");
+  if (!admin) return;
+
+  try {
+    const chart = await prisma.sizeChart.create({ data: parseSizeChartInput(req.body), select: SIZE_CHART_SELECT });
+    return res.status(201).json({ ok: true, sizeChart: { ...chart, productCount: 0 } });
+  } catch (err) {
+    if (err?.code === "INVALID_SIZE_CHART") return res.status(400).json({ ok: false, code: err.code, error: err.message });
+    safeLogError("POST /api/admin/size-charts failed:", err);
+    return sendServerError(res, "The size chart could not be saved right now.");
+  }
+});
+
+// PUT /api/admin/size-charts/:id (full replace; every product using it sees the change)
+app.put("/api/admin/size-charts/:id", async (req, res) => {
+  const admin = requirePermission(req, res, "products.manage");
+  if (!admin) return;
+
+  try {
+    const chart = await prisma.sizeChart.update({
+      where: { id: String(req.params.id) },
+      data: parseSizeChartInput(req.body),
+      select: { ...SIZE_CHART_SELECT, _count: { select: { products: true } } },
+    });
+    const { _count, ...rest } = chart;
+    return res.json({ ok: true, sizeChart: { ...rest, productCount: _count.products } });
+  } catch (err) {
+    if (err?.code === "INVALID_SIZE_CHART") return res.status(400).json({ ok: false, code: err.code, error: err.message });
+    if (err?.code === "P2025") return res.status(404).json({ ok: false, error: "Size chart not found" });
+    safeLogError("PUT /api/admin/size-charts/:id failed:", err);
+    return sendServerError(res, "The size chart could not be saved right now.");
+  }
+});
+
+// DELETE /api/admin/size-charts/:id
+// Products using the chart keep their fit notes and model measurements.
+app.delete("/api/admin/size-charts/:id", async (req, res) => {
+  const admin = requirePermission(req, res, "products.manage");
+  if (!admin) return;
+
+  try {
+    await prisma.sizeChart.delete({ where: { id: String(req.params.id) } });
+    return res.json({ ok: true });
+  } catch (err) {
+    if (err?.code === "P2025") return res.status(404).json({ ok: false, error: "Size chart not found" });
+    safeLogError("DELETE /api/admin/size-charts/:id failed:", err);
+    return sendServerError(res, "The size chart could not be deleted right now.");
+  }
+});
+
 // PATCH /api/admin/inventory
-// Bulk upsert inventory rows: [{ productId, size, stock }] OR { items: [...] }
+// Bulk stock update: [{ variantId, stock }] (or legacy { productId, size, stock }) OR { items: [...] }
 app.patch("/api/admin/inventory", async (req, res) => {
-  const admin = requireAdmin(req, res);
+  const admin = requirePermission(req, res, "inventory.manage");
   if (!admin) return;
 
   const rowsIn = Array.isArray(req.body?.items) ? req.body.items : Array.isArray(req.body) ? req.body : [];
   const rows = rowsIn
     .map((r) => ({
+      variantId: String(r?.variantId || "").trim(),
       productId: String(r?.productId || "").trim(),
       size: String(r?.size || "").trim(),
       stock: Number.isFinite(Number(r?.stock)) ? Math.max(0, Math.round(Number(r.stock))) : NaN,
     }))
-    .filter((r) => r.productId && r.size);
+    .filter((r) => r.variantId || (r.productId && r.size));
 
   if (!rows.length) return res.status(400).json({ ok: false, error: "No inventory rows provided" });
   if (rows.some((r) => !Number.isFinite(r.stock))) {
@@ -1950,19 +5832,29 @@ app.patch("/api/admin/inventory", async (req, res) => {
     const updated = await prisma.$transaction(async (tx) => {
       const out = [];
       for (const r of rows) {
-        const rec = await tx.inventory.upsert({
-          where: { productId_size: { productId: r.productId, size: r.size } },
-          update: { stock: r.stock },
-          create: { productId: r.productId, size: r.size, stock: r.stock },
-          select: { id: true, productId: true, size: true, stock: true, updatedAt: true },
+        const variant = await resolveVariant(tx, r);
+        if (!variant) {
+          const err = new Error("VARIANT_NOT_FOUND");
+          err.code = "VARIANT_NOT_FOUND";
+          err.row = r;
+          throw err;
+        }
+        const rec = await tx.productVariant.update({
+          where: { id: variant.id },
+          data: { stock: r.stock },
+          select: { id: true, productId: true, label: true, sku: true, stock: true, updatedAt: true },
         });
-        out.push(rec);
+        out.push({ ...rec, variantId: rec.id, size: rec.label });
       }
       return out;
     });
 
     return res.json({ ok: true, items: updated });
   } catch (err) {
+    if (err?.code === "VARIANT_NOT_FOUND") {
+      const label = err.row?.size || err.row?.variantId;
+      return res.status(404).json({ ok: false, code: "VARIANT_NOT_FOUND", error: `No variant "${label}" on that product` });
+    }
     return sendServerError(res, "Inventory could not be updated right now.");
   }
 });
@@ -1970,10 +5862,21 @@ app.patch("/api/admin/inventory", async (req, res) => {
 // -----------------------------
 // ADMIN PAGE PATHWAY + GATE (server-side)
 // -----------------------------
+// Permission needed to open each admin page (settings is open to all staff for 2FA;
+// its CMS/config cards are hidden client-side per permission).
+const ADMIN_PAGE_PERMISSIONS = {
+  "/dashboard.html": "dashboard.view",
+  "/orders.html": "orders.view",
+  "/customers.html": "customers.view",
+  "/products.html": "products.manage",
+  "/collections.html": "products.manage",
+  "/reviews.html": "content.manage",
+};
+
 app.get("/admin", (req, res) => {
   const sess = readSession(req);
   if (!sess?.userId) return res.redirect("/login.html?returnTo=%2Fadmin%2Fdashboard.html");
-  if (sess.role !== "admin") return res.redirect("/");
+  if (!isStaffRole(sess.role)) return res.redirect("/");
   return res.redirect("/admin/dashboard.html");
 });
 
@@ -1999,7 +5902,12 @@ app.use("/admin", (req, res, next) => {
 
   const sess = readSession(req);
   if (!sess?.userId) return res.redirect("/login.html?returnTo=%2Fadmin%2Fdashboard.html");
-  if (sess.role !== "admin") return res.redirect("/");
+  if (!isStaffRole(sess.role)) return res.redirect("/");
+
+  const needed = ADMIN_PAGE_PERMISSIONS[p];
+  if (needed && !hasPermission(sess.role, needed)) {
+    return res.redirect(p === "/dashboard.html" ? "/admin/settings.html" : "/admin/dashboard.html");
+  }
 
   return next();
 });
@@ -2030,9 +5938,161 @@ app.use("/api", (req, res) => {
 });
 
 const clientDir = path.join(projectRoot, "client");
-const uploadsDir = path.join(CLIENT_DIR, "uploads");
+app.use("/uploads", express.static(localUploadsDir()));
+
+// Responsive image derivatives: /img/<preset>/<key> and /img/<preset>/<key>.webp (see images.js).
+// URLs never change for a given key, so they are cached for a year.
+app.get(/^\/img\/([a-z]+)\/(.+)$/, async (req, res) => {
+  const preset = req.params[0];
+  const parsed = parseDerivativePath(req.params[1]);
+  if (!IMAGE_PRESETS[preset] || !parsed) return res.status(404).end();
+
+  try {
+    const image = await getDerivative(preset, parsed.key, { webp: parsed.webp });
+    if (!image) return res.status(404).end();
+
+    res.setHeader("Content-Type", image.contentType);
+    res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+    return res.send(image.body);
+  } catch (err) {
+    safeLogError("GET /img failed:", err);
+    return res.status(500).end();
+  }
+});
+
+// -----------------------------
+// SEO: STOREFRONT PAGES
+// -----------------------------
+// The shop and product pages are sent with their <head> filled in (title, description,
+// Open Graph, JSON-LD) so crawlers and link previews see real content; main.js renders the rest.
+// These routes come before the clean-URL handlers, which would otherwise serve the bare files.
+const pageTemplates = new Map();
+
+async function readPageTemplate(file) {
+  if (pageTemplates.has(file)) return pageTemplates.get(file);
+  const html = await fs.promises.readFile(path.join(clientDir, file), "utf8");
+  // Re-read on every request while developing so HTML edits show up without a restart
+  if (isProduction()) pageTemplates.set(file, html);
+  return html;
+}
+
+// Absolute URL for a stored image or a site path; inline data URLs have no shareable address.
+function absoluteUrl(base, url) {
+  const value = String(url || "").trim();
+  if (!value || value.startsWith("data:")) return "";
+  try {
+    return new URL(value, `${base}/`).toString();
+  } catch {
+    return "";
+  }
+}
+
+async function sendSeoPage(res, file, meta, status = 200) {
+  try {
+    const html = await readPageTemplate(file);
+    return res.status(status).type("html").send(injectSeoHead(html, meta));
+  } catch (err) {
+    safeLogError(`SEO render of ${file} failed:`, err);
+    return res.status(status).sendFile(path.join(clientDir, file));
+  }
+}
+
+const SHOP_DESCRIPTION = `Shop minimal, refined swimwear from ${SITE_NAME}. Prices in JMD.`;
+const SHOP_LIST_LENGTH = 24;
+
+// GET /shop (also /shop-page): ?collection=<slug> describes that collection instead.
+app.get(["/shop", "/shop-page"], async (req, res) => {
+  const base = APP_BASE_URL;
+  const slug = String(req.query?.collection || "").trim().toLowerCase();
+
+  try {
+    const collection = slug
+      ? await prisma.collection.findFirst({
+        where: { slug, isPublished: true },
+        select: { slug: true, name: true, description: true, coverImageUrl: true },
+      })
+      : null;
+
+    const products = await prisma.product.findMany({
+      where: {
+        ...liveProductWhere(),
+        ...(collection ? { collections: { some: { collection: { slug: collection.slug } } } } : {}),
+      },
+      orderBy: [{ createdAt: "desc" }, { id: "asc" }],
+      take: SHOP_LIST_LENGTH,
+      select: { id: true, slug: true },
+    });
+    const productUrls = products.map((p) => `${base}/product/${encodeURIComponent(p.slug || p.id)}`);
+
+    return sendSeoPage(res, "shop-page.html", {
+      title: collection ? `${collection.name} | ${SITE_NAME}` : `Shop | ${SITE_NAME}`,
+      description: collection?.description || SHOP_DESCRIPTION,
+      url: collection ? `${base}/shop?collection=${encodeURIComponent(collection.slug)}` : `${base}/shop`,
+      image: absoluteUrl(base, collection?.coverImageUrl),
+      jsonLd: productUrls.length ? [itemListJsonLd(productUrls)] : [],
+    });
+  } catch (err) {
+    safeLogError("GET /shop lookup failed:", err);
+    return res.sendFile(path.join(clientDir, "shop-page.html"));
+  }
+});
+
+// Pages crawlers should skip: accounts, checkout and one-off links from emails.
+const ROBOTS_DISALLOW = [
+  "/api/",
+  "/admin/",
+  "/cart",
+  "/checkout",
+  "/account",
+  "/orders",
+  "/receipt",
+  "/login",
+  "/register",
+  "/edit-profile",
+  "/forgot-password",
+  "/reset-password",
+  "/verify-email",
+  "/accept-invite",
+  "/setup",
+];
+
+app.get("/robots.txt", (req, res) => {
+  res.type("text/plain").send(robotsTxt(APP_BASE_URL, ROBOTS_DISALLOW));
+});
+
+// Home, shop and about, every published collection with live products, and every live product.
+app.get("/sitemap.xml", async (req, res) => {
+  const base = APP_BASE_URL;
+
+  try {
+    const [products, collections] = await Promise.all([
+      prisma.product.findMany({
+        where: liveProductWhere(),
+        orderBy: { createdAt: "asc" },
+        select: { id: true, slug: true, updatedAt: true },
+      }),
+      prisma.collection.findMany({
+        where: { isPublished: true, products: { some: { product: liveProductWhere() } } },
+        orderBy: { position: "asc" },
+        select: { slug: true, updatedAt: true },
+      }),
+    ]);
+
+    const entries = [
+      { loc: `${base}/` },
+      { loc: `${base}/shop` },
+      { loc: `${base}/about` },
+      ...collections.map((c) => ({ loc: `${base}/shop?collection=${encodeURIComponent(c.slug)}`, lastmod: c.updatedAt })),
+      ...products.map((p) => ({ loc: `${base}/product/${encodeURIComponent(p.slug || p.id)}`, lastmod: p.updatedAt })),
+    ];
 
-app.use("/uploads", express.static(uploadsDir));
+    res.setHeader("Cache-Control", "public, max-age=3600");
+    return res.type("application/xml").send(sitemapXml(entries));
+  } catch (err) {
+    safeLogError("GET /sitemap.xml failed:", err);
+    return res.status(500).type("text/plain").send("Sitemap unavailable");
+  }
+});
 
 // Static files (this comes AFTER admin gate middleware on purpose)
 
@@ -2128,10 +6188,46 @@ app.get('/about', (req, res) => res.sendFile(path.join(clientDir, 'About.html'))
 app.get('/edit-profile', (req, res) => res.sendFile(path.join(clientDir, 'edit-profile.html')));
 app.get('/forgot-password', (req, res) => res.sendFile(path.join(clientDir, 'forgot-password.html')));
 app.get('/reset-password', (req, res) => res.sendFile(path.join(clientDir, 'reset-password.html')));
+app.get('/verify-email', (req, res) => res.sendFile(path.join(clientDir, 'verify-email.html')));
+
+// Product detail pages: ids and old slugs redirect to the current slug
+app.get("/product/:key", async (req, res) => {
+  const key = String(req.params.key || "").trim();
+  let product = null;
+
+  try {
+    product = await findPublishedProduct(key);
+    if (product?.slug && product.slug !== key) {
+      return res.redirect(301, `/product/${encodeURIComponent(product.slug)}`);
+    }
+  } catch (err) {
+    safeLogError("GET /product/:key lookup failed:", err);
+    return res.sendFile(path.join(clientDir, "product.html"));
+  }
+
+  if (!product) {
+    return sendSeoPage(res, "product.html", { title: `Product not found | ${SITE_NAME}`, noindex: true }, 404);
+  }
+
+  const base = APP_BASE_URL;
+  const p = toPublicProduct(product);
+  const url = `${base}/product/${encodeURIComponent(p.slug || p.id)}`;
+  const images = (product.images || []).map((img) => absoluteUrl(base, img.url)).filter(Boolean);
+
+  return sendSeoPage(res, "product.html", {
+    title: `${p.seo.title || p.title} | ${SITE_NAME}`,
+    description: p.seo.description || p.description,
+    url,
+    image: images[0] || "",
+    type: "product",
+    jsonLd: [productJsonLd(p, { url, images })],
+  });
+});
 
 // Serve homepage
 app.get("/", (req, res) => res.sendFile(path.join(clientDir, "index.html")));
 
 app.listen(PORT, () => {
   safeLogInfo(`Beyond Silhouette server is running on port ${PORT}`);
+  announceFirstRunSetup();
 });
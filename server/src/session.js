@@ -1,9 +1,22 @@
+import prisma from "./prisma.js";
+import { generateToken, hashToken } from "./tokens.js";
+
 const DEFAULT_COOKIE = "bs_session";
+const DEFAULT_TTL_DAYS = 14;
+
+// Only write lastSeen/expiry back to the DB once per interval per session.
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
 
 export function getSessionCookieName() {
     return String(process.env.SESSION_COOKIE_NAME || DEFAULT_COOKIE).trim() || DEFAULT_COOKIE;
 }
 
+export function getSessionTtlMs() {
+    const days = Number(process.env.SESSION_TTL_DAYS || DEFAULT_TTL_DAYS);
+    const safe = Number.isFinite(days) && days > 0 ? days : DEFAULT_TTL_DAYS;
+    return 1000 * 60 * 60 * 24 * safe;
+}
+
 export function buildCookieOptions() {
     const isProd = String(process.env.NODE_ENV || "").toLowerCase() === "production";
     return {
@@ -12,14 +25,51 @@ export function buildCookieOptions() {
         sameSite: "lax",
         secure: isProd, // HTTPS only in production
         path: "/",
-        maxAge: 1000 * 60 * 60 * 24 * 14, // 14 days
+        maxAge: getSessionTtlMs(),
     };
 }
 
-export function setSession(res, sessionObj) {
-    const name = getSessionCookieName();
-    const value = JSON.stringify(sessionObj || {});
-    res.cookie(name, value, buildCookieOptions());
+function clientMeta(req) {
+    const ip = String(req?.ip || "").trim() || null;
+    const userAgent = String(req?.get?.("user-agent") || "").slice(0, 512) || null;
+    return { ip, userAgent };
+}
+
+function toRequestSession(row) {
+    return {
+        sessionId: row.id,
+        userId: row.user.id,
+        email: row.user.email,
+        role: row.user.role,
+        twoFactorEnabled: !!row.user.totpEnabledAt,
+    };
+}
+
+/**
+ * Create a DB session row for the user and set the opaque cookie.
+ * The cookie only carries a random token; its hash is the DB key.
+ */
+export async function startSession(req, res, user) {
+    const token = generateToken();
+    const now = new Date();
+
+    // Opportunistic cleanup of this user's stale rows.
+    await prisma.session.deleteMany({ where: { userId: user.id, expiresAt: { lte: now } } });
+
+    const row = await prisma.session.create({
+        data: {
+            userId: user.id,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(now.getTime() + getSessionTtlMs()),
+            lastSeenAt: now,
+            ...clientMeta(req),
+        },
+        select: { id: true, user: { select: { id: true, email: true, role: true, totpEnabledAt: true } } },
+    });
+
+    res.cookie(getSessionCookieName(), token, buildCookieOptions());
+    req.session = toRequestSession(row);
+    return req.session;
 }
 
 export function clearSession(res) {
@@ -27,16 +77,78 @@ export function clearSession(res) {
     res.clearCookie(name, { path: "/" });
 }
 
-export function readSession(req) {
-    const name = getSessionCookieName();
-    const raw = req?.signedCookies?.[name];
-    if (!raw) return null;
+/**
+ * Delete the current DB session (if any) and clear the cookie.
+ */
+export async function endSession(req, res) {
+    const sessionId = req?.session?.sessionId;
+    if (sessionId) {
+        await prisma.session.deleteMany({ where: { id: sessionId } });
+    }
+    req.session = null;
+    clearSession(res);
+}
+
+/**
+ * Revoke every session for a user, optionally keeping one (e.g. the caller's).
+ */
+export async function revokeUserSessions(userId, { exceptSessionId = null } = {}) {
+    const result = await prisma.session.deleteMany({
+        where: {
+            userId,
+            ...(exceptSessionId ? { NOT: { id: exceptSessionId } } : {}),
+        },
+    });
+    return result.count;
+}
+
+/**
+ * Express middleware: resolve the cookie token to a live session + canonical user role.
+ * Expired or unknown tokens clear the cookie. Active sessions slide their expiry forward.
+ */
+export async function loadSession(req, res, next) {
+    req.session = null;
+
+    const raw = req?.signedCookies?.[getSessionCookieName()];
+    if (!raw) return next();
 
     try {
-        const obj = JSON.parse(String(raw));
-        if (!obj || typeof obj !== "object") return null;
-        return obj;
-    } catch {
-        return null;
+        const row = await prisma.session.findUnique({
+            where: { tokenHash: hashToken(String(raw)) },
+            select: {
+                id: true,
+                expiresAt: true,
+                lastSeenAt: true,
+                user: { select: { id: true, email: true, role: true, totpEnabledAt: true } },
+            },
+        });
+
+        const now = Date.now();
+        if (!row || !row.user || row.expiresAt.getTime() <= now) {
+            if (row) await prisma.session.deleteMany({ where: { id: row.id } });
+            clearSession(res);
+            return next();
+        }
+
+        if (now - row.lastSeenAt.getTime() >= TOUCH_INTERVAL_MS) {
+            await prisma.session.update({
+                where: { id: row.id },
+                data: {
+                    lastSeenAt: new Date(now),
+                    expiresAt: new Date(now + getSessionTtlMs()),
+                    ...clientMeta(req),
+                },
+            });
+            res.cookie(getSessionCookieName(), String(raw), buildCookieOptions());
+        }
+
+        req.session = toRequestSession(row);
+        return next();
+    } catch (err) {
+        return next(err);
     }
 }
+
+export function readSession(req) {
+    return req?.session || null;
+}
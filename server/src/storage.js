@@ -0,0 +1,227 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Directory for the local driver's files (UPLOADS_DIR, default client/uploads); served at /uploads.
+ * Read lazily so values from .env are picked up.
+ */
+export function localUploadsDir() {
+    return path.resolve(String(process.env.UPLOADS_DIR || "").trim() || path.join(__dirname, "..", "..", "client", "uploads"));
+}
+
+// Keys look like "products/2f1c...e9.webp": lowercase path segments, no dot-segments.
+const KEY_RE = /^[a-z0-9][a-z0-9._-]*(?:\/[a-z0-9][a-z0-9._-]*)*$/;
+
+export function isStorageKey(key) {
+    const k = String(key || "");
+    return KEY_RE.test(k) && !k.split("/").some((part) => part === "." || part === "..");
+}
+
+function assertKey(key) {
+    const k = String(key || "");
+    if (!KEY_RE.test(k) || k.split("/").some((part) => part === "." || part === "..")) {
+        throw new Error(`Invalid storage key "${k}".`);
+    }
+    return k;
+}
+
+function sha256Hex(data) {
+    return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+    return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+// RFC 3986 encoding for each path segment, as SigV4 expects.
+function encodeKeyPath(key) {
+    return key
+        .split("/")
+        .map((part) => encodeURIComponent(part).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+        .join("/");
+}
+
+/**
+ * Local filesystem driver. Files land in localUploadsDir() and are served from /uploads.
+ */
+function createLocalDriver() {
+    const root = localUploadsDir();
+    const fileFor = (key) => path.join(root, ...assertKey(key).split("/"));
+
+    return {
+        name: "local",
+        urlFor(key) {
+            return `/uploads/${assertKey(key)}`;
+        },
+        keyFor(url) {
+            const key = String(url || "").startsWith("/uploads/") ? String(url).slice("/uploads/".length) : "";
+            return isStorageKey(key) ? key : null;
+        },
+        async get(key) {
+            try {
+                return await fs.promises.readFile(fileFor(key));
+            } catch (err) {
+                if (err?.code === "ENOENT") return null;
+                throw err;
+            }
+        },
+        async put(key, body) {
+            const file = fileFor(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, body);
+            return this.urlFor(key);
+        },
+        async delete(key) {
+            await fs.promises.rm(fileFor(key), { force: true });
+        },
+    };
+}
+
+/**
+ * S3-compatible driver (AWS S3, MinIO, R2, ...), signed with AWS Signature V4.
+ * S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required. S3_ENDPOINT points at a
+ * non-AWS service (path-style addressing unless S3_FORCE_PATH_STYLE=false); S3_PUBLIC_URL is the
+ * base used in stored image URLs when objects are served from a CDN or a different host.
+ */
+function createS3Driver() {
+    const bucket = String(process.env.S3_BUCKET || "").trim();
+    const region = String(process.env.S3_REGION || "").trim() || "us-east-1";
+    const accessKeyId = String(process.env.S3_ACCESS_KEY_ID || "").trim();
+    const secretAccessKey = String(process.env.S3_SECRET_ACCESS_KEY || "").trim();
+    const endpoint = String(process.env.S3_ENDPOINT || "").trim().replace(/\/+$/, "");
+    const pathStyle = endpoint
+        ? String(process.env.S3_FORCE_PATH_STYLE || "true").toLowerCase() !== "false"
+        : false;
+
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error("S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY.");
+    }
+
+    const origin = endpoint || `https://s3.${region}.amazonaws.com`;
+    const bucketOrigin = pathStyle ? `${origin}/${bucket}` : origin.replace("://", `://${bucket}.`);
+    const objectUrl = (key) => `${bucketOrigin}/${encodeKeyPath(key)}`;
+    const publicBase = String(process.env.S3_PUBLIC_URL || "").trim().replace(/\/+$/, "");
+
+    async function send(method, key, body = Buffer.alloc(0), headers = {}) {
+        const url = new URL(objectUrl(assertKey(key)));
+        const now = new Date();
+        const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, "");
+        const dateStamp = amzDate.slice(0, 8);
+        const payloadHash = sha256Hex(body);
+        const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+        const signed = {
+            host: url.host,
+            "x-amz-content-sha256": payloadHash,
+            "x-amz-date": amzDate,
+            ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)])),
+        };
+        const names = Object.keys(signed).sort();
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            "",
+            names.map((n) => `${n}:${signed[n].trim()}\n`).join(""),
+            names.join(";"),
+            payloadHash,
+        ].join("\n");
+        const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+
+        const kDate = hmac(`AWS4${secretAccessKey}`, dateStamp);
+        const kSigning = hmac(hmac(hmac(kDate, region), "s3"), "aws4_request");
+        const signature = crypto.createHmac("sha256", kSigning).update(stringToSign).digest("hex");
+
+        const { host, ...sendHeaders } = signed;
+        const res = await fetch(url, {
+            method,
+            headers: {
+                ...sendHeaders,
+                authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`,
+            },
+            body: method === "PUT" ? body : undefined,
+        });
+
+        if (res.status === 404 && method !== "PUT") return null;
+        if (!res.ok) {
+            const detail = await res.text().catch(() => "");
+            throw new Error(`S3 ${method} ${key} failed with ${res.status}: ${detail.slice(0, 200)}`);
+        }
+        return res;
+    }
+
+    return {
+        name: "s3",
+        urlFor(key) {
+            return publicBase ? `${publicBase}/${encodeKeyPath(assertKey(key))}` : objectUrl(assertKey(key));
+        },
+        keyFor(url) {
+            const value = String(url || "");
+            const base = `${publicBase || bucketOrigin}/`;
+            if (!value.startsWith(base)) return null;
+            try {
+                const key = decodeURIComponent(value.slice(base.length));
+                return isStorageKey(key) ? key : null;
+            } catch {
+                return null;
+            }
+        },
+        async get(key) {
+            const res = await send("GET", key);
+            return res ? Buffer.from(await res.arrayBuffer()) : null;
+        },
+        async put(key, body, { contentType = "application/octet-stream" } = {}) {
+            await send("PUT", key, body, {
+                "content-type": contentType,
+                "cache-control": "public, max-age=31536000, immutable",
+            });
+            return this.urlFor(key);
+        },
+        async delete(key) {
+            await send("DELETE", key);
+        },
+    };
+}
+
+// Built-in drivers. Each factory returns
+//   { name, put(key, body, { contentType }) -> url, get(key) -> Buffer | null, delete(key), urlFor(key), keyFor(url) -> key | null }
+// - local: files under UPLOADS_DIR (default client/uploads), served at /uploads
+// - s3:    any S3-compatible object store
+const drivers = new Map([
+    ["local", createLocalDriver],
+    ["s3", createS3Driver],
+]);
+
+let cached = null;
+
+/**
+ * Register (or replace) a named storage driver factory.
+ * Select it with STORAGE_DRIVER=<name>.
+ */
+export function registerStorageDriver(name, factory) {
+    const key = String(name || "").trim().toLowerCase();
+    if (!key) throw new Error("Driver name is required.");
+    if (typeof factory !== "function") throw new Error("Driver factory must be a function.");
+    drivers.set(key, factory);
+    if (cached?.name === key) cached = null;
+}
+
+export function getStorageDriverName() {
+    return String(process.env.STORAGE_DRIVER || "").trim().toLowerCase() || "local";
+}
+
+/**
+ * The configured storage driver, created on first use.
+ */
+export function getStorage() {
+    const name = getStorageDriverName();
+    if (cached?.name === name) return cached;
+
+    const factory = drivers.get(name);
+    if (!factory) throw new Error(`Unknown storage driver "${name}".`);
+    cached = factory();
+    return cached;
+}
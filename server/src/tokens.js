@@ -0,0 +1,58 @@
+import crypto from "crypto";
+
+const TOKEN_BYTES = 32;
+
+/**
+ * Generate an opaque, URL-safe random token.
+ * Only its hash (see hashToken) should ever be stored.
+ */
+export function generateToken(bytes = TOKEN_BYTES) {
+    return crypto.randomBytes(bytes).toString("base64url");
+}
+
+/**
+ * SHA-256 digest of a token, used as the database lookup key.
+ * Stored format: lowercase hex
+ */
+export function hashToken(token) {
+    return crypto.createHash("sha256").update(String(token || "")).digest("hex");
+}
+
+function signingSecret() {
+    return String(process.env.TOKEN_SIGNING_SECRET || process.env.AUTH_COOKIE_SECRET || "change_me");
+}
+
+function hmac(data) {
+    return crypto.createHmac("sha256", signingSecret()).update(data).digest("base64url");
+}
+
+/**
+ * Create a signed, self-contained token for a JSON payload.
+ * Stored format: "<payloadBase64url>.<hmacBase64url>"; `exp` is epoch ms.
+ */
+export function signToken(payload, ttlMs) {
+    const body = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + ttlMs })).toString("base64url");
+    return `${body}.${hmac(body)}`;
+}
+
+/**
+ * Verify a token from signToken. Returns the payload, or null if tampered/expired.
+ */
+export function verifySignedToken(token) {
+    const parts = String(token || "").split(".");
+    if (parts.length !== 2) return null;
+    const [body, sig] = parts;
+
+    const expected = Buffer.from(hmac(body));
+    const actual = Buffer.from(sig);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+        if (!payload || typeof payload !== "object") return null;
+        if (!Number.isFinite(payload.exp) || payload.exp <= Date.now()) return null;
+        return payload;
+    } catch {
+        return null;
+    }
+}
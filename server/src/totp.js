@@ -0,0 +1,141 @@
+import crypto from "crypto";
+
+const SECRET_BYTES = 20;
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+    let bits = 0;
+    let value = 0;
+    let out = "";
+    for (const byte of buf) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return out;
+}
+
+function base32Decode(str) {
+    const clean = String(str || "").toUpperCase().replace(/[\s=-]/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const ch of clean) {
+        const idx = BASE32_ALPHABET.indexOf(ch);
+        if (idx === -1) throw new Error("Invalid base32 secret.");
+        value = (value << 5) | idx;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * New random TOTP secret.
+ * Stored format (before sealing): base32, no padding
+ */
+export function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+function hotp(secret, counter) {
+    const msg = Buffer.alloc(8);
+    msg.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac("sha1", base32Decode(secret)).update(msg).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const code = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(code).padStart(DIGITS, "0");
+}
+
+export function currentTotpStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Check a 6-digit code against the secret, allowing one step of clock drift either way.
+ * Returns the matched time step, or null. Steps at or before `afterStep` are rejected
+ * so a code can't be replayed once used.
+ */
+export function verifyTotp(secret, code, { afterStep = null, now = Date.now() } = {}) {
+    const candidate = String(code || "").replace(/\s/g, "");
+    if (!/^\d{6}$/.test(candidate)) return null;
+
+    const current = currentTotpStep(now);
+    for (const step of [current - 1, current, current + 1]) {
+        if (afterStep !== null && step <= afterStep) continue;
+        const expected = hotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step;
+    }
+    return null;
+}
+
+/**
+ * otpauth:// URI understood by authenticator apps (render as a QR code or enter manually).
+ */
+export function buildOtpauthUri({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+export function normalizeRecoveryCode(code) {
+    return String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * One-time recovery codes shown to the user once.
+ * Display format: "xxxxx-xxxxx" (lowercase hex); store only hashes of the normalized form.
+ */
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    return Array.from({ length: count }, () => {
+        const hex = crypto.randomBytes(5).toString("hex");
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+}
+
+function sealingKey() {
+    const secret = String(process.env.TOTP_ENCRYPTION_KEY || process.env.AUTH_COOKIE_SECRET || "change_me");
+    return crypto.createHash("sha256").update(secret).digest();
+}
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM).
+ * Stored format: "v1$<ivBase64>$<tagBase64>$<cipherBase64>"
+ */
+export function sealTotpSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", sealingKey(), iv);
+    const ct = Buffer.concat([cipher.update(String(secret), "utf8"), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return `v1$${iv.toString("base64")}$${tag.toString("base64")}$${ct.toString("base64")}`;
+}
+
+export function openTotpSecret(sealed) {
+    try {
+        const [version, ivB64, tagB64, ctB64] = String(sealed || "").split("$");
+        if (version !== "v1" || !ivB64 || !tagB64 || !ctB64) return null;
+
+        const decipher = crypto.createDecipheriv("aes-256-gcm", sealingKey(), Buffer.from(ivB64, "base64"));
+        decipher.setAuthTag(Buffer.from(tagB64, "base64"));
+        const pt = Buffer.concat([decipher.update(Buffer.from(ctB64, "base64")), decipher.final()]);
+        return pt.toString("utf8");
+    } catch {
+        return null;
+    }
+}
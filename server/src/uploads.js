@@ -0,0 +1,121 @@
+import crypto from "crypto";
+
+// Image upload helpers: a small multipart/form-data parser for buffered request bodies,
+// magic-byte content sniffing, and decoding of legacy base64 data URLs.
+
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const IMAGE_TYPES = {
+    "image/png": "png",
+    "image/jpeg": "jpg",
+    "image/webp": "webp",
+};
+
+/**
+ * Detect the image type from the file's leading bytes, ignoring whatever the client claimed.
+ * Returns { contentType, ext } for PNG, JPEG and WebP, otherwise null.
+ */
+export function sniffImageType(buf) {
+    if (!Buffer.isBuffer(buf) || buf.length < 12) return null;
+
+    let contentType = null;
+    if (buf[0] === 0x89 && buf.toString("latin1", 1, 4) === "PNG" && buf[4] === 0x0d && buf[5] === 0x0a) {
+        contentType = "image/png";
+    } else if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) {
+        contentType = "image/jpeg";
+    } else if (buf.toString("latin1", 0, 4) === "RIFF" && buf.toString("latin1", 8, 12) === "WEBP") {
+        contentType = "image/webp";
+    }
+
+    return contentType ? { contentType, ext: IMAGE_TYPES[contentType] } : null;
+}
+
+/**
+ * Decode "data:image/...;base64,..." into a Buffer, or null when it isn't one.
+ */
+export function decodeDataUrl(value) {
+    const match = String(value || "").match(/^data:([a-z0-9.+/-]+);base64,([a-z0-9+/=\s]+)$/i);
+    if (!match) return null;
+    const data = Buffer.from(match[2], "base64");
+    return data.length ? data : null;
+}
+
+/**
+ * A fresh storage key such as "products/5f0c9a1e2b7d4c3a8e6f.webp".
+ */
+export function newImageKey(prefix, ext) {
+    return `${prefix}/${crypto.randomBytes(10).toString("hex")}.${ext}`;
+}
+
+function parseHeaders(block) {
+    const headers = {};
+    for (const line of block.split("\r\n")) {
+        const idx = line.indexOf(":");
+        if (idx > 0) headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+    }
+    return headers;
+}
+
+function dispositionParam(disposition, name) {
+    const match = String(disposition || "").match(new RegExp(`(?:^|;)\\s*${name}="([^"]*)"`, "i"));
+    return match ? match[1] : null;
+}
+
+/**
+ * Parse a buffered multipart/form-data body.
+ * Returns { fields: { name: value }, files: [{ field, filename, contentType, data }] }.
+ * Throws an error with code "BAD_MULTIPART" for malformed bodies or too many files.
+ */
+export function parseMultipart(body, contentTypeHeader, { maxFiles = 10 } = {}) {
+    const fail = (message) => {
+        const err = new Error(message);
+        err.code = "BAD_MULTIPART";
+        return err;
+    };
+
+    const boundaryMatch = String(contentTypeHeader || "").match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+    if (!Buffer.isBuffer(body) || !boundaryMatch) throw fail("Expected a multipart/form-data body");
+
+    const delimiter = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`);
+    const fields = {};
+    const files = [];
+
+    let pos = body.indexOf(delimiter);
+    if (pos === -1) throw fail("Multipart boundary not found");
+
+    while (true) {
+        pos += delimiter.length;
+        // "--" after a delimiter closes the body
+        if (body[pos] === 0x2d && body[pos + 1] === 0x2d) break;
+        if (body[pos] === 0x0d && body[pos + 1] === 0x0a) pos += 2;
+
+        const headerEnd = body.indexOf("\r\n\r\n", pos);
+        if (headerEnd === -1) throw fail("Malformed multipart part");
+        const next = body.indexOf(delimiter, headerEnd + 4);
+        if (next === -1) throw fail("Unterminated multipart body");
+
+        const headers = parseHeaders(body.toString("utf8", pos, headerEnd));
+        // Part data ends with the CRLF that precedes the next delimiter
+        const data = body.subarray(headerEnd + 4, next - 2);
+
+        const name = dispositionParam(headers["content-disposition"], "name");
+        const filename = dispositionParam(headers["content-disposition"], "filename");
+        if (name !== null) {
+            if (filename !== null) {
+                if (files.length >= maxFiles) throw fail(`Upload at most ${maxFiles} files at a time`);
+                files.push({
+                    field: name,
+                    filename,
+                    contentType: headers["content-type"] || "application/octet-stream",
+                    data,
+                });
+            } else {
+                fields[name] = data.toString("utf8");
+            }
+        }
+
+        pos = next;
+    }
+
+    return { fields, files };
+}